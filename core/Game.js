@@ -9,6 +9,13 @@
 import { LevelManager } from './LevelManager.js';
 import { MazeController } from './MazeController.js';
 import { ProgressManager } from '../utils/ProgressManager.js';
+import { ReplayStorage } from '../utils/ReplayStorage.js';
+import { ReplayRecorder, ReplayPlayer, serializeReplay } from './Replay.js';
+import { GhostManager } from './GhostManager.js';
+import { GhostStorage } from '../utils/GhostStorage.js';
+import { DailyChallengeStorage } from '../utils/DailyChallengeStorage.js';
+import { rateCompletion } from '../utils/levelScoring.js';
+import { createPhysicsMaterials } from '../utils/physics.js';
 import * as CANNON from 'cannon-es';
 
 export class Game {
@@ -20,6 +27,8 @@ export class Game {
         this.menuManager = menuManager;
         this.debugManager = debugManager; // Referencia al debugManager
         this.rankingManager = null; // Se asignará desde main.js
+        this.syncEntryId = null; // Envío al ranking cuyo estado muestra el overlay de victoria
+        this.syncEntryEstimate = 0; // Puntos estimados de ese envío (mientras no llegan los del backend)
         this.progressManager = new ProgressManager(); // Gestor de progreso
         
         // Materiales de física
@@ -29,17 +38,52 @@ export class Game {
         this.levelManager = new LevelManager(scene, world, this.materials, this.debugManager);
         this.controller = new MazeController(
             config.controls.maxTilt,
-            config.controls.mouseSensitivity
+            config.controls.mouseSensitivity,
+            {
+                keyboardAcceleration: config.controls.keyboardAcceleration,
+                keyboardCentering: config.controls.keyboardCentering,
+                gamepadDeadzone: config.controls.gamepadDeadzone
+            }
         );
         
+        // Repeticiones: se graba cada partida y se puede reproducir
+        this.replayRecorder = new ReplayRecorder();
+        this.replayStorage = new ReplayStorage();
+        this.replayPlayer = null;
+        this.lastReplay = null;
+        this.controller.recorder = this.replayRecorder;
+        
+        // Fantasma: 'off', 'personal' (mejor tiempo propio) o 'record' (#1 del nivel)
+        this.ghostManager = new GhostManager(scene);
+        this.ghostStorage = new GhostStorage();
+        this.ghostMode = 'personal';
+        
+        // Niveles generados (modo infinito): main.js asigna qué hacer al ganar
+        this.onGeneratedLevelWin = null;
+        
+        // Desafío diario: solo la partida con dailyAttempt = { date } puntúa
+        this.dailyChallengeStorage = new DailyChallengeStorage();
+        this.dailyAttempt = null;
+        
         // Estado del juego
         this.currentLevelId = null;
+        this.currentLevelConfig = null;
         this.isPlaying = false;
+        this.isReplaying = false;
         this.hasWon = false;
+        this.zoneState = { greenZones: 0, totalZones: 0, allGreen: false };
         
-        // Tracking de tiempo
-        this.levelStartTime = null;
+        // Tracking de tiempo (tiempo simulado: suma de pasos fijos de física)
+        this.elapsedTime = 0;
         this.levelCompletionTime = null;
+        
+        // Estadísticas locales de la partida en curso (ver ProgressManager.getLevelStats)
+        this.statsAttemptOpen = false; // Partida de un nivel de levels/ que cuenta para las estadísticas
+        this.statsRecordedTime = 0;    // Parte de elapsedTime ya sumada al tiempo jugado
+        
+        // Vectores reutilizables para la interpolación de pelotas
+        this._interpolatedPosition = new CANNON.Vec3();
+        this._interpolatedQuaternion = new CANNON.Quaternion();
     }
 
     /**
@@ -47,81 +91,245 @@ export class Game {
      * @returns {Object} Objeto con materiales de laberinto y pelota
      */
     createMaterials() {
-        const mazeMaterial = new CANNON.Material('maze');
-        const ballMaterial = new CANNON.Material('ball');
-        
-        const contactMaterial = new CANNON.ContactMaterial(mazeMaterial, ballMaterial, {
-            friction: this.config.materials.maze.friction,
-            restitution: this.config.materials.maze.restitution
-        });
-        this.world.addContactMaterial(contactMaterial);
+        const materials = createPhysicsMaterials(this.world, this.config.materials);
         
         console.log('🔧 Materiales de física configurados');
-        return { maze: mazeMaterial, ball: ballMaterial };
+        return materials;
     }
 
     /**
      * Inicia un nivel específico
      * @param {number} levelId - ID del nivel a iniciar
      * @param {Object} levelConfig - Configuración del nivel
+     * @param {Object} replay - Repetición a reproducir (null = partida normal)
      */
-    async startLevel(levelId, levelConfig) {
+    async startLevel(levelId, levelConfig, replay = null) {
+        // La partida anterior (si quedó a medias) termina aquí; volver a empezar el mismo nivel es un reinicio
+        if (this.statsAttemptOpen && this.currentLevelId === levelId && !replay) {
+            this.progressManager.recordRestart(levelId);
+        }
+        this.closeStatsAttempt();
+        
         this.currentLevelId = levelId;
+        this.currentLevelConfig = levelConfig;
+        if (!levelConfig.daily) {
+            this.dailyAttempt = null;
+        }
         this.isPlaying = false;
         this.hasWon = false;
         
-        // Iniciar timer
-        this.levelStartTime = Date.now();
         this.levelCompletionTime = null;
-        console.log('⏱️ Timer iniciado');
+        this.zoneState = { greenZones: 0, totalZones: levelConfig.zones.length, allGreen: false };
+        this.replayRecorder.cancel();
+        this.ghostManager.cancelRecording();
+        this.ghostManager.clearGhost();
         
         await this.levelManager.loadLevel(levelConfig);
         
+        // Configurar fuente de input: repetición o input en vivo (grabando)
+        if (replay) {
+            if (replay.timeStep !== this.config.physics.timeStep) {
+                console.warn('⚠️ La repetición se grabó con otro paso de física, puede no coincidir');
+            }
+            this.replayPlayer = new ReplayPlayer(replay);
+            this.replayPlayer.applyInitialState(this.levelManager.balls);
+            this.controller.setTiltOverride(() => this.replayPlayer.next());
+            this.isReplaying = true;
+            console.log(`🎬 Reproduciendo repetición del nivel ${levelId}`);
+        } else {
+            this.replayPlayer = null;
+            this.controller.setTiltOverride(null);
+            this.isReplaying = false;
+            this.replayRecorder.start(levelId, this.config.physics.timeStep, this.levelManager.balls);
+            // Los niveles generados no tienen fantasma (cada semilla es un laberinto distinto)
+            if (!levelConfig.generated) {
+                this.ghostManager.startRecording(levelId, this.config.physics.timeStep, this.levelManager.balls);
+            }
+        }
+        this.menuManager.setReplayMode(this.isReplaying);
+        
         // Si el debug está activo, visualizar el pivote del laberinto
         if (this.debugManager && this.debugManager.enabled && this.levelManager.maze) {
             console.log('🎯 Visualizando pivote automáticamente (debug activo)');
             this.debugManager.visualizeMazePivot(this.levelManager.maze);
         }
         
+        // Iniciar timer (solo avanza con los pasos de física mientras se juega)
+        this.elapsedTime = 0;
+        console.log('⏱️ Timer iniciado');
+        
+        // Las repeticiones y los niveles generados no cuentan en las estadísticas
+        if (!replay && !levelConfig.generated) {
+            this.progressManager.recordAttempt(levelId);
+            this.statsAttemptOpen = true;
+            this.statsRecordedTime = 0;
+        }
+        
         this.isPlaying = true;
         console.log(`🎮 Nivel ${levelId} iniciado - ¡A jugar!`);
+        
+        // El fantasma se carga en segundo plano (el del récord puede venir de la red)
+        if (!replay && !levelConfig.generated) {
+            this.loadGhost(levelId);
+        }
     }
 
     /**
-     * Actualiza el estado del juego en cada frame
-     * @param {number} deltaTime - Tiempo transcurrido desde el último frame
+     * Cambia el modo de fantasma (se aplica al iniciar el próximo nivel)
+     * @param {string} mode - 'off', 'personal' o 'record'
      */
-    update(deltaTime) {
-        if (!this.isPlaying) return;
+    setGhostMode(mode) {
+        this.ghostMode = mode;
+        console.log(`👻 Modo fantasma: ${mode}`);
+    }
+
+    /**
+     * Carga y muestra el fantasma del nivel según el modo elegido
+     * @param {number} levelId - ID del nivel
+     */
+    async loadGhost(levelId) {
+        let trajectory = null;
         
-        // 1. Actualizar controles y rotación del laberinto
-        this.controller.update(this.levelManager);
+        if (this.ghostMode === 'personal') {
+            trajectory = this.ghostStorage.load(levelId);
+        } else if (this.ghostMode === 'record' && this.rankingManager) {
+            trajectory = await this.rankingManager.getTopGhost(levelId);
+        }
         
-        // 2. Sincronizar visuales con física
-        this.syncBalls();
+        // Descartar si mientras tanto se cambió de nivel o se terminó la partida
+        if (!trajectory || this.currentLevelId !== levelId || this.isReplaying || this.hasWon) {
+            return;
+        }
         
-        // 3. Verificar estado de las zonas
-        const { greenZones, totalZones, allGreen } = this.checkZones();
+        this.ghostManager.showGhost(trajectory, this.levelManager.balls);
+        this.ghostManager.update(this.elapsedTime);
+    }
+
+    /**
+     * Inicia la reproducción de una repetición
+     * @param {Object} replay - Repetición a reproducir
+     * @param {Object} levelConfig - Configuración del nivel de la repetición
+     */
+    async startReplay(replay, levelConfig) {
+        await this.startLevel(replay.levelId, levelConfig, replay);
+    }
+
+    /**
+     * Avanza la simulación un paso fijo de física
+     * Se llama desde el acumulador del loop principal tantas veces como
+     * pasos fijos quepan en el tiempo real transcurrido. Con el juego pausado
+     * la física queda congelada, así cada paso simulado queda grabado
+     * @param {number} timeStep - Duración del paso fijo en segundos
+     */
+    fixedUpdate(timeStep) {
+        if (!this.isPlaying) return;
         
-        // 4. Actualizar HUD
-        this.menuManager.updateHUD(this.currentLevelId, greenZones, totalZones);
+        // 1. Guardar el estado anterior de las pelotas para interpolar al renderizar
+        this.levelManager.balls.forEach(ball => {
+            ball.previousPosition.copy(ball.body.position);
+            ball.previousQuaternion.copy(ball.body.quaternion);
+        });
+        
+        // 2. Actualizar controles y rotación del laberinto
+        this.controller.update(this.levelManager, timeStep);
+        this.elapsedTime += timeStep;
         
-        // 5. Verificar condición de victoria
-        if (allGreen && !this.hasWon) {
+        // 3. Simulación de física
+        this.world.step(timeStep);
+        this.ghostManager.recordStep(this.levelManager.balls);
+        if (this.statsAttemptOpen) {
+            this.checkLostBalls();
+        }
+        
+        // 4. Verificar estado de las zonas y condición de victoria en cada paso
+        this.zoneState = this.checkZones();
+        if (this.zoneState.allGreen && !this.hasWon) {
             this.onWin();
+        } else if (this.isReplaying && this.replayPlayer.isFinished()) {
+            this.onReplayEnd();
         }
     }
 
+    /**
+     * Actualiza el estado del juego en cada frame
+     * @param {number} alpha - Fracción del paso fijo pendiente en el acumulador (0-1)
+     */
+    update(alpha = 1) {
+        if (!this.isPlaying) return;
+        
+        // 1. Sincronizar visuales con física (interpolando entre pasos)
+        this.syncBalls(alpha);
+        
+        // El fantasma se interpola al mismo instante que las pelotas
+        this.ghostManager.update(this.elapsedTime - (1 - alpha) * this.config.physics.timeStep);
+        
+        // 2. Actualizar HUD
+        const { greenZones, totalZones } = this.zoneState;
+        const levelLabel = this.currentLevelConfig && this.currentLevelConfig.generated
+            ? this.currentLevelConfig.name
+            : this.currentLevelId;
+        this.menuManager.updateHUD(levelLabel, greenZones, totalZones);
+    }
+
     /**
      * Sincroniza las posiciones visuales de las pelotas con la física
+     * Interpola entre el estado del paso anterior y el actual para que el
+     * movimiento sea fluido aunque la frecuencia de pantalla no coincida con la física
+     * @param {number} alpha - Factor de interpolación (0 = paso anterior, 1 = paso actual)
+     */
+    syncBalls(alpha = 1) {
+        this.levelManager.balls.forEach(ball => {
+            ball.previousPosition.lerp(ball.body.position, alpha, this._interpolatedPosition);
+            ball.previousQuaternion.slerp(ball.body.quaternion, alpha, this._interpolatedQuaternion);
+            
+            ball.mesh.position.copy(this._interpolatedPosition);
+            ball.mesh.quaternion.copy(this._interpolatedQuaternion);
+        });
+    }
+
+    /**
+     * Cuenta las pelotas que se salen del laberinto (p. ej. atravesando el piso)
+     * Con margen de sobra para la inclinación: una pelota perdida ya no puede volver
      */
-    syncBalls() {
+    checkLostBalls() {
+        const { wallDistance, groundOffsetY } = this.currentLevelConfig.bounds;
+        
         this.levelManager.balls.forEach(ball => {
-            ball.mesh.position.copy(ball.body.position);
-            ball.mesh.quaternion.copy(ball.body.quaternion);
+            if (ball.lost) return;
+            
+            const { x, y, z } = ball.body.position;
+            const outside = Math.hypot(x, z) > wallDistance * 1.5 || y < groundOffsetY - wallDistance;
+            if (outside) {
+                ball.lost = true;
+                this.progressManager.recordBallLost(this.currentLevelId);
+                console.log(`🕳️ Una pelota se salió del laberinto (nivel ${this.currentLevelId})`);
+            }
         });
     }
 
+    /**
+     * Suma al tiempo jugado del nivel lo jugado desde la última vez y refresca los botones del menú
+     */
+    flushLevelStats() {
+        if (!this.statsAttemptOpen) return;
+        
+        this.progressManager.recordPlayTime(this.currentLevelId, this.elapsedTime - this.statsRecordedTime);
+        this.statsRecordedTime = this.elapsedTime;
+        
+        if (this.config.levelsConfig) {
+            this.progressManager.applyToLevelsConfig(this.config.levelsConfig);
+            this.menuManager.createLevelButtons(this.config.levelsConfig);
+        }
+    }
+
+    /**
+     * Termina la partida en las estadísticas (victoria, reinicio, cambio de nivel o salida)
+     */
+    closeStatsAttempt() {
+        this.flushLevelStats();
+        this.statsAttemptOpen = false;
+    }
+
     /**
      * Verifica el estado de las zonas (rojas/verdes) y detecta colisiones
      * @returns {Object} Estado de las zonas (greenZones, totalZones, allGreen)
@@ -129,15 +337,11 @@ export class Game {
     checkZones() {
         let greenCount = 0;
         
+        // Verificar colisión de cada zona con las pelotas
+        const occupancy = this.levelManager.getZoneOccupancy();
+        
         this.levelManager.zones.forEach((zone, index) => {
-            let hasCollision = false;
-            
-            // Verificar colisión con cada pelota
-            this.levelManager.balls.forEach(ball => {
-                if (this.checkAABBCollision(zone, ball)) {
-                    hasCollision = true;
-                }
-            });
+            const hasCollision = occupancy[index];
             
             // Actualizar estado de la zona
             if (hasCollision && !zone.isGreen) {
@@ -160,46 +364,6 @@ export class Game {
         };
     }
 
-    /**
-     * Detecta colisión entre una zona y una pelota usando AABB
-     * @param {Object} zone - Zona de objetivo
-     * @param {Object} ball - Pelota
-     * @returns {boolean} True si hay colisión
-     */
-    checkAABBCollision(zone, ball) {
-        // Calcular límites de la zona (AABB)
-        const zoneMin = {
-            x: zone.body.position.x - zone.body.shapes[0].halfExtents.x,
-            y: zone.body.position.y - zone.body.shapes[0].halfExtents.y,
-            z: zone.body.position.z - zone.body.shapes[0].halfExtents.z
-        };
-        const zoneMax = {
-            x: zone.body.position.x + zone.body.shapes[0].halfExtents.x,
-            y: zone.body.position.y + zone.body.shapes[0].halfExtents.y,
-            z: zone.body.position.z + zone.body.shapes[0].halfExtents.z
-        };
-
-        // Calcular límites de la esfera
-        const sphereRadius = ball.body.shapes[0].radius;
-        const sphereMin = {
-            x: ball.body.position.x - sphereRadius,
-            y: ball.body.position.y - sphereRadius,
-            z: ball.body.position.z - sphereRadius
-        };
-        const sphereMax = {
-            x: ball.body.position.x + sphereRadius,
-            y: ball.body.position.y + sphereRadius,
-            z: ball.body.position.z + sphereRadius
-        };
-
-        // Verificar overlap en los 3 ejes
-        const overlapX = sphereMax.x >= zoneMin.x && sphereMin.x <= zoneMax.x;
-        const overlapY = sphereMax.y >= zoneMin.y && sphereMin.y <= zoneMax.y;
-        const overlapZ = sphereMax.z >= zoneMin.z && sphereMin.z <= zoneMax.z;
-
-        return overlapX && overlapY && overlapZ;
-    }
-
     /**
      * Maneja la condición de victoria
      */
@@ -207,41 +371,85 @@ export class Game {
         this.hasWon = true;
         this.isPlaying = false;
         
-        // Calcular tiempo de completación
-        this.levelCompletionTime = (Date.now() - this.levelStartTime) / 1000; // en segundos
+        // Calcular tiempo de completación (tiempo simulado, igual en cualquier dispositivo)
+        this.levelCompletionTime = this.elapsedTime; // en segundos
+        
+        // Una repetición no guarda progreso ni puntos
+        if (this.isReplaying) {
+            console.log(`🎬 Repetición completada en ${this.levelCompletionTime.toFixed(2)}s`);
+            this.onReplayEnd();
+            return;
+        }
+        
         console.log(`🎉 ¡NIVEL COMPLETADO en ${this.levelCompletionTime.toFixed(2)}s!`);
         
+        // Guardar la repetición de la partida
+        this.lastReplay = this.replayRecorder.stop(this.levelCompletionTime);
+        
+        // Los niveles generados no cuentan para el progreso ni el ranking
+        if (this.currentLevelConfig && this.currentLevelConfig.generated) {
+            this.onGeneratedWin();
+            return;
+        }
+        
+        if (this.lastReplay) {
+            this.replayStorage.save(this.lastReplay);
+        }
+        
+        // Guardar el fantasma si es el mejor tiempo personal
+        const ghost = this.ghostManager.stopRecording(this.levelCompletionTime);
+        const isPersonalBest = ghost ? this.ghostStorage.saveIfBest(ghost) : false;
+        
         // Guardar progreso: marcar nivel como completado y desbloquear el siguiente
         const totalLevels = Object.keys(this.config.levelsConfig).length;
         this.progressManager.completeLevel(this.currentLevelId, totalLevels);
+        this.progressManager.recordCompletion(this.currentLevelId, this.levelCompletionTime);
         
-        // Aplicar el progreso a la configuración de niveles
+        // Estrellas según los umbrales del nivel (se guarda la mejor marca)
+        const rating = rateCompletion(this.levelCompletionTime, this.currentLevelConfig.scoring);
+        const isNewStarRecord = rating ? this.progressManager.saveStars(this.currentLevelId, rating.stars) : false;
+        
+        // Aplicar el progreso a la configuración de niveles (cierra la partida en las estadísticas)
+        this.closeStatsAttempt();
         this.progressManager.applyToLevelsConfig(this.config.levelsConfig);
         
-        // Calcular puntos
+        // Estimar puntos (los que cuentan los calcula el backend al guardar)
         let points = 0;
+        let result = null;
+        let uploadGhost = false;
         if (this.rankingManager) {
-            points = this.rankingManager.calculatePoints(this.levelCompletionTime);
-            console.log(`⭐ Puntos obtenidos: ${points}`);
+            points = this.rankingManager.calculatePoints(this.levelCompletionTime, this.getParTime());
+            console.log(`⭐ Puntos estimados: ${points}`);
             
-            // Guardar en la base de datos si hay jugador
+            // Guardar en la base de datos si hay jugador (queda en cola si no hay conexión)
             if (this.rankingManager.currentPlayer) {
-                await this.rankingManager.saveLevelCompletion(
+                // La repetición viaja con la completación para poder verificarla después
+                result = await this.rankingManager.saveLevelCompletion(
                     this.rankingManager.currentPlayer.id,
                     this.currentLevelId,
-                    this.levelCompletionTime
+                    this.levelCompletionTime,
+                    this.lastReplay ? serializeReplay(this.lastReplay) : null
                 );
+                this.showSyncStatus(result, points);
+                
+                // El fantasma se sube al final, con el overlay ya visible
+                // (solo con conexión: las trayectorias no entran en la cola offline)
+                uploadGhost = isPersonalBest && result.status === 'synced';
             } else {
                 console.warn('⚠️ No hay jugador registrado, no se guardará la completación');
             }
         }
         
         // Actualizar overlay de victoria con estadísticas
-        this.menuManager.updateWinOverlay(this.levelCompletionTime, points);
+        const shown = this.getWinPoints(result, points);
+        this.menuManager.updateWinOverlay(this.levelCompletionTime, shown.points, shown.isEstimate);
+        this.menuManager.setWinStars(rating, isNewStarRecord);
+        this.menuManager.setReplayAvailable(!!this.lastReplay);
         
         // Determinar si hay un siguiente nivel
         const nextLevelId = this.currentLevelId + 1;
-        const hasNextLevel = this.config.levelsConfig && this.config.levelsConfig[nextLevelId];
+        const nextLevel = this.config.levelsConfig && this.config.levelsConfig[nextLevelId];
+        const hasNextLevel = nextLevel && !nextLevel.broken;
         
         // Callback para cargar el siguiente nivel (si existe)
         const nextLevelCallback = hasNextLevel ? () => {
@@ -255,6 +463,174 @@ export class Game {
         
         // Mostrar overlay de victoria
         this.menuManager.showWinOverlay(nextLevelCallback);
+        
+        // Subir el fantasma para que otros puedan correr contra el récord
+        // Sin await: saveGhost captura sus errores y el jugador no espera a la subida
+        if (uploadGhost) {
+            this.rankingManager.saveGhost(this.rankingManager.currentPlayer.id, ghost);
+        }
+    }
+
+    /**
+     * Victoria en un nivel generado: sin progreso, ranking ni fantasma
+     * La repetición queda disponible solo durante la sesión (el nivel no está en levels/)
+     */
+    async onGeneratedWin() {
+        if (this.currentLevelConfig.daily) {
+            await this.onDailyChallengeWin();
+            return;
+        }
+        
+        const points = this.rankingManager ? this.rankingManager.calculatePoints(this.levelCompletionTime) : 0;
+        this.menuManager.updateWinOverlay(this.levelCompletionTime, points);
+        this.menuManager.setReplayAvailable(!!this.lastReplay);
+        this.menuManager.showWinOverlay(this.onGeneratedLevelWin);
+    }
+
+    /**
+     * Victoria en el desafío diario: solo el intento puntuado se guarda en el ranking
+     */
+    async onDailyChallengeWin() {
+        let shown = { points: 0, isEstimate: false }; // Las prácticas no puntúan
+        
+        if (this.dailyAttempt) {
+            const { date } = this.dailyAttempt;
+            this.dailyAttempt = null;
+            this.dailyChallengeStorage.finishAttempt(date, this.levelCompletionTime);
+            this.menuManager.updateDailyChallengeButton(this.dailyChallengeStorage.getAttempt(date));
+            
+            let result = null;
+            let points = 0;
+            if (this.rankingManager) {
+                points = this.rankingManager.calculatePoints(this.levelCompletionTime);
+                if (this.rankingManager.currentPlayer) {
+                    result = await this.rankingManager.saveDailyResult(
+                        this.rankingManager.currentPlayer.id,
+                        date,
+                        this.levelCompletionTime
+                    );
+                    this.showSyncStatus(result, points);
+                } else {
+                    console.warn('⚠️ No hay jugador registrado, no se guardará el desafío diario');
+                }
+            }
+            // Solo cuenta como puntuado si el ranking lo aceptó (o lo aceptará al sincronizar)
+            const scored = result && (result.status === 'synced' || result.status === 'pending');
+            this.menuManager.setWinNote(scored
+                ? '📅 Intento puntuado del desafío diario'
+                : '⚠️ No se pudo guardar el intento en el ranking del día');
+            shown = this.getWinPoints(result, points);
+        } else {
+            this.menuManager.setWinNote('🔁 Práctica: solo el primer intento del día puntúa');
+        }
+        
+        this.menuManager.updateWinOverlay(this.levelCompletionTime, shown.points, shown.isEstimate);
+        this.menuManager.setReplayAvailable(!!this.lastReplay);
+        this.menuManager.showWinOverlay(null);
+    }
+
+    /**
+     * Muestra en el overlay de victoria si la puntuación llegó al ranking o quedó en cola
+     * @param {Object} result - { id, status, points } devuelto por RankingManager
+     * @param {number} estimate - Puntos estimados en el cliente (se muestran mientras esté en cola)
+     */
+    showSyncStatus(result, estimate) {
+        this.syncEntryId = result.id;
+        this.syncEntryEstimate = estimate;
+        this.menuManager.setSyncStatus(result.status);
+    }
+
+    /**
+     * Tiempo par del nivel actual (bloque scoring de levels/nivel-N.json), escala de sus puntos
+     * @returns {number|null} Segundos, o null si el nivel no tiene scoring (generados, desafío diario)
+     */
+    getParTime() {
+        const scoring = this.currentLevelConfig && this.currentLevelConfig.scoring;
+        return scoring ? scoring.parTime : null;
+    }
+
+    /**
+     * Puntos que muestra el overlay de victoria según el envío al ranking
+     * - Sincronizado: los del backend
+     * - En cola o sin jugador registrado: la estimación del cliente (marcada como estimación)
+     * - Rechazado: 0
+     * @param {Object|null} result - { id, status, points } de RankingManager (null = no se envió)
+     * @param {number} estimate - Puntos estimados con calculatePoints
+     * @returns {Object} { points, isEstimate }
+     */
+    getWinPoints(result, estimate) {
+        if (result && result.status === 'rejected') {
+            return { points: 0, isEstimate: false };
+        }
+        if (result && result.status === 'synced' && result.points !== null) {
+            return { points: result.points, isEstimate: false };
+        }
+        return { points: estimate, isEstimate: true };
+    }
+
+    /**
+     * Cambio de estado de un envío de la cola offline (ver RankingOutbox.onStatusChange)
+     * Si es la puntuación del overlay abierto, se actualiza al momento
+     * @param {string} id - Id del envío
+     * @param {string} status - 'pending', 'synced' o 'rejected'
+     */
+    onRankingSyncStatus(id, status) {
+        if (id === this.syncEntryId) {
+            this.menuManager.setSyncStatus(status);
+            const shown = this.getWinPoints({ status, points: this.rankingManager.getSyncedPoints(id) }, this.syncEntryEstimate);
+            this.menuManager.setWinPoints(shown.points, shown.isEstimate);
+            // El intento del desafío diario en cola puede rechazarse al sincronizar (día cerrado)
+            if (status === 'rejected' && this.currentLevelConfig && this.currentLevelConfig.daily) {
+                this.menuManager.setWinNote('⚠️ No se pudo guardar el intento en el ranking del día');
+            }
+        }
+    }
+
+    /**
+     * Termina la reproducción de una repetición y vuelve a mostrar el overlay de victoria
+     */
+    onReplayEnd() {
+        const replay = this.replayPlayer.replay;
+        
+        if (!this.hasWon) {
+            console.warn('⚠️ La repetición terminó sin completar el nivel (posible desincronización)');
+        }
+        
+        // La partida reproducida queda terminada (no se puede reanudar)
+        this.hasWon = true;
+        this.isPlaying = false;
+        this.isReplaying = false;
+        this.controller.setTiltOverride(null);
+        this.menuManager.setReplayMode(false);
+        
+        // Mostrar los datos originales de la partida grabada
+        // Estimación: la repetición no guarda los puntos que dio el backend
+        const points = this.rankingManager ? this.rankingManager.calculatePoints(replay.completionTime, this.getParTime()) : 0;
+        this.lastReplay = replay;
+        this.menuManager.updateWinOverlay(replay.completionTime, points, !!this.rankingManager);
+        this.menuManager.setWinStars(rateCompletion(replay.completionTime, this.currentLevelConfig && this.currentLevelConfig.scoring));
+        this.menuManager.setReplayAvailable(true);
+        this.menuManager.showWinOverlay(null);
+    }
+
+    /**
+     * Abandona el nivel actual y lo descarga (por ejemplo, al abrir el editor de niveles)
+     */
+    async exitLevel() {
+        this.closeStatsAttempt();
+        this.isPlaying = false;
+        this.isReplaying = false;
+        this.hasWon = false;
+        this.currentLevelId = null;
+        this.currentLevelConfig = null;
+        this.dailyAttempt = null;
+        this.replayRecorder.cancel();
+        this.controller.setTiltOverride(null);
+        this.ghostManager.cancelRecording();
+        this.ghostManager.clearGhost();
+        this.menuManager.setReplayMode(false);
+        
+        await this.levelManager.unloadLevel();
     }
 
     /**
@@ -262,6 +638,8 @@ export class Game {
      */
     pause() {
         this.isPlaying = false;
+        // El menú de pausa muestra las estadísticas de los niveles al día
+        this.flushLevelStats();
         console.log('⏸️ Juego pausado');
     }
 
@@ -269,7 +647,7 @@ export class Game {
      * Reanuda el juego
      */
     resume() {
-        if (!this.hasWon) {
+        if (!this.hasWon && this.currentLevelId) {
             this.isPlaying = true;
             console.log('▶️ Juego reanudado');
         }
@@ -279,8 +657,13 @@ export class Game {
      * Reinicia el nivel actual
      */
     async restartLevel() {
-        if (this.currentLevelId && this.config.levelsConfig) {
-            await this.startLevel(this.currentLevelId, this.config.levelsConfig[this.currentLevelId]);
+        if (this.currentLevelId && this.currentLevelConfig) {
+            // Reiniciar el desafío diario gasta el intento puntuado
+            if (this.dailyAttempt) {
+                console.log('📅 Intento del desafío diario abandonado, lo que sigue es práctica');
+                this.dailyAttempt = null;
+            }
+            await this.startLevel(this.currentLevelId, this.currentLevelConfig);
         }
     }
 }
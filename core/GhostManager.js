@@ -0,0 +1,233 @@
+/**
+ * GhostManager - Pelotas "fantasma" que siguen la mejor partida anterior
+ * - Graba la trayectoria de cada pelota de LevelManager.balls durante la partida
+ * - Reproduce una trayectoria guardada con esferas translúcidas
+ * - Serializa trayectorias en un formato JSON versionado (posiciones Float32 en base64)
+ *
+ * El tiempo de la trayectoria es el tiempo simulado del nivel (Game.elapsedTime),
+ * así el fantasma avanza exactamente al mismo ritmo que la partida actual
+ */
+
+import * as THREE from 'three';
+import { bytesToBase64, base64ToBytes } from '../utils/base64.js';
+
+export const GHOST_FORMAT_VERSION = 1;
+
+// Se guarda una muestra cada N pasos de física (3 pasos a 60 Hz = 20 muestras/s)
+const GHOST_SAMPLE_EVERY_STEPS = 3;
+const GHOST_OPACITY = 0.35;
+
+export class GhostManager {
+    constructor(scene) {
+        this.scene = scene;
+
+        // Grabación
+        this.recording = false;
+        this.recordLevelId = null;
+        this.recordBallCount = 0;
+        this.recordInterval = 0;
+        this.recordStepCount = 0;
+        this.recordedPositions = [];
+
+        // Reproducción
+        this.trajectory = null;
+        this.meshes = [];
+    }
+
+    /**
+     * Comienza a grabar la trayectoria de las pelotas
+     * @param {number} levelId - ID del nivel
+     * @param {number} timeStep - Paso fijo de física (segundos)
+     * @param {Array} balls - Pelotas del LevelManager
+     */
+    startRecording(levelId, timeStep, balls) {
+        this.recording = true;
+        this.recordLevelId = levelId;
+        this.recordBallCount = balls.length;
+        this.recordInterval = timeStep * GHOST_SAMPLE_EVERY_STEPS;
+        this.recordStepCount = 0;
+        this.recordedPositions = [];
+        this.pushSample(balls);
+    }
+
+    /**
+     * Registra un paso de física (solo guarda una muestra cada GHOST_SAMPLE_EVERY_STEPS)
+     * @param {Array} balls - Pelotas del LevelManager
+     */
+    recordStep(balls) {
+        if (!this.recording) return;
+
+        this.recordStepCount++;
+        if (this.recordStepCount % GHOST_SAMPLE_EVERY_STEPS === 0) {
+            this.pushSample(balls);
+        }
+    }
+
+    /**
+     * Añade las posiciones actuales de todas las pelotas a la grabación
+     * @param {Array} balls - Pelotas del LevelManager
+     */
+    pushSample(balls) {
+        balls.forEach(ball => {
+            this.recordedPositions.push(ball.body.position.x, ball.body.position.y, ball.body.position.z);
+        });
+    }
+
+    /**
+     * Termina la grabación
+     * @param {number} completionTime - Tiempo de completación (segundos)
+     * @returns {Object|null} Trayectoria grabada
+     */
+    stopRecording(completionTime) {
+        if (!this.recording) return null;
+        this.recording = false;
+
+        const trajectory = {
+            version: GHOST_FORMAT_VERSION,
+            levelId: this.recordLevelId,
+            completionTime,
+            sampleInterval: this.recordInterval,
+            ballCount: this.recordBallCount,
+            positions: Float32Array.from(this.recordedPositions)
+        };
+
+        this.recordedPositions = [];
+        console.log(`👻 Trayectoria grabada: ${trajectory.positions.length / 3 / trajectory.ballCount} muestras`);
+        return trajectory;
+    }
+
+    /**
+     * Descarta la grabación en curso
+     */
+    cancelRecording() {
+        this.recording = false;
+        this.recordedPositions = [];
+    }
+
+    /**
+     * Muestra un fantasma siguiendo una trayectoria
+     * @param {Object} trajectory - Trayectoria a reproducir
+     * @param {Array} balls - Pelotas del LevelManager (para color y radio)
+     * @returns {boolean} True si el fantasma se pudo mostrar
+     */
+    showGhost(trajectory, balls) {
+        this.clearGhost();
+
+        if (!trajectory || trajectory.ballCount !== balls.length) {
+            if (trajectory) {
+                console.warn('⚠️ El fantasma tiene otra cantidad de pelotas que el nivel, se ignora');
+            }
+            return false;
+        }
+
+        this.trajectory = trajectory;
+        balls.forEach(ball => {
+            const geometry = new THREE.SphereGeometry(ball.body.shapes[0].radius, 24, 24);
+            const material = new THREE.MeshStandardMaterial({
+                color: ball.color,
+                transparent: true,
+                opacity: GHOST_OPACITY,
+                depthWrite: false
+            });
+            const mesh = new THREE.Mesh(geometry, material);
+            this.scene.add(mesh);
+            this.meshes.push(mesh);
+        });
+
+        this.update(0);
+        console.log(`👻 Fantasma cargado (${trajectory.completionTime.toFixed(2)}s)`);
+        return true;
+    }
+
+    /**
+     * Mueve las pelotas fantasma al instante indicado (interpolando entre muestras)
+     * @param {number} time - Tiempo simulado del nivel (segundos)
+     */
+    update(time) {
+        if (!this.trajectory) return;
+
+        const { positions, ballCount, sampleInterval } = this.trajectory;
+        const sampleCount = positions.length / 3 / ballCount;
+        if (sampleCount === 0) return;
+
+        // Muestra anterior/siguiente y factor de interpolación
+        const exact = Math.max(0, time / sampleInterval);
+        const from = Math.min(Math.floor(exact), sampleCount - 1);
+        const to = Math.min(from + 1, sampleCount - 1);
+        const t = from === to ? 0 : exact - from;
+
+        this.meshes.forEach((mesh, ballIndex) => {
+            const a = (from * ballCount + ballIndex) * 3;
+            const b = (to * ballCount + ballIndex) * 3;
+            mesh.position.set(
+                positions[a] + (positions[b] - positions[a]) * t,
+                positions[a + 1] + (positions[b + 1] - positions[a + 1]) * t,
+                positions[a + 2] + (positions[b + 2] - positions[a + 2]) * t
+            );
+        });
+    }
+
+    /**
+     * Elimina las pelotas fantasma de la escena
+     */
+    clearGhost() {
+        this.meshes.forEach(mesh => {
+            this.scene.remove(mesh);
+            mesh.geometry.dispose();
+            mesh.material.dispose();
+        });
+        this.meshes = [];
+        this.trajectory = null;
+    }
+}
+
+/**
+ * Serializa una trayectoria a JSON
+ * @param {Object} trajectory - Trayectoria
+ * @returns {string} JSON compacto
+ */
+export function serializeGhost(trajectory) {
+    // Float32 little-endian independiente de la plataforma
+    const bytes = new Uint8Array(trajectory.positions.length * 4);
+    const view = new DataView(bytes.buffer);
+    trajectory.positions.forEach((value, i) => view.setFloat32(i * 4, value, true));
+
+    return JSON.stringify({
+        version: GHOST_FORMAT_VERSION,
+        levelId: trajectory.levelId,
+        completionTime: trajectory.completionTime,
+        sampleInterval: trajectory.sampleInterval,
+        ballCount: trajectory.ballCount,
+        positions: bytesToBase64(bytes)
+    });
+}
+
+/**
+ * Parsea una trayectoria desde JSON
+ * @param {string} json - JSON generado por serializeGhost
+ * @returns {Object} Trayectoria
+ * @throws {Error} Si la versión no es válida
+ */
+export function deserializeGhost(json) {
+    const data = JSON.parse(json);
+
+    if (data.version !== GHOST_FORMAT_VERSION) {
+        throw new Error(`Versión de fantasma no soportada: ${data.version}`);
+    }
+
+    const bytes = base64ToBytes(data.positions);
+    const view = new DataView(bytes.buffer);
+    const positions = new Float32Array(bytes.length / 4);
+    for (let i = 0; i < positions.length; i++) {
+        positions[i] = view.getFloat32(i * 4, true);
+    }
+
+    return {
+        version: data.version,
+        levelId: data.levelId,
+        completionTime: data.completionTime,
+        sampleInterval: data.sampleInterval,
+        ballCount: data.ballCount,
+        positions
+    };
+}
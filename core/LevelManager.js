@@ -6,6 +6,9 @@
  */
 
 import { Maze } from '../utils/maze.js';
+import { ProceduralMaze } from '../utils/proceduralMaze.js';
+import { checkAABBCollision } from '../utils/physics.js';
+import { validateLevelConfig } from '../utils/levelValidation.js';
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
 
@@ -16,6 +19,10 @@ export class LevelManager {
         this.materials = materials;
         this.debugManager = debugManager;
         
+        // Loader de modelos (null = GLTFLoader del navegador). La simulación
+        // headless lo reemplaza por uno que lee los GLB desde disco
+        this.modelLoader = null;
+        
         // Estado actual del nivel
         this.currentLevel = null;
         this.maze = null;
@@ -34,8 +41,17 @@ export class LevelManager {
     /**
      * Carga un nivel completo con todos sus elementos
      * @param {Object} levelConfig - Configuración del nivel a cargar
+     * @param {Object} options
+     * @param {boolean} options.validate - False para cargar borradores a medio editar (editor de niveles)
+     * @throws {Error} Si la configuración del nivel no es válida
      */
-    async loadLevel(levelConfig) {
+    async loadLevel(levelConfig, { validate = true } = {}) {
+        // Validar antes de tocar la escena (los niveles rotos traen sus errores del loader)
+        const errors = !validate ? [] : levelConfig.broken ? levelConfig.errors : validateLevelConfig(levelConfig);
+        if (errors.length > 0) {
+            throw new Error(`${levelConfig.name || 'Nivel'} inválido: ${errors.join('; ')}`);
+        }
+        
         // Limpiar nivel anterior si existe
         await this.unloadLevel();
         
@@ -72,12 +88,17 @@ export class LevelManager {
     }
 
     /**
-     * Carga el modelo 3D del laberinto
+     * Carga el modelo 3D del laberinto (GLB) o lo genera si es procedural
      * @param {Object} mazeConfig - Configuración del laberinto
      */
     async loadMaze(mazeConfig) {
-        this.maze = new Maze(this.scene, this.world);
-        await this.maze.load(mazeConfig.model, mazeConfig);
+        if (mazeConfig.procedural) {
+            this.maze = new ProceduralMaze(this.scene, this.world);
+            await this.maze.load(mazeConfig.procedural, mazeConfig);
+        } else {
+            this.maze = new Maze(this.scene, this.world, this.modelLoader);
+            await this.maze.load(mazeConfig.model, mazeConfig);
+        }
         
         // Asignar material de física al laberinto
         this.maze.body.material = this.materials.maze;
@@ -173,7 +194,10 @@ export class LevelManager {
             this.balls.push({ 
                 mesh: sphereMesh, 
                 body: sphereBody, 
-                color: config.color 
+                color: config.color,
+                // Estado del paso de física anterior (para interpolación visual)
+                previousPosition: sphereBody.position.clone(),
+                previousQuaternion: sphereBody.quaternion.clone()
             });
             
             console.log(`⚽ Pelota ${index + 1} creada - Color: 0x${config.color.toString(16).padStart(6, '0')}`);
@@ -234,6 +258,45 @@ export class LevelManager {
         });
     }
 
+    /**
+     * Elimina una pelota del nivel (usado por el editor de niveles)
+     * @param {number} index - Índice en this.balls
+     */
+    removeBall(index) {
+        const [ball] = this.balls.splice(index, 1);
+        if (!ball) return;
+        
+        this.scene.remove(ball.mesh);
+        this.world.removeBody(ball.body);
+        ball.mesh.geometry.dispose();
+        ball.mesh.material.dispose();
+    }
+
+    /**
+     * Elimina una zona del nivel (usado por el editor de niveles)
+     * @param {number} index - Índice en this.zones
+     */
+    removeZone(index) {
+        const [zone] = this.zones.splice(index, 1);
+        if (!zone) return;
+        
+        this.zoneOriginalPositions.splice(index, 1);
+        this.scene.remove(zone.mesh);
+        this.world.removeBody(zone.body);
+        zone.mesh.geometry.dispose();
+        zone.material.dispose();
+    }
+
+    /**
+     * Calcula qué zonas tienen al menos una pelota dentro (sin modificar su estado)
+     * @returns {Array<boolean>} Ocupación de cada zona, en el mismo orden que this.zones
+     */
+    getZoneOccupancy() {
+        return this.zones.map(zone =>
+            this.balls.some(ball => checkAABBCollision(zone.body, ball.body))
+        );
+    }
+
     /**
      * Limpia todos los recursos del nivel actual
      */
@@ -0,0 +1,167 @@
+/**
+ * LevelSimulator - Simulación headless de un nivel (Node.js, sin navegador ni WebGL)
+ * - Carga la geometría de colisión del GLB con createCompoundBodyFromModel (vía Maze)
+ * - Crea pelotas y zonas con el mismo LevelManager que usa el juego
+ * - Aplica la inclinación desde una secuencia de input programada
+ * - Reporta estado de zonas, posiciones de pelotas y si el nivel se completaría
+ */
+
+import * as THREE from 'three';
+import { LevelManager } from './LevelManager.js';
+import { MazeController } from './MazeController.js';
+import { createPhysicsWorld, createPhysicsMaterials } from '../utils/physics.js';
+import { NodeModelLoader } from '../utils/nodeModelLoader.js';
+
+export class LevelSimulator {
+    /**
+     * @param {Object} levelConfig - Configuración del nivel (entrada de LEVELS_CONFIG)
+     * @param {Object} gameConfig - Configuración global (GAME_CONFIG)
+     * @param {Object} options - { rootDir: carpeta raíz del proyecto para resolver '/models/...' }
+     */
+    constructor(levelConfig, gameConfig, options = {}) {
+        const { rootDir = process.cwd() } = options;
+
+        this.levelConfig = levelConfig;
+        this.config = gameConfig;
+        this.timeStep = gameConfig.physics.timeStep;
+
+        // Mismo setup de física que el juego
+        this.scene = new THREE.Scene();
+        this.world = createPhysicsWorld(gameConfig.physics);
+        this.materials = createPhysicsMaterials(this.world, gameConfig.materials);
+
+        this.levelManager = new LevelManager(this.scene, this.world, this.materials);
+        this.levelManager.modelLoader = new NodeModelLoader(rootDir);
+
+        // Controlador sin listeners del DOM; la inclinación la decide la secuencia de input
+        this.controller = new MazeController(
+            gameConfig.controls.maxTilt,
+            gameConfig.controls.mouseSensitivity,
+            { listenInput: false }
+        );
+        this.currentTilt = { tiltX: 0, tiltZ: 0 };
+        this.controller.setTiltOverride(() => this.currentTilt);
+
+        // Estado de la simulación
+        this.steps = 0;
+        this.elapsedTime = 0;
+        this.winTime = null;
+    }
+
+    /**
+     * Carga el nivel (laberinto, piso, paredes, pelotas y zonas)
+     */
+    async load() {
+        await this.levelManager.loadLevel(this.levelConfig);
+        this.steps = 0;
+        this.elapsedTime = 0;
+        this.winTime = null;
+    }
+
+    /**
+     * Avanza un paso fijo de física con la inclinación indicada
+     * @param {number} tiltX - Inclinación en X normalizada (-1 a 1, fracción de maxTilt)
+     * @param {number} tiltZ - Inclinación en Z normalizada (-1 a 1, fracción de maxTilt)
+     * @returns {Object} Estado de las zonas tras el paso
+     */
+    step(tiltX = 0, tiltZ = 0) {
+        const maxTilt = this.config.controls.maxTilt;
+        this.currentTilt = {
+            tiltX: Math.min(Math.max(tiltX, -1), 1) * maxTilt,
+            tiltZ: Math.min(Math.max(tiltZ, -1), 1) * maxTilt
+        };
+
+        // Mismo orden que Game.fixedUpdate: controles y luego física
+        this.controller.update(this.levelManager, this.timeStep);
+        this.world.step(this.timeStep);
+        this.steps++;
+        this.elapsedTime += this.timeStep;
+
+        const zoneState = this.checkZones();
+        if (zoneState.allGreen && this.winTime === null) {
+            this.winTime = this.elapsedTime;
+        }
+        return zoneState;
+    }
+
+    /**
+     * Ejecuta una secuencia de input programada
+     * @param {Array} inputs - Tramos { duration: segundos, tiltX: -1..1, tiltZ: -1..1 }
+     * @param {Object} options - { maxTime: tiempo máximo simulado, stopOnWin: detener al ganar }
+     * @returns {Object} Reporte final (ver getReport)
+     */
+    run(inputs = [], options = {}) {
+        const { maxTime = 60, stopOnWin = true } = options;
+
+        // Sin input: laberinto nivelado hasta agotar el tiempo
+        const segments = inputs.length > 0 ? inputs : [{ duration: maxTime, tiltX: 0, tiltZ: 0 }];
+
+        for (const segment of segments) {
+            const segmentSteps = Math.round(segment.duration / this.timeStep);
+            for (let i = 0; i < segmentSteps; i++) {
+                if (this.elapsedTime >= maxTime) return this.getReport();
+
+                this.step(segment.tiltX || 0, segment.tiltZ || 0);
+
+                if (stopOnWin && this.winTime !== null) return this.getReport();
+            }
+        }
+
+        return this.getReport();
+    }
+
+    /**
+     * Evalúa las zonas igual que Game.checkZones() (sin tocar colores ni HUD)
+     * @returns {Object} { zones, greenZones, totalZones, allGreen }
+     */
+    checkZones() {
+        const zones = this.levelManager.getZoneOccupancy();
+        const greenZones = zones.filter(Boolean).length;
+
+        return {
+            zones,
+            greenZones,
+            totalZones: zones.length,
+            allGreen: greenZones === zones.length && greenZones > 0
+        };
+    }
+
+    /**
+     * Genera un reporte del estado actual de la simulación
+     * @returns {Object} Reporte con zonas, pelotas y resultado
+     */
+    getReport() {
+        const { zones, greenZones, totalZones, allGreen } = this.checkZones();
+        const toPlain = vec => ({ x: vec.x, y: vec.y, z: vec.z });
+
+        return {
+            levelId: this.levelConfig.id,
+            levelName: this.levelConfig.name,
+            steps: this.steps,
+            time: this.elapsedTime,
+            won: this.winTime !== null,
+            winTime: this.winTime,
+            allGreen,
+            greenZones,
+            totalZones,
+            zones: this.levelManager.zones.map((zone, index) => ({
+                index,
+                isGreen: zones[index],
+                position: toPlain(zone.body.position)
+            })),
+            balls: this.levelManager.balls.map((ball, index) => ({
+                index,
+                color: ball.color,
+                position: toPlain(ball.body.position),
+                velocity: toPlain(ball.body.velocity)
+            }))
+        };
+    }
+
+    /**
+     * Libera los recursos del nivel
+     */
+    async dispose() {
+        await this.levelManager.unloadLevel();
+    }
+}
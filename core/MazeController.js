@@ -1,6 +1,6 @@
 /**
  * MazeController - Controla la rotación del laberinto y sincroniza todos los elementos
- * - Captura input del mouse y giroscopio
+ * - Captura input del mouse, teclado, mando, joystick táctil o giroscopio (según la fuente elegida)
  * - Aplica rotación al laberinto
  * - Sincroniza piso, paredes y zonas con la rotación del laberinto
  * - Funciona de forma genérica con cualquier nivel
@@ -9,9 +9,28 @@
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
 import { DeviceOrientationController } from '../utils/deviceOrientation.js';
+import { KeyboardTiltController } from '../utils/keyboardTilt.js';
+import { GamepadTiltController } from '../utils/gamepadTilt.js';
+import { TouchJoystickController } from '../utils/touchJoystick.js';
+
+// Fuentes de input disponibles para inclinar el laberinto
+export const INPUT_SOURCES = ['mouse', 'keyboard', 'gamepad', 'touch', 'gyroscope'];
 
 export class MazeController {
-    constructor(maxTilt, mouseSensitivity) {
+    /**
+     * @param {number} maxTilt - Máxima inclinación del laberinto (radianes)
+     * @param {number} mouseSensitivity - Sensibilidad del mouse
+     * @param {Object} options - { listenInput: false para no registrar listeners del DOM (modo headless),
+     *                              keyboardAcceleration, keyboardCentering, gamepadDeadzone }
+     */
+    constructor(maxTilt, mouseSensitivity, options = {}) {
+        const {
+            listenInput = true,
+            keyboardAcceleration = 2.5,
+            keyboardCentering = 3,
+            gamepadDeadzone = 0.15
+        } = options;
+        
         this.maxTilt = maxTilt;
         this.mouseSensitivity = mouseSensitivity;
         this.mouseX = 0;
@@ -21,7 +40,29 @@ export class MazeController {
         this.deviceController = new DeviceOrientationController();
         this.useGyroscope = false; // Por defecto desactivado
         
-        this.setupMouseControl();
+        // Teclado (flechas/WASD) y mando (stick izquierdo)
+        this.keyboardController = new KeyboardTiltController({
+            acceleration: keyboardAcceleration,
+            centering: keyboardCentering
+        });
+        this.gamepadController = new GamepadTiltController({ deadzone: gamepadDeadzone });
+        
+        // Joystick virtual en pantalla (móviles sin permiso de giroscopio)
+        this.touchController = new TouchJoystickController();
+        
+        // Fuente de input activa: 'mouse', 'keyboard', 'gamepad', 'touch' o 'gyroscope'
+        this.inputSource = 'mouse';
+        this.listenInput = listenInput;
+        
+        // Fuente de inclinación externa (simulación, replays...) que reemplaza al input en vivo
+        this.tiltOverride = null;
+        
+        // Grabador de repeticiones (opcional): recibe cada inclinación aplicada
+        this.recorder = null;
+        
+        if (listenInput) {
+            this.setupMouseControl();
+        }
     }
 
     /**
@@ -37,24 +78,151 @@ export class MazeController {
     /**
      * Actualiza la rotación del laberinto y sincroniza todos los elementos
      * @param {LevelManager} levelManager - Manager del nivel actual
+     * @param {number} timeStep - Duración del paso (segundos), para la aceleración del teclado
      */
-    update(levelManager) {
+    update(levelManager, timeStep = 1 / 60) {
         if (!levelManager.maze || !levelManager.currentLevel) return;
         
-        let tiltX, tiltZ;
+        let tilt = this.readTilt(timeStep);
+        
+        // Si hay grabador, se aplica la muestra cuantizada tal como queda grabada
+        if (this.recorder) {
+            tilt = this.recorder.record(tilt);
+        }
+        
+        this.applyTilt(levelManager, tilt.tiltX, tilt.tiltZ);
+    }
+
+    /**
+     * Lee la inclinación objetivo desde la fuente de input activa
+     * @param {number} timeStep - Duración del paso (segundos)
+     * @returns {Object} { tiltX, tiltZ } en radianes
+     */
+    readTilt(timeStep = 1 / 60) {
+        // Fuente externa (simulación headless, replay, etc.)
+        if (this.tiltOverride) {
+            return this.tiltOverride();
+        }
+        
+        // Teclado y mando dan { x, y } en el mismo sentido que el mouse
+        if (this.inputSource === 'keyboard') {
+            return this.toTilt(this.keyboardController.update(timeStep));
+        }
+        if (this.inputSource === 'gamepad') {
+            return this.toTilt(this.gamepadController.getTilt());
+        }
+        
+        // El joystick táctil usa la misma convención que el giroscopio
+        if (this.inputSource === 'touch') {
+            return this.fromDeviceTilt(this.touchController.getTilt());
+        }
         
         // Usar giroscopio o mouse según configuración
         if (this.useGyroscope && this.deviceController.enabled) {
             // Usar valores del giroscopio
-            const gyroTilt = this.deviceController.getTilt();
-            tiltX = gyroTilt.tiltX * this.maxTilt;
-            tiltZ = -gyroTilt.tiltZ * this.maxTilt;
+            return this.fromDeviceTilt(this.deviceController.getTilt());
+        }
+        
+        // Usar valores del mouse; con sensibilidad > 1 se llega al máximo antes del borde
+        const clampUnit = (value) => Math.min(Math.max(value, -1), 1);
+        return this.toTilt({
+            x: clampUnit(this.mouseX * this.mouseSensitivity),
+            y: clampUnit(this.mouseY * this.mouseSensitivity)
+        });
+    }
+
+    /**
+     * Convierte una posición normalizada (como la del mouse) en inclinación
+     * @param {Object} position - { x, y } entre -1 y 1 (y > 0 = hacia arriba)
+     * @returns {Object} { tiltX, tiltZ } en radianes
+     */
+    toTilt({ x, y }) {
+        return {
+            tiltX: -y * this.maxTilt,
+            tiltZ: -x * this.maxTilt
+        };
+    }
+
+    /**
+     * Convierte la inclinación normalizada del giroscopio (o del joystick táctil) en radianes
+     * @param {Object} tilt - { tiltX, tiltZ } entre -1 y 1 (ver DeviceOrientationController.getTilt)
+     * @returns {Object} { tiltX, tiltZ } en radianes
+     */
+    fromDeviceTilt(tilt) {
+        return {
+            tiltX: tilt.tiltX * this.maxTilt,
+            tiltZ: -tilt.tiltZ * this.maxTilt
+        };
+    }
+
+    /**
+     * Cambia la fuente de input ('mouse', 'keyboard', 'gamepad' o 'touch')
+     * El giroscopio se elige con enableGyroscope(), que además pide permisos
+     * @param {string} source - Fuente de input
+     */
+    setInputSource(source) {
+        if (!INPUT_SOURCES.includes(source)) {
+            console.warn(`⚠️ Fuente de input desconocida: ${source}`);
+            return;
+        }
+        if (source === 'gyroscope') {
+            console.warn('⚠️ Usa enableGyroscope() para activar el giroscopio');
+            return;
+        }
+        
+        if (this.useGyroscope) {
+            this.disableGyroscope();
+        }
+        
+        // El teclado solo escucha mientras es la fuente activa
+        if (source === 'keyboard' && this.listenInput) {
+            this.keyboardController.enable();
         } else {
-            // Usar valores del mouse (comportamiento original)
-            tiltX = -this.mouseY * this.maxTilt;
-            tiltZ = -this.mouseX * this.maxTilt;
+            this.keyboardController.disable();
         }
         
+        // El joystick solo se muestra mientras es la fuente activa
+        if (source === 'touch' && this.listenInput) {
+            if (!this.touchController.enable()) return;
+        } else {
+            this.touchController.disable();
+        }
+        
+        this.inputSource = source;
+        console.log(`🎮 Fuente de input: ${source}`);
+    }
+
+    /**
+     * Ajusta la inclinación máxima del laberinto (todas las fuentes de input)
+     * @param {number} radians - Inclinación máxima en radianes
+     */
+    setMaxTilt(radians) {
+        this.maxTilt = radians;
+    }
+
+    /**
+     * Ajusta la sensibilidad del mouse
+     * @param {number} value - Multiplicador (1 = el borde de la ventana es la inclinación máxima)
+     */
+    setMouseSensitivity(value) {
+        this.mouseSensitivity = value;
+    }
+
+    /**
+     * Ajusta la zona muerta del stick del mando
+     * @param {number} value - Radio de la zona muerta (0 a 0.9)
+     */
+    setGamepadDeadzone(value) {
+        this.gamepadController.setDeadzone(value);
+    }
+
+    /**
+     * Aplica una inclinación al laberinto y sincroniza todos los elementos
+     * @param {LevelManager} levelManager - Manager del nivel actual
+     * @param {number} tiltX - Rotación en eje X (radianes)
+     * @param {number} tiltZ - Rotación en eje Z (radianes)
+     */
+    applyTilt(levelManager, tiltX, tiltZ) {
         // Aplicar rotación al laberinto
         levelManager.maze.setRotation(tiltX, 0, tiltZ);
         
@@ -64,6 +232,14 @@ export class MazeController {
         this.syncZones(levelManager);
     }
 
+    /**
+     * Establece una fuente de inclinación externa que reemplaza al mouse/giroscopio
+     * @param {Function|null} source - Función que devuelve { tiltX, tiltZ } en radianes, o null para volver al input en vivo
+     */
+    setTiltOverride(source) {
+        this.tiltOverride = source;
+    }
+
     /**
      * Sincroniza el piso de colisión con la rotación del laberinto
      * El piso permanece FIJO en el mundo (0,0,0), solo rota con el laberinto
@@ -199,7 +375,10 @@ export class MazeController {
         // Activar el controlador de dispositivo
         const success = this.deviceController.enable();
         if (success) {
+            this.keyboardController.disable();
+            this.touchController.disable();
             this.useGyroscope = true;
+            this.inputSource = 'gyroscope';
             console.log('🎮 Modo giroscopio ACTIVADO');
         }
         
@@ -212,6 +391,9 @@ export class MazeController {
     disableGyroscope() {
         this.deviceController.disable();
         this.useGyroscope = false;
+        if (this.inputSource === 'gyroscope') {
+            this.inputSource = 'mouse';
+        }
         console.log('🎮 Modo giroscopio DESACTIVADO - usando mouse');
     }
 
@@ -244,6 +426,14 @@ export class MazeController {
         this.deviceController.setSensitivity(value);
     }
 
+    /**
+     * Ajusta el filtrado del giroscopio (suavizado, deadzone, curva y fusión)
+     * @param {Object} settings - Ver DEFAULT_TILT_FILTER_SETTINGS en utils/tiltFilter.js
+     */
+    setGyroscopeFilterSettings(settings) {
+        this.deviceController.setFilterSettings(settings);
+    }
+
     /**
      * Verifica si el giroscopio está activo
      * @returns {boolean}
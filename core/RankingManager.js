@@ -1,148 +1,540 @@
 /**
  * RankingManager - Gestiona el sistema de puntos y rankings
- * - Calcula puntos basados en tiempo de completación
- * - Guarda completaciones en Supabase
+ * - Calcula puntos basados en tiempo de completación (para mostrarlos; el backend los recalcula)
+ * - Guarda completaciones en el backend de rankings (con cola offline, ver utils/RankingOutbox.js)
+ * - Identidad del jugador: token secreto del dispositivo y código de recuperación
+ *   (ver utils/PlayerIdentityStorage.js); el nombre solo no da acceso a un perfil
  * - Obtiene rankings globales y por nivel
+ * - El backend (Supabase o local) se elige en config/ranking.config.js (ver utils/rankingBackend.js)
  */
 
-import { supabase } from '../utils/supabaseClient.js';
+import { RANKING_CONFIG } from '../config/ranking.config.js';
+import { computePoints, isValidPlayerName } from '../utils/rankingBackend.js';
+import { SupabaseRankingBackend } from '../utils/SupabaseRankingBackend.js';
+import { LocalRankingBackend } from '../utils/LocalRankingBackend.js';
+import { RankingOutbox, createClientId } from '../utils/RankingOutbox.js';
+import {
+    PlayerIdentityStorage,
+    createPlayerToken,
+    createRecoveryCode,
+    normalizeRecoveryCode,
+    formatRecoveryCode
+} from '../utils/PlayerIdentityStorage.js';
+import { serializeGhost, deserializeGhost } from './GhostManager.js';
 
-// ⚙️ CONFIGURACIÓN DEL SISTEMA DE PUNTOS
-const POINTS_CONFIG = {
-    BASE: 1000,              // Puntos base por completar un nivel
-    TIME_PENALTY: 0.8,       // Penalización por segundo
-    MIN_POINTS: 100          // Puntos mínimos garantizados
-};
+/**
+ * Crea el backend de rankings según la configuración
+ * @param {Object} config - RANKING_CONFIG (por defecto el de config/ranking.config.js)
+ * @returns {SupabaseRankingBackend|LocalRankingBackend}
+ */
+export function createRankingBackend(config = RANKING_CONFIG) {
+    if (config.backend === 'local') {
+        console.log('💾 Rankings en modo local (sin Supabase)');
+        return new LocalRankingBackend({ ...config.local, scoring: config.scoring });
+    }
+    if (config.backend !== 'supabase') {
+        console.warn(`⚠️ Backend de rankings desconocido: ${config.backend}, usando Supabase`);
+    }
+    return new SupabaseRankingBackend(config.supabase);
+}
 
 export class RankingManager {
-    constructor() {
+    /**
+     * @param {Object} backend - Backend de rankings (por defecto el de la configuración)
+     * @param {PlayerIdentityStorage} identityStorage - Dónde se guarda la identidad del jugador
+     */
+    constructor(backend = createRankingBackend(), identityStorage = new PlayerIdentityStorage()) {
+        this.backend = backend;
+        this.identityStorage = identityStorage;
+        this.identity = null;
         this.currentPlayer = null;
-        console.log('🏆 RankingManager inicializado');
+        this.nameConflict = null;
+        
+        // Callbacks
+        this.onNameConflict = null;   // (name) el nombre del jugador creado sin conexión ya está en uso
+        this.onIdentityChange = null; // (identity) se registró, recuperó u olvidó el jugador
+        
+        // Cola de envíos: si no hay conexión se guardan y se reintentan más tarde
+        this.outbox = new RankingOutbox(entry => this.sendOutboxEntry(entry));
+        this.syncedPoints = new Map(); // id del envío → puntos calculados por el backend (solo durante la sesión)
+        this.restoreIdentity();
+        this.outbox.flush();
+        
+        console.log(`🏆 RankingManager inicializado (backend: ${backend.name})`);
     }
 
     /**
-     * Calcula los puntos obtenidos según el tiempo
-     * Fórmula: max(BASE - (tiempo × PENALTY), MIN)
+     * Calcula los puntos obtenidos según el tiempo y el tiempo par del nivel
+     * (ver computePoints y RANKING_CONFIG.scoring)
+     * Solo para estimarlos: los puntos que cuentan los calcula el backend al guardar
      * 
      * @param {number} timeInSeconds - Tiempo en segundos
+     * @param {number|null} parTime - "parTime" del bloque scoring del nivel (null = desafío diario o nivel generado)
      * @returns {number} Puntos obtenidos (100-1000)
      */
-    calculatePoints(timeInSeconds) {
-        const rawPoints = POINTS_CONFIG.BASE - Math.floor(timeInSeconds * POINTS_CONFIG.TIME_PENALTY);
-        const points = Math.max(rawPoints, POINTS_CONFIG.MIN_POINTS);
+    calculatePoints(timeInSeconds, parTime = null) {
+        const points = computePoints(timeInSeconds, RANKING_CONFIG.scoring.points, parTime);
         
         console.log(`📊 Tiempo: ${timeInSeconds.toFixed(2)}s → Puntos: ${points}`);
         return points;
     }
 
     /**
-     * Obtiene o crea un jugador por nombre
-     * Primero busca si existe, si no lo crea
+     * Carga la identidad guardada en este dispositivo
+     * Si una versión anterior dejó un jugador en la cola sin credenciales, se le generan
      * 
-     * @param {string} playerName - Nombre del jugador
-     * @returns {Promise<Object|null>} Datos del jugador {id, name, created_at}
+     * @returns {Object|null} Jugador actual o null si no hay identidad
      */
-    async getOrCreatePlayer(playerName) {
-        try {
-            // 1. Buscar si el jugador ya existe
-            const { data: existingPlayers, error: searchError } = await supabase
-                .from('players')
-                .select('*')
-                .eq('name', playerName)
-                .limit(1);
-
-            if (searchError) {
-                console.error('❌ Error al buscar jugador:', searchError);
-                return null;
+    restoreIdentity() {
+        let identity = this.identityStorage.load();
+
+        if (!identity) {
+            const pending = this.outbox.find(entry => entry.type === 'createPlayer');
+            if (pending) {
+                identity = {
+                    id: pending.payload.id,
+                    name: pending.payload.name,
+                    token: createPlayerToken(),
+                    recoveryCode: createRecoveryCode(),
+                    registered: false
+                };
             }
+        }
 
-            // 2. Si existe, devolverlo
-            if (existingPlayers && existingPlayers.length > 0) {
-                this.currentPlayer = existingPlayers[0];
-                console.log('✅ Jugador encontrado:', this.currentPlayer.name);
-                return this.currentPlayer;
+        if (identity) {
+            this.setIdentity(identity);
+            console.log(`👤 Jugador de este dispositivo: ${identity.name}`);
+        }
+        return this.currentPlayer;
+    }
+
+    /**
+     * Guarda la identidad y actualiza el jugador actual
+     * @param {Object|null} identity - { id, name, token, recoveryCode, registered } o null para olvidarla
+     */
+    setIdentity(identity) {
+        this.identity = identity;
+
+        if (identity) {
+            this.identityStorage.save(identity);
+            this.currentPlayer = { id: identity.id, name: identity.name, pending: !identity.registered };
+        } else {
+            this.identityStorage.clear();
+            this.currentPlayer = null;
+        }
+
+        if (this.onIdentityChange) {
+            this.onIdentityChange(identity);
+        }
+    }
+
+    /**
+     * Nombre que guardaban versiones anteriores (solo el nombre, sin credenciales)
+     * @returns {string|null} Nombre o null si ya hay identidad
+     */
+    getLegacyPlayerName() {
+        return this.identity ? null : this.identityStorage.getLegacyName();
+    }
+
+    /**
+     * Pasa a la nueva identidad el jugador de una versión anterior
+     * Si nadie ha reclamado todavía ese nombre, el servidor se lo asigna a este dispositivo
+     * 
+     * @returns {Promise<Object|null>} Resultado de registerPlayer o null si no había nombre antiguo
+     */
+    async migrateLegacyPlayer() {
+        const legacyName = this.getLegacyPlayerName();
+        if (!legacyName) return null;
+
+        const result = await this.registerPlayer(legacyName);
+        if (result.status === 'name-taken' || result.status === 'invalid-name') {
+            // Otro dispositivo ya tiene ese perfil (o el nombre ya no es válido):
+            // habrá que recuperarlo con el código o elegir otro nombre
+            this.identityStorage.clearLegacyName();
+        }
+        return result;
+    }
+
+    /**
+     * Registra el jugador de este dispositivo
+     * Genera el token y el código de recuperación; el nombre debe estar libre
+     * Sin conexión, el jugador queda pendiente en la cola y se registra al recuperarla
+     * 
+     * @param {string} playerName - Nombre del jugador (ver isValidPlayerName)
+     * @returns {Promise<Object>} { status: 'registered' | 'pending' | 'name-taken' | 'invalid-name' | 'error', player, recoveryCode }
+     */
+    async registerPlayer(playerName) {
+        // Sin conexión nadie más lo comprobaría antes de que el nombre quede en la cola
+        if (!isValidPlayerName(playerName)) {
+            console.warn(`⚠️ Nombre de jugador no válido: ${playerName}`);
+            return { status: 'invalid-name' };
+        }
+
+        // Jugador creado sin conexión que todavía no se registró: solo cambia el nombre
+        if (this.identity && !this.identity.registered) {
+            return this.renamePendingPlayer(playerName);
+        }
+
+        const identity = {
+            id: createClientId(),
+            name: playerName,
+            token: createPlayerToken(),
+            recoveryCode: createRecoveryCode(),
+            registered: false
+        };
+
+        try {
+            const { data: player, error } = await this.backend.registerPlayer({
+                ...identity,
+                recoveryCode: normalizeRecoveryCode(identity.recoveryCode)
+            });
+
+            if (error) {
+                if (error.kind === 'network') {
+                    return this.createPendingPlayer(identity);
+                }
+                if (error.kind === 'duplicate') {
+                    console.warn(`⚠️ El nombre ${playerName} ya está en uso`);
+                    return { status: 'name-taken' };
+                }
+                console.error('❌ Error al registrar jugador:', error);
+                return { status: 'error' };
             }
 
-            // 3. Si no existe, crearlo
-            const { data: newPlayer, error: createError } = await supabase
-                .from('players')
-                .insert({ name: playerName })
-                .select()
-                .single();
+            this.setIdentity({ ...identity, id: player.id, name: player.name, registered: true });
+            console.log('✅ Jugador registrado:', player.name);
+            return { status: 'registered', player: this.currentPlayer, recoveryCode: identity.recoveryCode };
 
-            if (createError) {
-                console.error('❌ Error al crear jugador:', createError);
-                return null;
+        } catch (error) {
+            console.error('❌ Error en registerPlayer:', error);
+            return { status: 'error' };
+        }
+    }
+
+    /**
+     * Recupera en este dispositivo un perfil registrado en otro
+     * El dispositivo anterior deja de poder guardar resultados con ese perfil
+     * 
+     * @param {string} playerName - Nombre del jugador
+     * @param {string} recoveryCode - Código de recuperación (con o sin guiones)
+     * @returns {Promise<Object>} { status: 'recovered' | 'invalid-code' | 'offline' | 'error', player }
+     */
+    async recoverPlayer(playerName, recoveryCode) {
+        const token = createPlayerToken();
+
+        try {
+            const { data: player, error } = await this.backend.recoverPlayer({
+                name: playerName,
+                recoveryCode: normalizeRecoveryCode(recoveryCode),
+                token
+            });
+
+            if (error) {
+                if (error.kind === 'network') return { status: 'offline' };
+                if (error.kind === 'unauthorized') return { status: 'invalid-code' };
+                console.error('❌ Error al recuperar jugador:', error);
+                return { status: 'error' };
             }
 
-            this.currentPlayer = newPlayer;
-            console.log('✅ Jugador creado:', this.currentPlayer.name);
-            return this.currentPlayer;
+            this.setIdentity({
+                id: player.id,
+                name: player.name,
+                token,
+                recoveryCode: formatRecoveryCode(recoveryCode),
+                registered: true
+            });
+            this.outbox.flush();
+            console.log('🔑 Perfil recuperado:', player.name);
+            return { status: 'recovered', player: this.currentPlayer };
 
         } catch (error) {
-            console.error('❌ Error en getOrCreatePlayer:', error);
-            return null;
+            console.error('❌ Error en recoverPlayer:', error);
+            return { status: 'error' };
         }
     }
 
+    /**
+     * Crea un jugador local mientras no hay conexión y encola su registro
+     * El id se genera en el cliente, así las completaciones en cola ya pueden referenciarlo
+     * 
+     * @param {Object} identity - Identidad recién generada
+     * @returns {Object} { status: 'pending', player, recoveryCode }
+     */
+    createPendingPlayer(identity) {
+        this.outbox.enqueue('createPlayer', { id: identity.id, name: identity.name });
+        this.setIdentity(identity);
+        console.warn(`⏳ Sin conexión: el jugador ${identity.name} se registrará al recuperarla`);
+        this.outbox.flush();
+        return { status: 'pending', player: this.currentPlayer, recoveryCode: identity.recoveryCode };
+    }
+
+    /**
+     * Cambia el nombre del jugador pendiente (p. ej. porque el nombre ya estaba en uso)
+     * Conserva id y credenciales: las completaciones en cola siguen siendo suyas
+     * 
+     * @param {string} playerName - Nuevo nombre
+     * @returns {Object} { status: 'pending', player, recoveryCode }
+     */
+    renamePendingPlayer(playerName) {
+        const { id } = this.identity;
+        this.setIdentity({ ...this.identity, name: playerName });
+        this.nameConflict = null;
+        this.outbox.updatePayloads(entry =>
+            entry.type === 'createPlayer' && entry.payload.id === id ? { ...entry.payload, name: playerName } : entry.payload
+        );
+        this.outbox.flush();
+        return { status: 'pending', player: this.currentPlayer, recoveryCode: this.identity.recoveryCode };
+    }
+
+    /**
+     * Token del jugador para firmar un envío (solo si el envío es del jugador de este dispositivo)
+     * @param {string} playerId - ID del jugador del envío
+     * @returns {string|null} Token o null
+     */
+    getTokenFor(playerId) {
+        return this.identity && this.identity.id === playerId ? this.identity.token : null;
+    }
+
     /**
      * Guarda una completación de nivel
-     * Calcula automáticamente los puntos según el tiempo
+     * El backend calcula los puntos según el tiempo y rechaza tiempos imposibles
+     * Pasa por la cola offline: si no hay conexión queda pendiente y se reintenta
      * 
      * @param {string} playerId - ID del jugador
      * @param {number} levelId - ID del nivel (1-5)
      * @param {number} timeInSeconds - Tiempo en segundos
-     * @returns {Promise<Object|null>} Datos de la completación guardada
+     * @param {string|null} replay - Repetición serializada (serializeReplay) para verificarla más tarde
+     * @returns {Promise<Object>} { id, status: 'synced' | 'pending' | 'rejected', points } (points: los del backend, null si no está sincronizado)
+     */
+    async saveLevelCompletion(playerId, levelId, timeInSeconds, replay = null) {
+        const id = this.outbox.enqueue('levelCompletion', {
+            player_id: playerId,
+            level_id: levelId,
+            completion_time: timeInSeconds,
+            replay: replay
+        });
+
+        await this.outbox.flush();
+        return { id, status: this.outbox.getStatus(id), points: this.getSyncedPoints(id) };
+    }
+
+    /**
+     * Guarda el resultado del desafío diario
+     * La tabla solo admite un resultado por jugador y día (el intento puntuado)
+     * Pasa por la cola offline (la base de datos lo rechaza si se sincroniza pasado el día UTC)
+     * 
+     * @param {string} playerId - ID del jugador
+     * @param {string} challengeDate - Fecha UTC del desafío (YYYY-MM-DD)
+     * @param {number} timeInSeconds - Tiempo en segundos
+     * @returns {Promise<Object>} { id, status: 'synced' | 'pending' | 'rejected', points } (points: los del backend, null si no está sincronizado)
+     */
+    async saveDailyResult(playerId, challengeDate, timeInSeconds) {
+        const id = this.outbox.enqueue('dailyResult', {
+            player_id: playerId,
+            challenge_date: challengeDate,
+            completion_time: timeInSeconds
+        });
+
+        await this.outbox.flush();
+        return { id, status: this.outbox.getStatus(id), points: this.getSyncedPoints(id) };
+    }
+
+    /**
+     * Puntos que el backend dio a un envío ya sincronizado en esta sesión
+     * @param {string} id - Id del envío (ver saveLevelCompletion)
+     * @returns {number|null} Puntos o null si aún no se sincronizó
+     */
+    getSyncedPoints(id) {
+        return this.syncedPoints.has(id) ? this.syncedPoints.get(id) : null;
+    }
+
+    /**
+     * Envía un elemento de la cola offline al backend
+     * Los envíos usan el id generado en el cliente: si un reintento llega dos veces,
+     * el backend devuelve lo que ya estaba guardado
+     * 
+     * @param {Object} entry - Elemento de la cola ({ id, type, payload })
+     * @returns {Promise<string>} 'synced', 'retry' o 'rejected'
+     */
+    async sendOutboxEntry(entry) {
+        const { type, payload } = entry;
+
+        if (type === 'createPlayer') {
+            return this.sendPendingPlayer(payload);
+        }
+
+        const signed = { ...payload, token: this.getTokenFor(payload.player_id) };
+        const { data, error } = type === 'dailyResult'
+            ? await this.backend.saveDailyResult(signed)
+            : await this.backend.saveCompletion(signed);
+
+        if (!error) {
+            this.syncedPoints.set(entry.id, data.points);
+            if (type === 'dailyResult') {
+                console.log(`📅 Desafío ${payload.challenge_date} guardado: ${payload.completion_time.toFixed(2)}s = ${data.points} pts`);
+            } else {
+                console.log(`✅ Nivel ${payload.level_id} completado: ${payload.completion_time.toFixed(2)}s = ${data.points} pts`);
+            }
+            return 'synced';
+        }
+
+        if (error.kind === 'network' || error.kind === 'rate-limited') {
+            return 'retry';
+        }
+
+        if (error.kind === 'unauthorized') {
+            this.handleUnauthorized(payload.player_id);
+        } else if (type === 'dailyResult' && error.kind === 'duplicate') {
+            console.warn(`⚠️ Ya hay un resultado del desafío ${payload.challenge_date} para este jugador`);
+        } else {
+            console.error(`❌ Error al guardar ${type === 'dailyResult' ? 'desafío diario' : 'completación'}:`, error);
+        }
+        return 'rejected';
+    }
+
+    /**
+     * Registra en el backend un jugador que se creó sin conexión
+     * Si el nombre ya está en uso se avisa (onNameConflict) y el envío queda en espera
+     * hasta que el jugador elija otro nombre (renamePendingPlayer)
+     * 
+     * @param {Object} payload - { id, name }
+     * @returns {Promise<string>} 'synced', 'retry' o 'rejected'
+     */
+    async sendPendingPlayer(payload) {
+        if (!this.identity || this.identity.id !== payload.id) {
+            console.warn(`⚠️ Se descarta el registro pendiente de ${payload.name}: ya no es el jugador de este dispositivo`);
+            return 'rejected';
+        }
+
+        const { data: player, error } = await this.backend.registerPlayer({
+            id: payload.id,
+            name: payload.name,
+            token: this.identity.token,
+            recoveryCode: normalizeRecoveryCode(this.identity.recoveryCode)
+        });
+
+        if (error) {
+            if (error.kind === 'network' || error.kind === 'rate-limited') return 'retry';
+            if (error.kind === 'duplicate') {
+                if (this.nameConflict !== payload.name) {
+                    this.nameConflict = payload.name;
+                    console.warn(`⚠️ El nombre ${payload.name} ya está en uso: hay que elegir otro`);
+                    if (this.onNameConflict) this.onNameConflict(payload.name);
+                }
+                return 'retry';
+            }
+            console.error('❌ Error al registrar jugador pendiente:', error);
+            return 'rejected';
+        }
+
+        // Un jugador antiguo sin credenciales se reclama con su propio id
+        if (player.id !== payload.id) {
+            this.outbox.updatePayloads(entry =>
+                entry.payload.player_id === payload.id ? { ...entry.payload, player_id: player.id } : entry.payload
+            );
+        }
+        this.setIdentity({ ...this.identity, id: player.id, name: player.name, registered: true });
+
+        console.log('✅ Jugador pendiente registrado:', player.name);
+        return 'synced';
+    }
+
+    /**
+     * El servidor rechazó el token: el perfil se recuperó en otro dispositivo
+     * Se olvida la identidad para que este dispositivo pida nombre o código otra vez
+     * 
+     * @param {string} playerId - ID del jugador del envío rechazado
      */
-    async saveLevelCompletion(playerId, levelId, timeInSeconds) {
+    handleUnauthorized(playerId) {
+        console.warn('🔒 Credenciales no válidas: el perfil se está usando en otro dispositivo');
+        if (this.identity && this.identity.id === playerId && this.identity.registered) {
+            this.setIdentity(null);
+        }
+    }
+
+    /**
+     * Sube la trayectoria fantasma de una partida (se llama con los mejores tiempos personales)
+     * 
+     * @param {string} playerId - ID del jugador
+     * @param {Object} trajectory - Trayectoria grabada por GhostManager
+     * @returns {Promise<boolean>} True si se guardó
+     */
+    async saveGhost(playerId, trajectory) {
         try {
-            const points = this.calculatePoints(timeInSeconds);
-
-            const { data, error } = await supabase
-                .from('level_completions')
-                .insert({
-                    player_id: playerId,
-                    level_id: levelId,
-                    completion_time: timeInSeconds,
-                    points: points
-                })
-                .select()
-                .single();
+            const { error } = await this.backend.saveGhost({
+                player_id: playerId,
+                token: this.getTokenFor(playerId),
+                level_id: trajectory.levelId,
+                completion_time: trajectory.completionTime,
+                trajectory: serializeGhost(trajectory)
+            });
 
             if (error) {
-                console.error('❌ Error al guardar completación:', error);
+                console.error('❌ Error al guardar fantasma:', error);
+                return false;
+            }
+
+            console.log(`👻 Fantasma del nivel ${trajectory.levelId} subido`);
+            return true;
+
+        } catch (error) {
+            console.error('❌ Error en saveGhost:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Obtiene el fantasma del jugador #1 de un nivel (según ranking_by_level_time)
+     * 
+     * @param {number} levelId - ID del nivel
+     * @returns {Promise<Object|null>} Trayectoria (con playerName) o null si no hay
+     */
+    async getTopGhost(levelId) {
+        try {
+            const [top] = await this.getRankingByLevel(levelId, 1);
+            if (!top) return null;
+
+            const { data, error } = await this.backend.getBestGhost(levelId, top.player_id);
+
+            if (error) {
+                console.error('❌ Error al obtener fantasma del récord:', error);
                 return null;
             }
 
-            console.log(`✅ Nivel ${levelId} completado: ${timeInSeconds.toFixed(2)}s = ${points} pts`);
-            return data;
+            if (!data) {
+                console.log(`👻 El récord del nivel ${levelId} no tiene fantasma guardado`);
+                return null;
+            }
+
+            const trajectory = deserializeGhost(data);
+            trajectory.playerName = top.player_name;
+            return trajectory;
 
         } catch (error) {
-            console.error('❌ Error en saveLevelCompletion:', error);
+            console.error('❌ Error en getTopGhost:', error);
             return null;
         }
     }
 
     /**
      * Obtiene el ranking global ordenado por puntos totales
+     * Cada fila trae su posición (rank) calculada en el servidor, también al buscar
      * 
      * @param {number} limit - Cantidad de jugadores a retornar (default: 10)
+     * @param {Object} options - { offset: filas a saltar (paginación), search: texto del nombre,
+     *                            seasonId: temporada (null = la activa) }
      * @returns {Promise<Array>} Array de jugadores ordenados por puntos
      */
-    async getRankingGlobal(limit = 10) {
+    async getRankingGlobal(limit = 10, { offset = 0, search = null, seasonId = null } = {}) {
         try {
-            const { data, error } = await supabase
-                .from('ranking_global')
-                .select('*')
-                .order('total_points', { ascending: false })
-                .limit(limit);
+            const { data, error } = await this.backend.getGlobalRanking(limit, { offset, search, seasonId });
 
             if (error) {
                 console.error('❌ Error al obtener ranking global:', error);
                 return [];
             }
 
-            console.log(`🏆 Ranking Global (Top ${limit}):`, data);
+            console.log(`🏆 Ranking Global (${offset + 1}-${offset + data.length}${search ? `, "${search}"` : ''}):`, data);
             return data;
 
         } catch (error) {
@@ -156,23 +548,20 @@ export class RankingManager {
      * 
      * @param {number} levelId - ID del nivel (1-5)
      * @param {number} limit - Cantidad de jugadores a retornar (default: 10)
+     * @param {Object} options - { offset: filas a saltar (paginación), search: texto del nombre,
+     *                            seasonId: temporada (null = la activa) }
      * @returns {Promise<Array>} Array de jugadores ordenados por tiempo
      */
-    async getRankingByLevel(levelId, limit = 10) {
+    async getRankingByLevel(levelId, limit = 10, { offset = 0, search = null, seasonId = null } = {}) {
         try {
-            const { data, error } = await supabase
-                .from('ranking_by_level_time')
-                .select('*')
-                .eq('level_id', levelId)
-                .order('best_time', { ascending: true })
-                .limit(limit);
+            const { data, error } = await this.backend.getLevelRanking(levelId, limit, { offset, search, seasonId });
 
             if (error) {
                 console.error('❌ Error al obtener ranking por nivel:', error);
                 return [];
             }
 
-            console.log(`🏆 Ranking Nivel ${levelId} (Top ${limit}):`, data);
+            console.log(`🏆 Ranking Nivel ${levelId} (${offset + 1}-${offset + data.length}${search ? `, "${search}"` : ''}):`, data);
             return data;
 
         } catch (error) {
@@ -181,6 +570,96 @@ export class RankingManager {
         }
     }
 
+    /**
+     * Obtiene las filas del ranking alrededor del jugador actual ("mi posición")
+     * 
+     * @param {number|null} levelId - Nivel o null para el ranking global
+     * @param {number} radius - Jugadores a mostrar por encima y por debajo
+     * @param {number|null} seasonId - Temporada (null = la activa)
+     * @returns {Promise<Object>} { rank, offset, rows } (rank null si el jugador no aparece)
+     */
+    async getRankingAroundPlayer(levelId = null, radius = 5, seasonId = null) {
+        const rank = await this.getCurrentPlayerRank(levelId, seasonId);
+        if (!rank) return { rank: null, offset: 0, rows: [] };
+
+        // rank es la posición sin filtros: la fila del jugador está en el índice rank - 1
+        const offset = Math.max(rank - 1 - radius, 0);
+        const limit = rank - offset + radius;
+        const rows = levelId === null
+            ? await this.getRankingGlobal(limit, { offset, seasonId })
+            : await this.getRankingByLevel(levelId, limit, { offset, seasonId });
+
+        return { rank, offset, rows };
+    }
+
+    /**
+     * Obtiene las temporadas (la activa tiene ends_at null)
+     * 
+     * @returns {Promise<Array>} Temporadas de la más reciente a la más antigua
+     */
+    async getSeasons() {
+        try {
+            const { data, error } = await this.backend.getSeasons();
+
+            if (error) {
+                console.error('❌ Error al obtener temporadas:', error);
+                return [];
+            }
+
+            return data;
+
+        } catch (error) {
+            console.error('❌ Error en getSeasons:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Escucha las completaciones nuevas de cualquier jugador (rankings en vivo)
+     * Supabase las envía por un canal realtime; el backend local las busca cada pocos segundos
+     * 
+     * @param {Function} callback - (completion) con la fila de level_completions
+     * @returns {Function} Cancela la suscripción
+     */
+    subscribeToCompletions(callback) {
+        try {
+            const unsubscribe = this.backend.subscribeToCompletions(callback);
+            console.log('📡 Rankings en vivo activados');
+            return () => {
+                unsubscribe();
+                console.log('📡 Rankings en vivo desactivados');
+            };
+        } catch (error) {
+            console.error('❌ Error en subscribeToCompletions:', error);
+            return () => {};
+        }
+    }
+
+    /**
+     * Obtiene el ranking del desafío diario de una fecha
+     * 
+     * @param {string} challengeDate - Fecha UTC del desafío (YYYY-MM-DD)
+     * @param {number} limit - Cantidad de jugadores a retornar (default: 10)
+     * @returns {Promise<Array>} Array de jugadores ordenados por tiempo
+     */
+    async getDailyRanking(challengeDate, limit = 10) {
+        try {
+            const { data, error } = await this.backend.getDailyRanking(challengeDate, limit);
+
+            if (error) {
+                console.error('❌ Error al obtener ranking diario:', error);
+                return [];
+            }
+
+            console.log(`📅 Ranking Desafío ${challengeDate} (Top ${limit}):`, data);
+            return data;
+
+        } catch (error) {
+            console.error('❌ Error en getDailyRanking:', error);
+            return [];
+        }
+    }
+
     /**
      * Obtiene las estadísticas de un jugador específico
      * 
@@ -189,35 +668,14 @@ export class RankingManager {
      */
     async getPlayerStats(playerId) {
         try {
-            // Obtener datos del jugador desde la vista global
-            const { data: globalData, error: globalError } = await supabase
-                .from('ranking_global')
-                .select('*')
-                .eq('id', playerId)
-                .single();
-
-            if (globalError) {
-                console.error('❌ Error al obtener estadísticas:', globalError);
-                return null;
-            }
-
-            // Obtener mejores tiempos por nivel
-            const { data: levelTimes, error: timesError } = await supabase
-                .from('ranking_by_level_time')
-                .select('*')
-                .eq('player_id', playerId)
-                .order('level_id', { ascending: true });
+            const { data: stats, error } = await this.backend.getPlayerStats(playerId);
 
-            if (timesError) {
-                console.error('❌ Error al obtener tiempos por nivel:', timesError);
-                return globalData;
+            if (error) {
+                console.error('❌ Error al obtener estadísticas:', error);
+                // Puede haber datos parciales (sin los tiempos por nivel)
+                return stats || null;
             }
 
-            const stats = {
-                ...globalData,
-                level_times: levelTimes
-            };
-
             console.log('📊 Estadísticas del jugador:', stats);
             return stats;
 
@@ -227,6 +685,29 @@ export class RankingManager {
         }
     }
 
+    /**
+     * Obtiene el historial de completaciones de un jugador (todas, no solo las mejores)
+     * 
+     * @param {string} playerId - ID del jugador
+     * @returns {Promise<Array>} Completaciones ordenadas de la más antigua a la más reciente
+     */
+    async getPlayerHistory(playerId) {
+        try {
+            const { data, error } = await this.backend.getPlayerCompletions(playerId);
+
+            if (error) {
+                console.error('❌ Error al obtener historial:', error);
+                return [];
+            }
+
+            return data;
+
+        } catch (error) {
+            console.error('❌ Error en getPlayerHistory:', error);
+            return [];
+        }
+    }
+
     /**
      * Formatea el tiempo en formato MM:SS
      * 
@@ -240,30 +721,84 @@ export class RankingManager {
     }
 
     /**
-     * Obtiene la posición del jugador actual en el ranking global
+     * Obtiene la posición del jugador actual (calculada en el servidor)
      * 
-     * @returns {Promise<number>} Posición en el ranking (1-based)
+     * @param {number|null} levelId - Nivel o null para el ranking global
+     * @param {number|null} seasonId - Temporada (null = la activa)
+     * @returns {Promise<number|null>} Posición en el ranking (1-based) o null si no aparece
      */
-    async getCurrentPlayerRank() {
+    async getCurrentPlayerRank(levelId = null, seasonId = null) {
         if (!this.currentPlayer) return null;
 
         try {
-            const { data, error } = await supabase
-                .from('ranking_global')
-                .select('id, total_points')
-                .order('total_points', { ascending: false });
+            const { data, error } = await this.backend.getPlayerRank(this.currentPlayer.id, levelId, seasonId);
 
             if (error) {
                 console.error('❌ Error al obtener posición:', error);
                 return null;
             }
 
-            const position = data.findIndex(p => p.id === this.currentPlayer.id);
-            return position >= 0 ? position + 1 : null;
+            return data;
 
         } catch (error) {
             console.error('❌ Error en getCurrentPlayerRank:', error);
             return null;
         }
     }
+
+    /**
+     * Reúne los datos de la pantalla de perfil del jugador actual
+     * Las completaciones que siguen en la cola offline todavía no aparecen
+     * 
+     * @returns {Promise<Object|null>} { player, rank, stats, totalAttempts, firstClear, levels } o null sin jugador
+     */
+    async getPlayerProfile() {
+        if (!this.currentPlayer) return null;
+
+        const { id } = this.currentPlayer;
+        const [rank, stats, history] = await Promise.all([
+            this.getCurrentPlayerRank(),
+            this.getPlayerStats(id),
+            this.getPlayerHistory(id)
+        ]);
+
+        return {
+            player: this.currentPlayer,
+            rank,
+            stats,
+            totalAttempts: history.length,
+            firstClear: history.length > 0 ? history[0].completed_at : null,
+            levels: summarizeHistory(history)
+        };
+    }
+}
+
+/**
+ * Agrupa el historial por nivel
+ * @param {Array} history - Completaciones ordenadas por fecha
+ * @returns {Array} [{ levelId, attempts, bestTime, bestPoints, firstClear, times }] ordenado por nivel
+ */
+function summarizeHistory(history) {
+    const levels = new Map();
+
+    history.forEach(completion => {
+        let level = levels.get(completion.level_id);
+        if (!level) {
+            level = {
+                levelId: completion.level_id,
+                attempts: 0,
+                bestTime: Infinity,
+                bestPoints: 0,
+                firstClear: completion.completed_at,
+                times: []
+            };
+            levels.set(completion.level_id, level);
+        }
+        level.attempts++;
+        level.bestTime = Math.min(level.bestTime, completion.completion_time);
+        level.bestPoints = Math.max(level.bestPoints, completion.points);
+        level.times.push(completion.completion_time);
+    });
+
+    return Array.from(levels.values()).sort((a, b) => a.levelId - b.levelId);
 }
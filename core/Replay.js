@@ -0,0 +1,242 @@
+/**
+ * Replay - Grabación y reproducción determinista de partidas
+ * - ReplayRecorder: guarda la inclinación aplicada en cada paso fijo de física
+ * - ReplayPlayer: devuelve esas muestras en lugar del input en vivo
+ * - serializeReplay / deserializeReplay: formato JSON versionado y compacto
+ *   (las muestras van como Int16 little-endian codificadas en base64)
+ *
+ * Las muestras se cuantizan ANTES de aplicarse al laberinto, de modo que la
+ * partida en vivo y su repetición usan exactamente los mismos valores
+ */
+
+import { bytesToBase64, base64ToBytes } from '../utils/base64.js';
+
+export const REPLAY_FORMAT = 'maze-replay';
+export const REPLAY_FORMAT_VERSION = 1;
+
+// Resolución de las muestras: 1 unidad = 0.0001 radianes (Int16 cubre ±3.27 rad)
+const TILT_SCALE = 10000;
+const INT16_MAX = 32767;
+
+/**
+ * Cuantiza un ángulo de inclinación al entero que se guarda en la repetición
+ * @param {number} angle - Ángulo en radianes
+ * @returns {number} Entero Int16
+ */
+function quantizeTilt(angle) {
+    return Math.max(-INT16_MAX, Math.min(INT16_MAX, Math.round(angle * TILT_SCALE)));
+}
+
+/**
+ * Convierte un entero guardado de vuelta a radianes
+ * @param {number} value - Entero Int16
+ * @returns {number} Ángulo en radianes
+ */
+function dequantizeTilt(value) {
+    return value / TILT_SCALE;
+}
+
+/**
+ * Captura el estado físico de una pelota
+ * @param {CANNON.Body} body - Cuerpo de la pelota
+ * @returns {Object} { position, velocity, angularVelocity, quaternion } como arrays
+ */
+function captureBallState(body) {
+    return {
+        position: [body.position.x, body.position.y, body.position.z],
+        velocity: [body.velocity.x, body.velocity.y, body.velocity.z],
+        angularVelocity: [body.angularVelocity.x, body.angularVelocity.y, body.angularVelocity.z],
+        quaternion: [body.quaternion.x, body.quaternion.y, body.quaternion.z, body.quaternion.w]
+    };
+}
+
+export class ReplayRecorder {
+    constructor() {
+        this.recording = false;
+        this.levelId = null;
+        this.timeStep = null;
+        this.initialBalls = [];
+        this.samples = [];
+    }
+
+    /**
+     * Comienza a grabar una partida
+     * @param {number} levelId - ID del nivel
+     * @param {number} timeStep - Paso fijo de física (segundos)
+     * @param {Array} balls - Pelotas del LevelManager (estado inicial)
+     */
+    start(levelId, timeStep, balls) {
+        this.recording = true;
+        this.levelId = levelId;
+        this.timeStep = timeStep;
+        this.initialBalls = balls.map(ball => captureBallState(ball.body));
+        this.samples = [];
+        console.log(`🔴 Grabando repetición del nivel ${levelId}`);
+    }
+
+    /**
+     * Registra la inclinación de un paso de física y devuelve el valor cuantizado
+     * que debe aplicarse (aunque no se esté grabando, para que el juego sea idéntico)
+     * @param {Object} tilt - { tiltX, tiltZ } en radianes
+     * @returns {Object} { tiltX, tiltZ } cuantizados
+     */
+    record(tilt) {
+        const qx = quantizeTilt(tilt.tiltX);
+        const qz = quantizeTilt(tilt.tiltZ);
+
+        if (this.recording) {
+            this.samples.push(qx, qz);
+        }
+
+        return { tiltX: dequantizeTilt(qx), tiltZ: dequantizeTilt(qz) };
+    }
+
+    /**
+     * Termina la grabación
+     * @param {number} completionTime - Tiempo de completación (segundos)
+     * @returns {Object|null} Repetición grabada
+     */
+    stop(completionTime) {
+        if (!this.recording) return null;
+        this.recording = false;
+
+        const replay = {
+            version: REPLAY_FORMAT_VERSION,
+            levelId: this.levelId,
+            timeStep: this.timeStep,
+            completionTime,
+            createdAt: new Date().toISOString(),
+            balls: this.initialBalls,
+            samples: Int16Array.from(this.samples)
+        };
+
+        console.log(`⏹️ Repetición grabada: ${replay.samples.length / 2} pasos`);
+        this.samples = [];
+        return replay;
+    }
+
+    /**
+     * Descarta la grabación en curso
+     */
+    cancel() {
+        this.recording = false;
+        this.samples = [];
+    }
+}
+
+export class ReplayPlayer {
+    /**
+     * @param {Object} replay - Repetición (ver ReplayRecorder.stop / deserializeReplay)
+     */
+    constructor(replay) {
+        this.replay = replay;
+        this.index = 0;
+    }
+
+    /**
+     * Restaura el estado inicial de las pelotas grabado en la repetición
+     * @param {Array} balls - Pelotas del LevelManager
+     */
+    applyInitialState(balls) {
+        balls.forEach((ball, index) => {
+            const state = this.replay.balls[index];
+            if (!state) return;
+
+            ball.body.position.set(...state.position);
+            ball.body.velocity.set(...state.velocity);
+            ball.body.angularVelocity.set(...state.angularVelocity);
+            ball.body.quaternion.set(...state.quaternion);
+            ball.previousPosition.copy(ball.body.position);
+            ball.previousQuaternion.copy(ball.body.quaternion);
+        });
+    }
+
+    /**
+     * Devuelve la inclinación del siguiente paso
+     * Al terminar las muestras se mantiene la última
+     * @returns {Object} { tiltX, tiltZ } en radianes
+     */
+    next() {
+        const count = this.getSampleCount();
+        if (count === 0) return { tiltX: 0, tiltZ: 0 };
+
+        const i = Math.min(this.index, count - 1);
+        this.index++;
+
+        return {
+            tiltX: dequantizeTilt(this.replay.samples[i * 2]),
+            tiltZ: dequantizeTilt(this.replay.samples[i * 2 + 1])
+        };
+    }
+
+    /**
+     * @returns {number} Cantidad de pasos grabados
+     */
+    getSampleCount() {
+        return this.replay.samples.length / 2;
+    }
+
+    /**
+     * @returns {boolean} True si ya se reprodujeron todas las muestras
+     */
+    isFinished() {
+        return this.index >= this.getSampleCount();
+    }
+}
+
+/**
+ * Serializa una repetición a JSON
+ * @param {Object} replay - Repetición
+ * @returns {string} JSON compacto
+ */
+export function serializeReplay(replay) {
+    // Int16 little-endian independiente de la plataforma
+    const bytes = new Uint8Array(replay.samples.length * 2);
+    const view = new DataView(bytes.buffer);
+    replay.samples.forEach((value, i) => view.setInt16(i * 2, value, true));
+
+    return JSON.stringify({
+        format: REPLAY_FORMAT,
+        version: REPLAY_FORMAT_VERSION,
+        levelId: replay.levelId,
+        timeStep: replay.timeStep,
+        completionTime: replay.completionTime,
+        createdAt: replay.createdAt,
+        balls: replay.balls,
+        samples: bytesToBase64(bytes)
+    });
+}
+
+/**
+ * Parsea una repetición desde JSON
+ * @param {string} json - JSON generado por serializeReplay
+ * @returns {Object} Repetición
+ * @throws {Error} Si el formato o la versión no son válidos
+ */
+export function deserializeReplay(json) {
+    const data = JSON.parse(json);
+
+    if (data.format !== REPLAY_FORMAT) {
+        throw new Error('El archivo no es una repetición válida');
+    }
+    if (data.version !== REPLAY_FORMAT_VERSION) {
+        throw new Error(`Versión de repetición no soportada: ${data.version}`);
+    }
+
+    const bytes = base64ToBytes(data.samples);
+    const view = new DataView(bytes.buffer);
+    const samples = new Int16Array(bytes.length / 2);
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = view.getInt16(i * 2, true);
+    }
+
+    return {
+        version: data.version,
+        levelId: data.levelId,
+        timeStep: data.timeStep,
+        completionTime: data.completionTime,
+        createdAt: data.createdAt,
+        balls: data.balls,
+        samples
+    };
+}
@@ -4,19 +4,35 @@
  */
 
 import * as THREE from 'three';
-import * as CANNON from 'cannon-es';
 import { Game } from './core/Game.js';
 import { RankingManager } from './core/RankingManager.js';
 import { MenuManager } from './ui/MenuManager.js';
 import { RankingDisplay } from './ui/RankingDisplay.js';
+import { ProfileDisplay } from './ui/ProfileDisplay.js';
+import { StatsDisplay } from './ui/StatsDisplay.js';
+import { SettingsPanel } from './ui/SettingsPanel.js';
+import { LevelEditor } from './ui/LevelEditor.js';
 import { DebugManager } from './utils/DebugManager.js';
+import { SettingsManager } from './utils/SettingsManager.js';
 import { CameraZoom } from './utils/cameraZoom.js';
-import { LEVELS_CONFIG, GAME_CONFIG } from './config/levels.config.js';
+import { createPhysicsWorld } from './utils/physics.js';
+import { GAME_CONFIG } from './config/levels.config.js';
+import { loadLevelsConfig } from './utils/levelLoader.js';
+import { generateLevelConfig, GENERATED_LEVEL_ID_BASE, MAX_GRID_SIZE } from './utils/mazeGenerator.js';
+import { createDailyLevelConfig, getUtcDateKey } from './utils/dailyChallenge.js';
 import { isMobile, isIOS, requiresMotionPermission } from './utils/deviceDetection.js';
 
 // Variables globales mínimas
 let scene, camera, renderer, world;
-let game, menuManager, debugManager, cameraZoom, rankingManager, rankingDisplay;
+let game, menuManager, debugManager, cameraZoom, rankingManager, rankingDisplay, profileDisplay, statsDisplay, levelEditor;
+let settingsManager, settingsPanel;
+// Estado del loop de física con paso fijo
+let lastFrameTime = null;
+let physicsAccumulator = 0;
+// Niveles cargados desde levels/ al iniciar
+let LEVELS_CONFIG = {};
+// Modo infinito: semilla de la partida y etapa actual
+let endlessRun = null;
 let lightingSystem = {
     ambient: null,
     directional: null,
@@ -26,7 +42,7 @@ let lightingSystem = {
 /**
  * Inicializa la aplicación
  */
-function init() {
+async function init() {
     console.log('🚀 Iniciando Maze Game...');
     
     // Setup básico de Three.js
@@ -45,34 +61,46 @@ function init() {
     setupLighting();
     
     // Setup de Cannon.js
-    world = new CANNON.World();
-    world.gravity.set(
-        GAME_CONFIG.physics.gravity.x,
-        GAME_CONFIG.physics.gravity.y,
-        GAME_CONFIG.physics.gravity.z
-    );
-    world.broadphase = new CANNON.NaiveBroadphase();
-    world.solver.iterations = GAME_CONFIG.physics.solverIterations;
-    world.allowSleep = false;
+    world = createPhysicsWorld(GAME_CONFIG.physics);
     
     // Managers
     debugManager = new DebugManager(scene, world);
+    settingsManager = new SettingsManager(GAME_CONFIG);
     rankingManager = new RankingManager();
     menuManager = new MenuManager(onLevelSelect, onDebugToggle, onGyroscopeToggle);
     rankingDisplay = new RankingDisplay(rankingManager);
+    profileDisplay = new ProfileDisplay(rankingManager);
+    settingsPanel = new SettingsPanel(settingsManager);
+    
+    // Cargar los niveles definidos en levels/
+    try {
+        const { levels, errors } = await loadLevelsConfig();
+        LEVELS_CONFIG = levels;
+        if (errors.length > 0) {
+            menuManager.showErrorMessage(`⚠️ ${errors.length} nivel(es) no se pudieron cargar`);
+        }
+    } catch (error) {
+        console.error('❌ Error al cargar los niveles:', error);
+        menuManager.showErrorMessage('❌ No se pudieron cargar los niveles');
+    }
     
     // Sistema de zoom de cámara
-    cameraZoom = new CameraZoom(camera, 30, 80, 2, 0.15);
+    const { zoomMinY, zoomMaxY, zoomSpeed, zoomSmoothing } = GAME_CONFIG.camera;
+    cameraZoom = new CameraZoom(camera, zoomMinY, zoomMaxY, zoomSpeed, zoomSmoothing);
     
     // Game con referencia a la configuración de niveles, debugManager y rankingManager
     game = new Game(scene, world, camera, GAME_CONFIG, menuManager, debugManager);
     game.config.levelsConfig = LEVELS_CONFIG; // Añadir referencia para desbloqueo
     game.rankingManager = rankingManager; // Añadir referencia al rankingManager
+    rankingManager.outbox.onStatusChange((id, status) => game.onRankingSyncStatus(id, status));
     
     // Aplicar progreso guardado a los niveles
     game.progressManager.applyToLevelsConfig(LEVELS_CONFIG);
     console.log('📊 Progreso cargado:', game.progressManager.getStats());
     
+    // Estadísticas locales: solo leen el progreso guardado (no necesitan jugador ni conexión)
+    statsDisplay = new StatsDisplay(game.progressManager, LEVELS_CONFIG);
+    
     // Event listener para botón de rankings
     const showRankingsBtn = document.getElementById('show-rankings-btn');
     if (showRankingsBtn) {
@@ -81,6 +109,48 @@ function init() {
         });
     }
     
+    // Event listener para botón de perfil
+    const showProfileBtn = document.getElementById('show-profile-btn');
+    if (showProfileBtn) {
+        showProfileBtn.addEventListener('click', () => {
+            profileDisplay.show();
+        });
+    }
+    
+    // Event listener para botón de estadísticas
+    const showStatsBtn = document.getElementById('show-stats-btn');
+    if (showStatsBtn) {
+        showStatsBtn.addEventListener('click', () => {
+            statsDisplay.show();
+        });
+    }
+    
+    // Editor de niveles (usa el LevelManager y el DebugManager del juego)
+    levelEditor = new LevelEditor(scene, camera, renderer, game.levelManager, game.controller, debugManager);
+    levelEditor.onClose = () => {
+        menuManager.showMenu();
+    };
+    // Modo infinito: laberintos generados cada vez más grandes
+    game.onGeneratedLevelWin = () => {
+        if (endlessRun) startEndlessStage(endlessRun.stage + 1);
+    };
+    // Desafío diario: el mismo laberinto para todos en la fecha UTC
+    menuManager.updateDailyChallengeButton(game.dailyChallengeStorage.getAttempt(getUtcDateKey()));
+    const dailyChallengeBtn = document.getElementById('daily-challenge-btn');
+    if (dailyChallengeBtn) {
+        dailyChallengeBtn.addEventListener('click', onDailyChallengeSelect);
+    }
+    
+    const endlessModeBtn = document.getElementById('endless-mode-btn');
+    if (endlessModeBtn) {
+        endlessModeBtn.addEventListener('click', startEndlessMode);
+    }
+    
+    const openEditorBtn = document.getElementById('open-editor-btn');
+    if (openEditorBtn) {
+        openEditorBtn.addEventListener('click', openLevelEditor);
+    }
+    
     // Event listener para botón de resetear progreso
     const resetProgressBtn = document.getElementById('reset-progress-btn');
     if (resetProgressBtn) {
@@ -94,16 +164,73 @@ function init() {
         game.controller.calibrateGyroscope();
     });
     
+    // Ajustes guardados (controles, giroscopio, zoom y debug): se aplican ahora y en cada cambio
+    applySettings(settingsManager.getSettings());
+    settingsManager.onChange(applySettings);
+    
+    // Fuente de input guardada en el menú (mouse, teclado o mando)
+    game.controller.setInputSource(menuManager.getInputSource());
+    menuManager.setInputSourceCallback((source) => {
+        game.controller.setInputSource(source);
+    });
+    
+    // Fantasma: modo guardado en el menú (mejor tiempo propio o récord del nivel)
+    game.setGhostMode(menuManager.getGhostMode());
+    menuManager.setGhostModeCallback((mode) => {
+        game.setGhostMode(mode);
+    });
+    
+    // Repeticiones: ver/guardar la última partida y cargar desde archivo
+    menuManager.setReplayCallbacks(
+        () => {
+            if (game.lastReplay) startReplay(game.lastReplay);
+        },
+        () => {
+            if (game.lastReplay) game.replayStorage.exportToFile(game.lastReplay);
+        },
+        async (file) => {
+            try {
+                const replay = await game.replayStorage.importFromFile(file);
+                menuManager.hideMenu();
+                startReplay(replay);
+            } catch (error) {
+                console.error('❌ Error al cargar repetición:', error);
+                menuManager.showErrorMessage(`❌ ${error.message}`);
+            }
+        }
+    );
+    
+    // Cuenta del jugador: registro con nombre libre, recuperación con código y perfil en Ajustes
+    menuManager.setPlayerAccountCallbacks(
+        (name) => rankingManager.registerPlayer(name),
+        (name, code) => rankingManager.recoverPlayer(name, code)
+    );
+    menuManager.updatePlayerProfile(rankingManager.identity);
+    rankingManager.onIdentityChange = (identity) => menuManager.updatePlayerProfile(identity);
+    rankingManager.onNameConflict = (name) => {
+        // No interrumpir una partida: se pide al elegir el siguiente nivel
+        if (!game.isPlaying) {
+            menuManager.showPlayerNameModal(null, { nameTaken: name });
+        }
+    };
+    // Versiones anteriores solo guardaban el nombre: se reclama ese jugador para este dispositivo
+    rankingManager.migrateLegacyPlayer();
+    
     // Crear botones de niveles en el menú
     menuManager.createLevelButtons(LEVELS_CONFIG);
     
     // Event listeners
     window.addEventListener('resize', onWindowResize);
+    // Guardar el tiempo jugado de la partida en curso si se cierra la pestaña
+    window.addEventListener('pagehide', () => game.flushLevelStats());
     
     // Keyboard shortcut: Esc para pausar y abrir/ocultar el menú
     function _onEscapeKey(e) {
         const key = e.key || e.code || e.keyCode;
         if (key === 'Escape' || key === 'Esc' || key === 'Escape') {
+            // En el editor de niveles Esc no abre el menú (se sale con su botón)
+            if (levelEditor && levelEditor.isOpen) return;
+            
             // Determinar si el menú está visible
             const menuEl = menuManager && menuManager.menuContainer ? menuManager.menuContainer : document.getElementById('menu-container');
             const menuVisible = menuEl ? !menuEl.classList.contains('hidden') : false;
@@ -150,7 +277,7 @@ function init() {
                     max-width: 90%;
                     text-align: center;
                 `;
-                iosNotice.innerHTML = '📱 Para usar el giroscopio, actívalo desde el menú ⚙️';
+                iosNotice.innerHTML = '📱 Juega con el joystick o activa el giroscopio desde el menú ⚙️';
                 document.body.appendChild(iosNotice);
                 
                 // Remover el aviso después de 5 segundos
@@ -211,8 +338,9 @@ function setupLighting() {
 /**
  * Actualiza las luces según el nivel de dificultad
  * @param {number} levelId - ID del nivel (1, 2 o 3)
+ * @param {Object} levelConfig - Configuración del nivel (por defecto la de levels/)
  */
-function updateLevelLighting(levelId) {
+function updateLevelLighting(levelId, levelConfig = LEVELS_CONFIG[levelId]) {
     // Remover luces anteriores de punto
     lightingSystem.pointLights.forEach(light => {
         scene.remove(light);
@@ -220,7 +348,7 @@ function updateLevelLighting(levelId) {
     lightingSystem.pointLights = [];
     
     // Obtener la configuración de iluminación del nivel actual
-    const config = LEVELS_CONFIG[levelId].lighting;
+    const config = levelConfig.lighting;
     
     // Actualizar luz ambiental con tinte de color
     lightingSystem.ambient.color.setHex(config.ambient);
@@ -275,33 +403,165 @@ function updateLevelLighting(levelId) {
 function onLevelSelect(levelId) {
     console.log(`📍 Nivel ${levelId} seleccionado`);
     
-    // Si es nivel 1 y no hay nombre guardado, mostrar modal
-    if (levelId === 1 && !menuManager.getPlayerName()) {
-        console.log('📝 No hay nombre guardado, mostrando modal...');
-        menuManager.showPlayerNameModal(async (playerName) => {
-            console.log('✅ Nombre confirmado:', playerName);
-            // Obtener o crear el jugador en la base de datos
-            await rankingManager.getOrCreatePlayer(playerName);
-            // Iniciar el nivel
-            startLevel(levelId);
-        });
+    // En el nivel 1 se pide el nombre si no hay perfil (y en cualquiera si el nombre pendiente está en uso)
+    if ((levelId === 1 && !rankingManager.currentPlayer) || rankingManager.nameConflict) {
+        console.log('📝 Hace falta un nombre de jugador, mostrando modal...');
+        promptPlayer(() => startLevel(levelId));
     } else {
-        // Si ya hay nombre o no es nivel 1, cargar directo
-        if (menuManager.getPlayerName() && !rankingManager.currentPlayer) {
-            // Asegurarse de que el jugador esté cargado en rankingManager
-            rankingManager.getOrCreatePlayer(menuManager.getPlayerName());
-        }
         startLevel(levelId);
     }
 }
 
+/**
+ * Muestra el modal del jugador (registro o, si hace falta, un nombre nuevo para el perfil pendiente)
+ * @param {Function} callback - Se ejecuta cuando el jugador está listo
+ */
+function promptPlayer(callback) {
+    menuManager.showPlayerNameModal(callback, { nameTaken: rankingManager.nameConflict });
+}
+
 /**
  * Inicia un nivel (función auxiliar)
  * @param {number} levelId - ID del nivel a iniciar
  */
 function startLevel(levelId) {
+    endlessRun = null;
     updateLevelLighting(levelId);
-    game.startLevel(levelId, LEVELS_CONFIG[levelId]);
+    game.startLevel(levelId, LEVELS_CONFIG[levelId]).catch(onLevelLoadError);
+}
+
+/**
+ * Callback del botón del desafío diario
+ * Como el intento puntúa en el ranking, pide el nombre si todavía no hay jugador
+ */
+function onDailyChallengeSelect() {
+    menuManager.hideMenu();
+    
+    if (!rankingManager.currentPlayer || rankingManager.nameConflict) {
+        promptPlayer(startDailyChallenge);
+        return;
+    }
+    
+    startDailyChallenge();
+}
+
+/**
+ * Inicia el desafío del día (UTC)
+ * El primer intento del día es el único que puntúa; los siguientes son práctica
+ */
+function startDailyChallenge() {
+    endlessRun = null;
+    const today = getUtcDateKey();
+    const levelConfig = createDailyLevelConfig(today);
+    
+    const isScored = game.dailyChallengeStorage.startAttempt(today);
+    game.dailyAttempt = isScored ? { date: today } : null;
+    menuManager.updateDailyChallengeButton(game.dailyChallengeStorage.getAttempt(today));
+    console.log(`📅 Desafío ${today} ${isScored ? '(intento puntuado)' : '(práctica)'}`);
+    
+    updateLevelLighting(levelConfig.id, levelConfig);
+    game.startLevel(levelConfig.id, levelConfig).catch(onLevelLoadError);
+}
+
+/**
+ * Empieza una partida nueva del modo infinito con una semilla al azar
+ */
+function startEndlessMode() {
+    endlessRun = { seed: Math.random().toString(36).slice(2, 10), stage: 1 };
+    console.log(`♾️ Modo infinito - semilla ${endlessRun.seed}`);
+    menuManager.hideMenu();
+    startEndlessStage(1);
+}
+
+/**
+ * Genera e inicia una etapa del modo infinito
+ * Cada etapa agranda la grilla y cada 3 etapas sube la dificultad
+ * @param {number} stage - Número de etapa (desde 1)
+ */
+function startEndlessStage(stage) {
+    endlessRun.stage = stage;
+    const size = Math.min(3 + stage, MAX_GRID_SIZE);
+    const levelConfig = generateLevelConfig(
+        {
+            seed: `${endlessRun.seed}-${stage}`,
+            cols: size,
+            rows: size,
+            difficulty: Math.min(1 + Math.floor((stage - 1) / 3), 3)
+        },
+        { id: GENERATED_LEVEL_ID_BASE + stage, name: `Infinito ${stage}` }
+    );
+    
+    updateLevelLighting(levelConfig.id, levelConfig);
+    game.startLevel(levelConfig.id, levelConfig).catch(onLevelLoadError);
+}
+
+/**
+ * Vuelve al menú mostrando por qué no se pudo cargar un nivel
+ * @param {Error} error - Error de validación o de carga del modelo
+ */
+function onLevelLoadError(error) {
+    console.error('❌ Error al cargar el nivel:', error);
+    menuManager.showMenu();
+    menuManager.showErrorMessage(`❌ ${error.message || 'No se pudo cargar el nivel'}`);
+}
+
+/**
+ * Abre el editor de niveles partiendo del último nivel seleccionado
+ */
+async function openLevelEditor() {
+    const baseLevelId = menuManager.currentLevelId || 1;
+    
+    await game.exitLevel();
+    menuManager.menuContainer.classList.add('hidden');
+    if (LEVELS_CONFIG[baseLevelId] && !LEVELS_CONFIG[baseLevelId].broken) {
+        updateLevelLighting(baseLevelId);
+    }
+    
+    try {
+        await levelEditor.open(LEVELS_CONFIG, baseLevelId);
+    } catch (error) {
+        console.error('❌ Error al abrir el editor:', error);
+        menuManager.showMenu();
+        menuManager.showErrorMessage(`❌ ${error.message}`);
+    }
+}
+
+/**
+ * Reproduce una repetición grabada
+ * @param {Object} replay - Repetición a reproducir
+ */
+function startReplay(replay) {
+    // Las repeticiones de niveles generados solo se pueden ver en la misma sesión
+    const currentConfig = game.currentLevelConfig;
+    const levelConfig = currentConfig && currentConfig.generated && currentConfig.id === replay.levelId
+        ? currentConfig
+        : LEVELS_CONFIG[replay.levelId];
+    if (!levelConfig || levelConfig.broken) {
+        menuManager.showErrorMessage(`❌ El nivel ${replay.levelId} de la repetición no existe o es inválido`);
+        menuManager.showMenu();
+        return;
+    }
+    updateLevelLighting(replay.levelId, levelConfig);
+    game.startReplay(replay, levelConfig).catch(onLevelLoadError);
+}
+
+/**
+ * Aplica los ajustes del jugador a los controles, la cámara y el debug
+ * @param {Object} settings - Ajustes de SettingsManager
+ */
+function applySettings(settings) {
+    game.controller.setMaxTilt(settings.maxTiltDegrees * Math.PI / 180);
+    game.controller.setMouseSensitivity(settings.mouseSensitivity);
+    game.controller.setGyroscopeSensitivity(settings.gyroSensitivity);
+    game.controller.setGyroscopeFilterSettings(settings.gyroFilter);
+    
+    cameraZoom.setLimits(settings.zoomMinY, settings.zoomMaxY);
+    cameraZoom.setSmoothing(settings.zoomSmoothing);
+    
+    menuManager.updateDebugToggle(settings.debug);
+    if (debugManager.enabled !== settings.debug) {
+        onDebugToggle(settings.debug);
+    }
 }
 
 /**
@@ -311,6 +571,7 @@ function startLevel(levelId) {
 function onDebugToggle(enabled) {
     console.log('🔧 Debug toggle:', enabled);
     debugManager.toggle(enabled);
+    settingsManager.set('debug', enabled);
     
     // Si se activa el debug Y hay un laberinto cargado, crear visualizaciones
     if (enabled && game.levelManager.currentLevel) {
@@ -353,12 +614,18 @@ async function onGyroscopeToggle(shouldEnable) {
         if (isActive) {
             console.log('✅ Giroscopio activado exitosamente');
         } else {
-            console.warn('⚠️ No se pudo activar el giroscopio');
+            // Sin giroscopio (p. ej. permiso de iOS rechazado) se sigue jugando con el joystick
+            console.warn('⚠️ No se pudo activar el giroscopio - usando joystick táctil');
+            if (isMobile()) {
+                menuManager.selectInputSource('touch');
+            }
         }
         
         return isActive;
     } else {
         game.controller.disableGyroscope();
+        // Volver a la fuente elegida en el selector (mouse, teclado o mando)
+        game.controller.setInputSource(menuManager.getInputSource());
         menuManager.updateGyroscopeToggle(false);
         return false;
     }
@@ -375,12 +642,21 @@ function onWindowResize() {
 
 /**
  * Bucle de animación principal
+ * La física avanza en pasos fijos (acumulador) independientemente de la frecuencia
+ * de pantalla, y el render interpola entre los dos últimos estados de física
+ * @param {number} timestamp - Marca de tiempo del frame (ms) provista por requestAnimationFrame
  */
-function animate() {
+function animate(timestamp = performance.now()) {
     requestAnimationFrame(animate);
     
+    // Tiempo real transcurrido desde el frame anterior (limitado para evitar saltos
+    // enormes al volver de otra pestaña o tras un bloqueo del navegador)
+    const { timeStep, maxSubSteps, maxFrameTime } = GAME_CONFIG.physics;
+    const frameDelta = lastFrameTime === null ? 0 : Math.min((timestamp - lastFrameTime) / 1000, maxFrameTime);
+    lastFrameTime = timestamp;
+    
     // Animación sutil de luces (pulsación)
-    const time = Date.now() * 0.001; // Tiempo en segundos
+    const time = timestamp * 0.001; // Tiempo en segundos
     lightingSystem.pointLights.forEach((light, index) => {
         if (light.isPointLight) {
             // Cada luz pulsa a diferente velocidad
@@ -390,15 +666,21 @@ function animate() {
         }
     });
     
-    // 1. Simulación de física
-    world.step(
-        GAME_CONFIG.physics.timeStep, 
-        GAME_CONFIG.physics.timeStep, 
-        GAME_CONFIG.physics.maxSubSteps
-    );
+    // 1. Simulación de física en pasos fijos (controles + world.step)
+    physicsAccumulator += frameDelta;
+    let subSteps = 0;
+    while (physicsAccumulator >= timeStep && subSteps < maxSubSteps) {
+        game.fixedUpdate(timeStep);
+        physicsAccumulator -= timeStep;
+        subSteps++;
+    }
+    // Si se alcanzó el máximo de sub-pasos, descartar el tiempo atrasado
+    if (physicsAccumulator >= timeStep) {
+        physicsAccumulator = 0;
+    }
     
-    // 2. Actualizar juego (controles, verificación de zonas, etc.)
-    game.update();
+    // 2. Actualizar juego (interpolación visual, verificación de zonas, etc.)
+    game.update(physicsAccumulator / timeStep);
     
     // 3. Actualizar zoom de cámara
     cameraZoom.update();
@@ -411,4 +693,12 @@ function animate() {
 }
 
 // Iniciar aplicación cuando el DOM esté listo
-init();
+init().catch((error) => {
+    console.error('❌ Error al iniciar el juego:', error);
+    
+    // Mensaje fijo (sin desvanecerse): el menú puede no existir todavía
+    const message = document.createElement('div');
+    message.className = 'gyroscope-message error';
+    message.textContent = '❌ No se pudo iniciar el juego. Recarga la página para intentarlo de nuevo.';
+    document.body.appendChild(message);
+});
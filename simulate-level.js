@@ -0,0 +1,73 @@
+/**
+ * Simulación headless de un nivel (sin navegador ni GPU)
+ * Ejecutar con: npm run simulate -- <nivel> [inputs.json] [--max-time=60] [--verbose]
+ *
+ * inputs.json es un array de tramos de inclinación normalizada (-1 a 1):
+ *   [{ "duration": 2, "tiltX": 0, "tiltZ": -1 }, { "duration": 3, "tiltX": 1, "tiltZ": 0 }]
+ *
+ * Código de salida: 0 si el nivel se completa, 1 si no, 2 si hubo un error
+ */
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { GAME_CONFIG } from './config/levels.config.js';
+import { loadLevelsConfig } from './utils/levelLoader.js';
+import { createNodeLevelSource } from './utils/nodeLevelFiles.js';
+import { LevelSimulator } from './core/LevelSimulator.js';
+
+const rootDir = path.dirname(fileURLToPath(import.meta.url));
+const args = process.argv.slice(2);
+const flags = args.filter(arg => arg.startsWith('--'));
+const [levelArg, inputsPath] = args.filter(arg => !arg.startsWith('--'));
+
+const verbose = flags.includes('--verbose');
+const maxTimeFlag = flags.find(flag => flag.startsWith('--max-time='));
+const maxTime = maxTimeFlag ? parseFloat(maxTimeFlag.split('=')[1]) : 60;
+
+// Los módulos del juego loguean mucho; en modo normal solo se muestra el reporte
+const log = console.log;
+if (!verbose) {
+    console.log = () => {};
+}
+
+try {
+    // Los niveles se leen desde levels/ igual que en el navegador
+    const { levels } = await loadLevelsConfig(createNodeLevelSource(rootDir));
+    const levelId = parseInt(levelArg);
+    const levelConfig = levels[levelId];
+
+    if (!levelConfig) {
+        log(`❌ Nivel inválido: ${levelArg}. Disponibles: ${Object.keys(levels).join(', ')}`);
+        process.exit(2);
+    }
+    if (levelConfig.broken) {
+        log(`❌ El nivel ${levelId} es inválido:\n   - ${levelConfig.errors.join('\n   - ')}`);
+        process.exit(2);
+    }
+
+    const inputs = inputsPath ? JSON.parse(await readFile(inputsPath, 'utf8')) : [];
+
+    const simulator = new LevelSimulator(levelConfig, GAME_CONFIG, { rootDir });
+    await simulator.load();
+    const report = simulator.run(inputs, { maxTime });
+    await simulator.dispose();
+
+    log(`🎮 Nivel ${report.levelId} - ${report.levelName}`);
+    log(`⏱️ Tiempo simulado: ${report.time.toFixed(2)}s (${report.steps} pasos)`);
+    report.zones.forEach(zone => {
+        log(`   🎯 Zona ${zone.index + 1}: ${zone.isGreen ? '🟢 verde' : '🔴 roja'}`);
+    });
+    report.balls.forEach(ball => {
+        const { x, y, z } = ball.position;
+        log(`   ⚽ Pelota ${ball.index + 1}: (${x.toFixed(2)}, ${y.toFixed(2)}, ${z.toFixed(2)})`);
+    });
+    log(report.won
+        ? `🎉 Nivel completado en ${report.winTime.toFixed(2)}s`
+        : `❌ Nivel no completado (${report.greenZones}/${report.totalZones} zonas)`);
+
+    process.exit(report.won ? 0 : 1);
+} catch (error) {
+    log('❌ Error en la simulación:', error.message || error);
+    process.exit(2);
+}
@@ -0,0 +1,44 @@
+-- ========================================
+-- AÑADIR DESAFÍO DIARIO - Solo ejecutar este script
+-- Para bases de datos creadas antes de la tabla daily_challenge_results
+-- ========================================
+
+-- Tabla del desafío diario: un solo resultado por jugador y día
+CREATE TABLE IF NOT EXISTS daily_challenge_results (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    player_id UUID NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    challenge_date DATE NOT NULL,
+    completion_time FLOAT NOT NULL,
+    points INTEGER NOT NULL,
+    completed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (player_id, challenge_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_daily_challenge_date_time ON daily_challenge_results(challenge_date, completion_time);
+
+-- Seguridad: lectura pública, inserción solo para el día en curso (fecha UTC)
+ALTER TABLE daily_challenge_results ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow public read access on daily_challenge_results" ON daily_challenge_results;
+CREATE POLICY "Allow public read access on daily_challenge_results"
+    ON daily_challenge_results FOR SELECT
+    USING (true);
+
+DROP POLICY IF EXISTS "Allow public insert on daily_challenge_results" ON daily_challenge_results;
+CREATE POLICY "Allow public insert on daily_challenge_results"
+    ON daily_challenge_results FOR INSERT
+    WITH CHECK (challenge_date = (NOW() AT TIME ZONE 'utc')::date);
+
+-- Vista: Ranking del desafío diario
+CREATE OR REPLACE VIEW ranking_daily AS
+SELECT 
+    d.challenge_date,
+    p.id as player_id,
+    p.name as player_name,
+    d.completion_time,
+    d.points,
+    d.completed_at,
+    ROW_NUMBER() OVER (PARTITION BY d.challenge_date ORDER BY d.completion_time ASC) as rank
+FROM daily_challenge_results d
+JOIN players p ON d.player_id = p.id
+ORDER BY d.challenge_date DESC, d.completion_time ASC;
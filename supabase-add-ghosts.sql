@@ -0,0 +1,29 @@
+-- ========================================
+-- AÑADIR FANTASMAS - Solo ejecutar este script
+-- Para bases de datos creadas antes de la tabla level_ghosts
+-- ========================================
+
+-- Tabla de fantasmas (trayectoria de los mejores tiempos de cada jugador)
+CREATE TABLE IF NOT EXISTS level_ghosts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    player_id UUID NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    level_id INTEGER NOT NULL,
+    completion_time FLOAT NOT NULL,
+    trajectory TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_level_ghosts_player_level ON level_ghosts(player_id, level_id, completion_time);
+
+-- Seguridad: lectura e inserción públicas, igual que level_completions
+ALTER TABLE level_ghosts ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow public read access on level_ghosts" ON level_ghosts;
+CREATE POLICY "Allow public read access on level_ghosts"
+    ON level_ghosts FOR SELECT
+    USING (true);
+
+DROP POLICY IF EXISTS "Allow public insert on level_ghosts" ON level_ghosts;
+CREATE POLICY "Allow public insert on level_ghosts"
+    ON level_ghosts FOR INSERT
+    WITH CHECK (true);
@@ -0,0 +1,17 @@
+-- ========================================
+-- AÑADIR RESTRICCIONES AL NOMBRE DE LOS JUGADORES - Solo ejecutar este script
+-- Para bases de datos creadas antes de players_name_format (ejecutar después de supabase-add-player-identity.sql)
+-- Nombres de 2 a 20 caracteres: letras (también con tilde y ñ), números, espacios, '_', '.' y '-'
+-- (las mismas reglas que isValidPlayerName en utils/rankingBackend.js)
+-- ========================================
+
+-- NOT VALID: solo se comprueba en los jugadores nuevos. Los nombres que ya existen no se tocan
+-- (el cliente siempre los escapa al mostrarlos); para ver cuáles no cumplen las reglas:
+--   SELECT id, name FROM players
+--   WHERE NOT (char_length(name) BETWEEN 2 AND 20 AND name = btrim(name) AND name ~ '^[A-Za-z0-9À-ÖØ-öø-ÿ _.-]+$');
+ALTER TABLE players DROP CONSTRAINT IF EXISTS players_name_format;
+ALTER TABLE players ADD CONSTRAINT players_name_format CHECK (
+    char_length(name) BETWEEN 2 AND 20
+    AND name = btrim(name)
+    AND name ~ '^[A-Za-z0-9À-ÖØ-öø-ÿ _.-]+$'
+) NOT VALID;
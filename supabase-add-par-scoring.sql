@@ -0,0 +1,96 @@
+-- ========================================
+-- PUNTOS POR TIEMPO PAR - Solo ejecutar este script
+-- Para bases de datos creadas antes de que level_scoring_rules tuviera par_time
+-- (ejecutar después de supabase-add-seasons.sql)
+-- Cada nivel puntúa en su propia escala: 800 puntos en su tiempo par, 200 menos por cada tiempo par más
+-- ========================================
+
+-- Tiempo par de cada nivel (el "parTime" de levels/nivel-N.json, igual que RANKING_CONFIG.scoring.parTimeByLevel)
+ALTER TABLE level_scoring_rules ADD COLUMN IF NOT EXISTS par_time FLOAT;
+
+UPDATE level_scoring_rules r
+SET par_time = v.par_time
+FROM (VALUES (1, 15), (2, 30), (3, 45), (4, 60), (5, 90), (6, 150)) AS v(level_id, par_time)
+WHERE r.level_id = v.level_id AND r.par_time IS NULL;
+
+-- Los niveles añadidos a mano necesitan su tiempo par antes de este paso
+ALTER TABLE level_scoring_rules ALTER COLUMN par_time SET NOT NULL;
+
+ALTER TABLE level_scoring_rules DROP CONSTRAINT IF EXISTS level_scoring_rules_par_time_check;
+ALTER TABLE level_scoring_rules ADD CONSTRAINT level_scoring_rules_par_time_check CHECK (par_time > 0);
+
+-- Las completaciones nuevas se puntúan con el tiempo par del nivel
+CREATE OR REPLACE FUNCTION submit_level_completion(
+    p_id UUID,
+    p_player_id UUID,
+    p_token TEXT,
+    p_level_id INTEGER,
+    p_completion_time FLOAT,
+    p_replay TEXT DEFAULT NULL
+)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_points INTEGER;
+    v_min_time FLOAT;
+    v_par_time FLOAT;
+    v_recent INTEGER;
+    v_season_id INTEGER;
+BEGIN
+    PERFORM check_player_token(p_player_id, p_token);
+
+    -- Reintento de un envío que ya llegó
+    SELECT points INTO v_points FROM level_completions WHERE id = p_id;
+    IF FOUND THEN
+        RETURN v_points;
+    END IF;
+
+    v_season_id := current_season_id();
+    IF v_season_id IS NULL THEN
+        RAISE EXCEPTION 'No hay ninguna temporada activa' USING HINT = 'season_closed';
+    END IF;
+
+    SELECT min_time, par_time INTO v_min_time, v_par_time FROM level_scoring_rules WHERE level_id = p_level_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'El nivel % no puntúa', p_level_id USING HINT = 'invalid_level';
+    END IF;
+
+    IF p_completion_time IS NULL OR p_completion_time = 'NaN'::FLOAT
+        OR p_completion_time < v_min_time OR p_completion_time > 86400 THEN
+        RAISE EXCEPTION 'Tiempo no válido: % (mínimo %s)', p_completion_time, v_min_time
+            USING HINT = 'invalid_time';
+    END IF;
+
+    IF p_replay IS NOT NULL AND length(p_replay) > 1000000 THEN
+        RAISE EXCEPTION 'Repetición demasiado grande' USING HINT = 'invalid_replay';
+    END IF;
+
+    -- Límite de envíos: 10 completaciones por jugador por minuto
+    SELECT COUNT(*) INTO v_recent
+    FROM level_completions
+    WHERE player_id = p_player_id
+      AND completed_at > NOW() - INTERVAL '60 seconds';
+    IF v_recent >= 10 THEN
+        RAISE EXCEPTION 'Demasiadas completaciones seguidas' USING HINT = 'rate_limited';
+    END IF;
+
+    -- Cada nivel puntúa en su escala: 800 puntos en el tiempo par, 200 menos por cada tiempo par más
+    v_points := GREATEST(1000 - FLOOR(200 * p_completion_time / v_par_time)::INTEGER, 100);
+
+    INSERT INTO level_completions (id, player_id, season_id, level_id, completion_time, points, replay)
+    VALUES (p_id, p_player_id, v_season_id, p_level_id, p_completion_time, v_points, p_replay);
+
+    RETURN v_points;
+END;
+$$;
+
+-- La temporada activa se recalcula con la nueva escala para que todas sus completaciones
+-- se comparen igual; las temporadas archivadas conservan sus puntos finales
+UPDATE level_completions lc
+SET points = GREATEST(1000 - FLOOR(200 * lc.completion_time / r.par_time)::INTEGER, 100)
+FROM level_scoring_rules r
+WHERE r.level_id = lc.level_id
+  AND lc.season_id = current_season_id();
@@ -0,0 +1,311 @@
+-- ========================================
+-- AÑADIR IDENTIDAD DE JUGADORES - Solo ejecutar este script
+-- Para bases de datos creadas antes de register_player (ejecutar después de supabase-add-score-validation.sql)
+-- Los jugadores existentes no tienen credenciales: el primer dispositivo que se registre con
+-- su nombre lo reclama (los clientes de la versión anterior lo hacen solos al abrir el juego)
+-- ========================================
+
+-- Nombres únicos sin distinguir mayúsculas: renombrar los repetidos que ya existan
+-- (se conserva el jugador más antiguo; los demás pasan a "Nombre (2)", "Nombre (3)"...)
+WITH duplicates AS (
+    SELECT id, name,
+           ROW_NUMBER() OVER (PARTITION BY lower(name) ORDER BY created_at, id) AS position
+    FROM players
+)
+UPDATE players p
+SET name = d.name || ' (' || d.position || ')'
+FROM duplicates d
+WHERE p.id = d.id AND d.position > 1;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_players_name_unique ON players (lower(name));
+
+-- Credenciales de cada jugador (sin acceso público)
+CREATE TABLE IF NOT EXISTS player_credentials (
+    player_id UUID PRIMARY KEY REFERENCES players(id) ON DELETE CASCADE,
+    token_hash TEXT NOT NULL,
+    recovery_hash TEXT NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE player_credentials ENABLE ROW LEVEL SECURITY;
+
+-- Quitar la inserción directa de jugadores y fantasmas
+DROP POLICY IF EXISTS "Allow public insert on players" ON players;
+DROP POLICY IF EXISTS "Allow public insert on level_ghosts" ON level_ghosts;
+
+-- Las funciones de puntuación ahora piden el token del jugador (cambia su firma)
+DROP FUNCTION IF EXISTS submit_level_completion(UUID, UUID, INTEGER, FLOAT, TEXT);
+DROP FUNCTION IF EXISTS submit_daily_result(UUID, UUID, DATE, FLOAT);
+
+-- ========================================
+-- FUNCIONES DE JUGADORES (RPC)
+-- ========================================
+-- Cada dispositivo genera un token secreto y el jugador un código de recuperación;
+-- en la base de datos solo se guardan sus hashes (player_credentials, sin acceso público).
+-- El motivo de cada rechazo va en el HINT ('invalid_token', 'invalid_recovery').
+
+-- Hash de los secretos del jugador (SHA-256 en hexadecimal)
+CREATE OR REPLACE FUNCTION hash_player_secret(p_secret TEXT)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT encode(sha256(convert_to(p_secret, 'UTF8')), 'hex');
+$$;
+
+-- Comprueba el token de un jugador (lo usan las funciones que guardan resultados)
+CREATE OR REPLACE FUNCTION check_player_token(p_player_id UUID, p_token TEXT)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM player_credentials
+        WHERE player_id = p_player_id
+          AND token_hash = hash_player_secret(p_token)
+    ) THEN
+        RAISE EXCEPTION 'Credenciales del jugador no válidas' USING HINT = 'invalid_token';
+    END IF;
+END;
+$$;
+
+-- Registra un jugador nuevo con las credenciales de este dispositivo
+-- Un nombre en uso devuelve 23505 (índice idx_players_name_unique)
+CREATE OR REPLACE FUNCTION register_player(
+    p_id UUID,
+    p_name TEXT,
+    p_token TEXT,
+    p_recovery_code TEXT
+)
+RETURNS players
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_player players;
+BEGIN
+    IF p_token IS NULL OR length(p_token) < 32 OR p_recovery_code IS NULL OR length(p_recovery_code) < 12 THEN
+        RAISE EXCEPTION 'Credenciales incompletas' USING HINT = 'invalid_token';
+    END IF;
+
+    -- Reintento de un registro que ya llegó
+    SELECT * INTO v_player FROM players WHERE id = p_id;
+    IF FOUND THEN
+        PERFORM check_player_token(p_id, p_token);
+        RETURN v_player;
+    END IF;
+
+    -- Jugador de antes de las credenciales: lo reclama el primer dispositivo que usa su nombre
+    SELECT p.* INTO v_player
+    FROM players p
+    WHERE lower(p.name) = lower(p_name)
+      AND NOT EXISTS (SELECT 1 FROM player_credentials c WHERE c.player_id = p.id);
+    IF FOUND THEN
+        INSERT INTO player_credentials (player_id, token_hash, recovery_hash)
+        VALUES (v_player.id, hash_player_secret(p_token), hash_player_secret(p_recovery_code));
+        RETURN v_player;
+    END IF;
+
+    INSERT INTO players (id, name) VALUES (p_id, p_name) RETURNING * INTO v_player;
+    INSERT INTO player_credentials (player_id, token_hash, recovery_hash)
+    VALUES (p_id, hash_player_secret(p_token), hash_player_secret(p_recovery_code));
+
+    RETURN v_player;
+END;
+$$;
+
+-- Recupera un perfil en otro dispositivo con el nombre y el código de recuperación
+-- El token anterior deja de valer: el perfil pasa al nuevo dispositivo
+CREATE OR REPLACE FUNCTION recover_player(
+    p_name TEXT,
+    p_recovery_code TEXT,
+    p_new_token TEXT
+)
+RETURNS players
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_player players;
+BEGIN
+    IF p_new_token IS NULL OR length(p_new_token) < 32 THEN
+        RAISE EXCEPTION 'Credenciales incompletas' USING HINT = 'invalid_token';
+    END IF;
+
+    SELECT p.* INTO v_player
+    FROM players p
+    JOIN player_credentials c ON c.player_id = p.id
+    WHERE lower(p.name) = lower(p_name)
+      AND c.recovery_hash = hash_player_secret(p_recovery_code);
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Nombre o código de recuperación incorrectos' USING HINT = 'invalid_recovery';
+    END IF;
+
+    UPDATE player_credentials
+    SET token_hash = hash_player_secret(p_new_token), updated_at = NOW()
+    WHERE player_id = v_player.id;
+
+    RETURN v_player;
+END;
+$$;
+
+-- ========================================
+-- FUNCIONES DE PUNTUACIÓN (RPC)
+-- ========================================
+-- El cliente solo envía el tiempo (y el token del jugador): el servidor calcula los puntos
+-- (misma fórmula que RANKING_CONFIG.scoring.points), rechaza tiempos imposibles y limita los envíos.
+-- El motivo de cada rechazo va en el HINT ('invalid_token', 'invalid_level', 'invalid_time',
+-- 'invalid_replay', 'invalid_ghost', 'rate_limited', 'challenge_closed').
+-- Reenviar el mismo id devuelve los puntos ya guardados (reintentos de la cola offline).
+
+CREATE OR REPLACE FUNCTION submit_level_completion(
+    p_id UUID,
+    p_player_id UUID,
+    p_token TEXT,
+    p_level_id INTEGER,
+    p_completion_time FLOAT,
+    p_replay TEXT DEFAULT NULL
+)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_points INTEGER;
+    v_min_time FLOAT;
+    v_recent INTEGER;
+BEGIN
+    PERFORM check_player_token(p_player_id, p_token);
+
+    -- Reintento de un envío que ya llegó
+    SELECT points INTO v_points FROM level_completions WHERE id = p_id;
+    IF FOUND THEN
+        RETURN v_points;
+    END IF;
+
+    SELECT min_time INTO v_min_time FROM level_scoring_rules WHERE level_id = p_level_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'El nivel % no puntúa', p_level_id USING HINT = 'invalid_level';
+    END IF;
+
+    IF p_completion_time IS NULL OR p_completion_time = 'NaN'::FLOAT
+        OR p_completion_time < v_min_time OR p_completion_time > 86400 THEN
+        RAISE EXCEPTION 'Tiempo no válido: % (mínimo %s)', p_completion_time, v_min_time
+            USING HINT = 'invalid_time';
+    END IF;
+
+    IF p_replay IS NOT NULL AND length(p_replay) > 1000000 THEN
+        RAISE EXCEPTION 'Repetición demasiado grande' USING HINT = 'invalid_replay';
+    END IF;
+
+    -- Límite de envíos: 10 completaciones por jugador por minuto
+    SELECT COUNT(*) INTO v_recent
+    FROM level_completions
+    WHERE player_id = p_player_id
+      AND completed_at > NOW() - INTERVAL '60 seconds';
+    IF v_recent >= 10 THEN
+        RAISE EXCEPTION 'Demasiadas completaciones seguidas' USING HINT = 'rate_limited';
+    END IF;
+
+    v_points := GREATEST(1000 - FLOOR(p_completion_time * 0.8)::INTEGER, 100);
+
+    INSERT INTO level_completions (id, player_id, level_id, completion_time, points, replay)
+    VALUES (p_id, p_player_id, p_level_id, p_completion_time, v_points, p_replay);
+
+    RETURN v_points;
+END;
+$$;
+
+-- Desafío diario: solo el día UTC en curso, un resultado por jugador (UNIQUE de la tabla)
+CREATE OR REPLACE FUNCTION submit_daily_result(
+    p_id UUID,
+    p_player_id UUID,
+    p_token TEXT,
+    p_challenge_date DATE,
+    p_completion_time FLOAT
+)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_points INTEGER;
+BEGIN
+    PERFORM check_player_token(p_player_id, p_token);
+
+    SELECT points INTO v_points FROM daily_challenge_results WHERE id = p_id;
+    IF FOUND THEN
+        RETURN v_points;
+    END IF;
+
+    IF p_challenge_date IS DISTINCT FROM (NOW() AT TIME ZONE 'utc')::date THEN
+        RAISE EXCEPTION 'El desafío % ya no acepta resultados', p_challenge_date
+            USING HINT = 'challenge_closed';
+    END IF;
+
+    IF p_completion_time IS NULL OR p_completion_time = 'NaN'::FLOAT
+        OR p_completion_time < 5 OR p_completion_time > 86400 THEN
+        RAISE EXCEPTION 'Tiempo no válido: %', p_completion_time USING HINT = 'invalid_time';
+    END IF;
+
+    v_points := GREATEST(1000 - FLOOR(p_completion_time * 0.8)::INTEGER, 100);
+
+    INSERT INTO daily_challenge_results (id, player_id, challenge_date, completion_time, points)
+    VALUES (p_id, p_player_id, p_challenge_date, p_completion_time, v_points);
+
+    RETURN v_points;
+END;
+$$;
+
+-- Fantasma: solo de un tiempo que el jugador tiene guardado en level_completions
+CREATE OR REPLACE FUNCTION submit_ghost(
+    p_player_id UUID,
+    p_token TEXT,
+    p_level_id INTEGER,
+    p_completion_time FLOAT,
+    p_trajectory TEXT
+)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    PERFORM check_player_token(p_player_id, p_token);
+
+    IF NOT EXISTS (
+        SELECT 1 FROM level_completions
+        WHERE player_id = p_player_id
+          AND level_id = p_level_id
+          AND abs(completion_time - p_completion_time) < 0.001
+    ) THEN
+        RAISE EXCEPTION 'No hay una completación con ese tiempo' USING HINT = 'invalid_ghost';
+    END IF;
+
+    IF p_trajectory IS NULL OR length(p_trajectory) > 1000000 THEN
+        RAISE EXCEPTION 'Trayectoria no válida' USING HINT = 'invalid_ghost';
+    END IF;
+
+    INSERT INTO level_ghosts (player_id, level_id, completion_time, trajectory)
+    VALUES (p_player_id, p_level_id, p_completion_time, p_trajectory);
+END;
+$$;
+
+-- Solo las funciones RPC son públicas (las tablas no admiten INSERT directo)
+REVOKE ALL ON FUNCTION check_player_token(UUID, TEXT) FROM PUBLIC;
+REVOKE ALL ON FUNCTION register_player(UUID, TEXT, TEXT, TEXT) FROM PUBLIC;
+REVOKE ALL ON FUNCTION recover_player(TEXT, TEXT, TEXT) FROM PUBLIC;
+REVOKE ALL ON FUNCTION submit_level_completion(UUID, UUID, TEXT, INTEGER, FLOAT, TEXT) FROM PUBLIC;
+REVOKE ALL ON FUNCTION submit_daily_result(UUID, UUID, TEXT, DATE, FLOAT) FROM PUBLIC;
+REVOKE ALL ON FUNCTION submit_ghost(UUID, TEXT, INTEGER, FLOAT, TEXT) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION register_player(UUID, TEXT, TEXT, TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION recover_player(TEXT, TEXT, TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION submit_level_completion(UUID, UUID, TEXT, INTEGER, FLOAT, TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION submit_daily_result(UUID, UUID, TEXT, DATE, FLOAT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION submit_ghost(UUID, TEXT, INTEGER, FLOAT, TEXT) TO anon, authenticated;
@@ -0,0 +1,23 @@
+-- ========================================
+-- AÑADIR RANKINGS EN VIVO - Solo ejecutar este script
+-- Para bases de datos creadas antes de que level_completions estuviera en la publicación realtime
+-- (o publicada con todas sus columnas); necesita las temporadas: ejecutar después de supabase-add-seasons.sql
+-- ========================================
+
+-- La pantalla de rankings escucha los INSERT de level_completions por un canal realtime
+-- Solo se publican las columnas del ranking: la repetición (replay) no viaja a cada cliente.
+-- Si la tabla ya estaba publicada se vuelve a añadir con la lista de columnas
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM pg_publication_tables
+        WHERE pubname = 'supabase_realtime'
+          AND schemaname = 'public'
+          AND tablename = 'level_completions'
+    ) THEN
+        ALTER PUBLICATION supabase_realtime DROP TABLE level_completions;
+    END IF;
+    ALTER PUBLICATION supabase_realtime
+        ADD TABLE level_completions (id, player_id, season_id, level_id, completion_time, points, completed_at);
+END;
+$$;
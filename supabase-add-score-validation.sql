@@ -0,0 +1,139 @@
+-- ========================================
+-- AÑADIR VALIDACIÓN DE PUNTUACIONES EN EL SERVIDOR - Solo ejecutar este script
+-- Para bases de datos creadas antes de submit_level_completion / submit_daily_result
+-- Después de ejecutarlo, los clientes antiguos (que insertan directamente) dejan de poder guardar
+-- ========================================
+
+-- Repetición adjunta a cada completación (para verificarla más tarde)
+ALTER TABLE level_completions ADD COLUMN IF NOT EXISTS replay TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_level_completions_player_recent ON level_completions(player_id, completed_at);
+
+-- Reglas de puntuación por nivel (mismos valores que config/ranking.config.js)
+CREATE TABLE IF NOT EXISTS level_scoring_rules (
+    level_id INTEGER PRIMARY KEY,
+    min_time FLOAT NOT NULL
+);
+
+INSERT INTO level_scoring_rules (level_id, min_time) VALUES
+    (1, 5), (2, 8), (3, 10), (4, 10), (5, 15), (6, 15)
+ON CONFLICT (level_id) DO NOTHING;
+
+ALTER TABLE level_scoring_rules ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow public read access on level_scoring_rules" ON level_scoring_rules;
+CREATE POLICY "Allow public read access on level_scoring_rules"
+    ON level_scoring_rules FOR SELECT
+    USING (true);
+
+-- Quitar la inserción directa: solo se puede guardar a través de las funciones
+DROP POLICY IF EXISTS "Allow public insert on level_completions" ON level_completions;
+DROP POLICY IF EXISTS "Allow public insert on daily_challenge_results" ON daily_challenge_results;
+
+-- Funciones de puntuación (copia de supabase-setup.sql)
+-- El cliente solo envía el tiempo: el servidor calcula los puntos (misma fórmula que
+-- RANKING_CONFIG.scoring.points), rechaza tiempos imposibles y limita los envíos.
+-- El motivo de cada rechazo va en el HINT ('invalid_level', 'invalid_time',
+-- 'invalid_replay', 'rate_limited', 'challenge_closed').
+-- Reenviar el mismo id devuelve los puntos ya guardados (reintentos de la cola offline).
+
+CREATE OR REPLACE FUNCTION submit_level_completion(
+    p_id UUID,
+    p_player_id UUID,
+    p_level_id INTEGER,
+    p_completion_time FLOAT,
+    p_replay TEXT DEFAULT NULL
+)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_points INTEGER;
+    v_min_time FLOAT;
+    v_recent INTEGER;
+BEGIN
+    -- Reintento de un envío que ya llegó
+    SELECT points INTO v_points FROM level_completions WHERE id = p_id;
+    IF FOUND THEN
+        RETURN v_points;
+    END IF;
+
+    SELECT min_time INTO v_min_time FROM level_scoring_rules WHERE level_id = p_level_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'El nivel % no puntúa', p_level_id USING HINT = 'invalid_level';
+    END IF;
+
+    IF p_completion_time IS NULL OR p_completion_time = 'NaN'::FLOAT
+        OR p_completion_time < v_min_time OR p_completion_time > 86400 THEN
+        RAISE EXCEPTION 'Tiempo no válido: % (mínimo %s)', p_completion_time, v_min_time
+            USING HINT = 'invalid_time';
+    END IF;
+
+    IF p_replay IS NOT NULL AND length(p_replay) > 1000000 THEN
+        RAISE EXCEPTION 'Repetición demasiado grande' USING HINT = 'invalid_replay';
+    END IF;
+
+    -- Límite de envíos: 10 completaciones por jugador por minuto
+    SELECT COUNT(*) INTO v_recent
+    FROM level_completions
+    WHERE player_id = p_player_id
+      AND completed_at > NOW() - INTERVAL '60 seconds';
+    IF v_recent >= 10 THEN
+        RAISE EXCEPTION 'Demasiadas completaciones seguidas' USING HINT = 'rate_limited';
+    END IF;
+
+    v_points := GREATEST(1000 - FLOOR(p_completion_time * 0.8)::INTEGER, 100);
+
+    INSERT INTO level_completions (id, player_id, level_id, completion_time, points, replay)
+    VALUES (p_id, p_player_id, p_level_id, p_completion_time, v_points, p_replay);
+
+    RETURN v_points;
+END;
+$$;
+
+-- Desafío diario: solo el día UTC en curso, un resultado por jugador (UNIQUE de la tabla)
+CREATE OR REPLACE FUNCTION submit_daily_result(
+    p_id UUID,
+    p_player_id UUID,
+    p_challenge_date DATE,
+    p_completion_time FLOAT
+)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_points INTEGER;
+BEGIN
+    SELECT points INTO v_points FROM daily_challenge_results WHERE id = p_id;
+    IF FOUND THEN
+        RETURN v_points;
+    END IF;
+
+    IF p_challenge_date IS DISTINCT FROM (NOW() AT TIME ZONE 'utc')::date THEN
+        RAISE EXCEPTION 'El desafío % ya no acepta resultados', p_challenge_date
+            USING HINT = 'challenge_closed';
+    END IF;
+
+    IF p_completion_time IS NULL OR p_completion_time = 'NaN'::FLOAT
+        OR p_completion_time < 5 OR p_completion_time > 86400 THEN
+        RAISE EXCEPTION 'Tiempo no válido: %', p_completion_time USING HINT = 'invalid_time';
+    END IF;
+
+    v_points := GREATEST(1000 - FLOOR(p_completion_time * 0.8)::INTEGER, 100);
+
+    INSERT INTO daily_challenge_results (id, player_id, challenge_date, completion_time, points)
+    VALUES (p_id, p_player_id, p_challenge_date, p_completion_time, v_points);
+
+    RETURN v_points;
+END;
+$$;
+
+-- Solo las funciones son públicas (las tablas no admiten INSERT directo)
+REVOKE ALL ON FUNCTION submit_level_completion(UUID, UUID, INTEGER, FLOAT, TEXT) FROM PUBLIC;
+REVOKE ALL ON FUNCTION submit_daily_result(UUID, UUID, DATE, FLOAT) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION submit_level_completion(UUID, UUID, INTEGER, FLOAT, TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION submit_daily_result(UUID, UUID, DATE, FLOAT) TO anon, authenticated;
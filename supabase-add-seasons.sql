@@ -0,0 +1,213 @@
+-- ========================================
+-- AÑADIR TEMPORADAS - Solo ejecutar este script
+-- Para bases de datos creadas antes de la tabla seasons (después, ejecutar supabase-add-realtime.sql:
+-- la publicación realtime incluye la columna season_id)
+-- Todas las completaciones que ya existen pasan a la "Temporada 1", que queda activa
+-- ========================================
+
+-- Tabla de temporadas (solo una activa: ends_at NULL)
+CREATE TABLE IF NOT EXISTS seasons (
+    id SERIAL PRIMARY KEY,
+    name TEXT NOT NULL,
+    starts_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    ends_at TIMESTAMP WITH TIME ZONE,
+    CHECK (ends_at IS NULL OR ends_at >= starts_at)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_seasons_active ON seasons ((ends_at IS NULL)) WHERE ends_at IS NULL;
+
+CREATE OR REPLACE FUNCTION current_season_id()
+RETURNS INTEGER
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT id FROM seasons WHERE ends_at IS NULL;
+$$;
+
+-- La primera temporada empieza con la primera completación guardada
+INSERT INTO seasons (name, starts_at)
+SELECT 'Temporada 1', COALESCE((SELECT MIN(completed_at) FROM level_completions), NOW())
+WHERE NOT EXISTS (SELECT 1 FROM seasons);
+
+ALTER TABLE seasons ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow public read access on seasons" ON seasons;
+CREATE POLICY "Allow public read access on seasons"
+    ON seasons FOR SELECT
+    USING (true);
+
+-- Temporada de cada completación
+ALTER TABLE level_completions ADD COLUMN IF NOT EXISTS season_id INTEGER REFERENCES seasons(id);
+UPDATE level_completions SET season_id = current_season_id() WHERE season_id IS NULL;
+ALTER TABLE level_completions ALTER COLUMN season_id SET DEFAULT current_season_id();
+ALTER TABLE level_completions ALTER COLUMN season_id SET NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_level_completions_season_level ON level_completions(season_id, level_id);
+
+-- Las completaciones se guardan en la temporada activa
+CREATE OR REPLACE FUNCTION submit_level_completion(
+    p_id UUID,
+    p_player_id UUID,
+    p_token TEXT,
+    p_level_id INTEGER,
+    p_completion_time FLOAT,
+    p_replay TEXT DEFAULT NULL
+)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_points INTEGER;
+    v_min_time FLOAT;
+    v_recent INTEGER;
+    v_season_id INTEGER;
+BEGIN
+    PERFORM check_player_token(p_player_id, p_token);
+
+    -- Reintento de un envío que ya llegó
+    SELECT points INTO v_points FROM level_completions WHERE id = p_id;
+    IF FOUND THEN
+        RETURN v_points;
+    END IF;
+
+    v_season_id := current_season_id();
+    IF v_season_id IS NULL THEN
+        RAISE EXCEPTION 'No hay ninguna temporada activa' USING HINT = 'season_closed';
+    END IF;
+
+    SELECT min_time INTO v_min_time FROM level_scoring_rules WHERE level_id = p_level_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'El nivel % no puntúa', p_level_id USING HINT = 'invalid_level';
+    END IF;
+
+    IF p_completion_time IS NULL OR p_completion_time = 'NaN'::FLOAT
+        OR p_completion_time < v_min_time OR p_completion_time > 86400 THEN
+        RAISE EXCEPTION 'Tiempo no válido: % (mínimo %s)', p_completion_time, v_min_time
+            USING HINT = 'invalid_time';
+    END IF;
+
+    IF p_replay IS NOT NULL AND length(p_replay) > 1000000 THEN
+        RAISE EXCEPTION 'Repetición demasiado grande' USING HINT = 'invalid_replay';
+    END IF;
+
+    -- Límite de envíos: 10 completaciones por jugador por minuto
+    SELECT COUNT(*) INTO v_recent
+    FROM level_completions
+    WHERE player_id = p_player_id
+      AND completed_at > NOW() - INTERVAL '60 seconds';
+    IF v_recent >= 10 THEN
+        RAISE EXCEPTION 'Demasiadas completaciones seguidas' USING HINT = 'rate_limited';
+    END IF;
+
+    v_points := GREATEST(1000 - FLOOR(p_completion_time * 0.8)::INTEGER, 100);
+
+    INSERT INTO level_completions (id, player_id, season_id, level_id, completion_time, points, replay)
+    VALUES (p_id, p_player_id, v_season_id, p_level_id, p_completion_time, v_points, p_replay);
+
+    RETURN v_points;
+END;
+$$;
+
+-- Vista: Ranking Global por Puntos (temporada activa)
+-- Suma SOLO los mejores puntos de cada nivel por jugador (una sola vez por nivel)
+-- rank: posición calculada en el servidor (los empates los gana quien llegó antes a esos puntos);
+-- al filtrar la vista por nombre o id se conserva la posición global
+CREATE OR REPLACE VIEW ranking_global AS
+SELECT 
+    p.id,
+    p.name,
+    COALESCE(SUM(best_attempts.best_points), 0) as total_points,
+    COUNT(DISTINCT best_attempts.level_id) as levels_completed,
+    COUNT(best_attempts.level_id) as total_completions,
+    MAX(best_attempts.completed_at) as last_completion,
+    ROW_NUMBER() OVER (
+        ORDER BY COALESCE(SUM(best_attempts.best_points), 0) DESC,
+                 MAX(best_attempts.best_points_at) ASC NULLS LAST,
+                 p.id
+    ) as rank
+FROM players p
+LEFT JOIN (
+    -- Subconsulta: obtener el MEJOR intento de cada jugador por nivel en la temporada activa
+    SELECT 
+        player_id,
+        level_id,
+        MAX(points) as best_points,
+        MAX(completed_at) as completed_at,
+        -- Cuándo se consiguió esa mejor puntuación (repetir el nivel peor no la cambia)
+        (ARRAY_AGG(completed_at ORDER BY points DESC, completed_at ASC))[1] as best_points_at
+    FROM level_completions
+    WHERE season_id = current_season_id()
+    GROUP BY player_id, level_id
+) best_attempts ON p.id = best_attempts.player_id
+GROUP BY p.id, p.name
+ORDER BY rank;
+
+-- Vista: Mejores tiempos por nivel (temporada activa)
+-- Muestra el mejor tiempo de cada jugador por nivel (una sola entrada por jugador/nivel)
+-- rank: posición dentro del nivel calculada en el servidor
+CREATE OR REPLACE VIEW ranking_by_level_time AS
+SELECT 
+    lc.level_id,
+    p.id as player_id,
+    p.name as player_name,
+    MIN(lc.completion_time) as best_time,
+    MAX(lc.points) as best_points,
+    MAX(lc.completed_at) as last_completion,
+    ROW_NUMBER() OVER (PARTITION BY lc.level_id ORDER BY MIN(lc.completion_time) ASC, p.id) as rank
+FROM level_completions lc
+JOIN players p ON lc.player_id = p.id
+WHERE lc.season_id = current_season_id()
+GROUP BY lc.level_id, p.id, p.name
+ORDER BY lc.level_id, rank;
+
+-- Vista: Clasificación por puntos de cada temporada (también las archivadas)
+-- Mismas columnas que ranking_global más season_id; solo aparecen los jugadores
+-- que completaron algún nivel en esa temporada
+CREATE OR REPLACE VIEW ranking_season_global AS
+SELECT 
+    best_attempts.season_id,
+    p.id,
+    p.name,
+    SUM(best_attempts.best_points) as total_points,
+    COUNT(DISTINCT best_attempts.level_id) as levels_completed,
+    COUNT(best_attempts.level_id) as total_completions,
+    MAX(best_attempts.completed_at) as last_completion,
+    ROW_NUMBER() OVER (
+        PARTITION BY best_attempts.season_id
+        ORDER BY SUM(best_attempts.best_points) DESC,
+                 MAX(best_attempts.best_points_at) ASC,
+                 p.id
+    ) as rank
+FROM players p
+JOIN (
+    SELECT 
+        season_id,
+        player_id,
+        level_id,
+        MAX(points) as best_points,
+        MAX(completed_at) as completed_at,
+        -- Cuándo se consiguió esa mejor puntuación (repetir el nivel peor no la cambia)
+        (ARRAY_AGG(completed_at ORDER BY points DESC, completed_at ASC))[1] as best_points_at
+    FROM level_completions
+    GROUP BY season_id, player_id, level_id
+) best_attempts ON p.id = best_attempts.player_id
+GROUP BY best_attempts.season_id, p.id, p.name
+ORDER BY best_attempts.season_id, rank;
+
+-- Vista: Mejores tiempos por nivel de cada temporada (también las archivadas)
+CREATE OR REPLACE VIEW ranking_season_level_time AS
+SELECT 
+    lc.season_id,
+    lc.level_id,
+    p.id as player_id,
+    p.name as player_name,
+    MIN(lc.completion_time) as best_time,
+    MAX(lc.points) as best_points,
+    MAX(lc.completed_at) as last_completion,
+    ROW_NUMBER() OVER (PARTITION BY lc.season_id, lc.level_id ORDER BY MIN(lc.completion_time) ASC, p.id) as rank
+FROM level_completions lc
+JOIN players p ON lc.player_id = p.id
+GROUP BY lc.season_id, lc.level_id, p.id, p.name
+ORDER BY lc.season_id, lc.level_id, rank;
@@ -19,47 +19,47 @@ INSERT INTO players (name) VALUES
 
 -- SpeedRunner: Muy rápido en todos los niveles (5 niveles)
 INSERT INTO level_completions (player_id, level_id, completion_time, points) 
-SELECT p.id, 1, 45.0, 964 FROM players p WHERE p.name = 'SpeedRunner';
+SELECT p.id, 1, 15.0, 800 FROM players p WHERE p.name = 'SpeedRunner';
 
 INSERT INTO level_completions (player_id, level_id, completion_time, points) 
-SELECT p.id, 2, 120.0, 904 FROM players p WHERE p.name = 'SpeedRunner';
+SELECT p.id, 2, 33.0, 780 FROM players p WHERE p.name = 'SpeedRunner';
 
 INSERT INTO level_completions (player_id, level_id, completion_time, points) 
-SELECT p.id, 3, 180.0, 856 FROM players p WHERE p.name = 'SpeedRunner';
+SELECT p.id, 3, 50.0, 778 FROM players p WHERE p.name = 'SpeedRunner';
 
 INSERT INTO level_completions (player_id, level_id, completion_time, points) 
-SELECT p.id, 4, 240.0, 808 FROM players p WHERE p.name = 'SpeedRunner';
+SELECT p.id, 4, 66.0, 780 FROM players p WHERE p.name = 'SpeedRunner';
 
 INSERT INTO level_completions (player_id, level_id, completion_time, points) 
-SELECT p.id, 5, 300.0, 760 FROM players p WHERE p.name = 'SpeedRunner';
+SELECT p.id, 5, 99.0, 780 FROM players p WHERE p.name = 'SpeedRunner';
 
 -- ProGamer: Tiempo promedio (3 niveles)
 INSERT INTO level_completions (player_id, level_id, completion_time, points) 
-SELECT p.id, 1, 300.0, 760 FROM players p WHERE p.name = 'ProGamer';
+SELECT p.id, 1, 30.0, 600 FROM players p WHERE p.name = 'ProGamer';
 
 INSERT INTO level_completions (player_id, level_id, completion_time, points) 
-SELECT p.id, 2, 450.0, 640 FROM players p WHERE p.name = 'ProGamer';
+SELECT p.id, 2, 66.0, 560 FROM players p WHERE p.name = 'ProGamer';
 
 INSERT INTO level_completions (player_id, level_id, completion_time, points) 
-SELECT p.id, 3, 600.0, 520 FROM players p WHERE p.name = 'ProGamer';
+SELECT p.id, 3, 100.0, 556 FROM players p WHERE p.name = 'ProGamer';
 
 -- CasualPlayer: Tiempo normal (2 niveles)
 INSERT INTO level_completions (player_id, level_id, completion_time, points) 
-SELECT p.id, 1, 500.0, 600 FROM players p WHERE p.name = 'CasualPlayer';
+SELECT p.id, 1, 45.0, 400 FROM players p WHERE p.name = 'CasualPlayer';
 
 INSERT INTO level_completions (player_id, level_id, completion_time, points) 
-SELECT p.id, 2, 700.0, 440 FROM players p WHERE p.name = 'CasualPlayer';
+SELECT p.id, 2, 95.0, 367 FROM players p WHERE p.name = 'CasualPlayer';
 
 -- Principiante: Lento pero completa (1 nivel)
 INSERT INTO level_completions (player_id, level_id, completion_time, points) 
-SELECT p.id, 1, 1200.0, 100 FROM players p WHERE p.name = 'Principiante';
+SELECT p.id, 1, 80.0, 100 FROM players p WHERE p.name = 'Principiante';
 
 -- MazeExpert: Excelente en niveles específicos (2 niveles, muy rápido)
 INSERT INTO level_completions (player_id, level_id, completion_time, points) 
-SELECT p.id, 1, 30.0, 976 FROM players p WHERE p.name = 'MazeExpert';
+SELECT p.id, 1, 13.0, 827 FROM players p WHERE p.name = 'MazeExpert';
 
 INSERT INTO level_completions (player_id, level_id, completion_time, points) 
-SELECT p.id, 3, 90.0, 928 FROM players p WHERE p.name = 'MazeExpert';
+SELECT p.id, 3, 40.0, 823 FROM players p WHERE p.name = 'MazeExpert';
 
 -- 4. VERIFICAR DATOS INSERTADOS
 SELECT 
@@ -6,9 +6,12 @@
 -- ADVERTENCIA: Este script eliminará TODOS los datos de la base de datos
 -- Las tablas, vistas, índices y políticas permanecerán intactas
 -- Solo se borrarán los registros
+-- Para empezar de cero los rankings sin perder el historial usa supabase-new-season.sql
 
--- 1. Borrar todas las completaciones de niveles
+-- 1. Borrar todas las completaciones de niveles, fantasmas y desafíos diarios
 DELETE FROM level_completions;
+DELETE FROM level_ghosts;
+DELETE FROM daily_challenge_results;
 
 -- 2. Borrar todos los jugadores
 DELETE FROM players;
@@ -19,10 +22,16 @@ DELETE FROM players;
 -- Verificar que todo está vacío
 SELECT 'players' as tabla, COUNT(*) as registros FROM players
 UNION ALL
-SELECT 'level_completions' as tabla, COUNT(*) as registros FROM level_completions;
+SELECT 'level_completions' as tabla, COUNT(*) as registros FROM level_completions
+UNION ALL
+SELECT 'level_ghosts' as tabla, COUNT(*) as registros FROM level_ghosts
+UNION ALL
+SELECT 'daily_challenge_results' as tabla, COUNT(*) as registros FROM daily_challenge_results;
 
 -- Resultado esperado:
 -- tabla               | registros
 -- --------------------|-----------
 -- players             | 0
 -- level_completions   | 0
+-- level_ghosts        | 0
+-- daily_challenge_results | 0
@@ -0,0 +1,18 @@
+-- ========================================
+-- NUEVA TEMPORADA - Cerrar la temporada activa y empezar otra
+-- Sustituye a supabase-clear-data.sql para "reiniciar" los rankings:
+-- no borra nada, la temporada cerrada queda archivada con su clasificación final
+-- (vistas ranking_season_global y ranking_season_level_time)
+-- ========================================
+
+-- Cambia el nombre de la nueva temporada antes de ejecutar
+BEGIN;
+
+UPDATE seasons SET ends_at = NOW() WHERE ends_at IS NULL;
+
+INSERT INTO seasons (name) VALUES ('Temporada 2');
+
+COMMIT;
+
+-- Verificar: la nueva temporada es la única sin ends_at
+SELECT id, name, starts_at, ends_at FROM seasons ORDER BY starts_at DESC;
@@ -6,16 +6,38 @@
 -- 1. Borrar vistas (deben ir primero)
 DROP VIEW IF EXISTS ranking_global;
 DROP VIEW IF EXISTS ranking_by_level_time;
+DROP VIEW IF EXISTS ranking_daily;
+DROP VIEW IF EXISTS ranking_season_global;
+DROP VIEW IF EXISTS ranking_season_level_time;
 
 -- 2. Borrar políticas existentes
 DROP POLICY IF EXISTS "Allow public read access on players" ON players;
 DROP POLICY IF EXISTS "Allow public insert on players" ON players;
 DROP POLICY IF EXISTS "Allow public read access on level_completions" ON level_completions;
 DROP POLICY IF EXISTS "Allow public insert on level_completions" ON level_completions;
+DROP POLICY IF EXISTS "Allow public read access on level_ghosts" ON level_ghosts;
+DROP POLICY IF EXISTS "Allow public insert on level_ghosts" ON level_ghosts;
+DROP POLICY IF EXISTS "Allow public read access on daily_challenge_results" ON daily_challenge_results;
+DROP POLICY IF EXISTS "Allow public insert on daily_challenge_results" ON daily_challenge_results;
+
+-- Borrar funciones de jugadores y de puntuación
+DROP FUNCTION IF EXISTS register_player(UUID, TEXT, TEXT, TEXT);
+DROP FUNCTION IF EXISTS recover_player(TEXT, TEXT, TEXT);
+DROP FUNCTION IF EXISTS check_player_token(UUID, TEXT);
+DROP FUNCTION IF EXISTS hash_player_secret(TEXT);
+DROP FUNCTION IF EXISTS submit_level_completion(UUID, UUID, TEXT, INTEGER, FLOAT, TEXT);
+DROP FUNCTION IF EXISTS submit_daily_result(UUID, UUID, TEXT, DATE, FLOAT);
+DROP FUNCTION IF EXISTS submit_ghost(UUID, TEXT, INTEGER, FLOAT, TEXT);
 
 -- 3. Borrar tablas (CASCADE elimina las foreign keys)
+DROP TABLE IF EXISTS level_ghosts CASCADE;
+DROP TABLE IF EXISTS daily_challenge_results CASCADE;
 DROP TABLE IF EXISTS level_completions CASCADE;
+DROP TABLE IF EXISTS level_scoring_rules CASCADE;
+DROP TABLE IF EXISTS player_credentials CASCADE;
 DROP TABLE IF EXISTS players CASCADE;
+DROP TABLE IF EXISTS seasons CASCADE;
+DROP FUNCTION IF EXISTS current_season_id();
 
 -- ========================================
 -- AHORA EJECUTA EL ARCHIVO supabase-setup.sql COMPLETO
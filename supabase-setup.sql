@@ -4,28 +4,119 @@
 -- ========================================
 
 -- 1. Tabla de jugadores
--- Almacena información básica de cada jugador
+-- Almacena información básica de cada jugador (los nombres son únicos, sin distinguir mayúsculas)
+-- Solo se escribe a través de register_player
+-- Nombres de 2 a 20 caracteres: letras (también con tilde y ñ), números, espacios, '_', '.' y '-'
+-- (las mismas reglas que isValidPlayerName en utils/rankingBackend.js)
 CREATE TABLE IF NOT EXISTS players (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     name TEXT NOT NULL,
-    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT players_name_format CHECK (
+        char_length(name) BETWEEN 2 AND 20
+        AND name = btrim(name)
+        AND name ~ '^[A-Za-z0-9À-ÖØ-öø-ÿ _.-]+$'
+    )
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_players_name_unique ON players (lower(name));
+
+-- Credenciales de cada jugador: hash del token del dispositivo y del código de recuperación
+-- Sin políticas RLS: nadie puede leerla, solo las funciones de jugadores y puntuación
+CREATE TABLE IF NOT EXISTS player_credentials (
+    player_id UUID PRIMARY KEY REFERENCES players(id) ON DELETE CASCADE,
+    token_hash TEXT NOT NULL,
+    recovery_hash TEXT NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 2. Tabla de temporadas
+-- Los rankings solo cuentan las completaciones de la temporada activa (ends_at NULL);
+-- las anteriores quedan archivadas con su clasificación final (ver supabase-new-season.sql)
+CREATE TABLE IF NOT EXISTS seasons (
+    id SERIAL PRIMARY KEY,
+    name TEXT NOT NULL,
+    starts_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    ends_at TIMESTAMP WITH TIME ZONE,
+    CHECK (ends_at IS NULL OR ends_at >= starts_at)
 );
 
--- 2. Tabla de completaciones de niveles
+-- Solo puede haber una temporada activa
+CREATE UNIQUE INDEX IF NOT EXISTS idx_seasons_active ON seasons ((ends_at IS NULL)) WHERE ends_at IS NULL;
+
+-- Temporada activa (NULL si no hay ninguna)
+CREATE OR REPLACE FUNCTION current_season_id()
+RETURNS INTEGER
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT id FROM seasons WHERE ends_at IS NULL;
+$$;
+
+INSERT INTO seasons (name)
+SELECT 'Temporada 1'
+WHERE NOT EXISTS (SELECT 1 FROM seasons);
+
+-- 3. Tabla de completaciones de niveles
 -- Registra cada vez que un jugador completa un nivel
+-- Solo se escribe a través de submit_level_completion (los puntos los calcula el servidor)
 CREATE TABLE IF NOT EXISTS level_completions (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     player_id UUID NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    season_id INTEGER NOT NULL DEFAULT current_season_id() REFERENCES seasons(id),  -- Temporada activa al guardarla
     level_id INTEGER NOT NULL,
     completion_time FLOAT NOT NULL,
     points INTEGER NOT NULL,
+    replay TEXT,  -- Repetición de la partida (core/Replay.js) para verificarla más tarde
     completed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
--- 3. Índices para mejorar el rendimiento de las consultas
+-- 4. Tabla de fantasmas (trayectoria de los mejores tiempos de cada jugador)
+-- Solo se escribe a través de submit_ghost
+CREATE TABLE IF NOT EXISTS level_ghosts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    player_id UUID NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    level_id INTEGER NOT NULL,
+    completion_time FLOAT NOT NULL,
+    trajectory TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 5. Tabla del desafío diario
+-- Un solo resultado por jugador y día (el primer intento es el único que puntúa)
+CREATE TABLE IF NOT EXISTS daily_challenge_results (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    player_id UUID NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    challenge_date DATE NOT NULL,
+    completion_time FLOAT NOT NULL,
+    points INTEGER NOT NULL,
+    completed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (player_id, challenge_date)
+);
+
+-- 6. Reglas de puntuación por nivel
+-- Tiempo mínimo creíble de cada nivel; un nivel que no aparece aquí no puntúa
+-- (mismos valores que RANKING_CONFIG.scoring.minTimeByLevel en config/ranking.config.js)
+-- par_time: tiempo par del nivel, escala de sus puntos (el "parTime" de levels/nivel-N.json,
+-- igual que RANKING_CONFIG.scoring.parTimeByLevel)
+CREATE TABLE IF NOT EXISTS level_scoring_rules (
+    level_id INTEGER PRIMARY KEY,
+    min_time FLOAT NOT NULL,
+    par_time FLOAT NOT NULL CHECK (par_time > 0)
+);
+
+INSERT INTO level_scoring_rules (level_id, min_time, par_time) VALUES
+    (1, 5, 15), (2, 8, 30), (3, 10, 45), (4, 10, 60), (5, 15, 90), (6, 15, 150)
+ON CONFLICT (level_id) DO NOTHING;
+
+-- 7. Índices para mejorar el rendimiento de las consultas
 CREATE INDEX IF NOT EXISTS idx_level_completions_player_id ON level_completions(player_id);
+CREATE INDEX IF NOT EXISTS idx_level_completions_player_recent ON level_completions(player_id, completed_at);
 CREATE INDEX IF NOT EXISTS idx_level_completions_level_id ON level_completions(level_id);
+CREATE INDEX IF NOT EXISTS idx_level_completions_season_level ON level_completions(season_id, level_id);
 CREATE INDEX IF NOT EXISTS idx_level_completions_time ON level_completions(completion_time);
+CREATE INDEX IF NOT EXISTS idx_level_ghosts_player_level ON level_ghosts(player_id, level_id, completion_time);
+CREATE INDEX IF NOT EXISTS idx_daily_challenge_date_time ON daily_challenge_results(challenge_date, completion_time);
 
 -- ========================================
 -- CONFIGURACIÓN DE SEGURIDAD (RLS)
@@ -33,7 +124,12 @@ CREATE INDEX IF NOT EXISTS idx_level_completions_time ON level_completions(compl
 
 -- Habilitar Row Level Security
 ALTER TABLE players ENABLE ROW LEVEL SECURITY;
+ALTER TABLE player_credentials ENABLE ROW LEVEL SECURITY;
+ALTER TABLE seasons ENABLE ROW LEVEL SECURITY;
 ALTER TABLE level_completions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE level_ghosts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE daily_challenge_results ENABLE ROW LEVEL SECURITY;
+ALTER TABLE level_scoring_rules ENABLE ROW LEVEL SECURITY;
 
 -- Políticas para la tabla 'players'
 -- Permitir lectura pública
@@ -41,10 +137,12 @@ CREATE POLICY "Allow public read access on players"
     ON players FOR SELECT
     USING (true);
 
--- Permitir inserción pública (para crear nuevos jugadores)
-CREATE POLICY "Allow public insert on players"
-    ON players FOR INSERT
-    WITH CHECK (true);
+-- Sin política de inserción: los jugadores solo se crean por register_player
+
+-- Políticas para la tabla 'seasons' (solo lectura: las temporadas se abren con supabase-new-season.sql)
+CREATE POLICY "Allow public read access on seasons"
+    ON seasons FOR SELECT
+    USING (true);
 
 -- Políticas para la tabla 'level_completions'
 -- Permitir lectura pública
@@ -52,17 +150,338 @@ CREATE POLICY "Allow public read access on level_completions"
     ON level_completions FOR SELECT
     USING (true);
 
--- Permitir inserción pública (para guardar completaciones)
-CREATE POLICY "Allow public insert on level_completions"
-    ON level_completions FOR INSERT
-    WITH CHECK (true);
+-- Sin política de inserción: las completaciones solo entran por submit_level_completion
+
+-- Políticas para la tabla 'level_ghosts'
+CREATE POLICY "Allow public read access on level_ghosts"
+    ON level_ghosts FOR SELECT
+    USING (true);
+
+-- Sin política de inserción: los fantasmas solo entran por submit_ghost
+
+-- Políticas para la tabla 'daily_challenge_results'
+CREATE POLICY "Allow public read access on daily_challenge_results"
+    ON daily_challenge_results FOR SELECT
+    USING (true);
+
+-- Sin política de inserción: los resultados solo entran por submit_daily_result
+
+-- Políticas para la tabla 'level_scoring_rules' (solo lectura)
+CREATE POLICY "Allow public read access on level_scoring_rules"
+    ON level_scoring_rules FOR SELECT
+    USING (true);
+
+-- ========================================
+-- REALTIME
+-- ========================================
+-- Rankings en vivo: la pantalla de rankings escucha los INSERT de level_completions
+-- (los eventos respetan la política de lectura pública de la tabla)
+-- Solo se publican las columnas del ranking: la repetición (replay) no viaja a cada cliente
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_publication_tables
+        WHERE pubname = 'supabase_realtime'
+          AND schemaname = 'public'
+          AND tablename = 'level_completions'
+    ) THEN
+        ALTER PUBLICATION supabase_realtime
+            ADD TABLE level_completions (id, player_id, season_id, level_id, completion_time, points, completed_at);
+    END IF;
+END;
+$$;
+
+-- ========================================
+-- FUNCIONES DE JUGADORES (RPC)
+-- ========================================
+-- Cada dispositivo genera un token secreto y el jugador un código de recuperación;
+-- en la base de datos solo se guardan sus hashes (player_credentials, sin acceso público).
+-- El motivo de cada rechazo va en el HINT ('invalid_token', 'invalid_recovery').
+
+-- Hash de los secretos del jugador (SHA-256 en hexadecimal)
+CREATE OR REPLACE FUNCTION hash_player_secret(p_secret TEXT)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT encode(sha256(convert_to(p_secret, 'UTF8')), 'hex');
+$$;
+
+-- Comprueba el token de un jugador (lo usan las funciones que guardan resultados)
+CREATE OR REPLACE FUNCTION check_player_token(p_player_id UUID, p_token TEXT)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM player_credentials
+        WHERE player_id = p_player_id
+          AND token_hash = hash_player_secret(p_token)
+    ) THEN
+        RAISE EXCEPTION 'Credenciales del jugador no válidas' USING HINT = 'invalid_token';
+    END IF;
+END;
+$$;
+
+-- Registra un jugador nuevo con las credenciales de este dispositivo
+-- Un nombre en uso devuelve 23505 (índice idx_players_name_unique) y uno no válido
+-- 23514 (restricción players_name_format)
+CREATE OR REPLACE FUNCTION register_player(
+    p_id UUID,
+    p_name TEXT,
+    p_token TEXT,
+    p_recovery_code TEXT
+)
+RETURNS players
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_player players;
+BEGIN
+    IF p_token IS NULL OR length(p_token) < 32 OR p_recovery_code IS NULL OR length(p_recovery_code) < 12 THEN
+        RAISE EXCEPTION 'Credenciales incompletas' USING HINT = 'invalid_token';
+    END IF;
+
+    -- Reintento de un registro que ya llegó
+    SELECT * INTO v_player FROM players WHERE id = p_id;
+    IF FOUND THEN
+        PERFORM check_player_token(p_id, p_token);
+        RETURN v_player;
+    END IF;
+
+    -- Jugador de antes de las credenciales: lo reclama el primer dispositivo que usa su nombre
+    SELECT p.* INTO v_player
+    FROM players p
+    WHERE lower(p.name) = lower(p_name)
+      AND NOT EXISTS (SELECT 1 FROM player_credentials c WHERE c.player_id = p.id);
+    IF FOUND THEN
+        INSERT INTO player_credentials (player_id, token_hash, recovery_hash)
+        VALUES (v_player.id, hash_player_secret(p_token), hash_player_secret(p_recovery_code));
+        RETURN v_player;
+    END IF;
+
+    INSERT INTO players (id, name) VALUES (p_id, p_name) RETURNING * INTO v_player;
+    INSERT INTO player_credentials (player_id, token_hash, recovery_hash)
+    VALUES (p_id, hash_player_secret(p_token), hash_player_secret(p_recovery_code));
+
+    RETURN v_player;
+END;
+$$;
+
+-- Recupera un perfil en otro dispositivo con el nombre y el código de recuperación
+-- El token anterior deja de valer: el perfil pasa al nuevo dispositivo
+CREATE OR REPLACE FUNCTION recover_player(
+    p_name TEXT,
+    p_recovery_code TEXT,
+    p_new_token TEXT
+)
+RETURNS players
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_player players;
+BEGIN
+    IF p_new_token IS NULL OR length(p_new_token) < 32 THEN
+        RAISE EXCEPTION 'Credenciales incompletas' USING HINT = 'invalid_token';
+    END IF;
+
+    SELECT p.* INTO v_player
+    FROM players p
+    JOIN player_credentials c ON c.player_id = p.id
+    WHERE lower(p.name) = lower(p_name)
+      AND c.recovery_hash = hash_player_secret(p_recovery_code);
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Nombre o código de recuperación incorrectos' USING HINT = 'invalid_recovery';
+    END IF;
+
+    UPDATE player_credentials
+    SET token_hash = hash_player_secret(p_new_token), updated_at = NOW()
+    WHERE player_id = v_player.id;
+
+    RETURN v_player;
+END;
+$$;
+
+-- ========================================
+-- FUNCIONES DE PUNTUACIÓN (RPC)
+-- ========================================
+-- El cliente solo envía el tiempo (y el token del jugador): el servidor calcula los puntos
+-- (misma fórmula que computePoints con RANKING_CONFIG.scoring: en los niveles, escalada por su
+-- tiempo par de level_scoring_rules), rechaza tiempos imposibles y limita los envíos.
+-- El motivo de cada rechazo va en el HINT ('invalid_token', 'invalid_level', 'invalid_time',
+-- 'invalid_replay', 'invalid_ghost', 'rate_limited', 'challenge_closed', 'season_closed').
+-- Reenviar el mismo id devuelve los puntos ya guardados (reintentos de la cola offline).
+
+CREATE OR REPLACE FUNCTION submit_level_completion(
+    p_id UUID,
+    p_player_id UUID,
+    p_token TEXT,
+    p_level_id INTEGER,
+    p_completion_time FLOAT,
+    p_replay TEXT DEFAULT NULL
+)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_points INTEGER;
+    v_min_time FLOAT;
+    v_par_time FLOAT;
+    v_recent INTEGER;
+    v_season_id INTEGER;
+BEGIN
+    PERFORM check_player_token(p_player_id, p_token);
+
+    -- Reintento de un envío que ya llegó
+    SELECT points INTO v_points FROM level_completions WHERE id = p_id;
+    IF FOUND THEN
+        RETURN v_points;
+    END IF;
+
+    v_season_id := current_season_id();
+    IF v_season_id IS NULL THEN
+        RAISE EXCEPTION 'No hay ninguna temporada activa' USING HINT = 'season_closed';
+    END IF;
+
+    SELECT min_time, par_time INTO v_min_time, v_par_time FROM level_scoring_rules WHERE level_id = p_level_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'El nivel % no puntúa', p_level_id USING HINT = 'invalid_level';
+    END IF;
+
+    IF p_completion_time IS NULL OR p_completion_time = 'NaN'::FLOAT
+        OR p_completion_time < v_min_time OR p_completion_time > 86400 THEN
+        RAISE EXCEPTION 'Tiempo no válido: % (mínimo %s)', p_completion_time, v_min_time
+            USING HINT = 'invalid_time';
+    END IF;
+
+    IF p_replay IS NOT NULL AND length(p_replay) > 1000000 THEN
+        RAISE EXCEPTION 'Repetición demasiado grande' USING HINT = 'invalid_replay';
+    END IF;
+
+    -- Límite de envíos: 10 completaciones por jugador por minuto
+    SELECT COUNT(*) INTO v_recent
+    FROM level_completions
+    WHERE player_id = p_player_id
+      AND completed_at > NOW() - INTERVAL '60 seconds';
+    IF v_recent >= 10 THEN
+        RAISE EXCEPTION 'Demasiadas completaciones seguidas' USING HINT = 'rate_limited';
+    END IF;
+
+    -- Cada nivel puntúa en su escala: 800 puntos en el tiempo par, 200 menos por cada tiempo par más
+    v_points := GREATEST(1000 - FLOOR(200 * p_completion_time / v_par_time)::INTEGER, 100);
+
+    INSERT INTO level_completions (id, player_id, season_id, level_id, completion_time, points, replay)
+    VALUES (p_id, p_player_id, v_season_id, p_level_id, p_completion_time, v_points, p_replay);
+
+    RETURN v_points;
+END;
+$$;
+
+-- Desafío diario: solo el día UTC en curso, un resultado por jugador (UNIQUE de la tabla)
+CREATE OR REPLACE FUNCTION submit_daily_result(
+    p_id UUID,
+    p_player_id UUID,
+    p_token TEXT,
+    p_challenge_date DATE,
+    p_completion_time FLOAT
+)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_points INTEGER;
+BEGIN
+    PERFORM check_player_token(p_player_id, p_token);
+
+    SELECT points INTO v_points FROM daily_challenge_results WHERE id = p_id;
+    IF FOUND THEN
+        RETURN v_points;
+    END IF;
+
+    IF p_challenge_date IS DISTINCT FROM (NOW() AT TIME ZONE 'utc')::date THEN
+        RAISE EXCEPTION 'El desafío % ya no acepta resultados', p_challenge_date
+            USING HINT = 'challenge_closed';
+    END IF;
+
+    IF p_completion_time IS NULL OR p_completion_time = 'NaN'::FLOAT
+        OR p_completion_time < 5 OR p_completion_time > 86400 THEN
+        RAISE EXCEPTION 'Tiempo no válido: %', p_completion_time USING HINT = 'invalid_time';
+    END IF;
+
+    v_points := GREATEST(1000 - FLOOR(p_completion_time * 0.8)::INTEGER, 100);
+
+    INSERT INTO daily_challenge_results (id, player_id, challenge_date, completion_time, points)
+    VALUES (p_id, p_player_id, p_challenge_date, p_completion_time, v_points);
+
+    RETURN v_points;
+END;
+$$;
+
+-- Fantasma: solo de un tiempo que el jugador tiene guardado en level_completions
+CREATE OR REPLACE FUNCTION submit_ghost(
+    p_player_id UUID,
+    p_token TEXT,
+    p_level_id INTEGER,
+    p_completion_time FLOAT,
+    p_trajectory TEXT
+)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    PERFORM check_player_token(p_player_id, p_token);
+
+    IF NOT EXISTS (
+        SELECT 1 FROM level_completions
+        WHERE player_id = p_player_id
+          AND level_id = p_level_id
+          AND abs(completion_time - p_completion_time) < 0.001
+    ) THEN
+        RAISE EXCEPTION 'No hay una completación con ese tiempo' USING HINT = 'invalid_ghost';
+    END IF;
+
+    IF p_trajectory IS NULL OR length(p_trajectory) > 1000000 THEN
+        RAISE EXCEPTION 'Trayectoria no válida' USING HINT = 'invalid_ghost';
+    END IF;
+
+    INSERT INTO level_ghosts (player_id, level_id, completion_time, trajectory)
+    VALUES (p_player_id, p_level_id, p_completion_time, p_trajectory);
+END;
+$$;
+
+-- Solo las funciones RPC son públicas (las tablas no admiten INSERT directo)
+REVOKE ALL ON FUNCTION check_player_token(UUID, TEXT) FROM PUBLIC;
+REVOKE ALL ON FUNCTION register_player(UUID, TEXT, TEXT, TEXT) FROM PUBLIC;
+REVOKE ALL ON FUNCTION recover_player(TEXT, TEXT, TEXT) FROM PUBLIC;
+REVOKE ALL ON FUNCTION submit_level_completion(UUID, UUID, TEXT, INTEGER, FLOAT, TEXT) FROM PUBLIC;
+REVOKE ALL ON FUNCTION submit_daily_result(UUID, UUID, TEXT, DATE, FLOAT) FROM PUBLIC;
+REVOKE ALL ON FUNCTION submit_ghost(UUID, TEXT, INTEGER, FLOAT, TEXT) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION register_player(UUID, TEXT, TEXT, TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION recover_player(TEXT, TEXT, TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION submit_level_completion(UUID, UUID, TEXT, INTEGER, FLOAT, TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION submit_daily_result(UUID, UUID, TEXT, DATE, FLOAT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION submit_ghost(UUID, TEXT, INTEGER, FLOAT, TEXT) TO anon, authenticated;
 
 -- ========================================
 -- VISTAS ÚTILES PARA RANKINGS
 -- ========================================
 
--- Vista: Ranking Global por Puntos
+-- Vista: Ranking Global por Puntos (temporada activa)
 -- Suma SOLO los mejores puntos de cada nivel por jugador (una sola vez por nivel)
+-- rank: posición calculada en el servidor (los empates los gana quien llegó antes a esos puntos);
+-- al filtrar la vista por nombre o id se conserva la posición global
 CREATE OR REPLACE VIEW ranking_global AS
 SELECT 
     p.id,
@@ -70,23 +489,32 @@ SELECT
     COALESCE(SUM(best_attempts.best_points), 0) as total_points,
     COUNT(DISTINCT best_attempts.level_id) as levels_completed,
     COUNT(best_attempts.level_id) as total_completions,
-    MAX(best_attempts.completed_at) as last_completion
+    MAX(best_attempts.completed_at) as last_completion,
+    ROW_NUMBER() OVER (
+        ORDER BY COALESCE(SUM(best_attempts.best_points), 0) DESC,
+                 MAX(best_attempts.best_points_at) ASC NULLS LAST,
+                 p.id
+    ) as rank
 FROM players p
 LEFT JOIN (
-    -- Subconsulta: obtener el MEJOR intento de cada jugador por nivel
+    -- Subconsulta: obtener el MEJOR intento de cada jugador por nivel en la temporada activa
     SELECT 
         player_id,
         level_id,
         MAX(points) as best_points,
-        MAX(completed_at) as completed_at
+        MAX(completed_at) as completed_at,
+        -- Cuándo se consiguió esa mejor puntuación (repetir el nivel peor no la cambia)
+        (ARRAY_AGG(completed_at ORDER BY points DESC, completed_at ASC))[1] as best_points_at
     FROM level_completions
+    WHERE season_id = current_season_id()
     GROUP BY player_id, level_id
 ) best_attempts ON p.id = best_attempts.player_id
 GROUP BY p.id, p.name
-ORDER BY total_points DESC;
+ORDER BY rank;
 
--- Vista: Mejores tiempos por nivel
+-- Vista: Mejores tiempos por nivel (temporada activa)
 -- Muestra el mejor tiempo de cada jugador por nivel (una sola entrada por jugador/nivel)
+-- rank: posición dentro del nivel calculada en el servidor
 CREATE OR REPLACE VIEW ranking_by_level_time AS
 SELECT 
     lc.level_id,
@@ -95,11 +523,77 @@ SELECT
     MIN(lc.completion_time) as best_time,
     MAX(lc.points) as best_points,
     MAX(lc.completed_at) as last_completion,
-    ROW_NUMBER() OVER (PARTITION BY lc.level_id ORDER BY MIN(lc.completion_time) ASC) as rank
+    ROW_NUMBER() OVER (PARTITION BY lc.level_id ORDER BY MIN(lc.completion_time) ASC, p.id) as rank
 FROM level_completions lc
 JOIN players p ON lc.player_id = p.id
+WHERE lc.season_id = current_season_id()
 GROUP BY lc.level_id, p.id, p.name
-ORDER BY lc.level_id, best_time ASC;
+ORDER BY lc.level_id, rank;
+
+-- Vista: Clasificación por puntos de cada temporada (también las archivadas)
+-- Mismas columnas que ranking_global más season_id; solo aparecen los jugadores
+-- que completaron algún nivel en esa temporada
+CREATE OR REPLACE VIEW ranking_season_global AS
+SELECT 
+    best_attempts.season_id,
+    p.id,
+    p.name,
+    SUM(best_attempts.best_points) as total_points,
+    COUNT(DISTINCT best_attempts.level_id) as levels_completed,
+    COUNT(best_attempts.level_id) as total_completions,
+    MAX(best_attempts.completed_at) as last_completion,
+    ROW_NUMBER() OVER (
+        PARTITION BY best_attempts.season_id
+        ORDER BY SUM(best_attempts.best_points) DESC,
+                 MAX(best_attempts.best_points_at) ASC,
+                 p.id
+    ) as rank
+FROM players p
+JOIN (
+    SELECT 
+        season_id,
+        player_id,
+        level_id,
+        MAX(points) as best_points,
+        MAX(completed_at) as completed_at,
+        -- Cuándo se consiguió esa mejor puntuación (repetir el nivel peor no la cambia)
+        (ARRAY_AGG(completed_at ORDER BY points DESC, completed_at ASC))[1] as best_points_at
+    FROM level_completions
+    GROUP BY season_id, player_id, level_id
+) best_attempts ON p.id = best_attempts.player_id
+GROUP BY best_attempts.season_id, p.id, p.name
+ORDER BY best_attempts.season_id, rank;
+
+-- Vista: Mejores tiempos por nivel de cada temporada (también las archivadas)
+CREATE OR REPLACE VIEW ranking_season_level_time AS
+SELECT 
+    lc.season_id,
+    lc.level_id,
+    p.id as player_id,
+    p.name as player_name,
+    MIN(lc.completion_time) as best_time,
+    MAX(lc.points) as best_points,
+    MAX(lc.completed_at) as last_completion,
+    ROW_NUMBER() OVER (PARTITION BY lc.season_id, lc.level_id ORDER BY MIN(lc.completion_time) ASC, p.id) as rank
+FROM level_completions lc
+JOIN players p ON lc.player_id = p.id
+GROUP BY lc.season_id, lc.level_id, p.id, p.name
+ORDER BY lc.season_id, lc.level_id, rank;
+
+-- Vista: Ranking del desafío diario
+-- Un resultado por jugador y día, ordenado por tiempo
+CREATE OR REPLACE VIEW ranking_daily AS
+SELECT 
+    d.challenge_date,
+    p.id as player_id,
+    p.name as player_name,
+    d.completion_time,
+    d.points,
+    d.completed_at,
+    ROW_NUMBER() OVER (PARTITION BY d.challenge_date ORDER BY d.completion_time ASC) as rank
+FROM daily_challenge_results d
+JOIN players p ON d.player_id = p.id
+ORDER BY d.challenge_date DESC, d.completion_time ASC;
 
 -- ========================================
 -- DATOS DE PRUEBA (OPCIONAL)
@@ -114,24 +608,24 @@ INSERT INTO players (name) VALUES
 
 -- SpeedRunner: Muy rápido en todos los niveles
 INSERT INTO level_completions (player_id, level_id, completion_time, points) 
-SELECT p.id, 1, 45.0, 964  -- 1000 - (45 × 0.8) = 964
+SELECT p.id, 1, 15.0, 800  -- 1000 - (200 × 15 / 15) = 800
 FROM players p 
 WHERE p.name = 'SpeedRunner';
 
 INSERT INTO level_completions (player_id, level_id, completion_time, points) 
-SELECT p.id, 2, 120.0, 904  -- 1000 - (120 × 0.8) = 904
+SELECT p.id, 2, 33.0, 780  -- 1000 - (200 × 33 / 30) = 780
 FROM players p 
 WHERE p.name = 'SpeedRunner';
 
 -- ProGamer: Tiempo promedio
 INSERT INTO level_completions (player_id, level_id, completion_time, points) 
-SELECT p.id, 1, 600.0, 520  -- 1000 - (600 × 0.8) = 520
+SELECT p.id, 1, 30.0, 600  -- 1000 - (200 × 30 / 15) = 600
 FROM players p 
 WHERE p.name = 'ProGamer';
 
 -- Principiante: Lento pero completa
 INSERT INTO level_completions (player_id, level_id, completion_time, points) 
-SELECT p.id, 1, 1200.0, 100  -- 1000 - (1200 × 0.8) = -60 → MIN = 100
+SELECT p.id, 1, 80.0, 100  -- 1000 - (200 × 80 / 15) = -66 → MIN = 100
 FROM players p 
 WHERE p.name = 'Principiante';
 */
@@ -1,9 +1,12 @@
 -- ========================================
 -- ACTUALIZAR VISTAS - Solo ejecutar este script
+-- (necesita las temporadas: en bases de datos antiguas ejecutar antes supabase-add-seasons.sql)
 -- ========================================
 
--- Vista: Ranking Global por Puntos
+-- Vista: Ranking Global por Puntos (temporada activa)
 -- Suma SOLO los mejores puntos de cada nivel por jugador (una sola vez por nivel)
+-- rank: posición calculada en el servidor (los empates los gana quien llegó antes a esos puntos);
+-- al filtrar la vista por nombre o id se conserva la posición global
 CREATE OR REPLACE VIEW ranking_global AS
 SELECT 
     p.id,
@@ -11,23 +14,32 @@ SELECT
     COALESCE(SUM(best_attempts.best_points), 0) as total_points,
     COUNT(DISTINCT best_attempts.level_id) as levels_completed,
     COUNT(best_attempts.level_id) as total_completions,
-    MAX(best_attempts.completed_at) as last_completion
+    MAX(best_attempts.completed_at) as last_completion,
+    ROW_NUMBER() OVER (
+        ORDER BY COALESCE(SUM(best_attempts.best_points), 0) DESC,
+                 MAX(best_attempts.best_points_at) ASC NULLS LAST,
+                 p.id
+    ) as rank
 FROM players p
 LEFT JOIN (
-    -- Subconsulta: obtener el MEJOR intento de cada jugador por nivel
+    -- Subconsulta: obtener el MEJOR intento de cada jugador por nivel en la temporada activa
     SELECT 
         player_id,
         level_id,
         MAX(points) as best_points,
-        MAX(completed_at) as completed_at
+        MAX(completed_at) as completed_at,
+        -- Cuándo se consiguió esa mejor puntuación (repetir el nivel peor no la cambia)
+        (ARRAY_AGG(completed_at ORDER BY points DESC, completed_at ASC))[1] as best_points_at
     FROM level_completions
+    WHERE season_id = current_season_id()
     GROUP BY player_id, level_id
 ) best_attempts ON p.id = best_attempts.player_id
 GROUP BY p.id, p.name
-ORDER BY total_points DESC;
+ORDER BY rank;
 
--- Vista: Mejores tiempos por nivel
+-- Vista: Mejores tiempos por nivel (temporada activa)
 -- Muestra el mejor tiempo de cada jugador por nivel (una sola entrada por jugador/nivel)
+-- rank: posición dentro del nivel calculada en el servidor
 CREATE OR REPLACE VIEW ranking_by_level_time AS
 SELECT 
     lc.level_id,
@@ -36,8 +48,59 @@ SELECT
     MIN(lc.completion_time) as best_time,
     MAX(lc.points) as best_points,
     MAX(lc.completed_at) as last_completion,
-    ROW_NUMBER() OVER (PARTITION BY lc.level_id ORDER BY MIN(lc.completion_time) ASC) as rank
+    ROW_NUMBER() OVER (PARTITION BY lc.level_id ORDER BY MIN(lc.completion_time) ASC, p.id) as rank
 FROM level_completions lc
 JOIN players p ON lc.player_id = p.id
+WHERE lc.season_id = current_season_id()
 GROUP BY lc.level_id, p.id, p.name
-ORDER BY lc.level_id, best_time ASC;
+ORDER BY lc.level_id, rank;
+
+-- Vista: Clasificación por puntos de cada temporada (también las archivadas)
+-- Mismas columnas que ranking_global más season_id; solo aparecen los jugadores
+-- que completaron algún nivel en esa temporada
+CREATE OR REPLACE VIEW ranking_season_global AS
+SELECT 
+    best_attempts.season_id,
+    p.id,
+    p.name,
+    SUM(best_attempts.best_points) as total_points,
+    COUNT(DISTINCT best_attempts.level_id) as levels_completed,
+    COUNT(best_attempts.level_id) as total_completions,
+    MAX(best_attempts.completed_at) as last_completion,
+    ROW_NUMBER() OVER (
+        PARTITION BY best_attempts.season_id
+        ORDER BY SUM(best_attempts.best_points) DESC,
+                 MAX(best_attempts.best_points_at) ASC,
+                 p.id
+    ) as rank
+FROM players p
+JOIN (
+    SELECT 
+        season_id,
+        player_id,
+        level_id,
+        MAX(points) as best_points,
+        MAX(completed_at) as completed_at,
+        -- Cuándo se consiguió esa mejor puntuación (repetir el nivel peor no la cambia)
+        (ARRAY_AGG(completed_at ORDER BY points DESC, completed_at ASC))[1] as best_points_at
+    FROM level_completions
+    GROUP BY season_id, player_id, level_id
+) best_attempts ON p.id = best_attempts.player_id
+GROUP BY best_attempts.season_id, p.id, p.name
+ORDER BY best_attempts.season_id, rank;
+
+-- Vista: Mejores tiempos por nivel de cada temporada (también las archivadas)
+CREATE OR REPLACE VIEW ranking_season_level_time AS
+SELECT 
+    lc.season_id,
+    lc.level_id,
+    p.id as player_id,
+    p.name as player_name,
+    MIN(lc.completion_time) as best_time,
+    MAX(lc.points) as best_points,
+    MAX(lc.completed_at) as last_completion,
+    ROW_NUMBER() OVER (PARTITION BY lc.season_id, lc.level_id ORDER BY MIN(lc.completion_time) ASC, p.id) as rank
+FROM level_completions lc
+JOIN players p ON lc.player_id = p.id
+GROUP BY lc.season_id, lc.level_id, p.id, p.name
+ORDER BY lc.season_id, lc.level_id, rank;
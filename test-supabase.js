@@ -1,11 +1,289 @@
 /**
- * Script de prueba para verificar la conexión con Supabase
+ * Script de prueba para verificar el backend de rankings
  * Ejecutar con: npm run test-supabase
+ * Sin Supabase (backend local en memoria): npm run test-supabase -- --local
  */
 
-import { testConnection, testRankingSystem } from './utils/supabaseClient.js';
+import { RANKING_CONFIG } from './config/ranking.config.js';
+import { createRankingBackend } from './core/RankingManager.js';
+import { createClientId } from './utils/RankingOutbox.js';
+import { createPlayerToken, createRecoveryCode, normalizeRecoveryCode } from './utils/PlayerIdentityStorage.js';
 
-console.log('🚀 Iniciando prueba de conexión con Supabase...\n');
+const config = process.argv.includes('--local')
+    ? { ...RANKING_CONFIG, backend: 'local' }
+    : RANKING_CONFIG;
+
+const backend = createRankingBackend(config);
+
+/**
+ * Verifica la conexión con el backend
+ * @returns {Promise<boolean>} True si la conexión es exitosa
+ */
+async function testConnection() {
+    try {
+        console.log(`🔍 Probando conexión con el backend "${backend.name}"...`);
+
+        const { error } = await backend.ping();
+
+        if (error) {
+            console.error('❌ Error de conexión:', error.message);
+            return false;
+        }
+
+        console.log('✅ Conexión exitosa!');
+        return true;
+    } catch (error) {
+        console.error('❌ Error al conectar:', error);
+        return false;
+    }
+}
+
+/**
+ * Prueba completa del sistema de ranking
+ * Crea un jugador de prueba y verifica los rankings
+ */
+async function testRankingSystem() {
+    try {
+        console.log('🧪 Iniciando prueba completa del sistema...');
+
+        // 1. Registrar jugador de prueba (con token del dispositivo y código de recuperación)
+        const testPlayerName = `Test_${Date.now()}`;
+        const recoveryCode = normalizeRecoveryCode(createRecoveryCode());
+        let token = createPlayerToken();
+        const { data: player, error: playerError } = await backend.registerPlayer({
+            id: createClientId(),
+            name: testPlayerName,
+            token,
+            recoveryCode
+        });
+
+        if (playerError) {
+            console.error('❌ Error al crear jugador:', playerError.message);
+            return false;
+        }
+
+        console.log('✅ Jugador de prueba creado:', player);
+
+        // 2. El mismo nombre (aunque cambien las mayúsculas) no se puede registrar otra vez
+        const { error: takenError } = await backend.registerPlayer({
+            id: createClientId(),
+            name: testPlayerName.toUpperCase(),
+            token: createPlayerToken(),
+            recoveryCode: normalizeRecoveryCode(createRecoveryCode())
+        });
+
+        if (!takenError || takenError.kind !== 'duplicate') {
+            console.error('❌ Un nombre en uso debería dar "duplicate":', takenError);
+            return false;
+        }
+
+        console.log('✅ Nombre en uso rechazado');
+
+        // Tampoco se aceptan nombres fuera de las reglas (longitud y caracteres)
+        const { error: invalidNameError } = await backend.registerPlayer({
+            id: createClientId(),
+            name: '<img src=x onerror=alert(1)>',
+            token: createPlayerToken(),
+            recoveryCode: normalizeRecoveryCode(createRecoveryCode())
+        });
+
+        if (!invalidNameError || invalidNameError.kind !== 'rejected') {
+            console.error('❌ Un nombre no válido debería rechazarse:', invalidNameError);
+            return false;
+        }
+
+        console.log('✅ Nombre no válido rechazado');
+
+        // 3. Guardar completaciones de prueba (el backend calcula los puntos: 1000 - 200*tiempo/par)
+        const testCompletions = [
+            { player_id: player.id, level_id: 1, completion_time: 15.0 },   // En el tiempo par (15s) → 800
+            { player_id: player.id, level_id: 1, completion_time: 30.0 },   // Repetido (no suma) → 600
+            { player_id: player.id, level_id: 2, completion_time: 60.0 },   // Dos veces el par (30s) → 600
+            { player_id: player.id, level_id: 3, completion_time: 90.0 }    // Dos veces el par (45s) → 600
+        ];
+
+        const savedPoints = [];
+        for (const completion of testCompletions) {
+            const { data, error } = await backend.saveCompletion({ id: createClientId(), token, ...completion });
+            if (error) {
+                console.error('❌ Error al guardar completación:', error.message);
+                return false;
+            }
+            savedPoints.push(data.points);
+            console.log(`   Nivel ${completion.level_id}: ${completion.completion_time}s → ${data.points} pts`);
+        }
+
+        console.log(`✅ ${testCompletions.length} completaciones guardadas`);
+
+        // Cada nivel puntúa en su escala: el mismo múltiplo del tiempo par da los mismos puntos
+        if (savedPoints[0] !== 800 || savedPoints[2] !== savedPoints[3]) {
+            console.error('❌ Los puntos deberían escalar con el tiempo par de cada nivel:', savedPoints);
+            return false;
+        }
+
+        console.log('✅ Puntos escalados por el tiempo par de cada nivel');
+
+        // 4. Reenviar una completación con el mismo id (como un reintento de la cola offline)
+        const retry = { id: createClientId(), token, ...testCompletions[0], level_id: 4, completion_time: 100.0 };
+        const { data: first } = await backend.saveCompletion(retry);
+        const { data: again, error: retryError } = await backend.saveCompletion(retry);
+
+        if (retryError || !first || again.points !== first.points) {
+            console.error('❌ Un reintento con el mismo id debería devolver los mismos puntos:', retryError);
+            return false;
+        }
+
+        console.log('✅ Reintento con el mismo id aceptado sin duplicar');
+
+        // 5. Un tiempo imposible debe rechazarse
+        const { error: forgedError } = await backend.saveCompletion({
+            id: createClientId(),
+            player_id: player.id,
+            token,
+            level_id: 5,
+            completion_time: 0.5
+        });
+
+        if (!forgedError || forgedError.kind !== 'rejected') {
+            console.error('❌ Un tiempo por debajo del mínimo del nivel debería rechazarse:', forgedError);
+            return false;
+        }
+
+        console.log('✅ Tiempo imposible rechazado:', forgedError.message);
+
+        // 6. Sin el token del jugador no se puede guardar nada a su nombre
+        const { error: forgedPlayerError } = await backend.saveCompletion({
+            id: createClientId(),
+            player_id: player.id,
+            token: createPlayerToken(),
+            level_id: 5,
+            completion_time: 120.0
+        });
+
+        if (!forgedPlayerError || forgedPlayerError.kind !== 'unauthorized') {
+            console.error('❌ Un token ajeno debería dar "unauthorized":', forgedPlayerError);
+            return false;
+        }
+
+        console.log('✅ Token ajeno rechazado');
+
+        // 7. Recuperar el perfil en otro dispositivo: el token anterior deja de valer
+        const oldToken = token;
+        token = createPlayerToken();
+        const { data: recovered, error: recoverError } = await backend.recoverPlayer({
+            name: testPlayerName.toLowerCase(),
+            recoveryCode,
+            token
+        });
+
+        if (recoverError || recovered.id !== player.id) {
+            console.error('❌ Error al recuperar el perfil:', recoverError);
+            return false;
+        }
+
+        const { error: oldTokenError } = await backend.saveCompletion({
+            id: createClientId(),
+            player_id: player.id,
+            token: oldToken,
+            level_id: 5,
+            completion_time: 120.0
+        });
+
+        if (!oldTokenError || oldTokenError.kind !== 'unauthorized') {
+            console.error('❌ El token anterior debería dejar de valer:', oldTokenError);
+            return false;
+        }
+
+        console.log('✅ Perfil recuperado con el código (el dispositivo anterior queda desconectado)');
+
+        // 8. Probar ranking global
+        const { data: globalRanking, error: globalError } = await backend.getGlobalRanking(5);
+
+        if (globalError) {
+            console.error('❌ Error al leer ranking global:', globalError.message);
+            return false;
+        }
+
+        console.log('✅ Ranking Global (Top 5):');
+        globalRanking.forEach(p => {
+            console.log(`   ${p.rank}. ${p.name} - ${p.total_points} pts (${p.levels_completed} niveles)`);
+        });
+
+        // La búsqueda conserva la posición calculada por el servidor
+        const { data: rank, error: rankError } = await backend.getPlayerRank(player.id);
+        const { data: found, error: searchError } = await backend.getGlobalRanking(5, { search: testPlayerName.toLowerCase() });
+
+        if (rankError || searchError || found.length !== 1 || found[0].rank !== rank) {
+            console.error('❌ La búsqueda debería devolver al jugador con su posición global:', rankError || searchError);
+            return false;
+        }
+
+        console.log(`✅ Búsqueda por nombre: ${found[0].name} está en la posición #${rank}`);
+
+        // 9. Probar ranking por nivel
+        const { data: levelRanking, error: levelError } = await backend.getLevelRanking(1, 5);
+
+        if (levelError) {
+            console.error('❌ Error al leer ranking por nivel:', levelError.message);
+            return false;
+        }
+
+        console.log('✅ Ranking Nivel 1 (Top 5 mejores tiempos):');
+        levelRanking.forEach(p => {
+            console.log(`   ${p.rank}. ${p.player_name} - ${p.best_time.toFixed(2)}s (${p.best_points} pts)`);
+        });
+
+        // 10. Probar estadísticas del jugador
+        const { data: stats, error: statsError } = await backend.getPlayerStats(player.id);
+
+        if (statsError) {
+            console.error('❌ Error al leer estadísticas:', statsError.message);
+            return false;
+        }
+
+        console.log(`✅ Estadísticas de ${stats.name}: ${stats.total_points} pts en ${stats.levels_completed} niveles`);
+
+        // 11. Probar historial del jugador (todas las completaciones, no solo las mejores)
+        const { data: history, error: historyError } = await backend.getPlayerCompletions(player.id);
+
+        if (historyError) {
+            console.error('❌ Error al leer historial:', historyError.message);
+            return false;
+        }
+
+        console.log(`✅ Historial de ${stats.name}: ${history.length} intentos`);
+
+        // 12. Temporadas: las completaciones van a la activa y su clasificación coincide con ranking_global
+        const { data: seasons, error: seasonsError } = await backend.getSeasons();
+        const activeSeason = seasons && seasons.find(season => season.ends_at === null);
+
+        if (seasonsError || !activeSeason) {
+            console.error('❌ Debería haber una temporada activa:', seasonsError);
+            return false;
+        }
+
+        const { data: seasonRows, error: seasonError } = await backend.getGlobalRanking(1, {
+            search: testPlayerName,
+            seasonId: activeSeason.id
+        });
+
+        if (seasonError || seasonRows.length !== 1 || seasonRows[0].total_points !== found[0].total_points) {
+            console.error('❌ La clasificación de la temporada activa debería incluir los puntos del jugador:', seasonError);
+            return false;
+        }
+
+        console.log(`✅ Temporada activa "${activeSeason.name}": ${seasonRows[0].total_points} pts (${seasons.length} temporada${seasons.length !== 1 ? 's' : ''})`);
+
+        console.log('🎉 ¡Sistema de ranking funcionando correctamente!');
+
+        return true;
+    } catch (error) {
+        console.error('❌ Error en prueba del sistema:', error);
+        return false;
+    }
+}
+
+console.log('🚀 Iniciando prueba del backend de rankings...\n');
 
 // Probar conexión básica
 const connected = await testConnection();
@@ -0,0 +1,653 @@
+/**
+ * LevelEditor - Editor de niveles dentro del navegador
+ * - Carga cualquier GLB (ruta de /models o archivo local) como laberinto
+ * - Mueve pelotas y zonas con gizmos (TransformControls) y redimensiona zonas
+ * - Ajusta bounds (wallDistance, wallHeight, groundOffsetY) con vista previa de
+ *   los planos de debug del piso y las paredes
+ * - Exporta el resultado como archivo de nivel JSON (ver levels/)
+ *
+ * Usa el LevelManager del juego para construir la escena, con la física detenida
+ */
+
+import * as THREE from 'three';
+import { TransformControls } from 'three/examples/jsm/controls/TransformControls.js';
+import { validateLevelConfig } from '../utils/levelValidation.js';
+import { formatColor } from '../utils/levelLoader.js';
+
+// Colores que se van asignando a las pelotas nuevas
+const BALL_COLORS = [0xff0000, 0x00ff00, 0x0000ff, 0xffff00, 0xff00ff, 0x00ffff];
+
+/**
+ * Redondea a 2 decimales para que el JSON exportado sea legible
+ * @param {number} value - Valor a redondear
+ * @returns {number} Valor redondeado
+ */
+const round = (value) => Math.round(value * 100) / 100;
+
+export class LevelEditor {
+    /**
+     * @param {THREE.Scene} scene - Escena del juego
+     * @param {THREE.Camera} camera - Cámara del juego
+     * @param {THREE.WebGLRenderer} renderer - Renderer (para los eventos del puntero)
+     * @param {LevelManager} levelManager - Manager de niveles del juego
+     * @param {MazeController} controller - Controlador del laberinto (sincroniza piso y paredes)
+     * @param {DebugManager} debugManager - Gestor de debug (planos de vista previa)
+     */
+    constructor(scene, camera, renderer, levelManager, controller, debugManager) {
+        this.scene = scene;
+        this.camera = camera;
+        this.renderer = renderer;
+        this.levelManager = levelManager;
+        this.controller = controller;
+        this.debugManager = debugManager;
+
+        // Estado del editor
+        this.isOpen = false;
+        this.draft = null;              // Configuración del nivel que se está editando
+        this.modelExportPath = null;    // Ruta del modelo que se escribe al exportar
+        this.localModelUrl = null;      // URL temporal de un GLB cargado desde archivo
+        this.selected = null;           // { type: 'ball' | 'zone', index }
+        this.wasDebugEnabled = false;
+        this.levelsConfig = {};
+
+        // Callback al cerrar el editor
+        this.onClose = null;
+
+        // Gizmo de transformación
+        this.transformControls = new TransformControls(camera, renderer.domElement);
+        this.transformControls.addEventListener('objectChange', () => this.onGizmoChange());
+        this.transformControls.addEventListener('mouseUp', () => this.onGizmoRelease());
+        this.gizmoHelper = this.transformControls.getHelper();
+
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+        this.pointerHandler = (event) => this.onPointerDown(event);
+
+        this.getElements();
+        this.setupEventListeners();
+    }
+
+    /**
+     * Obtiene las referencias a los elementos del panel
+     */
+    getElements() {
+        const byId = (id) => document.getElementById(id);
+
+        this.panel = byId('level-editor');
+        this.baseLevelSelect = byId('editor-base-level');
+        this.modelInput = byId('editor-model');
+        this.loadModelBtn = byId('editor-load-model-btn');
+        this.modelFileInput = byId('editor-model-file');
+        this.scaleInput = byId('editor-scale');
+        this.idInput = byId('editor-level-id');
+        this.nameInput = byId('editor-level-name');
+        this.descriptionInput = byId('editor-level-description');
+        this.boundsInputs = {
+            wallDistance: byId('editor-wall-distance'),
+            wallHeight: byId('editor-wall-height'),
+            groundOffsetY: byId('editor-ground-offset')
+        };
+        this.addBallBtn = byId('editor-add-ball-btn');
+        this.addZoneBtn = byId('editor-add-zone-btn');
+        this.deleteBtn = byId('editor-delete-btn');
+        this.modeButtons = this.panel.querySelectorAll('[data-gizmo-mode]');
+        this.selectionPanel = byId('editor-selection');
+        this.selectionTitle = byId('editor-selection-title');
+        this.positionInputs = ['x', 'y', 'z'].map(axis => byId(`editor-pos-${axis}`));
+        this.zoneFields = byId('editor-zone-fields');
+        this.sizeInputs = ['width', 'height', 'depth'].map(field => byId(`editor-size-${field}`));
+        this.ballFields = byId('editor-ball-fields');
+        this.radiusInput = byId('editor-ball-radius');
+        this.colorInput = byId('editor-ball-color');
+        this.errorsList = byId('editor-errors');
+        this.exportBtn = byId('editor-export-btn');
+        this.closeBtn = byId('editor-close-btn');
+    }
+
+    /**
+     * Configura los listeners del panel
+     */
+    setupEventListeners() {
+        this.baseLevelSelect.addEventListener('change', () => {
+            const base = this.levelsConfig[this.baseLevelSelect.value];
+            if (base) this.loadDraft(this.cloneLevel(base));
+        });
+
+        // Modelo: ruta en /models o archivo local
+        this.loadModelBtn.addEventListener('click', () => {
+            const path = this.modelInput.value.trim();
+            if (!path) return;
+            this.releaseLocalModel();
+            this.draft.maze.model = path;
+            this.loadDraft(this.draft);
+        });
+        this.modelFileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+
+            // Se carga desde memoria, pero se exporta como /models/<archivo>
+            this.releaseLocalModel();
+            this.localModelUrl = URL.createObjectURL(file);
+            this.draft.maze.model = this.localModelUrl;
+            this.loadDraft(this.draft, `/models/${file.name}`);
+        });
+        this.scaleInput.addEventListener('change', () => {
+            const scale = parseFloat(this.scaleInput.value);
+            if (!(scale > 0)) return;
+            this.draft.maze.scale = scale;
+            this.loadDraft(this.draft, this.modelExportPath);
+        });
+
+        // Datos generales
+        this.idInput.addEventListener('input', () => {
+            this.draft.id = parseInt(this.idInput.value);
+            this.updateErrors();
+        });
+        this.nameInput.addEventListener('input', () => {
+            this.draft.name = this.nameInput.value;
+            this.updateErrors();
+        });
+        this.descriptionInput.addEventListener('input', () => {
+            this.draft.description = this.descriptionInput.value;
+        });
+
+        // Límites con vista previa en vivo
+        Object.entries(this.boundsInputs).forEach(([field, input]) => {
+            input.addEventListener('input', () => {
+                const value = parseFloat(input.value);
+                if (!Number.isFinite(value)) return;
+                this.draft.bounds[field] = value;
+                this.refreshBounds();
+                this.updateErrors();
+            });
+        });
+
+        // Objetos
+        this.addBallBtn.addEventListener('click', () => this.addBall());
+        this.addZoneBtn.addEventListener('click', () => this.addZone());
+        this.deleteBtn.addEventListener('click', () => this.deleteSelected());
+        this.modeButtons.forEach(btn => {
+            btn.addEventListener('click', () => this.setGizmoMode(btn.dataset.gizmoMode));
+        });
+
+        // Edición numérica del objeto seleccionado
+        this.positionInputs.forEach(input => {
+            input.addEventListener('input', () => this.applySelectionForm());
+        });
+        this.sizeInputs.forEach(input => {
+            input.addEventListener('input', () => this.applySelectionForm());
+        });
+        this.radiusInput.addEventListener('input', () => this.applySelectionForm());
+        this.colorInput.addEventListener('input', () => this.applySelectionForm());
+
+        this.exportBtn.addEventListener('click', () => this.exportLevel());
+        this.closeBtn.addEventListener('click', () => this.close());
+    }
+
+    /**
+     * Abre el editor partiendo de un nivel existente
+     * @param {Object} levelsConfig - Niveles cargados (para elegir la base)
+     * @param {number} baseLevelId - Nivel con el que empezar
+     */
+    async open(levelsConfig, baseLevelId) {
+        this.levelsConfig = levelsConfig;
+
+        // Solo se puede partir de niveles válidos (los rotos no tienen configuración completa)
+        const validLevels = Object.values(levelsConfig).filter(level => !level.broken);
+        if (validLevels.length === 0) {
+            throw new Error('No hay niveles válidos para usar como base');
+        }
+        this.baseLevelSelect.innerHTML = '';
+        validLevels.forEach(level => {
+            const option = document.createElement('option');
+            option.value = level.id;
+            option.textContent = `Nivel ${level.id} - ${level.name}`;
+            this.baseLevelSelect.appendChild(option);
+        });
+
+        const base = validLevels.find(level => level.id === baseLevelId) || validLevels[0];
+        this.baseLevelSelect.value = base.id;
+
+        // Los planos de debug son la vista previa de piso y paredes
+        this.wasDebugEnabled = this.debugManager.enabled;
+        this.debugManager.enable();
+
+        this.isOpen = true;
+        this.panel.classList.remove('hidden');
+        this.scene.add(this.gizmoHelper);
+        this.renderer.domElement.addEventListener('pointerdown', this.pointerHandler);
+
+        await this.loadDraft(this.cloneLevel(base));
+        console.log('🛠️ Editor de niveles abierto');
+    }
+
+    /**
+     * Cierra el editor y descarga el borrador
+     */
+    async close() {
+        if (!this.isOpen) return;
+
+        this.select(null);
+        this.scene.remove(this.gizmoHelper);
+        this.renderer.domElement.removeEventListener('pointerdown', this.pointerHandler);
+        this.panel.classList.add('hidden');
+        this.isOpen = false;
+
+        await this.levelManager.unloadLevel();
+        this.releaseLocalModel();
+        this.debugManager.clearBoundsVisualization();
+        if (!this.wasDebugEnabled) {
+            this.debugManager.disable();
+        }
+
+        console.log('🛠️ Editor de niveles cerrado');
+        if (this.onClose) {
+            this.onClose();
+        }
+    }
+
+    /**
+     * Copia profunda de un nivel para editarlo sin tocar el original
+     * @param {Object} level - Configuración del nivel
+     * @returns {Object} Borrador editable
+     */
+    cloneLevel(level) {
+        const { broken, errors, ...config } = JSON.parse(JSON.stringify(level));
+        return config;
+    }
+
+    /**
+     * Construye la escena del borrador con el LevelManager
+     * @param {Object} draft - Configuración del nivel
+     * @param {string} exportPath - Ruta del modelo al exportar (por defecto la del borrador)
+     */
+    async loadDraft(draft, exportPath = draft.maze.model) {
+        this.select(null);
+        this.draft = draft;
+        this.modelExportPath = exportPath;
+        this.fillForm();
+
+        try {
+            await this.levelManager.loadLevel(draft, { validate: false });
+            this.refreshBounds();
+        } catch (error) {
+            console.error('❌ Error al cargar el borrador:', error);
+            this.updateErrors([`No se pudo cargar el modelo: ${error.message || error}`]);
+            return;
+        }
+        this.updateErrors();
+    }
+
+    /**
+     * Libera la URL temporal del GLB cargado desde archivo
+     */
+    releaseLocalModel() {
+        if (this.localModelUrl) {
+            URL.revokeObjectURL(this.localModelUrl);
+            this.localModelUrl = null;
+        }
+    }
+
+    /**
+     * Reposiciona piso y paredes según los bounds del borrador y actualiza su vista previa
+     */
+    refreshBounds() {
+        const { levelManager } = this;
+        if (!levelManager.maze || !levelManager.ground) return;
+
+        // Sin inclinación: mismo cálculo que en el juego (ver MazeController.syncWalls)
+        this.controller.applyTilt(levelManager, 0, 0);
+        this.debugManager.refreshBoundsVisualization(levelManager.ground, levelManager.walls, this.draft.bounds);
+    }
+
+    /**
+     * Rellena el formulario con los datos del borrador
+     */
+    fillForm() {
+        this.modelInput.value = this.modelExportPath;
+        this.scaleInput.value = this.draft.maze.scale;
+        this.idInput.value = this.draft.id;
+        this.nameInput.value = this.draft.name;
+        this.descriptionInput.value = this.draft.description || '';
+        Object.entries(this.boundsInputs).forEach(([field, input]) => {
+            input.value = this.draft.bounds[field];
+        });
+    }
+
+    /**
+     * Añade una pelota en el centro del laberinto
+     */
+    addBall() {
+        const config = {
+            position: { x: 0, y: 20, z: 0 },
+            color: BALL_COLORS[this.draft.balls.length % BALL_COLORS.length],
+            radius: 0.5
+        };
+        this.draft.balls.push(config);
+        this.levelManager.createBalls([config]);
+        this.select({ type: 'ball', index: this.draft.balls.length - 1 });
+        this.updateErrors();
+    }
+
+    /**
+     * Añade una zona en el centro del laberinto
+     */
+    addZone() {
+        const config = {
+            position: { x: 0, y: this.draft.bounds.groundOffsetY + 1.5, z: 0 },
+            size: { width: 3, height: 3, depth: 3 }
+        };
+        this.draft.zones.push(config);
+        this.levelManager.createZones([config]);
+        this.select({ type: 'zone', index: this.draft.zones.length - 1 });
+        this.updateErrors();
+    }
+
+    /**
+     * Elimina la pelota o zona seleccionada
+     */
+    deleteSelected() {
+        if (!this.selected) return;
+
+        const { type, index } = this.selected;
+        this.select(null);
+
+        if (type === 'ball') {
+            this.draft.balls.splice(index, 1);
+            this.levelManager.removeBall(index);
+        } else {
+            this.draft.zones.splice(index, 1);
+            this.levelManager.removeZone(index);
+        }
+        this.updateErrors();
+    }
+
+    /**
+     * Devuelve el mesh del objeto seleccionado
+     * @returns {THREE.Mesh|null} Mesh seleccionado
+     */
+    getSelectedMesh() {
+        if (!this.selected) return null;
+        const list = this.selected.type === 'ball' ? this.levelManager.balls : this.levelManager.zones;
+        const item = list[this.selected.index];
+        return item ? item.mesh : null;
+    }
+
+    /**
+     * Selecciona una pelota o zona y le engancha el gizmo
+     * @param {Object|null} selection - { type, index } o null para deseleccionar
+     */
+    select(selection) {
+        this.selected = selection;
+        const mesh = this.getSelectedMesh();
+
+        if (mesh) {
+            this.transformControls.attach(mesh);
+            // Las pelotas solo se mueven; el tamaño se edita con el radio
+            if (selection.type === 'ball') {
+                this.setGizmoMode('translate');
+            }
+        } else {
+            this.selected = null;
+            this.transformControls.detach();
+        }
+
+        this.deleteBtn.disabled = !this.selected;
+        this.updateSelectionForm();
+    }
+
+    /**
+     * Cambia el modo del gizmo (mover o redimensionar)
+     * @param {string} mode - 'translate' o 'scale'
+     */
+    setGizmoMode(mode) {
+        if (mode === 'scale' && (!this.selected || this.selected.type !== 'zone')) return;
+
+        this.transformControls.setMode(mode);
+        this.modeButtons.forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.gizmoMode === mode);
+        });
+    }
+
+    /**
+     * Selecciona el objeto bajo el puntero
+     * @param {PointerEvent} event - Evento del puntero
+     */
+    onPointerDown(event) {
+        // Si el puntero está sobre el gizmo, la interacción es del gizmo
+        if (this.transformControls.axis !== null || this.transformControls.dragging) return;
+
+        this.pointer.x = (event.clientX / window.innerWidth) * 2 - 1;
+        this.pointer.y = -(event.clientY / window.innerHeight) * 2 + 1;
+        this.raycaster.setFromCamera(this.pointer, this.camera);
+
+        const candidates = [
+            ...this.levelManager.balls.map((ball, index) => ({ mesh: ball.mesh, type: 'ball', index })),
+            ...this.levelManager.zones.map((zone, index) => ({ mesh: zone.mesh, type: 'zone', index }))
+        ];
+        const hits = this.raycaster.intersectObjects(candidates.map(candidate => candidate.mesh), false);
+
+        if (hits.length > 0) {
+            const { type, index } = candidates.find(candidate => candidate.mesh === hits[0].object);
+            this.select({ type, index });
+        } else {
+            this.select(null);
+        }
+    }
+
+    /**
+     * Copia al borrador los cambios hechos con el gizmo
+     */
+    onGizmoChange() {
+        if (!this.selected) return;
+
+        const mesh = this.getSelectedMesh();
+        const { type, index } = this.selected;
+        const position = { x: round(mesh.position.x), y: round(mesh.position.y), z: round(mesh.position.z) };
+
+        if (type === 'ball') {
+            this.draft.balls[index].position = position;
+            this.levelManager.balls[index].body.position.copy(mesh.position);
+        } else {
+            const zone = this.levelManager.zones[index];
+            const { width, height, depth } = mesh.geometry.parameters;
+            this.draft.zones[index].position = position;
+            this.draft.zones[index].size = {
+                width: round(width * Math.abs(mesh.scale.x)),
+                height: round(height * Math.abs(mesh.scale.y)),
+                depth: round(depth * Math.abs(mesh.scale.z))
+            };
+            this.levelManager.zoneOriginalPositions[index] = { ...position };
+            zone.body.position.copy(mesh.position);
+        }
+
+        this.updateSelectionForm();
+        this.updateErrors();
+    }
+
+    /**
+     * Al soltar el gizmo, la escala de una zona se convierte en su tamaño real
+     */
+    onGizmoRelease() {
+        if (!this.selected || this.selected.type !== 'zone') return;
+        this.rebuildZone(this.selected.index);
+    }
+
+    /**
+     * Regenera la geometría y la forma física de una zona con el tamaño del borrador
+     * @param {number} index - Índice de la zona
+     */
+    rebuildZone(index) {
+        const zone = this.levelManager.zones[index];
+        const { width, height, depth } = this.draft.zones[index].size;
+
+        zone.mesh.geometry.dispose();
+        zone.mesh.geometry = new THREE.BoxGeometry(width, height, depth);
+        zone.mesh.scale.set(1, 1, 1);
+
+        zone.body.shapes[0].halfExtents.set(width / 2, height / 2, depth / 2);
+        zone.body.shapes[0].updateConvexPolyhedronRepresentation();
+        zone.body.updateBoundingRadius();
+    }
+
+    /**
+     * Regenera la geometría y la forma física de una pelota con el radio del borrador
+     * @param {number} index - Índice de la pelota
+     */
+    rebuildBall(index) {
+        const ball = this.levelManager.balls[index];
+        const { radius } = this.draft.balls[index];
+
+        ball.mesh.geometry.dispose();
+        ball.mesh.geometry = new THREE.SphereGeometry(radius, 32, 32);
+
+        ball.body.shapes[0].radius = radius;
+        ball.body.shapes[0].updateBoundingSphereRadius();
+        ball.body.updateBoundingRadius();
+    }
+
+    /**
+     * Muestra los datos del objeto seleccionado en el formulario
+     */
+    updateSelectionForm() {
+        this.selectionPanel.classList.toggle('hidden', !this.selected);
+        if (!this.selected) return;
+
+        const { type, index } = this.selected;
+        const config = type === 'ball' ? this.draft.balls[index] : this.draft.zones[index];
+
+        this.selectionTitle.textContent = type === 'ball' ? `⚽ Pelota ${index + 1}` : `🎯 Zona ${index + 1}`;
+        ['x', 'y', 'z'].forEach((axis, i) => {
+            this.positionInputs[i].value = config.position[axis];
+        });
+
+        this.zoneFields.classList.toggle('hidden', type !== 'zone');
+        this.ballFields.classList.toggle('hidden', type !== 'ball');
+        if (type === 'zone') {
+            ['width', 'height', 'depth'].forEach((field, i) => {
+                this.sizeInputs[i].value = config.size[field];
+            });
+        } else {
+            this.radiusInput.value = config.radius;
+            this.colorInput.value = formatColor(config.color);
+        }
+    }
+
+    /**
+     * Aplica al borrador y a la escena los valores escritos en el formulario
+     */
+    applySelectionForm() {
+        if (!this.selected) return;
+
+        const { type, index } = this.selected;
+        const mesh = this.getSelectedMesh();
+        const [x, y, z] = this.positionInputs.map(input => parseFloat(input.value));
+        if (![x, y, z].every(Number.isFinite)) return;
+
+        mesh.position.set(x, y, z);
+
+        if (type === 'ball') {
+            const config = this.draft.balls[index];
+            const ball = this.levelManager.balls[index];
+            const radius = parseFloat(this.radiusInput.value);
+
+            config.position = { x, y, z };
+            ball.body.position.copy(mesh.position);
+
+            config.color = parseInt(this.colorInput.value.slice(1), 16);
+            ball.color = config.color;
+            ball.mesh.material.color.setHex(config.color);
+
+            if (radius > 0 && radius !== config.radius) {
+                config.radius = radius;
+                this.rebuildBall(index);
+            }
+        } else {
+            const config = this.draft.zones[index];
+            const [width, height, depth] = this.sizeInputs.map(input => parseFloat(input.value));
+
+            config.position = { x, y, z };
+            this.levelManager.zoneOriginalPositions[index] = { x, y, z };
+            this.levelManager.zones[index].body.position.copy(mesh.position);
+
+            if ([width, height, depth].every(value => value > 0)) {
+                config.size = { width, height, depth };
+                this.rebuildZone(index);
+            }
+        }
+
+        this.updateErrors();
+    }
+
+    /**
+     * Construye el archivo de nivel con el formato de levels/
+     * @returns {Object} Contenido del JSON a exportar
+     */
+    toLevelFile() {
+        const { draft } = this;
+
+        return {
+            id: draft.id,
+            name: draft.name,
+            description: draft.description || '',
+            unlocked: draft.id === 1,
+            // Los umbrales de estrellas no se editan aquí: se conservan los del nivel base
+            ...(draft.scoring ? { scoring: { ...draft.scoring } } : {}),
+            lighting: {
+                ...draft.lighting,
+                ambient: formatColor(draft.lighting.ambient),
+                colors: draft.lighting.colors.map(formatColor)
+            },
+            maze: { ...draft.maze, model: this.modelExportPath },
+            bounds: { ...draft.bounds },
+            balls: draft.balls.map(ball => ({ ...ball, color: formatColor(ball.color) })),
+            zones: draft.zones.map(zone => ({ position: { ...zone.position }, size: { ...zone.size } }))
+        };
+    }
+
+    /**
+     * Muestra los errores de validación del borrador
+     * @param {string[]} extraErrors - Errores adicionales (p. ej. de carga del modelo)
+     */
+    updateErrors(extraErrors = []) {
+        const errors = [...extraErrors, ...validateLevelConfig(this.toLevelFile())];
+
+        this.errorsList.innerHTML = '';
+        if (errors.length === 0) {
+            const item = document.createElement('li');
+            item.className = 'valid';
+            item.textContent = '✅ Nivel válido';
+            this.errorsList.appendChild(item);
+            return;
+        }
+
+        errors.forEach(error => {
+            const item = document.createElement('li');
+            item.textContent = `⚠️ ${error}`;
+            this.errorsList.appendChild(item);
+        });
+    }
+
+    /**
+     * Descarga el borrador como archivo de nivel .json
+     */
+    exportLevel() {
+        const level = this.toLevelFile();
+        const errors = validateLevelConfig(level);
+
+        if (errors.length > 0 && !confirm(`El nivel tiene ${errors.length} error(es). ¿Exportar de todas formas?`)) {
+            return;
+        }
+
+        const blob = new Blob([JSON.stringify(level, null, 2) + '\n'], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `nivel-${level.id}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+
+        console.log(`📤 Nivel ${level.id} exportado - añádelo a levels/index.json`);
+    }
+}
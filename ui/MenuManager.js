@@ -3,10 +3,13 @@
  * - Menú principal con selección de niveles
  * - HUD durante el juego
  * - Overlay de victoria
- * - Controles de giroscopio
+ * - Controles de giroscopio (calibración y ajuste del filtro)
  */
 
 import { isMobile, isIOS, requiresMotionPermission } from '../utils/deviceDetection.js';
+import { escapeHtml } from '../utils/html.js';
+import { isValidPlayerName } from '../utils/rankingBackend.js';
+import { formatStars } from '../utils/levelScoring.js';
 
 export class MenuManager {
     constructor(onLevelSelect, onDebugToggle, onGyroscopeToggle = null) {
@@ -20,12 +23,27 @@ export class MenuManager {
         this.debugToggle = document.getElementById('debug-toggle');
         this.gyroscopeToggle = document.getElementById('gyroscope-toggle');
         this.calibrateBtn = document.getElementById('calibrate-btn');
+        this.gyroTuningBtn = document.getElementById('gyro-tuning-btn');
+        this.gyroTuningPanel = document.getElementById('gyro-tuning');
+        this.ghostModeSelect = document.getElementById('ghost-mode-select');
+        this.inputSourceSelect = document.getElementById('input-source-select');
         this.gameHud = document.getElementById('game-hud');
         this.winOverlay = document.getElementById('win-overlay');
         this.playerNameModal = document.getElementById('player-name-modal');
         this.playerNameForm = document.getElementById('player-name-form');
         this.playerNameInput = document.getElementById('player-name-input');
         this.nameError = document.getElementById('name-error');
+        this.nameErrorDefaultText = this.nameError ? this.nameError.textContent.trim() : '';
+        this.playerRegisterStep = document.getElementById('player-register-step');
+        this.playerRecoverStep = document.getElementById('player-recover-step');
+        this.playerCodeStep = document.getElementById('player-code-step');
+        this.playerRecoverForm = document.getElementById('player-recover-form');
+        this.recoverNameInput = document.getElementById('recover-name-input');
+        this.recoverCodeInput = document.getElementById('recover-code-input');
+        this.recoverError = document.getElementById('recover-error');
+        this.recoveryCodeDisplay = document.getElementById('recovery-code-display');
+        this.playerProfileInfo = document.getElementById('player-profile-info');
+        this.playerRecoveryCode = document.getElementById('player-recovery-code');
         
         this.currentLevelId = null;
         this.nextLevelCallback = null;
@@ -34,9 +52,24 @@ export class MenuManager {
         this.needsMotionPermission = requiresMotionPermission();
         this.levelsConfig = null; // Guardar referencia a la config de niveles
         
-        // Callback cuando se confirma el nombre
+        // Callback cuando el jugador queda listo (registrado o recuperado)
         this.onPlayerNameConfirmed = null;
         
+        // Callbacks de la cuenta del jugador (ver setPlayerAccountCallbacks)
+        this.onRegisterPlayer = null;
+        this.onRecoverPlayer = null;
+        
+        // Callbacks de repeticiones (ver setReplayCallbacks)
+        this.onWatchReplay = null;
+        this.onDownloadReplay = null;
+        this.onLoadReplay = null;
+        
+        // Callback cuando cambia el modo de fantasma
+        this.onGhostModeChange = null;
+        
+        // Callback cuando cambia la fuente de input (mouse, teclado o mando)
+        this.onInputSourceChange = null;
+        
         this.setupEventListeners();
         this.setupDeviceSpecificUI();
     }
@@ -72,6 +105,47 @@ export class MenuManager {
             });
         }
 
+        // Panel de ajuste del filtro del giroscopio
+        if (this.gyroTuningBtn && this.gyroTuningPanel) {
+            this.gyroTuningBtn.addEventListener('click', () => {
+                this.gyroTuningPanel.classList.toggle('hidden');
+            });
+        }
+
+        // Selector de modo de fantasma (se recuerda en localStorage)
+        if (this.ghostModeSelect) {
+            this.ghostModeSelect.value = this.getGhostMode();
+            this.ghostModeSelect.addEventListener('change', (e) => {
+                localStorage.setItem('ghostMode', e.target.value);
+                if (this.onGhostModeChange) {
+                    this.onGhostModeChange(e.target.value);
+                }
+            });
+        }
+
+        // Selector de fuente de input (el giroscopio pide permisos con el mismo flujo que su toggle)
+        if (this.inputSourceSelect) {
+            this.inputSourceSelect.value = this.getInputSource();
+            this.inputSourceSelect.addEventListener('change', async (e) => {
+                const source = e.target.value;
+                
+                if (source === 'gyroscope') {
+                    const isActive = this.onGyroscopeToggle ? await this.onGyroscopeToggle(true) : false;
+                    if (!isActive) {
+                        e.target.value = this.getInputSource();
+                        this.showGyroscopeError();
+                    }
+                    return;
+                }
+                
+                localStorage.setItem('inputSource', source);
+                if (this.onInputSourceChange) {
+                    this.onInputSourceChange(source);
+                }
+                this.updateGyroscopeToggle(false);
+            });
+        }
+
         // Formulario de nombre del jugador
         if (this.playerNameForm) {
             this.playerNameForm.addEventListener('submit', (e) => {
@@ -87,6 +161,46 @@ export class MenuManager {
             });
         }
 
+        // Recuperar un perfil con el código
+        if (this.playerRecoverForm) {
+            this.playerRecoverForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleRecoverSubmit();
+            });
+        }
+
+        const showRecoverBtn = document.getElementById('show-recover-btn');
+        if (showRecoverBtn) {
+            showRecoverBtn.addEventListener('click', () => {
+                if (this.recoverNameInput && this.playerNameInput) {
+                    this.recoverNameInput.value = this.playerNameInput.value.trim();
+                }
+                this.showPlayerModalStep('recover');
+            });
+        }
+
+        const showRegisterBtn = document.getElementById('show-register-btn');
+        if (showRegisterBtn) {
+            showRegisterBtn.addEventListener('click', () => {
+                this.showPlayerModalStep('register');
+            });
+        }
+
+        const codeContinueBtn = document.getElementById('recovery-code-continue-btn');
+        if (codeContinueBtn) {
+            codeContinueBtn.addEventListener('click', () => {
+                this.finishPlayerModal();
+            });
+        }
+
+        // Desde Ajustes: usar en este dispositivo un perfil de otro
+        const recoverProfileBtn = document.getElementById('recover-profile-btn');
+        if (recoverProfileBtn) {
+            recoverProfileBtn.addEventListener('click', () => {
+                this.showPlayerNameModal(null, { mode: 'recover' });
+            });
+        }
+
         // Botón de pausa
         const pauseBtn = document.getElementById('pause-btn');
         if (pauseBtn) {
@@ -106,6 +220,42 @@ export class MenuManager {
             });
         }
 
+        // Botones de repetición del overlay de victoria
+        const watchReplayBtn = document.getElementById('watch-replay-btn');
+        if (watchReplayBtn) {
+            watchReplayBtn.addEventListener('click', () => {
+                if (this.onWatchReplay) {
+                    this.hideWinOverlay();
+                    this.onWatchReplay();
+                }
+            });
+        }
+
+        const downloadReplayBtn = document.getElementById('download-replay-btn');
+        if (downloadReplayBtn) {
+            downloadReplayBtn.addEventListener('click', () => {
+                if (this.onDownloadReplay) {
+                    this.onDownloadReplay();
+                }
+            });
+        }
+
+        // Cargar repetición desde archivo (menú principal)
+        const loadReplayBtn = document.getElementById('load-replay-btn');
+        const replayFileInput = document.getElementById('replay-file-input');
+        if (loadReplayBtn && replayFileInput) {
+            loadReplayBtn.addEventListener('click', () => {
+                replayFileInput.click();
+            });
+            replayFileInput.addEventListener('change', () => {
+                const file = replayFileInput.files[0];
+                replayFileInput.value = '';
+                if (file && this.onLoadReplay) {
+                    this.onLoadReplay(file);
+                }
+            });
+        }
+
         const menuBtn = document.getElementById('menu-btn');
         if (menuBtn) {
             menuBtn.addEventListener('click', () => {
@@ -139,6 +289,9 @@ export class MenuManager {
             if (this.calibrateBtn) {
                 this.calibrateBtn.style.display = 'inline-block';
             }
+            if (this.gyroTuningBtn) {
+                this.gyroTuningBtn.style.display = 'inline-block';
+            }
             console.log('📱 Interfaz configurada para MÓVIL - Toggle de giroscopio visible');
             if (this.isIOSDevice && this.needsMotionPermission) {
                 console.log('🍎 iOS 13+ detectado - El usuario debe activar el giroscopio manualmente');
@@ -151,6 +304,16 @@ export class MenuManager {
             if (this.calibrateBtn) {
                 this.calibrateBtn.style.display = 'none';
             }
+            if (this.gyroTuningBtn) {
+                this.gyroTuningBtn.style.display = 'none';
+            }
+            // Sin pantalla táctil ni sensores no tienen sentido el giroscopio ni el joystick
+            ['gyroscope', 'touch'].forEach(source => {
+                const option = this.inputSourceSelect && this.inputSourceSelect.querySelector(`option[value="${source}"]`);
+                if (option) {
+                    option.remove();
+                }
+            });
             console.log('🖥️ Interfaz configurada para DESKTOP - Control por mouse');
         }
     }
@@ -173,18 +336,43 @@ export class MenuManager {
             btn.innerHTML = `
                 <div class="level-btn-content">
                     <h3>Nivel ${level.id}</h3>
-                    <p>${level.name}</p>
+                    <p>${escapeHtml(level.name)}</p>
                 </div>
             `;
-            btn.disabled = !level.unlocked;
+            btn.disabled = !level.unlocked || level.broken;
+            
+            // Estadísticas locales (funcionan sin conexión y sin jugador registrado)
+            if (level.stats && level.stats.attempts > 0 && !level.broken) {
+                const { bestTime, attempts } = level.stats;
+                btn.innerHTML += `
+                    <p class="level-stats">
+                        ${bestTime !== null ? `⏱️ ${this.formatTime(bestTime)} • ` : ''}${attempts} intento${attempts !== 1 ? 's' : ''}
+                    </p>
+                `;
+            }
             
-            if (!level.unlocked) {
+            // Mejores estrellas (solo niveles con umbrales, ver utils/levelScoring.js)
+            if (level.scoring && level.unlocked && !level.broken) {
+                const stars = level.bestStars || 0;
+                btn.innerHTML += `<div class="level-stars" data-stars="${stars}">${formatStars(stars)}</div>`;
+                btn.title = `Mejor marca: ${stars}/3 estrellas • Tiempo par: ${this.formatTime(level.scoring.parTime)}`;
+            }
+            
+            if (level.broken) {
+                // Nivel con errores de validación: se muestra el motivo
+                btn.classList.add('locked', 'broken');
+                btn.title = level.errors.join('\n');
+                btn.innerHTML += `
+                    <span class="lock-icon">⚠️</span>
+                    <p class="level-error">${escapeHtml(level.errors[0])}</p>
+                `;
+            } else if (!level.unlocked) {
                 btn.classList.add('locked');
                 btn.innerHTML += '<span class="lock-icon">🔒</span>';
             }
             
             btn.addEventListener('click', () => {
-                if (level.unlocked) {
+                if (level.unlocked && !level.broken) {
                     this.currentLevelId = level.id;
                     this.hideMenu();
                     this.onLevelSelect(level.id);
@@ -243,11 +431,95 @@ export class MenuManager {
         if (this.winOverlay) {
             this.winOverlay.classList.add('hidden');
         }
+        this.setWinNote(null);
+        this.setSyncStatus(null);
+        this.setWinStars(null);
+    }
+
+    /**
+     * Muestra las estrellas de la completación en el overlay de victoria
+     * @param {Object|null} rating - { stars, parTime, nextStarTime } (ver rateCompletion) o null para ocultarlas
+     * @param {boolean} isNewRecord - Si mejora las mejores estrellas guardadas del nivel
+     */
+    setWinStars(rating, isNewRecord = false) {
+        const starsEl = document.getElementById('completion-stars');
+        const parEl = document.getElementById('completion-par');
+        
+        if (starsEl) {
+            starsEl.textContent = rating ? formatStars(rating.stars) : '';
+            starsEl.dataset.stars = rating ? rating.stars : '';
+            starsEl.classList.toggle('hidden', !rating);
+        }
+        
+        if (parEl) {
+            let text = '';
+            if (rating) {
+                text = `Tiempo par: ${this.formatTime(rating.parTime)}`;
+                if (rating.nextStarTime !== null) {
+                    text += ` • Próxima estrella: baja de ${this.formatTime(rating.nextStarTime)}`;
+                }
+                if (isNewRecord) {
+                    text += ' • ⭐ ¡Nueva mejor marca!';
+                }
+            }
+            parEl.textContent = text;
+            parEl.classList.toggle('hidden', !rating);
+        }
+    }
+
+    /**
+     * Muestra una nota debajo de las estadísticas del overlay de victoria
+     * @param {string|null} text - Texto a mostrar (null para ocultarla)
+     */
+    setWinNote(text) {
+        const noteEl = document.getElementById('completion-note');
+        if (!noteEl) return;
+        
+        noteEl.textContent = text || '';
+        noteEl.classList.toggle('hidden', !text);
+    }
+
+    /**
+     * Muestra si la puntuación del overlay de victoria ya está en el ranking
+     * @param {string|null} status - 'synced', 'pending', 'rejected' o null para ocultarlo
+     */
+    setSyncStatus(status) {
+        const syncEl = document.getElementById('completion-sync');
+        if (!syncEl) return;
+        
+        const messages = {
+            synced: '☁️ Puntuación sincronizada',
+            pending: '⏳ Pendiente: se enviará al recuperar la conexión',
+            rejected: '⚠️ El ranking rechazó la puntuación'
+        };
+        syncEl.textContent = messages[status] || '';
+        syncEl.dataset.status = status || '';
+        syncEl.classList.toggle('hidden', !messages[status]);
+    }
+
+    /**
+     * Actualiza el botón del desafío diario según el intento de hoy
+     * @param {Object|null} attempt - Intento guardado del día ({ completionTime }) o null
+     */
+    updateDailyChallengeButton(attempt) {
+        const dailyBtn = document.getElementById('daily-challenge-btn');
+        if (!dailyBtn) return;
+        
+        if (!attempt) {
+            dailyBtn.textContent = '📅 Desafío Diario';
+        } else if (attempt.completionTime === null) {
+            dailyBtn.textContent = '📅 Desafío Diario (práctica - intento abandonado)';
+        } else {
+            const minutes = Math.floor(attempt.completionTime / 60);
+            const seconds = Math.floor(attempt.completionTime % 60);
+            const time = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+            dailyBtn.textContent = `📅 Desafío Diario (práctica - hoy: ${time})`;
+        }
     }
 
     /**
      * Actualiza la información del HUD durante el juego
-     * @param {number} levelId - ID del nivel actual
+     * @param {number|string} levelId - ID del nivel actual (o nombre, si es un nivel generado)
      * @param {number} greenZones - Número de zonas verdes
      * @param {number} totalZones - Número total de zonas
      */
@@ -291,6 +563,115 @@ export class MenuManager {
         this.onCalibrate = callback;
     }
 
+    /**
+     * Establece el callback para cambios del modo de fantasma
+     * @param {Function} callback - Recibe 'off', 'personal' o 'record'
+     */
+    setGhostModeCallback(callback) {
+        this.onGhostModeChange = callback;
+    }
+
+    /**
+     * Obtiene el modo de fantasma guardado
+     * @returns {string} 'off', 'personal' (por defecto) o 'record'
+     */
+    getGhostMode() {
+        return localStorage.getItem('ghostMode') || 'personal';
+    }
+
+    /**
+     * Establece el callback para cambios de la fuente de input
+     * @param {Function} callback - Recibe 'mouse', 'keyboard', 'gamepad' o 'touch'
+     */
+    setInputSourceCallback(callback) {
+        this.onInputSourceChange = callback;
+    }
+
+    /**
+     * Obtiene la fuente de input guardada (el giroscopio no se guarda: pide permiso en cada sesión)
+     * @returns {string} 'mouse' (por defecto en desktop), 'keyboard', 'gamepad' o 'touch' (por defecto en móvil)
+     */
+    getInputSource() {
+        return localStorage.getItem('inputSource') || (this.isMobileDevice ? 'touch' : 'mouse');
+    }
+
+    /**
+     * Elige una fuente de input desde el código (p. ej. el joystick si se rechaza el giroscopio)
+     * @param {string} source - 'mouse', 'keyboard', 'gamepad' o 'touch'
+     */
+    selectInputSource(source) {
+        localStorage.setItem('inputSource', source);
+        if (this.inputSourceSelect) {
+            this.inputSourceSelect.value = source;
+        }
+        if (this.onInputSourceChange) {
+            this.onInputSourceChange(source);
+        }
+    }
+
+    /**
+     * Establece los callbacks de repeticiones
+     * @param {Function} onWatch - Reproducir la última repetición
+     * @param {Function} onDownload - Descargar la última repetición
+     * @param {Function} onLoad - Reproducir una repetición desde archivo (recibe el File)
+     */
+    setReplayCallbacks(onWatch, onDownload, onLoad) {
+        this.onWatchReplay = onWatch;
+        this.onDownloadReplay = onDownload;
+        this.onLoadReplay = onLoad;
+    }
+
+    /**
+     * Establece los callbacks de la cuenta del jugador
+     * @param {Function} onRegister - async (name) => { status, recoveryCode } (ver RankingManager.registerPlayer)
+     * @param {Function} onRecover - async (name, code) => { status } (ver RankingManager.recoverPlayer)
+     */
+    setPlayerAccountCallbacks(onRegister, onRecover) {
+        this.onRegisterPlayer = onRegister;
+        this.onRecoverPlayer = onRecover;
+    }
+
+    /**
+     * Muestra u oculta los botones de repetición del overlay de victoria
+     * @param {boolean} available - Si hay una repetición disponible
+     */
+    setReplayAvailable(available) {
+        ['watch-replay-btn', 'download-replay-btn'].forEach(id => {
+            const btn = document.getElementById(id);
+            if (btn) {
+                btn.style.display = available ? 'inline-block' : 'none';
+            }
+        });
+    }
+
+    /**
+     * Muestra u oculta el indicador de repetición en el HUD
+     * @param {boolean} isReplaying - Si se está reproduciendo una repetición
+     */
+    setReplayMode(isReplaying) {
+        const indicator = document.getElementById('replay-indicator');
+        if (indicator) {
+            indicator.classList.toggle('hidden', !isReplaying);
+        }
+    }
+
+    /**
+     * Muestra un mensaje temporal de error
+     * @param {string} text - Texto del mensaje
+     */
+    showErrorMessage(text) {
+        const message = document.createElement('div');
+        message.className = 'gyroscope-message error';
+        message.textContent = text;
+        document.body.appendChild(message);
+        
+        setTimeout(() => {
+            message.style.transition = 'opacity 0.3s';
+            message.style.opacity = '0';
+            setTimeout(() => message.remove(), 300);
+        }, 4000);
+    }
+
     /**
      * Muestra mensaje de error al activar giroscopio
      */
@@ -302,7 +683,8 @@ export class MenuManager {
         if (this.isIOSDevice && this.needsMotionPermission) {
             message.innerHTML = `
                 ❌ No se pudo activar el giroscopio.<br>
-                <small>Asegúrate de estar en HTTPS y permitir el acceso a sensores de movimiento.</small>
+                <small>Asegúrate de estar en HTTPS y permitir el acceso a sensores de movimiento.
+                Mientras tanto puedes jugar con el joystick táctil.</small>
             `;
         } else {
             message.textContent = '❌ No se pudo activar el giroscopio. Verifica permisos.';
@@ -331,6 +713,16 @@ export class MenuManager {
         }, 2000);
     }
 
+    /**
+     * Actualiza el estado visual del toggle de debug (p. ej. al cargar los ajustes guardados)
+     * @param {boolean} enabled - Si el debug está activo
+     */
+    updateDebugToggle(enabled) {
+        if (this.debugToggle) {
+            this.debugToggle.checked = enabled;
+        }
+    }
+
     /**
      * Actualiza el estado visual del toggle de giroscopio
      * @param {boolean} isActive - Si el giroscopio está activo
@@ -340,29 +732,73 @@ export class MenuManager {
             this.gyroscopeToggle.checked = isActive;
         }
         
-        // Mostrar/ocultar botón de calibración
+        // Reflejar el giroscopio en el selector de control
+        if (this.inputSourceSelect) {
+            if (isActive) {
+                this.inputSourceSelect.value = 'gyroscope';
+            } else if (this.inputSourceSelect.value === 'gyroscope') {
+                this.inputSourceSelect.value = this.getInputSource();
+            }
+        }
+        
+        // Mostrar/ocultar botones de calibración y ajuste
         if (this.calibrateBtn) {
             this.calibrateBtn.style.display = isActive ? 'inline-block' : 'none';
         }
+        if (this.gyroTuningBtn) {
+            this.gyroTuningBtn.style.display = isActive ? 'inline-block' : 'none';
+        }
+        if (!isActive && this.gyroTuningPanel) {
+            this.gyroTuningPanel.classList.add('hidden');
+        }
     }
 
     /**
      * Muestra el modal para ingresar el nombre del jugador
-     * @param {Function} callback - Función a ejecutar cuando se confirme el nombre
+     * @param {Function} callback - Función a ejecutar cuando el jugador quede listo (puede ser null)
+     * @param {Object} options - { mode: 'register' | 'recover', nameTaken: nombre que ya estaba en uso }
      */
-    showPlayerNameModal(callback) {
+    showPlayerNameModal(callback, options = {}) {
+        const { mode = 'register', nameTaken = null } = options;
         this.onPlayerNameConfirmed = callback;
         if (this.playerNameModal) {
+            this.showPlayerModalStep(mode);
             this.playerNameModal.classList.remove('hidden');
+            
+            if (nameTaken) {
+                this.playerNameInput.value = nameTaken;
+                this.showNameError(`⚠️ El nombre "${nameTaken}" ya está en uso. Elige otro o recupera tu perfil`);
+            }
+            
             // Focus en el input
             setTimeout(() => {
-                if (this.playerNameInput) {
-                    this.playerNameInput.focus();
+                const input = mode === 'recover' ? this.recoverNameInput : this.playerNameInput;
+                if (input) {
+                    input.focus();
                 }
             }, 100);
         }
     }
 
+    /**
+     * Cambia el paso visible del modal del jugador
+     * @param {string} step - 'register', 'recover' o 'code'
+     */
+    showPlayerModalStep(step) {
+        const steps = {
+            register: this.playerRegisterStep,
+            recover: this.playerRecoverStep,
+            code: this.playerCodeStep
+        };
+        Object.entries(steps).forEach(([name, element]) => {
+            if (element) {
+                element.classList.toggle('hidden', name !== step);
+            }
+        });
+        this.hideNameError();
+        this.hideRecoverError();
+    }
+
     /**
      * Oculta el modal de nombre del jugador
      */
@@ -370,42 +806,106 @@ export class MenuManager {
         if (this.playerNameModal) {
             this.playerNameModal.classList.add('hidden');
         }
-        if (this.playerNameInput) {
-            this.playerNameInput.value = '';
-        }
+        [this.playerNameInput, this.recoverNameInput, this.recoverCodeInput].forEach(input => {
+            if (input) input.value = '';
+        });
         this.hideNameError();
+        this.hideRecoverError();
+    }
+
+    /**
+     * Cierra el modal y avisa de que el jugador está listo
+     */
+    finishPlayerModal() {
+        this.hidePlayerNameModal();
+
+        const callback = this.onPlayerNameConfirmed;
+        this.onPlayerNameConfirmed = null;
+        if (callback) {
+            callback();
+        }
     }
 
     /**
      * Maneja el envío del formulario de nombre
+     * Registra el jugador; si el nombre está en uso se queda en el modal
      */
-    handlePlayerNameSubmit() {
+    async handlePlayerNameSubmit() {
         const name = this.playerNameInput.value.trim();
         
-        // Validar nombre
-        if (name.length < 2) {
+        // Validar nombre (mismas reglas que el servidor)
+        if (!isValidPlayerName(name)) {
             this.showNameError();
             return;
         }
 
-        // Guardar en localStorage
-        localStorage.setItem('playerName', name);
-        console.log('👤 Nombre del jugador guardado:', name);
+        if (!this.onRegisterPlayer) return;
 
-        // Ocultar modal
-        this.hidePlayerNameModal();
+        const submitBtn = this.playerNameForm.querySelector('button[type="submit"]');
+        submitBtn.disabled = true;
+        const result = await this.onRegisterPlayer(name);
+        submitBtn.disabled = false;
 
-        // Ejecutar callback
-        if (this.onPlayerNameConfirmed) {
-            this.onPlayerNameConfirmed(name);
+        if (result.status === 'name-taken') {
+            this.showNameError(`⚠️ El nombre "${name}" ya está en uso. Elige otro o recupera tu perfil`);
+            return;
         }
+        if (result.status === 'invalid-name') {
+            this.showNameError();
+            return;
+        }
+        if (result.status === 'error') {
+            this.showNameError('⚠️ No se pudo crear el perfil. Inténtalo de nuevo');
+            return;
+        }
+
+        console.log('👤 Perfil del jugador creado:', name);
+
+        // Mostrar el código de recuperación antes de empezar
+        if (this.recoveryCodeDisplay) {
+            this.recoveryCodeDisplay.textContent = result.recoveryCode;
+        }
+        this.showPlayerModalStep('code');
+    }
+
+    /**
+     * Maneja el envío del formulario de recuperación
+     */
+    async handleRecoverSubmit() {
+        const name = this.recoverNameInput.value.trim();
+        const code = this.recoverCodeInput.value.trim();
+        
+        if (name.length < 2 || code.length === 0 || !this.onRecoverPlayer) {
+            this.showRecoverError('⚠️ Escribe tu nombre y tu código de recuperación');
+            return;
+        }
+
+        const submitBtn = this.playerRecoverForm.querySelector('button[type="submit"]');
+        submitBtn.disabled = true;
+        const result = await this.onRecoverPlayer(name, code);
+        submitBtn.disabled = false;
+
+        const errors = {
+            'invalid-code': '⚠️ Nombre o código de recuperación incorrectos',
+            offline: '⚠️ Sin conexión: la recuperación necesita internet',
+            error: '⚠️ No se pudo recuperar el perfil. Inténtalo de nuevo'
+        };
+        if (errors[result.status]) {
+            this.showRecoverError(errors[result.status]);
+            return;
+        }
+
+        console.log('🔑 Perfil recuperado:', name);
+        this.finishPlayerModal();
     }
 
     /**
      * Muestra el mensaje de error del nombre
+     * @param {string} message - Texto del error (por defecto el de nombre no válido)
      */
-    showNameError() {
+    showNameError(message = this.nameErrorDefaultText) {
         if (this.nameError) {
+            this.nameError.textContent = message;
             this.nameError.classList.remove('hidden');
         }
         if (this.playerNameInput) {
@@ -425,31 +925,71 @@ export class MenuManager {
         }
     }
 
+    showRecoverError(message) {
+        if (this.recoverError) {
+            this.recoverError.textContent = message;
+            this.recoverError.classList.remove('hidden');
+        }
+    }
+
+    hideRecoverError() {
+        if (this.recoverError) {
+            this.recoverError.classList.add('hidden');
+        }
+    }
+
     /**
-     * Obtiene el nombre del jugador desde localStorage
-     * @returns {string|null} Nombre del jugador o null
+     * Muestra el perfil de este dispositivo en Ajustes
+     * @param {Object|null} identity - Identidad del jugador (ver PlayerIdentityStorage) o null
      */
-    getPlayerName() {
-        return localStorage.getItem('playerName');
+    updatePlayerProfile(identity) {
+        if (this.playerProfileInfo) {
+            this.playerProfileInfo.textContent = identity
+                ? `Perfil: ${identity.name}${identity.registered ? '' : ' (pendiente de sincronizar)'}`
+                : 'Sin perfil en este dispositivo';
+        }
+        if (this.playerRecoveryCode) {
+            this.playerRecoveryCode.textContent = identity ? identity.recoveryCode : '—';
+        }
     }
 
     /**
      * Actualiza el overlay de victoria con tiempo y puntos
      * @param {number} timeInSeconds - Tiempo en segundos
      * @param {number} points - Puntos obtenidos
+     * @param {boolean} isEstimate - Si los puntos son una estimación del cliente (ver setWinPoints)
      */
-    updateWinOverlay(timeInSeconds, points) {
+    updateWinOverlay(timeInSeconds, points, isEstimate = false) {
         const timeEl = document.getElementById('completion-time');
-        const pointsEl = document.getElementById('completion-points');
 
         if (timeEl) {
-            const minutes = Math.floor(timeInSeconds / 60);
-            const seconds = Math.floor(timeInSeconds % 60);
-            timeEl.textContent = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+            timeEl.textContent = this.formatTime(timeInSeconds);
         }
 
-        if (pointsEl) {
-            pointsEl.textContent = points;
-        }
+        this.setWinPoints(points, isEstimate);
+    }
+
+    /**
+     * Muestra los puntos del overlay de victoria
+     * Los que cuentan los calcula el backend; mientras no llegan se muestra la estimación del cliente
+     * @param {number} points - Puntos
+     * @param {boolean} isEstimate - Si es la estimación del cliente
+     */
+    setWinPoints(points, isEstimate = false) {
+        const pointsEl = document.getElementById('completion-points');
+        if (!pointsEl) return;
+
+        pointsEl.textContent = isEstimate ? `~${points} (estimado)` : points;
+    }
+
+    /**
+     * Formatea tiempo en formato MM:SS
+     * @param {number} timeInSeconds - Tiempo en segundos
+     * @returns {string} Tiempo formateado
+     */
+    formatTime(timeInSeconds) {
+        const minutes = Math.floor(timeInSeconds / 60);
+        const seconds = Math.floor(timeInSeconds % 60);
+        return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
     }
 }
@@ -0,0 +1,256 @@
+/**
+ * ProfileDisplay - Pantalla de perfil del jugador
+ * - Posición, puntos y niveles de la temporada activa; intentos y primera completación de siempre
+ * - Mejor tiempo, intentos y primera completación de cada nivel (todas las temporadas)
+ * - Gráfica (SVG) de los tiempos de cada intento en el nivel seleccionado
+ */
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 220;
+const CHART_PADDING = { top: 15, right: 15, bottom: 30, left: 55 };
+
+export class ProfileDisplay {
+    constructor(rankingManager) {
+        this.rankingManager = rankingManager;
+
+        // Referencias a elementos del DOM
+        this.container = document.getElementById('profile-container');
+        this.title = document.getElementById('profile-title');
+        this.summary = document.getElementById('profile-summary');
+        this.levelsList = document.getElementById('profile-levels');
+        this.chartTabs = document.getElementById('profile-chart-tabs');
+        this.chart = document.getElementById('profile-chart');
+        this.refreshBtn = document.getElementById('refresh-profile-btn');
+        this.closeBtn = document.getElementById('close-profile-btn');
+
+        // Estado
+        this.profile = null;
+        this.selectedLevel = null;
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        if (this.refreshBtn) {
+            this.refreshBtn.addEventListener('click', () => {
+                this.loadProfile();
+            });
+        }
+
+        if (this.closeBtn) {
+            this.closeBtn.addEventListener('click', () => {
+                this.hide();
+            });
+        }
+
+        // Los botones de nivel de la gráfica se crean al cargar el perfil
+        if (this.chartTabs) {
+            this.chartTabs.addEventListener('click', (event) => {
+                const btn = event.target.closest('.level-tab-btn');
+                if (btn) this.selectLevel(parseInt(btn.dataset.level));
+            });
+        }
+    }
+
+    /**
+     * Muestra la pantalla de perfil
+     */
+    async show() {
+        if (this.container) {
+            this.container.classList.remove('hidden');
+        }
+
+        await this.loadProfile();
+    }
+
+    /**
+     * Oculta la pantalla de perfil
+     */
+    hide() {
+        if (this.container) {
+            this.container.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Carga y muestra el perfil del jugador actual
+     */
+    async loadProfile() {
+        if (!this.summary) return;
+
+        const player = this.rankingManager.currentPlayer;
+        if (!player) {
+            this.renderEmpty('Todavía no tienes perfil. ¡Juega el nivel 1 para crearlo!');
+            return;
+        }
+
+        if (this.title) {
+            this.title.textContent = `👤 ${player.name}`;
+        }
+        this.summary.innerHTML = '<div class="loading">Cargando perfil...</div>';
+        this.levelsList.innerHTML = '';
+        this.chartTabs.innerHTML = '';
+        this.chart.innerHTML = '';
+
+        try {
+            this.profile = await this.rankingManager.getPlayerProfile();
+
+            if (!this.profile) {
+                this.renderEmpty('Error al cargar el perfil');
+                return;
+            }
+
+            this.renderSummary();
+            this.renderLevels();
+
+            const { levels } = this.profile;
+            const stillPlayed = levels.some(level => level.levelId === this.selectedLevel);
+            this.selectLevel(stillPlayed ? this.selectedLevel : levels.length > 0 ? levels[0].levelId : null);
+
+        } catch (error) {
+            console.error('❌ Error al cargar perfil:', error);
+            this.renderEmpty('Error al cargar el perfil');
+        }
+    }
+
+    /**
+     * Muestra solo un mensaje (sin jugador o sin datos)
+     * @param {string} message - Texto a mostrar
+     */
+    renderEmpty(message) {
+        if (this.title) {
+            this.title.textContent = '👤 Perfil';
+        }
+        this.summary.innerHTML = `<div class="loading">${message}</div>`;
+        this.levelsList.innerHTML = '';
+        this.chartTabs.innerHTML = '';
+        this.chart.innerHTML = '';
+    }
+
+    /**
+     * Tarjetas con los datos globales del jugador (posición y puntos de la temporada activa)
+     */
+    renderSummary() {
+        const { player, rank, stats, totalAttempts, firstClear } = this.profile;
+        const pendingNote = player.pending
+            ? '<div class="profile-note">⏳ Tu perfil se registrará al recuperar la conexión</div>'
+            : '';
+
+        const cards = [
+            { label: 'Posición en la temporada', value: rank ? `#${rank}` : '—' },
+            { label: 'Puntos de la temporada', value: stats ? stats.total_points : 0 },
+            { label: 'Niveles en la temporada', value: stats ? stats.levels_completed : 0 },
+            { label: 'Intentos', value: totalAttempts },
+            { label: 'Primera completación', value: firstClear ? this.formatDate(firstClear) : '—' }
+        ];
+
+        this.summary.innerHTML = pendingNote + cards.map(card => `
+            <div class="profile-card">
+                <div class="profile-card-value">${card.value}</div>
+                <div class="profile-card-label">${card.label}</div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Lista con el resumen de cada nivel completado
+     */
+    renderLevels() {
+        const { levels } = this.profile;
+
+        if (levels.length === 0) {
+            this.levelsList.innerHTML = '<div class="loading">Aún no has completado ningún nivel</div>';
+            return;
+        }
+
+        this.levelsList.innerHTML = levels.map(level => `
+            <div class="ranking-item">
+                <div class="rank-number">N${level.levelId}</div>
+                <div class="player-info">
+                    <div class="player-name">Nivel ${level.levelId}</div>
+                    <div class="player-stats">
+                        ${level.attempts} intento${level.attempts !== 1 ? 's' : ''}
+                        • ${level.bestPoints} puntos
+                        • primera vez el ${this.formatDate(level.firstClear)}
+                    </div>
+                </div>
+                <div class="player-score">${this.formatTime(level.bestTime)}</div>
+            </div>
+        `).join('');
+
+        this.chartTabs.innerHTML = levels.map(level => `
+            <button class="level-tab-btn" data-level="${level.levelId}">Nivel ${level.levelId}</button>
+        `).join('');
+    }
+
+    /**
+     * Selecciona el nivel de la gráfica
+     * @param {number|null} levelId - Nivel o null si no hay ninguno
+     */
+    selectLevel(levelId) {
+        this.selectedLevel = levelId;
+
+        this.chartTabs.querySelectorAll('.level-tab-btn').forEach(btn => {
+            btn.classList.toggle('active', parseInt(btn.dataset.level) === levelId);
+        });
+
+        const level = this.profile && this.profile.levels.find(entry => entry.levelId === levelId);
+        this.chart.innerHTML = level ? this.renderChart(level.times) : '';
+    }
+
+    /**
+     * Gráfica de líneas de los tiempos de cada intento (el mejor en dorado)
+     * @param {Array<number>} times - Tiempos en orden de intento
+     * @returns {string} SVG
+     */
+    renderChart(times) {
+        const { top, right, bottom, left } = CHART_PADDING;
+        const plotWidth = CHART_WIDTH - left - right;
+        const plotHeight = CHART_HEIGHT - top - bottom;
+
+        const maxTime = Math.max(...times);
+        const minTime = Math.min(...times);
+        const range = maxTime - minTime || 1;
+        const bestIndex = times.indexOf(minTime);
+
+        // Un solo intento se dibuja en el centro
+        const x = (index) => left + (times.length > 1 ? (index / (times.length - 1)) * plotWidth : plotWidth / 2);
+        const y = (time) => top + (1 - (time - minTime) / range) * plotHeight;
+
+        const points = times.map((time, index) => `${x(index).toFixed(1)},${y(time).toFixed(1)}`).join(' ');
+        const dots = times.map((time, index) => `
+            <circle cx="${x(index).toFixed(1)}" cy="${y(time).toFixed(1)}" r="${index === bestIndex ? 6 : 4}"
+                class="${index === bestIndex ? 'chart-best' : 'chart-dot'}">
+                <title>Intento ${index + 1}: ${this.formatTime(time)}</title>
+            </circle>
+        `).join('');
+
+        return `
+            <svg viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" class="profile-chart-svg" role="img"
+                aria-label="Tiempos de cada intento">
+                <line x1="${left}" y1="${top}" x2="${left}" y2="${top + plotHeight}" class="chart-axis" />
+                <line x1="${left}" y1="${top + plotHeight}" x2="${left + plotWidth}" y2="${top + plotHeight}" class="chart-axis" />
+                <text x="${left - 8}" y="${top + 4}" class="chart-label" text-anchor="end">${this.formatTime(maxTime)}</text>
+                <text x="${left - 8}" y="${top + plotHeight}" class="chart-label" text-anchor="end">${this.formatTime(minTime)}</text>
+                <text x="${left}" y="${CHART_HEIGHT - 8}" class="chart-label">Intento 1</text>
+                <text x="${left + plotWidth}" y="${CHART_HEIGHT - 8}" class="chart-label" text-anchor="end">Intento ${times.length}</text>
+                <polyline points="${points}" class="chart-line" />
+                ${dots}
+            </svg>
+        `;
+    }
+
+    /**
+     * Formatea una fecha ISO como día/mes/año
+     */
+    formatDate(isoDate) {
+        return new Date(isoDate).toLocaleDateString('es-ES', { day: '2-digit', month: '2-digit', year: 'numeric' });
+    }
+
+    /**
+     * Formatea tiempo en formato MM:SS
+     */
+    formatTime(seconds) {
+        return this.rankingManager.formatTime(seconds);
+    }
+}
@@ -2,9 +2,30 @@
  * RankingDisplay - Gestiona la visualización de rankings
  * - Muestra ranking global por puntos
  * - Muestra ranking por nivel (mejores tiempos)
+ * - Global y por nivel: paginados (scroll infinito), con búsqueda por nombre y "Mi posición"
+ * - Global y por nivel: selector de temporada (la activa o la clasificación final de una cerrada)
+ * - Mientras está abierta se actualiza sola con cada completación nueva (animando los cambios
+ *   de posición y avisando si alguien te supera); solo en la temporada activa
+ * - Muestra ranking del desafío diario (fecha UTC de hoy)
  * - Maneja tabs y actualización de datos
+ * - Los nombres los eligen los jugadores: siempre pasan por escapeHtml antes de ir a innerHTML
  */
 
+import { getUtcDateKey } from '../utils/dailyChallenge.js';
+import { escapeHtml } from '../utils/html.js';
+
+// Filas por página (se carga la siguiente al llegar al final de la lista)
+const PAGE_SIZE = 20;
+// Jugadores por encima y por debajo en "Mi posición"
+const AROUND_RADIUS = 5;
+// Espera tras la última tecla antes de buscar
+const SEARCH_DELAY_MS = 300;
+// Agrupa las completaciones que llegan seguidas en una sola actualización
+const LIVE_REFRESH_DELAY_MS = 500;
+// Duración de la animación de cambio de posición y del aviso
+const MOVE_ANIMATION_MS = 600;
+const LIVE_NOTICE_MS = 4000;
+
 export class RankingDisplay {
     constructor(rankingManager) {
         this.rankingManager = rankingManager;
@@ -13,20 +34,60 @@ export class RankingDisplay {
         this.container = document.getElementById('rankings-container');
         this.globalList = document.getElementById('global-ranking-list');
         this.levelList = document.getElementById('level-ranking-list');
+        this.dailyList = document.getElementById('daily-ranking-list');
+        this.dailyTitle = document.getElementById('daily-ranking-title');
         this.closeBtn = document.getElementById('close-rankings-btn');
         this.refreshGlobalBtn = document.getElementById('refresh-global-btn');
         this.refreshLevelBtn = document.getElementById('refresh-level-btn');
+        this.refreshDailyBtn = document.getElementById('refresh-daily-btn');
+        this.liveNotice = document.getElementById('rankings-live-notice');
+        this.seasonBar = document.getElementById('ranking-season-bar');
+        this.seasonSelect = document.getElementById('ranking-season-select');
+        this.seasonStatus = document.getElementById('ranking-season-status');
         
         // Estado
         this.currentTab = 'global';
         this.selectedLevel = 1;
+        this.seasons = [];
+        this.selectedSeason = null;   // null = temporada activa
+        this.unsubscribe = null;      // Suscripción a completaciones en vivo (solo con la pantalla abierta)
+        this.liveRefreshTimer = null;
+        this.liveNoticeTimer = null;
+        
+        // Listas paginadas (global y por nivel): página actual, búsqueda y modo "Mi posición"
+        this.lists = {
+            global: this.createListState(this.globalList, 'global'),
+            levels: this.createListState(this.levelList, 'level')
+        };
         
         this.setupEventListeners();
     }
 
+    /**
+     * Estado de una lista paginada
+     * @param {HTMLElement} element - Contenedor de la lista
+     * @param {string} prefix - Prefijo de los ids de su buscador y su botón "Mi posición"
+     * @returns {Object} Estado
+     */
+    createListState(element, prefix) {
+        return {
+            element,
+            searchInput: document.getElementById(`${prefix}-search-input`),
+            aroundBtn: document.getElementById(`${prefix}-around-btn`),
+            rows: [],         // Filas mostradas (para animar los cambios en vivo)
+            offset: 0,        // Siguiente fila a pedir
+            hasMore: false,
+            loading: false,
+            request: 0,       // Para descartar respuestas de una carga anterior
+            search: '',
+            around: false,
+            searchTimer: null
+        };
+    }
+
     setupEventListeners() {
         // Tabs principales
-        const tabBtns = document.querySelectorAll('.tab-btn');
+        const tabBtns = this.container.querySelectorAll('.tab-btn');
         tabBtns.forEach(btn => {
             btn.addEventListener('click', () => {
                 const tab = btn.dataset.tab;
@@ -35,7 +96,7 @@ export class RankingDisplay {
         });
 
         // Tabs de niveles
-        const levelTabBtns = document.querySelectorAll('.level-tab-btn');
+        const levelTabBtns = this.container.querySelectorAll('.level-tab-btn');
         levelTabBtns.forEach(btn => {
             btn.addEventListener('click', () => {
                 const level = parseInt(btn.dataset.level);
@@ -56,6 +117,58 @@ export class RankingDisplay {
             });
         }
 
+        if (this.refreshDailyBtn) {
+            this.refreshDailyBtn.addEventListener('click', () => {
+                this.loadDailyRanking();
+            });
+        }
+
+        // Selector de temporada (la opción vacía es la activa)
+        if (this.seasonSelect) {
+            this.seasonSelect.addEventListener('change', () => {
+                const value = this.seasonSelect.value;
+                this.selectedSeason = value ? parseInt(value) : null;
+                this.updateSeasonStatus();
+                this.loadTab(this.currentTab);
+            });
+        }
+
+        // Búsqueda, "Mi posición" y scroll infinito de las listas paginadas
+        Object.keys(this.lists).forEach(tab => {
+            const list = this.lists[tab];
+
+            if (list.searchInput) {
+                list.searchInput.addEventListener('input', () => {
+                    clearTimeout(list.searchTimer);
+                    list.searchTimer = setTimeout(() => {
+                        list.search = list.searchInput.value.trim();
+                        list.around = false;
+                        this.loadTab(tab);
+                    }, SEARCH_DELAY_MS);
+                });
+            }
+
+            if (list.aroundBtn) {
+                list.aroundBtn.addEventListener('click', () => {
+                    list.around = !list.around;
+                    if (list.around && list.searchInput) {
+                        list.searchInput.value = '';
+                        list.search = '';
+                    }
+                    this.loadTab(tab);
+                });
+            }
+
+            if (list.element) {
+                list.element.addEventListener('scroll', () => {
+                    const { scrollTop, clientHeight, scrollHeight } = list.element;
+                    if (scrollTop + clientHeight >= scrollHeight - 50) {
+                        this.loadNextPage(tab);
+                    }
+                });
+            }
+        });
+
         // Botón cerrar
         if (this.closeBtn) {
             this.closeBtn.addEventListener('click', () => {
@@ -72,11 +185,61 @@ export class RankingDisplay {
             this.container.classList.remove('hidden');
         }
         
+        if (!this.unsubscribe) {
+            this.unsubscribe = this.rankingManager.subscribeToCompletions(completion => this.onLiveCompletion(completion));
+        }
+        
+        // "Mi posición" solo tiene sentido con jugador
+        Object.values(this.lists).forEach(list => {
+            if (list.aroundBtn) {
+                list.aroundBtn.disabled = !this.rankingManager.currentPlayer;
+            }
+        });
+        
+        await this.loadSeasons();
+        
         // Cargar datos según el tab activo
-        if (this.currentTab === 'global') {
-            await this.loadGlobalRanking();
-        } else {
-            await this.loadLevelRanking(this.selectedLevel);
+        await this.loadTab(this.currentTab);
+    }
+
+    /**
+     * Rellena el selector de temporadas (sin temporadas en el backend no se muestra)
+     */
+    async loadSeasons() {
+        if (!this.seasonSelect) return;
+        
+        this.seasons = await this.rankingManager.getSeasons();
+        
+        // La temporada elegida puede haberse cerrado o no existir ya: volver a la activa
+        const selected = this.seasons.find(season => season.id === this.selectedSeason);
+        if (!selected || selected.ends_at === null) {
+            this.selectedSeason = null;
+        }
+        
+        this.seasonSelect.innerHTML = this.seasons.map(season => {
+            const active = season.ends_at === null;
+            const label = active
+                ? `${season.name} (en curso)`
+                : `${season.name} (${this.formatDate(season.starts_at)} – ${this.formatDate(season.ends_at)})`;
+            const value = active ? '' : season.id;
+            const selectedAttr = (active ? null : season.id) === this.selectedSeason ? ' selected' : '';
+            return `<option value="${value}"${selectedAttr}>${escapeHtml(label)}</option>`;
+        }).join('');
+        
+        this.updateSeasonStatus();
+    }
+
+    /**
+     * Muestra si la temporada elegida está en curso o es una clasificación final
+     */
+    updateSeasonStatus() {
+        if (this.seasonBar) {
+            this.seasonBar.classList.toggle('hidden', this.seasons.length === 0 || this.currentTab === 'daily');
+        }
+        if (this.seasonStatus) {
+            const final = this.selectedSeason !== null;
+            this.seasonStatus.textContent = final ? '🏁 Clasificación final' : '🔴 En vivo';
+            this.seasonStatus.classList.toggle('final', final);
         }
     }
 
@@ -87,29 +250,47 @@ export class RankingDisplay {
         if (this.container) {
             this.container.classList.add('hidden');
         }
+        
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+        clearTimeout(this.liveRefreshTimer);
     }
 
     /**
-     * Cambia entre tabs (global/levels)
+     * Cambia entre tabs (global/levels/daily)
      */
     switchTab(tab) {
         this.currentTab = tab;
         
         // Actualizar botones de tab
-        document.querySelectorAll('.tab-btn').forEach(btn => {
+        this.container.querySelectorAll('.tab-btn').forEach(btn => {
             btn.classList.toggle('active', btn.dataset.tab === tab);
         });
         
         // Actualizar contenido
-        document.querySelectorAll('.tab-content').forEach(content => {
+        this.container.querySelectorAll('.tab-content').forEach(content => {
             content.classList.toggle('active', content.id === `tab-${tab}`);
         });
         
+        // El desafío diario no tiene temporadas
+        this.updateSeasonStatus();
+        
         // Cargar datos
+        this.loadTab(tab);
+    }
+
+    /**
+     * Carga los datos del tab indicado
+     */
+    async loadTab(tab) {
         if (tab === 'global') {
-            this.loadGlobalRanking();
+            await this.loadGlobalRanking();
+        } else if (tab === 'daily') {
+            await this.loadDailyRanking();
         } else {
-            this.loadLevelRanking(this.selectedLevel);
+            await this.loadLevelRanking(this.selectedLevel);
         }
     }
 
@@ -120,7 +301,7 @@ export class RankingDisplay {
         this.selectedLevel = level;
         
         // Actualizar botones de nivel
-        document.querySelectorAll('.level-tab-btn').forEach(btn => {
+        this.container.querySelectorAll('.level-tab-btn').forEach(btn => {
             btn.classList.toggle('active', parseInt(btn.dataset.level) === level);
         });
         
@@ -129,67 +310,391 @@ export class RankingDisplay {
     }
 
     /**
-     * Carga y muestra el ranking global
+     * Carga y muestra el ranking global (primera página, resultados de la búsqueda o "Mi posición")
      */
     async loadGlobalRanking() {
-        if (!this.globalList) return;
+        await this.loadFirstPage('global');
+    }
+
+    /**
+     * Carga y muestra el ranking de un nivel específico
+     */
+    async loadLevelRanking(levelId) {
+        this.selectedLevel = levelId;
+        await this.loadFirstPage('levels');
+    }
+
+    /**
+     * Pide una página de la lista al RankingManager
+     * @param {string} tab - 'global' o 'levels'
+     * @param {number} offset - Primera fila
+     * @param {number} limit - Cantidad de filas
+     * @returns {Promise<Array>} Filas
+     */
+    fetchPage(tab, offset, limit = PAGE_SIZE) {
+        const { search } = this.lists[tab];
+        const options = { offset, search: search || null, seasonId: this.selectedSeason };
+        return tab === 'global'
+            ? this.rankingManager.getRankingGlobal(limit, options)
+            : this.rankingManager.getRankingByLevel(this.selectedLevel, limit, options);
+    }
+
+    /**
+     * Vuelve a cargar una lista desde el principio
+     * En modo "Mi posición" empieza unas filas por encima del jugador
+     * @param {string} tab - 'global' o 'levels'
+     */
+    async loadFirstPage(tab) {
+        const list = this.lists[tab];
+        if (!list.element) return;
         
-        this.globalList.innerHTML = '<div class="loading">Cargando...</div>';
+        const request = ++list.request;
+        list.loading = true;
+        list.hasMore = false;
+        list.rows = [];
+        list.element.innerHTML = '<div class="loading">Cargando...</div>';
+        list.element.scrollTop = 0;
+        this.updateAroundButton(list);
         
         try {
-            const rankings = await this.rankingManager.getRankingGlobal(20);
+            let rows;
+            if (list.around) {
+                const around = await this.rankingManager.getRankingAroundPlayer(
+                    tab === 'global' ? null : this.selectedLevel,
+                    AROUND_RADIUS,
+                    this.selectedSeason
+                );
+                rows = around.rows;
+                list.offset = around.offset + rows.length;
+            } else {
+                rows = await this.fetchPage(tab, 0);
+                list.offset = rows.length;
+            }
             
-            if (rankings.length === 0) {
-                this.globalList.innerHTML = '<div class="loading">No hay datos aún. ¡Sé el primero!</div>';
+            // Llegó otra carga más reciente (cambio de nivel, búsqueda...)
+            if (request !== list.request) return;
+            
+            list.loading = false;
+            // En "Mi posición" la página es más corta: se sigue cargando hasta que no lleguen filas
+            list.hasMore = list.around ? rows.length > 0 : rows.length === PAGE_SIZE;
+            
+            if (rows.length === 0) {
+                list.element.innerHTML = `<div class="loading">${this.getEmptyMessage(tab)}</div>`;
                 return;
             }
             
-            const currentPlayerId = this.rankingManager.currentPlayer?.id;
+            list.rows = rows;
+            list.element.innerHTML = rows.map(row => this.renderRow(tab, row)).join('');
             
-            const html = rankings.map((player, index) => {
-                const rank = index + 1;
-                const isCurrentPlayer = player.id === currentPlayerId;
-                const topClass = rank <= 3 ? `top-${rank}` : '';
-                const currentClass = isCurrentPlayer ? 'current-player' : '';
-                
-                return `
-                    <div class="ranking-item ${topClass} ${currentClass}">
-                        <div class="rank-number ${topClass}">#${rank}</div>
-                        <div class="player-info">
-                            <div class="player-name">
-                                ${player.name} ${isCurrentPlayer ? '👤 (Tú)' : ''}
-                            </div>
-                            <div class="player-stats">
-                                ${player.levels_completed} nivel${player.levels_completed !== 1 ? 'es' : ''} completado${player.levels_completed !== 1 ? 's' : ''}
-                                • ${player.total_completions} jugada${player.total_completions !== 1 ? 's' : ''}
-                            </div>
-                        </div>
-                        <div class="player-score">${player.total_points} pts</div>
-                    </div>
-                `;
-            }).join('');
+            if (list.around) {
+                const current = list.element.querySelector('.current-player');
+                if (current) {
+                    list.element.scrollTop = current.offsetTop - list.element.offsetTop - list.element.clientHeight / 2;
+                }
+            }
+            
+        } catch (error) {
+            if (request !== list.request) return;
+            list.loading = false;
+            console.error('❌ Error al cargar ranking:', error);
+            list.element.innerHTML = '<div class="loading">Error al cargar rankings</div>';
+        }
+    }
+
+    /**
+     * Añade la siguiente página al final de la lista (scroll infinito)
+     * @param {string} tab - 'global' o 'levels'
+     */
+    async loadNextPage(tab) {
+        const list = this.lists[tab];
+        if (list.loading || !list.hasMore) return;
+        
+        const request = list.request;
+        list.loading = true;
+        
+        try {
+            const rows = await this.fetchPage(tab, list.offset);
+            if (request !== list.request) return;
             
-            this.globalList.innerHTML = html;
+            list.loading = false;
+            list.offset += rows.length;
+            list.hasMore = rows.length === PAGE_SIZE;
+            list.rows = list.rows.concat(rows);
+            list.element.insertAdjacentHTML('beforeend', rows.map(row => this.renderRow(tab, row)).join(''));
             
         } catch (error) {
-            console.error('❌ Error al cargar ranking global:', error);
-            this.globalList.innerHTML = '<div class="loading">Error al cargar rankings</div>';
+            if (request !== list.request) return;
+            list.loading = false;
+            console.error('❌ Error al cargar más filas del ranking:', error);
         }
     }
 
     /**
-     * Carga y muestra el ranking de un nivel específico
+     * Completación nueva de cualquier jugador (canal en vivo o sondeo del backend local)
+     * Se actualiza solo la lista visible a la que afecta
+     * @param {Object} completion - Fila de level_completions
      */
-    async loadLevelRanking(levelId) {
-        if (!this.levelList) return;
+    onLiveCompletion(completion) {
+        // Las temporadas cerradas ya no cambian
+        if (this.selectedSeason !== null) return;
+        
+        const tab = this.currentTab;
+        const affected = tab === 'global' || (tab === 'levels' && completion.level_id === this.selectedLevel);
+        if (!affected) return;
+        
+        clearTimeout(this.liveRefreshTimer);
+        this.liveRefreshTimer = setTimeout(() => this.refreshInPlace(tab), LIVE_REFRESH_DELAY_MS);
+    }
+
+    /**
+     * Vuelve a pedir las filas que se están mostrando y las actualiza sin vaciar la lista
+     * @param {string} tab - 'global' o 'levels'
+     */
+    async refreshInPlace(tab) {
+        const list = this.lists[tab];
+        if (!list.element || tab !== this.currentTab || this.selectedSeason !== null) return;
         
-        this.levelList.innerHTML = '<div class="loading">Cargando...</div>';
+        // Hay una carga en curso: se reintenta cuando termine
+        if (list.loading) {
+            this.liveRefreshTimer = setTimeout(() => this.refreshInPlace(tab), LIVE_REFRESH_DELAY_MS);
+            return;
+        }
+        
+        const request = ++list.request;
+        list.loading = true;
         
         try {
-            const rankings = await this.rankingManager.getRankingByLevel(levelId, 20);
+            let rows;
+            if (list.around) {
+                const around = await this.rankingManager.getRankingAroundPlayer(
+                    tab === 'global' ? null : this.selectedLevel,
+                    AROUND_RADIUS,
+                    this.selectedSeason
+                );
+                rows = around.rows;
+                list.offset = around.offset + rows.length;
+                list.hasMore = rows.length > 0;
+            } else {
+                const limit = Math.max(list.offset, PAGE_SIZE);
+                rows = await this.fetchPage(tab, 0, limit);
+                list.offset = rows.length;
+                list.hasMore = rows.length === limit;
+            }
+            
+            if (request !== list.request) return;
+            list.loading = false;
+            if (rows.length === 0) return;
+            
+            const previous = list.rows;
+            list.rows = rows;
+            this.renderRowsAnimated(tab, rows);
+            this.notifyPassed(tab, previous, rows);
+            
+        } catch (error) {
+            if (request !== list.request) return;
+            list.loading = false;
+            console.error('❌ Error al actualizar ranking en vivo:', error);
+        }
+    }
+
+    /**
+     * Sustituye las filas animando cada una desde su posición anterior (técnica FLIP)
+     * @param {string} tab - 'global' o 'levels'
+     * @param {Array} rows - Filas nuevas
+     */
+    renderRowsAnimated(tab, rows) {
+        const list = this.lists[tab];
+        
+        const before = new Map();
+        list.element.querySelectorAll('[data-player-id]').forEach(item => {
+            before.set(item.dataset.playerId, item.getBoundingClientRect().top);
+        });
+        
+        list.element.innerHTML = rows.map(row => this.renderRow(tab, row)).join('');
+        
+        list.element.querySelectorAll('[data-player-id]').forEach(item => {
+            const previousTop = before.get(item.dataset.playerId);
+            if (previousTop === undefined) {
+                item.classList.add('rank-new');
+                return;
+            }
+            const delta = previousTop - item.getBoundingClientRect().top;
+            if (delta !== 0 && item.animate) {
+                item.animate(
+                    [{ transform: `translateY(${delta}px)` }, { transform: 'translateY(0)' }],
+                    { duration: MOVE_ANIMATION_MS, easing: 'ease-out' }
+                );
+            }
+            if (delta > 0) {
+                item.classList.add('rank-up');
+            }
+        });
+    }
+
+    /**
+     * Avisa si el jugador actual perdió posiciones y marca a quien le superó
+     * @param {string} tab - 'global' o 'levels'
+     * @param {Array} previous - Filas antes de actualizar
+     * @param {Array} rows - Filas nuevas
+     */
+    notifyPassed(tab, previous, rows) {
+        const currentPlayerId = this.rankingManager.currentPlayer?.id;
+        if (!currentPlayerId) return;
+        
+        const keyOf = row => (tab === 'global' ? row.id : row.player_id);
+        const previousRanks = new Map(previous.map(row => [keyOf(row), row.rank]));
+        const before = previousRanks.get(currentPlayerId);
+        const mine = rows.find(row => keyOf(row) === currentPlayerId);
+        if (!before || !mine || mine.rank <= before) return;
+        
+        // Estaban por detrás (o no aparecían) y ahora están por delante
+        const passedBy = rows.filter(row => {
+            const previousRank = previousRanks.get(keyOf(row));
+            return row.rank < mine.rank && (previousRank === undefined || previousRank > before);
+        });
+        if (passedBy.length === 0) return;
+        
+        passedBy.forEach(row => {
+            const item = this.findRowElement(tab, keyOf(row));
+            if (item) item.classList.add('passed-you');
+        });
+        
+        const names = passedBy.map(row => (tab === 'global' ? row.name : row.player_name)).join(', ');
+        this.showLiveNotice(`⚡ ${names} te ${passedBy.length === 1 ? 'ha' : 'han'} superado: ahora vas #${mine.rank}`);
+    }
+
+    /**
+     * Elemento de la fila de un jugador
+     * @param {string} tab - 'global' o 'levels'
+     * @param {string} playerId - ID del jugador
+     * @returns {HTMLElement|null}
+     */
+    findRowElement(tab, playerId) {
+        return Array.from(this.lists[tab].element.querySelectorAll('[data-player-id]'))
+            .find(item => item.dataset.playerId === playerId) || null;
+    }
+
+    /**
+     * Muestra un aviso temporal sobre las listas
+     * @param {string} text - Texto (se muestra como texto, no como HTML)
+     */
+    showLiveNotice(text) {
+        if (!this.liveNotice) return;
+        
+        this.liveNotice.textContent = text;
+        this.liveNotice.classList.remove('hidden');
+        clearTimeout(this.liveNoticeTimer);
+        this.liveNoticeTimer = setTimeout(() => {
+            this.liveNotice.classList.add('hidden');
+        }, LIVE_NOTICE_MS);
+    }
+
+    /**
+     * Mensaje para una lista sin filas
+     * @param {string} tab - 'global' o 'levels'
+     * @returns {string} HTML seguro
+     */
+    getEmptyMessage(tab) {
+        const { search, around } = this.lists[tab];
+        const closed = this.selectedSeason !== null;
+        if (around) {
+            if (closed) {
+                return tab === 'global'
+                    ? 'No puntuaste en esta temporada'
+                    : `No completaste el nivel ${this.selectedLevel} en esta temporada`;
+            }
+            return tab === 'global'
+                ? 'Todavía no apareces en el ranking'
+                : `Todavía no has completado el nivel ${this.selectedLevel}`;
+        }
+        if (search) {
+            return `Ningún jugador coincide con "${escapeHtml(search)}"`;
+        }
+        if (closed) {
+            return tab === 'global'
+                ? 'Nadie puntuó en esta temporada'
+                : `Nadie completó el nivel ${this.selectedLevel} en esta temporada`;
+        }
+        return tab === 'global'
+            ? 'No hay datos aún. ¡Sé el primero!'
+            : `No hay datos para el nivel ${this.selectedLevel} aún`;
+    }
+
+    /**
+     * Refleja en el botón si "Mi posición" está activo
+     * @param {Object} list - Estado de la lista
+     */
+    updateAroundButton(list) {
+        if (list.aroundBtn) {
+            list.aroundBtn.classList.toggle('active', list.around);
+            list.aroundBtn.textContent = list.around ? '🏆 Ver desde el top' : '📍 Mi posición';
+        }
+    }
+
+    /**
+     * HTML de una fila (la posición viene calculada por el servidor)
+     * @param {string} tab - 'global' o 'levels'
+     * @param {Object} player - Fila de ranking_global o ranking_by_level_time
+     * @returns {string} HTML
+     */
+    renderRow(tab, player) {
+        const rank = player.rank;
+        const currentPlayerId = this.rankingManager.currentPlayer?.id;
+        const isCurrentPlayer = (tab === 'global' ? player.id : player.player_id) === currentPlayerId;
+        const topClass = rank <= 3 ? `top-${rank}` : '';
+        const currentClass = isCurrentPlayer ? 'current-player' : '';
+        
+        if (tab === 'global') {
+            return `
+                <div class="ranking-item ${topClass} ${currentClass}" data-player-id="${escapeHtml(player.id)}">
+                    <div class="rank-number ${topClass}">#${rank}</div>
+                    <div class="player-info">
+                        <div class="player-name">
+                            ${escapeHtml(player.name)} ${isCurrentPlayer ? '👤 (Tú)' : ''}
+                        </div>
+                        <div class="player-stats">
+                            ${player.levels_completed} nivel${player.levels_completed !== 1 ? 'es' : ''} completado${player.levels_completed !== 1 ? 's' : ''}
+                            • ${player.total_completions} jugada${player.total_completions !== 1 ? 's' : ''}
+                        </div>
+                    </div>
+                    <div class="player-score">${player.total_points} pts</div>
+                </div>
+            `;
+        }
+        
+        return `
+            <div class="ranking-item ${topClass} ${currentClass}" data-player-id="${escapeHtml(player.player_id)}">
+                <div class="rank-number ${topClass}">#${rank}</div>
+                <div class="player-info">
+                    <div class="player-name">
+                        ${escapeHtml(player.player_name)} ${isCurrentPlayer ? '👤 (Tú)' : ''}
+                    </div>
+                    <div class="player-stats">
+                        ⏱️ ${this.formatTime(player.best_time)} • ${player.best_points} puntos
+                    </div>
+                </div>
+                <div class="player-score">${this.formatTime(player.best_time)}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * Carga y muestra el ranking del desafío de hoy (un intento por jugador)
+     */
+    async loadDailyRanking() {
+        if (!this.dailyList) return;
+        
+        const today = getUtcDateKey();
+        if (this.dailyTitle) {
+            this.dailyTitle.textContent = `Desafío del ${today} (UTC)`;
+        }
+        this.dailyList.innerHTML = '<div class="loading">Cargando...</div>';
+        
+        try {
+            const rankings = await this.rankingManager.getDailyRanking(today, 20);
             
             if (rankings.length === 0) {
-                this.levelList.innerHTML = `<div class="loading">No hay datos para el nivel ${levelId} aún</div>`;
+                this.dailyList.innerHTML = '<div class="loading">Nadie jugó el desafío de hoy. ¡Sé el primero!</div>';
                 return;
             }
             
@@ -206,25 +711,32 @@ export class RankingDisplay {
                         <div class="rank-number ${topClass}">#${rank}</div>
                         <div class="player-info">
                             <div class="player-name">
-                                ${player.player_name} ${isCurrentPlayer ? '👤 (Tú)' : ''}
+                                ${escapeHtml(player.player_name)} ${isCurrentPlayer ? '👤 (Tú)' : ''}
                             </div>
                             <div class="player-stats">
-                                ⏱️ ${this.formatTime(player.best_time)} • ${player.best_points} puntos
+                                ⏱️ ${this.formatTime(player.completion_time)} • ${player.points} puntos
                             </div>
                         </div>
-                        <div class="player-score">${this.formatTime(player.best_time)}</div>
+                        <div class="player-score">${this.formatTime(player.completion_time)}</div>
                     </div>
                 `;
             }).join('');
             
-            this.levelList.innerHTML = html;
+            this.dailyList.innerHTML = html;
             
         } catch (error) {
-            console.error('❌ Error al cargar ranking por nivel:', error);
-            this.levelList.innerHTML = '<div class="loading">Error al cargar rankings</div>';
+            console.error('❌ Error al cargar ranking diario:', error);
+            this.dailyList.innerHTML = '<div class="loading">Error al cargar rankings</div>';
         }
     }
 
+    /**
+     * Formatea una fecha ISO como día/mes/año
+     */
+    formatDate(isoDate) {
+        return new Date(isoDate).toLocaleDateString('es-ES', { day: '2-digit', month: '2-digit', year: 'numeric' });
+    }
+
     /**
      * Formatea tiempo en formato MM:SS
      */
@@ -0,0 +1,120 @@
+/**
+ * SettingsPanel - Pantalla de ajustes del menú
+ * - Enlaza cualquier control con [data-setting="ruta"] al SettingsManager
+ *   (también los del panel rápido del giroscopio junto a "Calibrar")
+ * - Muestra el valor actual en [data-setting-value="ruta"]
+ * - Botones [data-settings-reset] restablecen un grupo o todos los ajustes
+ */
+
+import { isMobile } from '../utils/deviceDetection.js';
+
+export class SettingsPanel {
+    constructor(settingsManager) {
+        this.settingsManager = settingsManager;
+
+        // Referencias a elementos del DOM
+        this.container = document.getElementById('settings-container');
+        this.openBtn = document.getElementById('show-settings-btn');
+        this.closeBtn = document.getElementById('close-settings-btn');
+        this.inputs = Array.from(document.querySelectorAll('[data-setting]'));
+
+        this.setupEventListeners();
+        this.setupDeviceSpecificUI();
+
+        // Mantener los controles sincronizados con cualquier cambio (también los hechos desde código)
+        this.settingsManager.onChange((settings) => this.render(settings));
+        this.render(this.settingsManager.getSettings());
+    }
+
+    setupEventListeners() {
+        if (this.openBtn) {
+            this.openBtn.addEventListener('click', () => {
+                this.show();
+            });
+        }
+
+        if (this.closeBtn) {
+            this.closeBtn.addEventListener('click', () => {
+                this.hide();
+            });
+        }
+
+        // Sliders: se aplica mientras se arrastra; selects y checkboxes al cambiar
+        this.inputs.forEach(input => {
+            const eventName = input.type === 'range' ? 'input' : 'change';
+            input.addEventListener(eventName, () => {
+                this.settingsManager.set(input.dataset.setting, this.readValue(input));
+            });
+        });
+
+        document.querySelectorAll('[data-settings-reset]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.settingsManager.reset(btn.dataset.settingsReset || null);
+            });
+        });
+    }
+
+    /**
+     * Oculta los ajustes del giroscopio en desktop
+     */
+    setupDeviceSpecificUI() {
+        if (!isMobile()) {
+            document.querySelectorAll('[data-mobile-only]').forEach(element => {
+                element.style.display = 'none';
+            });
+        }
+    }
+
+    /**
+     * Lee el valor de un control según su tipo
+     * @param {HTMLElement} input - Control con data-setting
+     * @returns {*} Valor para el SettingsManager
+     */
+    readValue(input) {
+        if (input.type === 'checkbox') return input.checked;
+        if (input.type === 'range' || input.type === 'number') return parseFloat(input.value);
+        return input.value;
+    }
+
+    /**
+     * Refleja los ajustes en todos los controles enlazados
+     * @param {Object} settings - Ajustes actuales
+     */
+    render(settings) {
+        const valueOf = (path) => {
+            const [key, subKey] = path.split('.');
+            return subKey ? settings[key][subKey] : settings[key];
+        };
+
+        this.inputs.forEach(input => {
+            const value = valueOf(input.dataset.setting);
+            if (input.type === 'checkbox') {
+                input.checked = value;
+            } else {
+                input.value = value;
+            }
+        });
+
+        document.querySelectorAll('[data-setting-value]').forEach(label => {
+            label.textContent = valueOf(label.dataset.settingValue);
+        });
+    }
+
+    /**
+     * Muestra la pantalla de ajustes
+     */
+    show() {
+        if (this.container) {
+            this.container.classList.remove('hidden');
+        }
+    }
+
+    /**
+     * Oculta la pantalla de ajustes
+     */
+    hide() {
+        if (this.container) {
+            this.container.classList.add('hidden');
+        }
+    }
+}
@@ -0,0 +1,155 @@
+/**
+ * StatsDisplay - Pantalla de estadísticas locales (ProgressManager)
+ * - Totales: tiempo jugado, intentos, completaciones, reinicios, pelotas perdidas y estrellas
+ * - Por nivel: mejor y último tiempo, intentos, tiempo jugado, reinicios y pelotas perdidas
+ * - Todo sale de localStorage: funciona sin conexión y sin jugador registrado
+ */
+
+import { escapeHtml } from '../utils/html.js';
+import { formatStars, MAX_STARS } from '../utils/levelScoring.js';
+
+export class StatsDisplay {
+    /**
+     * @param {ProgressManager} progressManager - Progreso guardado
+     * @param {Object} levelsConfig - Configuración de niveles (nombres y umbrales de estrellas)
+     */
+    constructor(progressManager, levelsConfig) {
+        this.progressManager = progressManager;
+        this.levelsConfig = levelsConfig;
+
+        // Referencias a elementos del DOM
+        this.container = document.getElementById('stats-container');
+        this.summary = document.getElementById('stats-summary');
+        this.levelsList = document.getElementById('stats-levels');
+        this.closeBtn = document.getElementById('close-stats-btn');
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        if (this.closeBtn) {
+            this.closeBtn.addEventListener('click', () => {
+                this.hide();
+            });
+        }
+    }
+
+    /**
+     * Muestra la pantalla de estadísticas
+     */
+    show() {
+        if (this.container) {
+            this.container.classList.remove('hidden');
+        }
+
+        this.render();
+    }
+
+    /**
+     * Oculta la pantalla de estadísticas
+     */
+    hide() {
+        if (this.container) {
+            this.container.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Dibuja los totales y la lista de niveles
+     */
+    render() {
+        if (!this.summary || !this.levelsList) return;
+
+        const levels = Object.values(this.levelsConfig).map(level => ({
+            level,
+            stats: this.progressManager.getLevelStats(level.id),
+            stars: this.progressManager.getBestStars(level.id)
+        }));
+
+        this.renderSummary(levels);
+        this.renderLevels(levels);
+    }
+
+    /**
+     * Tarjetas con los totales de todos los niveles
+     * @param {Array} levels - [{ level, stats, stars }]
+     */
+    renderSummary(levels) {
+        const sum = (field) => levels.reduce((total, { stats }) => total + stats[field], 0);
+        const totalStars = levels.reduce((total, { stars }) => total + (stars || 0), 0);
+        const maxStars = levels.filter(({ level }) => level.scoring).length * MAX_STARS;
+
+        const cards = [
+            { label: 'Tiempo jugado', value: this.formatDuration(sum('totalPlayTime')) },
+            { label: 'Intentos', value: sum('attempts') },
+            { label: 'Completados', value: sum('completions') },
+            { label: 'Reinicios', value: sum('restarts') },
+            { label: 'Pelotas perdidas', value: sum('ballsLost') },
+            { label: 'Estrellas', value: `${totalStars}/${maxStars}` }
+        ];
+
+        this.summary.innerHTML = cards.map(card => `
+            <div class="profile-card">
+                <div class="profile-card-value">${card.value}</div>
+                <div class="profile-card-label">${card.label}</div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Una fila por nivel (los que nunca se jugaron aparecen sin datos)
+     * @param {Array} levels - [{ level, stats, stars }]
+     */
+    renderLevels(levels) {
+        this.levelsList.innerHTML = levels.map(({ level, stats, stars }) => {
+            const played = stats.attempts > 0;
+            const details = played
+                ? `
+                    ${stats.attempts} intento${stats.attempts !== 1 ? 's' : ''}
+                    • ${stats.completions} completado${stats.completions !== 1 ? 's' : ''}
+                    • ${this.formatDuration(stats.totalPlayTime)} jugado
+                    • ${stats.restarts} reinicio${stats.restarts !== 1 ? 's' : ''}
+                    • ${stats.ballsLost} pelota${stats.ballsLost !== 1 ? 's' : ''} perdida${stats.ballsLost !== 1 ? 's' : ''}
+                    ${stats.lastTime !== null ? `• último ${this.formatTime(stats.lastTime)}` : ''}
+                `
+                : 'Sin jugar todavía';
+            const starsText = level.scoring && stars !== null ? ` <span class="stats-stars">${formatStars(stars)}</span>` : '';
+
+            return `
+                <div class="ranking-item ${played ? '' : 'stats-unplayed'}">
+                    <div class="rank-number">N${level.id}</div>
+                    <div class="player-info">
+                        <div class="player-name">${escapeHtml(level.name)}${starsText}</div>
+                        <div class="player-stats">${details}</div>
+                    </div>
+                    <div class="player-score">${stats.bestTime !== null ? this.formatTime(stats.bestTime) : '—'}</div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Formatea una duración larga (tiempo jugado) como "1 h 05 min" o "12 min 30 s"
+     * @param {number} seconds - Duración en segundos
+     * @returns {string} Duración legible
+     */
+    formatDuration(seconds) {
+        const total = Math.floor(seconds);
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor((total % 3600) / 60);
+        const secs = total % 60;
+
+        if (hours > 0) return `${hours} h ${minutes.toString().padStart(2, '0')} min`;
+        if (minutes > 0) return `${minutes} min ${secs.toString().padStart(2, '0')} s`;
+        return `${secs} s`;
+    }
+
+    /**
+     * Formatea tiempo en formato MM:SS
+     */
+    formatTime(seconds) {
+        const mins = Math.floor(seconds / 60);
+        const secs = Math.floor(seconds % 60);
+        return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+    }
+}
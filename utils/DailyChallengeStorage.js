@@ -0,0 +1,68 @@
+/**
+ * DailyChallengeStorage - Recuerda en localStorage el intento del desafío diario
+ * - Solo el primer intento de cada día (fecha UTC) cuenta para el ranking
+ * - El intento se consume al empezar: reiniciar o abandonar no da otra oportunidad
+ */
+
+export class DailyChallengeStorage {
+    constructor() {
+        this.STORAGE_KEY = 'mazeGameDailyChallenge';
+    }
+
+    /**
+     * Lee el intento guardado
+     * @returns {Object|null} { date, completionTime } (completionTime null si no terminó)
+     */
+    load() {
+        try {
+            const saved = localStorage.getItem(this.STORAGE_KEY);
+            return saved ? JSON.parse(saved) : null;
+        } catch (error) {
+            console.error('❌ Error al cargar el desafío diario:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Obtiene el intento de un día
+     * @param {string} dateKey - Fecha YYYY-MM-DD
+     * @returns {Object|null} Intento del día o null si todavía no se jugó
+     */
+    getAttempt(dateKey) {
+        const attempt = this.load();
+        return attempt && attempt.date === dateKey ? attempt : null;
+    }
+
+    /**
+     * Consume el intento puntuado del día (si queda)
+     * @param {string} dateKey - Fecha YYYY-MM-DD
+     * @returns {boolean} True si esta partida es el intento que cuenta
+     */
+    startAttempt(dateKey) {
+        if (this.getAttempt(dateKey)) {
+            return false;
+        }
+
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify({ date: dateKey, completionTime: null }));
+            console.log(`📅 Intento del desafío ${dateKey} iniciado`);
+            return true;
+        } catch (error) {
+            console.error('❌ Error al guardar el desafío diario:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Guarda el tiempo del intento puntuado
+     * @param {string} dateKey - Fecha YYYY-MM-DD
+     * @param {number} completionTime - Tiempo en segundos
+     */
+    finishAttempt(dateKey, completionTime) {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify({ date: dateKey, completionTime }));
+        } catch (error) {
+            console.error('❌ Error al guardar el desafío diario:', error);
+        }
+    }
+}
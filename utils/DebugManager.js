@@ -295,6 +295,36 @@ export class DebugManager {
         });
     }
 
+    /**
+     * Vuelve a crear los planos de debug del piso y las paredes con nuevos límites
+     * (previsualización en vivo del editor de niveles)
+     * @param {CANNON.Body} groundBody - Cuerpo físico del piso
+     * @param {Array} walls - Array de cuerpos físicos de las paredes
+     * @param {Object} bounds - { wallDistance, wallHeight }
+     */
+    refreshBoundsVisualization(groundBody, walls, bounds) {
+        if (!this.enabled) return;
+        
+        this.clearBoundsVisualization();
+        this.createGroundVisualization(groundBody, bounds.wallDistance * 2.5);
+        this.groundMesh.quaternion.copy(groundBody.quaternion);
+        this.createWallVisualizations(walls, bounds.wallDistance, bounds.wallHeight);
+    }
+
+    /**
+     * Elimina los planos de debug del piso y las paredes
+     */
+    clearBoundsVisualization() {
+        if (this.groundMesh) {
+            this.scene.remove(this.groundMesh);
+            this.groundMesh.geometry.dispose();
+            this.groundMesh = null;
+        }
+        
+        this.wallMeshes.forEach(mesh => this.scene.remove(mesh));
+        this.wallMeshes = [];
+    }
+
     /**
      * Limpia todas las visualizaciones de debug
      */
@@ -0,0 +1,74 @@
+/**
+ * GhostStorage - Guarda en localStorage la trayectoria del mejor tiempo de cada nivel
+ * - Vive junto al progreso del jugador (ver ProgressManager)
+ * - Solo reemplaza el fantasma de un nivel si el nuevo tiempo es mejor
+ */
+
+import { serializeGhost, deserializeGhost } from '../core/GhostManager.js';
+
+export class GhostStorage {
+    constructor() {
+        this.STORAGE_KEY = 'mazeGameGhosts';
+    }
+
+    /**
+     * Lee todos los fantasmas guardados (serializados, por nivel)
+     * @returns {Object} { [levelId]: string }
+     */
+    loadAll() {
+        try {
+            const saved = localStorage.getItem(this.STORAGE_KEY);
+            return saved ? JSON.parse(saved) : {};
+        } catch (error) {
+            console.error('❌ Error al cargar fantasmas:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Carga el fantasma (mejor tiempo personal) de un nivel
+     * @param {number} levelId - ID del nivel
+     * @returns {Object|null} Trayectoria o null si no existe
+     */
+    load(levelId) {
+        const serialized = this.loadAll()[levelId];
+        if (!serialized) return null;
+
+        try {
+            return deserializeGhost(serialized);
+        } catch (error) {
+            console.error('❌ Fantasma guardado inválido:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Guarda la trayectoria si mejora el mejor tiempo guardado del nivel
+     * @param {Object} trajectory - Trayectoria grabada
+     * @returns {boolean} True si era un nuevo mejor tiempo y se guardó
+     */
+    saveIfBest(trajectory) {
+        const current = this.load(trajectory.levelId);
+        if (current && current.completionTime <= trajectory.completionTime) {
+            return false;
+        }
+
+        try {
+            const all = this.loadAll();
+            all[trajectory.levelId] = serializeGhost(trajectory);
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(all));
+            console.log(`👻 Nuevo mejor tiempo del nivel ${trajectory.levelId}, fantasma guardado`);
+            return true;
+        } catch (error) {
+            console.error('❌ Error al guardar fantasma:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Borra todos los fantasmas guardados
+     */
+    clear() {
+        localStorage.removeItem(this.STORAGE_KEY);
+    }
+}
@@ -0,0 +1,565 @@
+/**
+ * LocalRankingBackend - Backend de rankings sin servidor
+ * - Guarda las mismas tablas que Supabase en localStorage (o solo en memoria si no existe, p. ej. Node)
+ * - Calcula ranking_global, ranking_by_level_time y ranking_daily igual que las vistas SQL
+ * - Aplica las mismas restricciones: ids únicos, nombres únicos (sin distinguir mayúsculas),
+ *   un resultado diario por jugador y día, el jugador debe existir, el token del jugador
+ *   debe coincidir y el desafío diario solo se acepta durante su día UTC
+ * - Las credenciales se guardan tal cual (no hay hash): los datos no salen del dispositivo
+ * - Puntúa igual que las funciones SQL: recalcula los puntos con el tiempo par del nivel,
+ *   exige el tiempo mínimo del nivel y limita los envíos por jugador (RANKING_CONFIG.scoring)
+ * - setOnline(false) simula una caída de red (útil para probar la cola offline)
+ * - Sin servidor no hay eventos en vivo: subscribeToCompletions consulta cada pollIntervalMs
+ * - Temporadas: las completaciones van a la temporada activa; startNewSeason hace lo mismo
+ *   que supabase-new-season.sql (los datos guardados antes de las temporadas pasan a la 1)
+ */
+
+import { rankingError, computePoints, isValidPlayerName } from './rankingBackend.js';
+import { createClientId } from './RankingOutbox.js';
+import { RANKING_CONFIG } from '../config/ranking.config.js';
+
+const EMPTY_TABLES = {
+    players: [],
+    player_credentials: [],
+    seasons: [],
+    level_completions: [],
+    level_ghosts: [],
+    daily_challenge_results: []
+};
+
+export class LocalRankingBackend {
+    /**
+     * @param {Object} config - { storageKey, storage, scoring, pollIntervalMs } (storage: por defecto localStorage si existe)
+     */
+    constructor(config = {}) {
+        this.name = 'local';
+        this.STORAGE_KEY = config.storageKey || 'mazeGameLocalRanking';
+        this.pollIntervalMs = config.pollIntervalMs || 3000;
+        this.scoring = config.scoring || RANKING_CONFIG.scoring;
+        this.storage = config.storage !== undefined
+            ? config.storage
+            : (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.online = true;
+        this.tables = this.loadTables();
+    }
+
+    /**
+     * Carga las tablas guardadas (o tablas vacías)
+     * @returns {Object} Tablas
+     */
+    loadTables() {
+        try {
+            const saved = this.storage && this.storage.getItem(this.STORAGE_KEY);
+            if (saved) {
+                return withSeasons({ ...structuredClone(EMPTY_TABLES), ...JSON.parse(saved) });
+            }
+        } catch (error) {
+            console.error('❌ Error al cargar rankings locales:', error);
+        }
+        return withSeasons(structuredClone(EMPTY_TABLES));
+    }
+
+    saveTables() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(this.STORAGE_KEY, JSON.stringify(this.tables));
+        } catch (error) {
+            console.error('❌ Error al guardar rankings locales:', error);
+        }
+    }
+
+    /**
+     * Simula conexión/desconexión
+     * @param {boolean} online - false hace que todo devuelva un error 'network'
+     */
+    setOnline(online) {
+        this.online = online;
+    }
+
+    /**
+     * Borra todos los datos (equivalente a supabase-clear-data.sql)
+     */
+    clear() {
+        this.tables = withSeasons(structuredClone(EMPTY_TABLES));
+        this.saveTables();
+    }
+
+    /**
+     * Cierra la temporada activa y abre otra (equivalente a supabase-new-season.sql)
+     * @param {string} name - Nombre de la nueva temporada
+     * @returns {Object} Temporada creada
+     */
+    startNewSeason(name) {
+        const now = new Date().toISOString();
+        this.tables.seasons.forEach(season => {
+            if (season.ends_at === null) season.ends_at = now;
+        });
+        const season = {
+            id: Math.max(0, ...this.tables.seasons.map(existing => existing.id)) + 1,
+            name,
+            starts_at: now,
+            ends_at: null
+        };
+        this.tables.seasons.push(season);
+        this.saveTables();
+        return season;
+    }
+
+    /**
+     * Temporada activa (equivalente a current_season_id())
+     * @returns {number|null} ID o null si no hay ninguna
+     */
+    currentSeasonId() {
+        const active = this.tables.seasons.find(season => season.ends_at === null);
+        return active ? active.id : null;
+    }
+
+    /**
+     * Ejecuta una operación como si fuera una petición remota
+     * @param {Function} operation - Devuelve data, o lanza { kind, message }
+     * @returns {Promise<Object>} { data, error }
+     */
+    async run(operation) {
+        if (!this.online) {
+            return { data: null, error: rankingError('network', 'Backend local desconectado (setOnline(false))') };
+        }
+        try {
+            return { data: structuredClone(operation()), error: null };
+        } catch (error) {
+            if (error.kind) return { data: null, error };
+            return { data: null, error: rankingError('rejected', error.message, error) };
+        }
+    }
+
+    /**
+     * Inserta una fila comprobando el id y la existencia del jugador
+     * @param {string} table - Nombre de la tabla
+     * @param {Object} row - Fila (se le asignan id y fecha si faltan)
+     * @param {string} dateField - Columna con la fecha de creación
+     * @returns {Object} Fila insertada
+     */
+    insert(table, row, dateField) {
+        const id = row.id || createClientId();
+        if (this.tables[table].some(existing => existing.id === id)) {
+            throw rankingError('duplicate-id', `duplicate key value violates unique constraint "${table}_pkey"`);
+        }
+        if (table !== 'players' && !this.tables.players.some(player => player.id === row.player_id)) {
+            throw rankingError('rejected', `El jugador ${row.player_id} no existe`);
+        }
+        const inserted = { ...row, id, [dateField]: row[dateField] || new Date().toISOString() };
+        this.tables[table].push(inserted);
+        this.saveTables();
+        return inserted;
+    }
+
+    /**
+     * Rechaza tiempos imposibles (equivalente a la validación de las funciones SQL)
+     * @param {number} time - Tiempo enviado
+     * @param {number} minTime - Tiempo mínimo aceptado
+     */
+    checkTime(time, minTime) {
+        if (!Number.isFinite(time) || time < minTime || time > this.scoring.maxTime) {
+            throw rankingError('rejected', `Tiempo no válido: ${time} (mínimo ${minTime}s)`);
+        }
+    }
+
+    getPlayer(playerId) {
+        return this.tables.players.find(player => player.id === playerId);
+    }
+
+    getCredentials(playerId) {
+        return this.tables.player_credentials.find(credentials => credentials.player_id === playerId);
+    }
+
+    /**
+     * Comprueba el token de un jugador (equivalente a check_player_token)
+     * @param {string} playerId - ID del jugador
+     * @param {string} token - Token del dispositivo
+     */
+    checkToken(playerId, token) {
+        const credentials = this.getCredentials(playerId);
+        if (!credentials || !token || credentials.token !== token) {
+            throw rankingError('unauthorized', 'Credenciales del jugador no válidas');
+        }
+    }
+
+    async ping() {
+        return this.run(() => null);
+    }
+
+    async registerPlayer({ id, name, token, recoveryCode }) {
+        return this.run(() => {
+            if (!token || token.length < 32 || !recoveryCode || recoveryCode.length < 12) {
+                throw rankingError('unauthorized', 'Credenciales incompletas');
+            }
+
+            // Reintento de un registro que ya llegó
+            const saved = this.getPlayer(id);
+            if (saved) {
+                this.checkToken(id, token);
+                return saved;
+            }
+
+            const sameName = this.tables.players.find(player => player.name.toLowerCase() === name.toLowerCase());
+            if (sameName) {
+                // Jugador de antes de las credenciales: lo reclama el primer dispositivo que usa su nombre
+                if (!this.getCredentials(sameName.id)) {
+                    this.tables.player_credentials.push({ player_id: sameName.id, token, recovery_code: recoveryCode });
+                    this.saveTables();
+                    return sameName;
+                }
+                throw rankingError('duplicate', 'duplicate key value violates unique constraint "idx_players_name_unique"');
+            }
+
+            if (!isValidPlayerName(name)) {
+                throw rankingError('rejected', 'new row for relation "players" violates check constraint "players_name_format"');
+            }
+
+            const player = this.insert('players', { id, name }, 'created_at');
+            this.tables.player_credentials.push({ player_id: id, token, recovery_code: recoveryCode });
+            this.saveTables();
+            return player;
+        });
+    }
+
+    async recoverPlayer({ name, recoveryCode, token }) {
+        return this.run(() => {
+            if (!token || token.length < 32) {
+                throw rankingError('unauthorized', 'Credenciales incompletas');
+            }
+
+            const player = this.tables.players.find(candidate => candidate.name.toLowerCase() === name.toLowerCase());
+            const credentials = player && this.getCredentials(player.id);
+            if (!credentials || credentials.recovery_code !== recoveryCode) {
+                throw rankingError('unauthorized', 'Nombre o código de recuperación incorrectos');
+            }
+
+            // El token anterior deja de valer: el perfil pasa a este dispositivo
+            credentials.token = token;
+            this.saveTables();
+            return player;
+        });
+    }
+
+    async saveCompletion({ id, player_id, token, level_id, completion_time, replay = null }) {
+        return this.run(() => {
+            this.checkToken(player_id, token);
+
+            // Reintento de un envío que ya llegó: devolver lo guardado
+            const saved = this.tables.level_completions.find(existing => existing.id === id);
+            if (saved) return { points: saved.points };
+
+            const seasonId = this.currentSeasonId();
+            if (seasonId === null) {
+                throw rankingError('rejected', 'No hay ninguna temporada activa');
+            }
+
+            const minTime = this.scoring.minTimeByLevel[level_id];
+            if (minTime === undefined) {
+                throw rankingError('rejected', `El nivel ${level_id} no puntúa`);
+            }
+            this.checkTime(completion_time, minTime);
+            if (replay && replay.length > this.scoring.maxReplayLength) {
+                throw rankingError('rejected', 'Repetición demasiado grande');
+            }
+
+            const { maxCompletions, windowSeconds } = this.scoring.rateLimit;
+            const windowStart = new Date(Date.now() - windowSeconds * 1000).toISOString();
+            const recent = this.tables.level_completions.filter(existing =>
+                existing.player_id === player_id && existing.completed_at > windowStart
+            ).length;
+            if (recent >= maxCompletions) {
+                throw rankingError('rate-limited', `Demasiadas completaciones en ${windowSeconds}s`);
+            }
+
+            const points = computePoints(completion_time, this.scoring.points, this.scoring.parTimeByLevel[level_id] ?? null);
+            this.insert('level_completions', { id, player_id, season_id: seasonId, level_id, completion_time, points, replay }, 'completed_at');
+            return { points };
+        });
+    }
+
+    async saveDailyResult({ id, player_id, token, challenge_date, completion_time }) {
+        return this.run(() => {
+            this.checkToken(player_id, token);
+
+            const saved = this.tables.daily_challenge_results.find(existing => existing.id === id);
+            if (saved) return { points: saved.points };
+
+            // Misma regla que submit_daily_result: solo el día UTC del desafío
+            const today = new Date().toISOString().slice(0, 10);
+            if (challenge_date !== today) {
+                throw rankingError('rejected', `El desafío ${challenge_date} ya no acepta resultados`);
+            }
+            this.checkTime(completion_time, this.scoring.dailyMinTime);
+            const repeated = this.tables.daily_challenge_results.some(existing =>
+                existing.player_id === player_id && existing.challenge_date === challenge_date
+            );
+            if (repeated) {
+                throw rankingError('duplicate', 'duplicate key value violates unique constraint (player_id, challenge_date)');
+            }
+
+            const points = computePoints(completion_time, this.scoring.points);
+            this.insert('daily_challenge_results', { id, player_id, challenge_date, completion_time, points }, 'completed_at');
+            return { points };
+        });
+    }
+
+    async saveGhost({ player_id, token, level_id, completion_time, trajectory }) {
+        return this.run(() => {
+            this.checkToken(player_id, token);
+
+            // Solo de un tiempo que el jugador tiene guardado
+            const hasCompletion = this.tables.level_completions.some(completion =>
+                completion.player_id === player_id && completion.level_id === level_id
+                && Math.abs(completion.completion_time - completion_time) < 0.001
+            );
+            if (!hasCompletion || !trajectory || trajectory.length > this.scoring.maxReplayLength) {
+                throw rankingError('rejected', 'Fantasma sin completación que lo respalde');
+            }
+
+            this.insert('level_ghosts', { player_id, level_id, completion_time, trajectory }, 'created_at');
+            return null;
+        });
+    }
+
+    async getBestGhost(levelId, playerId) {
+        return this.run(() => {
+            const ghosts = this.tables.level_ghosts
+                .filter(ghost => ghost.level_id === levelId && ghost.player_id === playerId)
+                .sort((a, b) => a.completion_time - b.completion_time);
+            return ghosts.length > 0 ? ghosts[0].trajectory : null;
+        });
+    }
+
+    /**
+     * Vista ranking_global (temporada activa: todos los jugadores) o ranking_season_global
+     * (otra temporada: solo quien completó algún nivel en ella) con la suma de la mejor
+     * puntuación de cada nivel
+     * @param {number|null} seasonId - Temporada (null = la activa)
+     * @returns {Array} Filas ordenadas por posición (rank)
+     */
+    computeGlobalRanking(seasonId = null) {
+        const activeId = this.currentSeasonId();
+        const season = seasonId ?? activeId;
+        const completions = this.tables.level_completions.filter(completion => completion.season_id === season);
+        return this.tables.players
+            .filter(player => season === activeId || completions.some(completion => completion.player_id === player.id))
+            .map(player => {
+                const bestByLevel = new Map();
+                completions
+                    .filter(completion => completion.player_id === player.id)
+                    .forEach(completion => {
+                        const best = bestByLevel.get(completion.level_id);
+                        // pointsAt: cuándo se consiguió la mejor puntuación (la primera vez si se repite)
+                        const improves = !best || completion.points > best.points
+                            || (completion.points === best.points && completion.completed_at < best.pointsAt);
+                        bestByLevel.set(completion.level_id, {
+                            points: improves ? completion.points : best.points,
+                            pointsAt: improves ? completion.completed_at : best.pointsAt,
+                            completedAt: !best || completion.completed_at > best.completedAt ? completion.completed_at : best.completedAt
+                        });
+                    });
+                const bests = Array.from(bestByLevel.values());
+                return {
+                    id: player.id,
+                    name: player.name,
+                    total_points: bests.reduce((sum, best) => sum + best.points, 0),
+                    levels_completed: bests.length,
+                    total_completions: bests.length,
+                    last_completion: bests.reduce((last, best) => (!last || best.completedAt > last ? best.completedAt : last), null),
+                    reached_at: bests.reduce((last, best) => (!last || best.pointsAt > last ? best.pointsAt : last), null)
+                };
+            })
+            // Mismo orden que el ROW_NUMBER de la vista: puntos, quién llegó antes (sin fecha al final) e id
+            .sort((a, b) => b.total_points - a.total_points
+                || compareNullsLast(a.reached_at, b.reached_at)
+                || a.id.localeCompare(b.id))
+            .map(({ reached_at, ...row }, index) => ({ ...row, rank: index + 1 }));
+    }
+
+    /**
+     * Vista ranking_by_level_time (o ranking_season_level_time): mejor tiempo de cada jugador
+     * por nivel en la temporada, con su posición
+     * @param {number|null} seasonId - Temporada (null = la activa)
+     * @returns {Array} Filas ordenadas por nivel y tiempo
+     */
+    computeLevelRanking(seasonId = null) {
+        const season = seasonId ?? this.currentSeasonId();
+        const groups = new Map();
+        this.tables.level_completions.forEach(completion => {
+            if (completion.season_id !== season) return;
+            const player = this.getPlayer(completion.player_id);
+            if (!player) return;
+            const key = `${completion.level_id}:${player.id}`;
+            const group = groups.get(key);
+            if (!group) {
+                groups.set(key, {
+                    level_id: completion.level_id,
+                    player_id: player.id,
+                    player_name: player.name,
+                    best_time: completion.completion_time,
+                    best_points: completion.points,
+                    last_completion: completion.completed_at
+                });
+                return;
+            }
+            group.best_time = Math.min(group.best_time, completion.completion_time);
+            group.best_points = Math.max(group.best_points, completion.points);
+            if (completion.completed_at > group.last_completion) group.last_completion = completion.completed_at;
+        });
+
+        const rows = Array.from(groups.values())
+            .sort((a, b) => a.level_id - b.level_id || a.best_time - b.best_time || a.player_id.localeCompare(b.player_id));
+        const rankByLevel = new Map();
+        rows.forEach(row => {
+            const rank = (rankByLevel.get(row.level_id) || 0) + 1;
+            rankByLevel.set(row.level_id, rank);
+            row.rank = rank;
+        });
+        return rows;
+    }
+
+    /**
+     * Vista ranking_daily: resultados diarios con nombre y posición dentro del día
+     * @returns {Array} Filas ordenadas por fecha (desc) y tiempo
+     */
+    computeDailyRanking() {
+        const rows = this.tables.daily_challenge_results
+            .filter(result => this.getPlayer(result.player_id))
+            .map(result => ({
+                challenge_date: result.challenge_date,
+                player_id: result.player_id,
+                player_name: this.getPlayer(result.player_id).name,
+                completion_time: result.completion_time,
+                points: result.points,
+                completed_at: result.completed_at
+            }))
+            .sort((a, b) => b.challenge_date.localeCompare(a.challenge_date) || a.completion_time - b.completion_time);
+        const rankByDate = new Map();
+        rows.forEach(row => {
+            const rank = (rankByDate.get(row.challenge_date) || 0) + 1;
+            rankByDate.set(row.challenge_date, rank);
+            row.rank = rank;
+        });
+        return rows;
+    }
+
+    async getGlobalRanking(limit = null, { offset = 0, search = null, seasonId = null } = {}) {
+        return this.run(() => paginate(
+            this.computeGlobalRanking(seasonId).filter(row => matchesSearch(row.name, search)),
+            limit,
+            offset
+        ));
+    }
+
+    async getLevelRanking(levelId, limit = null, { offset = 0, search = null, seasonId = null } = {}) {
+        return this.run(() => paginate(
+            this.computeLevelRanking(seasonId).filter(row => row.level_id === levelId && matchesSearch(row.player_name, search)),
+            limit,
+            offset
+        ));
+    }
+
+    async getPlayerRank(playerId, levelId = null, seasonId = null) {
+        return this.run(() => {
+            const row = levelId === null
+                ? this.computeGlobalRanking(seasonId).find(entry => entry.id === playerId)
+                : this.computeLevelRanking(seasonId).find(entry => entry.level_id === levelId && entry.player_id === playerId);
+            return row ? row.rank : null;
+        });
+    }
+
+    async getSeasons() {
+        return this.run(() => [...this.tables.seasons]
+            .sort((a, b) => b.starts_at.localeCompare(a.starts_at) || b.id - a.id));
+    }
+
+    async getDailyRanking(challengeDate, limit = null) {
+        return this.run(() => this.computeDailyRanking()
+            .filter(row => row.challenge_date === challengeDate)
+            .slice(0, limit ?? undefined));
+    }
+
+    async getPlayerStats(playerId) {
+        return this.run(() => {
+            const global = this.computeGlobalRanking().find(row => row.id === playerId);
+            if (!global) {
+                throw rankingError('rejected', `El jugador ${playerId} no existe`);
+            }
+            return {
+                ...global,
+                level_times: this.computeLevelRanking()
+                    .filter(row => row.player_id === playerId)
+                    .sort((a, b) => a.level_id - b.level_id)
+            };
+        });
+    }
+
+    subscribeToCompletions(onCompletion) {
+        const seen = new Set(this.tables.level_completions.map(completion => completion.id));
+        const timer = setInterval(() => {
+            if (!this.online) return;
+            // Releer localStorage: así también llegan las completaciones de otras pestañas
+            if (this.storage) this.tables = this.loadTables();
+            this.tables.level_completions.forEach(completion => {
+                if (seen.has(completion.id)) return;
+                seen.add(completion.id);
+                const { replay, ...row } = completion;
+                onCompletion(row);
+            });
+        }, this.pollIntervalMs);
+        return () => clearInterval(timer);
+    }
+
+    async getPlayerCompletions(playerId) {
+        return this.run(() => this.tables.level_completions
+            .filter(completion => completion.player_id === playerId)
+            .map(({ id, season_id, level_id, completion_time, points, completed_at }) => ({ id, season_id, level_id, completion_time, points, completed_at }))
+            .sort((a, b) => a.completed_at.localeCompare(b.completed_at)));
+    }
+}
+
+/**
+ * Añade la primera temporada si no hay ninguna y asigna la activa a las completaciones
+ * guardadas antes de las temporadas (equivalente a supabase-add-seasons.sql)
+ * @param {Object} tables - Tablas cargadas
+ * @returns {Object} Las mismas tablas
+ */
+function withSeasons(tables) {
+    if (tables.seasons.length === 0) {
+        const firstCompletion = tables.level_completions.reduce(
+            (first, completion) => (!first || completion.completed_at < first ? completion.completed_at : first), null);
+        tables.seasons.push({ id: 1, name: 'Temporada 1', starts_at: firstCompletion || new Date().toISOString(), ends_at: null });
+    }
+    const active = tables.seasons.find(season => season.ends_at === null);
+    if (active) {
+        tables.level_completions.forEach(completion => {
+            if (completion.season_id === undefined) completion.season_id = active.id;
+        });
+    }
+    return tables;
+}
+
+/**
+ * Compara fechas ISO dejando los null al final (ORDER BY ... ASC NULLS LAST)
+ */
+function compareNullsLast(a, b) {
+    if (a === b) return 0;
+    if (a === null) return 1;
+    if (b === null) return -1;
+    return a.localeCompare(b);
+}
+
+/**
+ * Búsqueda por nombre sin distinguir mayúsculas (equivalente al ILIKE '%texto%')
+ */
+function matchesSearch(name, search) {
+    return !search || name.toLowerCase().includes(search.toLowerCase());
+}
+
+/**
+ * Página de filas (limit null = todas desde offset)
+ */
+function paginate(rows, limit, offset) {
+    return rows.slice(offset, limit === null ? undefined : offset + limit);
+}
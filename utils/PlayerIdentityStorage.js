@@ -0,0 +1,102 @@
+/**
+ * PlayerIdentityStorage - Identidad del jugador en este dispositivo (localStorage)
+ * - id: UUID del jugador
+ * - token: secreto del dispositivo; el servidor solo guarda su hash y lo exige al puntuar
+ * - recoveryCode: código para recuperar el perfil en otro dispositivo (se muestra al jugador)
+ * - registered: false mientras la creación del jugador está en la cola offline
+ */
+
+// Sin 0/O ni 1/I/L para que el código se pueda dictar y copiar a mano
+const RECOVERY_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const RECOVERY_CODE_LENGTH = 12;
+
+/**
+ * Genera el token secreto del dispositivo (256 bits en hexadecimal)
+ * @returns {string} Token
+ */
+export function createPlayerToken() {
+    const bytes = crypto.getRandomValues(new Uint8Array(32));
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Genera un código de recuperación con formato XXXX-XXXX-XXXX
+ * @returns {string} Código
+ */
+export function createRecoveryCode() {
+    const bytes = crypto.getRandomValues(new Uint8Array(RECOVERY_CODE_LENGTH));
+    const chars = Array.from(bytes, byte => RECOVERY_ALPHABET[byte % RECOVERY_ALPHABET.length]).join('');
+    return formatRecoveryCode(chars);
+}
+
+/**
+ * Normaliza un código escrito por el jugador (mayúsculas, sin espacios ni guiones)
+ * Es la forma que se envía al servidor para comparar con el hash guardado
+ * @param {string} code - Código tal como se escribió
+ * @returns {string} Código normalizado
+ */
+export function normalizeRecoveryCode(code) {
+    return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Da formato XXXX-XXXX-XXXX a un código (para mostrarlo)
+ * @param {string} code - Código con o sin guiones
+ * @returns {string} Código con guiones
+ */
+export function formatRecoveryCode(code) {
+    return (normalizeRecoveryCode(code).match(/.{1,4}/g) || []).join('-');
+}
+
+export class PlayerIdentityStorage {
+    constructor() {
+        this.STORAGE_KEY = 'mazeGamePlayerIdentity';
+        this.LEGACY_NAME_KEY = 'playerName'; // Versiones anteriores solo guardaban el nombre
+    }
+
+    /**
+     * Lee la identidad guardada
+     * @returns {Object|null} { id, name, token, recoveryCode, registered } o null
+     */
+    load() {
+        try {
+            const saved = localStorage.getItem(this.STORAGE_KEY);
+            return saved ? JSON.parse(saved) : null;
+        } catch (error) {
+            console.error('❌ Error al cargar la identidad del jugador:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Guarda la identidad (y olvida el nombre de versiones anteriores)
+     * @param {Object} identity - { id, name, token, recoveryCode, registered }
+     */
+    save(identity) {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(identity));
+            localStorage.removeItem(this.LEGACY_NAME_KEY);
+        } catch (error) {
+            console.error('❌ Error al guardar la identidad del jugador:', error);
+        }
+    }
+
+    /**
+     * Borra la identidad de este dispositivo
+     */
+    clear() {
+        localStorage.removeItem(this.STORAGE_KEY);
+    }
+
+    /**
+     * Nombre guardado por versiones anteriores (sin identidad)
+     * @returns {string|null} Nombre o null
+     */
+    getLegacyName() {
+        return localStorage.getItem(this.LEGACY_NAME_KEY);
+    }
+
+    clearLegacyName() {
+        localStorage.removeItem(this.LEGACY_NAME_KEY);
+    }
+}
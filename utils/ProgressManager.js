@@ -3,8 +3,30 @@
  * - Guarda niveles desbloqueados
  * - Persiste el progreso entre sesiones
  * - Desbloquea niveles cuando se completan
+ * - Guarda las mejores estrellas de cada nivel (ver utils/levelScoring.js)
+ * - Estadísticas locales por nivel (intentos, tiempos, tiempo jugado, reinicios y pelotas
+ *   perdidas): no dependen del ranking, así que funcionan sin conexión y sin jugador
  */
 
+// Subir al cambiar la forma del progreso guardado (y añadir el paso en migrate)
+export const PROGRESS_VERSION = 1;
+
+/**
+ * Estadísticas de un nivel que todavía no se ha jugado
+ * @returns {Object} { attempts, completions, bestTime, lastTime, totalPlayTime, restarts, ballsLost }
+ */
+export function createLevelStats() {
+    return {
+        attempts: 0,          // Partidas empezadas (también las reiniciadas)
+        completions: 0,
+        bestTime: null,       // Segundos
+        lastTime: null,       // Tiempo de la última completación
+        totalPlayTime: 0,     // Segundos de juego (tiempo simulado, sin pausas)
+        restarts: 0,
+        ballsLost: 0          // Pelotas que se salieron del laberinto
+    };
+}
+
 export class ProgressManager {
     constructor() {
         this.STORAGE_KEY = 'mazeGameProgress';
@@ -19,7 +41,12 @@ export class ProgressManager {
         try {
             const saved = localStorage.getItem(this.STORAGE_KEY);
             if (saved) {
-                const progress = JSON.parse(saved);
+                const data = JSON.parse(saved);
+                const progress = this.migrate(data);
+                if (data.version !== PROGRESS_VERSION) {
+                    console.log(`💾 Progreso migrado de v${data.version || 0} a v${PROGRESS_VERSION}`);
+                    this.saveProgress(progress);
+                }
                 console.log('💾 Progreso cargado:', progress);
                 return progress;
             }
@@ -29,8 +56,11 @@ export class ProgressManager {
 
         // Progreso por defecto: solo nivel 1 desbloqueado
         const defaultProgress = {
+            version: PROGRESS_VERSION,
             unlockedLevels: [1],
             completedLevels: [],
+            bestStars: {},          // { [levelId]: 0-3 }
+            levelStats: {},         // { [levelId]: createLevelStats() }
             lastPlayedLevel: null,
             createdAt: new Date().toISOString(),
             updatedAt: new Date().toISOString()
@@ -41,6 +71,31 @@ export class ProgressManager {
         return defaultProgress;
     }
 
+    /**
+     * Lleva un progreso guardado por una versión anterior a la forma actual
+     * @param {Object} data - Progreso tal como estaba guardado
+     * @returns {Object} Progreso con la forma de PROGRESS_VERSION
+     */
+    migrate(data) {
+        const migrated = { ...data };
+
+        // v0 → v1: sin estadísticas por nivel (ni estrellas en las versiones más antiguas).
+        // De los niveles completados solo se sabe que se jugaron y completaron al menos una vez
+        if ((migrated.version || 0) < 1) {
+            migrated.bestStars = migrated.bestStars || {};
+            migrated.levelStats = {};
+            (migrated.completedLevels || []).forEach(levelId => {
+                migrated.levelStats[levelId] = { ...createLevelStats(), attempts: 1, completions: 1 };
+            });
+            migrated.version = 1;
+        }
+
+        if (migrated.version > PROGRESS_VERSION) {
+            console.warn(`⚠️ Progreso de una versión más nueva (v${migrated.version}), se usan los campos conocidos`);
+        }
+        return migrated;
+    }
+
     /**
      * Guarda el progreso en localStorage
      * @param {Object} progress - Objeto de progreso a guardar
@@ -112,6 +167,110 @@ export class ProgressManager {
         return this.progress.completedLevels.includes(levelId);
     }
 
+    /**
+     * Guarda las estrellas de una completación si mejoran las anteriores
+     * @param {number} levelId - ID del nivel
+     * @param {number} stars - Estrellas obtenidas (0-3)
+     * @returns {boolean} True si es un nuevo récord de estrellas
+     */
+    saveStars(levelId, stars) {
+        const best = this.getBestStars(levelId);
+        if (best !== null && stars <= best) return false;
+
+        this.progress.bestStars[levelId] = stars;
+        this.saveProgress();
+        console.log(`⭐ Nivel ${levelId}: ${stars} estrella${stars !== 1 ? 's' : ''} (mejor marca)`);
+        return true;
+    }
+
+    /**
+     * Mejores estrellas de un nivel
+     * @param {number} levelId - ID del nivel
+     * @returns {number|null} 0-3, o null si nunca se completó con estrellas
+     */
+    getBestStars(levelId) {
+        const stars = this.progress.bestStars[levelId];
+        return stars === undefined ? null : stars;
+    }
+
+    /**
+     * Estadísticas locales de un nivel
+     * @param {number} levelId - ID del nivel
+     * @returns {Object} Copia de las estadísticas (ver createLevelStats)
+     */
+    getLevelStats(levelId) {
+        return { ...createLevelStats(), ...this.progress.levelStats[levelId] };
+    }
+
+    /**
+     * Modifica las estadísticas de un nivel y guarda
+     * @param {number} levelId - ID del nivel
+     * @param {Function} update - (stats) → void, modifica la copia recibida
+     */
+    updateLevelStats(levelId, update) {
+        const stats = this.getLevelStats(levelId);
+        update(stats);
+        this.progress.levelStats[levelId] = stats;
+        this.saveProgress();
+    }
+
+    /**
+     * Cuenta una partida empezada
+     * @param {number} levelId - ID del nivel
+     */
+    recordAttempt(levelId) {
+        this.updateLevelStats(levelId, stats => {
+            stats.attempts++;
+        });
+    }
+
+    /**
+     * Cuenta un reinicio (la partida nueva se cuenta aparte con recordAttempt)
+     * @param {number} levelId - ID del nivel
+     */
+    recordRestart(levelId) {
+        this.updateLevelStats(levelId, stats => {
+            stats.restarts++;
+        });
+    }
+
+    /**
+     * Cuenta una pelota que se salió del laberinto
+     * @param {number} levelId - ID del nivel
+     */
+    recordBallLost(levelId) {
+        this.updateLevelStats(levelId, stats => {
+            stats.ballsLost++;
+        });
+    }
+
+    /**
+     * Suma tiempo de juego
+     * @param {number} levelId - ID del nivel
+     * @param {number} seconds - Segundos jugados desde la última vez
+     */
+    recordPlayTime(levelId, seconds) {
+        if (seconds <= 0) return;
+        this.updateLevelStats(levelId, stats => {
+            stats.totalPlayTime += seconds;
+        });
+    }
+
+    /**
+     * Guarda el tiempo de una completación
+     * @param {number} levelId - ID del nivel
+     * @param {number} timeInSeconds - Tiempo de la completación
+     */
+    recordCompletion(levelId, timeInSeconds) {
+        this.updateLevelStats(levelId, stats => {
+            stats.completions++;
+            stats.lastTime = timeInSeconds;
+            if (stats.bestTime === null || timeInSeconds < stats.bestTime) {
+                stats.bestTime = timeInSeconds;
+            }
+        });
+    }
+
     /**
      * Aplica el progreso guardado a la configuración de niveles
      * @param {Object} levelsConfig - Configuración de niveles del juego
@@ -120,6 +279,8 @@ export class ProgressManager {
         Object.keys(levelsConfig).forEach(levelId => {
             const id = parseInt(levelId);
             levelsConfig[id].unlocked = this.isLevelUnlocked(id);
+            levelsConfig[id].bestStars = this.getBestStars(id);
+            levelsConfig[id].stats = this.getLevelStats(id);
         });
         console.log('🔄 Progreso aplicado a configuración de niveles');
     }
@@ -143,9 +304,13 @@ export class ProgressManager {
      * @returns {Object} Estadísticas del progreso
      */
     getStats() {
+        const levelStats = Object.keys(this.progress.levelStats).map(levelId => this.getLevelStats(levelId));
         return {
             unlockedLevels: this.progress.unlockedLevels.length,
             completedLevels: this.progress.completedLevels.length,
+            totalStars: Object.values(this.progress.bestStars).reduce((sum, stars) => sum + stars, 0),
+            totalAttempts: levelStats.reduce((sum, stats) => sum + stats.attempts, 0),
+            totalPlayTime: levelStats.reduce((sum, stats) => sum + stats.totalPlayTime, 0),
             lastPlayed: this.progress.lastPlayedLevel,
             progress: this.progress
         };
@@ -167,7 +332,7 @@ export class ProgressManager {
         try {
             const imported = JSON.parse(jsonString);
             if (imported.unlockedLevels && imported.completedLevels) {
-                this.progress = imported;
+                this.progress = this.migrate(imported);
                 this.saveProgress();
                 console.log('✅ Progreso importado exitosamente');
                 window.location.reload();
@@ -0,0 +1,197 @@
+/**
+ * RankingOutbox - Cola persistente (localStorage) de envíos al ranking
+ * - Guarda creaciones de jugador y completaciones aunque no haya conexión
+ * - Reintenta en orden con backoff exponencial y al volver la conexión ('online')
+ * - Cada envío lleva un id generado en el cliente: reintentar nunca lo duplica
+ */
+
+const RETRY_BASE_DELAY = 2000;      // Primer reintento (ms)
+const RETRY_MAX_DELAY = 5 * 60000;  // Tope del backoff (ms)
+
+/**
+ * Genera un UUID v4 en el cliente
+ * crypto.randomUUID solo existe en contextos seguros (HTTPS); getRandomValues funciona también en HTTP
+ * @returns {string} UUID
+ */
+export function createClientId() {
+    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+        return crypto.randomUUID();
+    }
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40; // Versión 4
+    bytes[8] = (bytes[8] & 0x3f) | 0x80; // Variante RFC 4122
+    const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+export class RankingOutbox {
+    /**
+     * @param {Function} send - async (entry) => 'synced' | 'retry' | 'rejected'
+     */
+    constructor(send) {
+        this.STORAGE_KEY = 'mazeGameRankingOutbox';
+        this.send = send;
+        this.entries = this.loadEntries();
+        this.statuses = new Map(); // id → 'pending' | 'synced' | 'rejected' (solo durante la sesión)
+        this.listeners = [];
+        this.retryTimer = null;
+        this.retryAttempt = 0;
+        this.flushing = null;
+
+        this.entries.forEach(entry => this.statuses.set(entry.id, 'pending'));
+
+        if (typeof window !== 'undefined') {
+            window.addEventListener('online', () => {
+                console.log('🌐 Conexión recuperada, sincronizando ranking...');
+                this.retryAttempt = 0;
+                this.flush();
+            });
+        }
+
+        if (this.entries.length > 0) {
+            console.log(`📤 ${this.entries.length} envío(s) pendientes del ranking`);
+        }
+    }
+
+    /**
+     * Carga la cola desde localStorage
+     * @returns {Array} Envíos pendientes
+     */
+    loadEntries() {
+        try {
+            const saved = localStorage.getItem(this.STORAGE_KEY);
+            return saved ? JSON.parse(saved) : [];
+        } catch (error) {
+            console.error('❌ Error al cargar envíos pendientes:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Guarda la cola en localStorage
+     */
+    saveEntries() {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.entries));
+        } catch (error) {
+            console.error('❌ Error al guardar envíos pendientes:', error);
+        }
+    }
+
+    /**
+     * Añade un envío a la cola (si ya hay uno con el mismo id, se ignora)
+     * @param {string} type - 'createPlayer', 'levelCompletion' o 'dailyResult'
+     * @param {Object} payload - Datos del envío (incluye el id generado en el cliente)
+     * @returns {string} Id del envío
+     */
+    enqueue(type, payload) {
+        const id = payload.id || createClientId();
+        if (!this.entries.some(entry => entry.id === id)) {
+            this.entries.push({ id, type, payload: { ...payload, id }, createdAt: new Date().toISOString() });
+            this.saveEntries();
+        }
+        this.setStatus(id, 'pending');
+        return id;
+    }
+
+    /**
+     * Busca un envío pendiente
+     * @param {Function} predicate - Recibe cada envío
+     * @returns {Object|undefined}
+     */
+    find(predicate) {
+        return this.entries.find(predicate);
+    }
+
+    /**
+     * Cambia los datos de los envíos pendientes (p. ej. el id definitivo del jugador)
+     * @param {Function} update - Recibe cada envío y devuelve el payload nuevo
+     */
+    updatePayloads(update) {
+        this.entries.forEach(entry => {
+            entry.payload = update(entry);
+        });
+        this.saveEntries();
+    }
+
+    /**
+     * Estado de un envío
+     * @param {string} id - Id del envío
+     * @returns {string|null} 'pending', 'synced', 'rejected' o null si no se conoce
+     */
+    getStatus(id) {
+        return this.statuses.get(id) || null;
+    }
+
+    /**
+     * @returns {number} Cantidad de envíos pendientes
+     */
+    getPendingCount() {
+        return this.entries.length;
+    }
+
+    /**
+     * Registra un listener de cambios de estado
+     * @param {Function} callback - Recibe (id, status)
+     */
+    onStatusChange(callback) {
+        this.listeners.push(callback);
+    }
+
+    setStatus(id, status) {
+        if (this.statuses.get(id) === status) return;
+        this.statuses.set(id, status);
+        this.listeners.forEach(callback => callback(id, status));
+    }
+
+    /**
+     * Envía los pendientes en orden; se detiene en el primer fallo reintentable
+     * (una completación no puede adelantarse a la creación de su jugador)
+     * @returns {Promise<void>}
+     */
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this.processQueue().finally(() => {
+                this.flushing = null;
+            });
+        }
+        return this.flushing;
+    }
+
+    async processQueue() {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+
+        while (this.entries.length > 0) {
+            const entry = this.entries[0];
+            let result;
+            try {
+                result = await this.send(entry);
+            } catch (error) {
+                console.error('❌ Error al enviar al ranking:', error);
+                result = 'retry';
+            }
+
+            if (result === 'retry') {
+                this.scheduleRetry();
+                return;
+            }
+
+            this.entries.shift();
+            this.saveEntries();
+            this.retryAttempt = 0;
+            this.setStatus(entry.id, result);
+        }
+    }
+
+    /**
+     * Programa el siguiente intento con backoff exponencial (con algo de azar)
+     */
+    scheduleRetry() {
+        const delay = Math.min(RETRY_BASE_DELAY * 2 ** this.retryAttempt, RETRY_MAX_DELAY);
+        const jitteredDelay = delay * (0.75 + Math.random() * 0.5);
+        this.retryAttempt++;
+        console.warn(`⏳ Ranking no disponible (sin conexión o límite de envíos): reintento en ${Math.round(jitteredDelay / 1000)}s`);
+        this.retryTimer = setTimeout(() => this.flush(), jitteredDelay);
+    }
+}
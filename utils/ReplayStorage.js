@@ -0,0 +1,87 @@
+/**
+ * ReplayStorage - Guarda y carga repeticiones de partidas
+ * - Guarda la última repetición de cada nivel en localStorage
+ * - Exporta repeticiones a archivo .json
+ * - Importa repeticiones desde archivo
+ */
+
+import { serializeReplay, deserializeReplay } from '../core/Replay.js';
+
+export class ReplayStorage {
+    constructor() {
+        this.STORAGE_KEY = 'mazeGameReplays';
+    }
+
+    /**
+     * Lee todas las repeticiones guardadas (serializadas, por nivel)
+     * @returns {Object} { [levelId]: string }
+     */
+    loadAll() {
+        try {
+            const saved = localStorage.getItem(this.STORAGE_KEY);
+            return saved ? JSON.parse(saved) : {};
+        } catch (error) {
+            console.error('❌ Error al cargar repeticiones:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Guarda una repetición como la última del nivel
+     * @param {Object} replay - Repetición a guardar
+     */
+    save(replay) {
+        try {
+            const all = this.loadAll();
+            all[replay.levelId] = serializeReplay(replay);
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(all));
+            console.log(`💾 Repetición del nivel ${replay.levelId} guardada`);
+        } catch (error) {
+            console.error('❌ Error al guardar repetición:', error);
+        }
+    }
+
+    /**
+     * Carga la última repetición guardada de un nivel
+     * @param {number} levelId - ID del nivel
+     * @returns {Object|null} Repetición o null si no existe
+     */
+    load(levelId) {
+        const serialized = this.loadAll()[levelId];
+        if (!serialized) return null;
+
+        try {
+            return deserializeReplay(serialized);
+        } catch (error) {
+            console.error('❌ Repetición guardada inválida:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Descarga una repetición como archivo .json
+     * @param {Object} replay - Repetición a exportar
+     */
+    exportToFile(replay) {
+        const blob = new Blob([serializeReplay(replay)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `repeticion-nivel-${replay.levelId}-${replay.completionTime.toFixed(2)}s.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+        console.log('📤 Repetición exportada');
+    }
+
+    /**
+     * Importa una repetición desde un archivo
+     * @param {File} file - Archivo seleccionado por el usuario
+     * @returns {Promise<Object>} Repetición
+     */
+    async importFromFile(file) {
+        const text = await file.text();
+        const replay = deserializeReplay(text);
+        console.log(`📥 Repetición importada: nivel ${replay.levelId}`);
+        return replay;
+    }
+}
@@ -0,0 +1,230 @@
+/**
+ * SettingsManager - Ajustes del jugador persistidos en localStorage
+ * - Controles (inclinación máxima, sensibilidad del mouse y del giroscopio)
+ * - Filtro del giroscopio (ver utils/tiltFilter.js)
+ * - Zoom de cámara y modo debug
+ * - Versionado: los datos guardados con versiones anteriores se migran al cargar
+ */
+
+import { DEFAULT_TILT_FILTER_SETTINGS } from './tiltFilter.js';
+
+// Subir al cambiar la forma de los ajustes (y añadir el paso en migrate)
+export const SETTINGS_VERSION = 1;
+
+// Rangos permitidos de los ajustes numéricos ('gyroFilter.x' = campo anidado)
+export const SETTINGS_LIMITS = {
+    maxTiltDegrees: { min: 5, max: 25 },
+    mouseSensitivity: { min: 0.25, max: 3 },
+    gyroSensitivity: { min: 0.1, max: 5 },
+    'gyroFilter.smoothing': { min: 0, max: 0.95 },
+    'gyroFilter.deadzone': { min: 0, max: 10 },
+    'gyroFilter.exponent': { min: 1, max: 3 },
+    'gyroFilter.fusionWeight': { min: 0, max: 1 },
+    zoomMinY: { min: 10, max: 100 },
+    zoomMaxY: { min: 20, max: 150 },
+    zoomSmoothing: { min: 0.02, max: 1 }
+};
+
+const GYRO_FILTERS = ['none', 'low-pass', 'one-euro'];
+const MIN_ZOOM_RANGE = 5; // Distancia mínima entre zoomMinY y zoomMaxY
+
+export class SettingsManager {
+    /**
+     * @param {Object} gameConfig - GAME_CONFIG (valores por defecto de controles y cámara)
+     */
+    constructor(gameConfig) {
+        this.STORAGE_KEY = 'mazeGameSettings';
+        this.LEGACY_GYRO_KEY = 'gyroTuning'; // Ajustes del giroscopio antes del versionado
+        this.defaults = this.createDefaults(gameConfig);
+        this.listeners = [];
+        this.settings = this.loadSettings();
+    }
+
+    /**
+     * Construye los ajustes por defecto a partir de la configuración del juego
+     * @param {Object} gameConfig - GAME_CONFIG
+     * @returns {Object} Ajustes por defecto
+     */
+    createDefaults(gameConfig) {
+        const { controls, camera } = gameConfig;
+        return {
+            version: SETTINGS_VERSION,
+            maxTiltDegrees: Math.round(controls.maxTilt * 180 / Math.PI),
+            mouseSensitivity: controls.mouseSensitivity,
+            gyroSensitivity: controls.gyroSensitivity,
+            gyroFilter: { ...DEFAULT_TILT_FILTER_SETTINGS },
+            zoomMinY: camera.zoomMinY,
+            zoomMaxY: camera.zoomMaxY,
+            zoomSmoothing: camera.zoomSmoothing,
+            debug: false
+        };
+    }
+
+    /**
+     * Carga los ajustes desde localStorage (migrando y validando)
+     * @returns {Object} Ajustes completos
+     */
+    loadSettings() {
+        try {
+            const saved = localStorage.getItem(this.STORAGE_KEY);
+            const data = saved ? JSON.parse(saved) : { version: 0 };
+            const version = data.version || 0;
+            const settings = this.sanitize(this.migrate(data));
+
+            if (version !== SETTINGS_VERSION) {
+                console.log(`⚙️ Ajustes migrados de v${version} a v${SETTINGS_VERSION}`);
+                this.saveSettings(settings);
+            }
+            return settings;
+        } catch (error) {
+            console.error('❌ Error al cargar ajustes:', error);
+            return this.sanitize({});
+        }
+    }
+
+    /**
+     * Lleva datos guardados con versiones anteriores a la versión actual
+     * @param {Object} data - Datos guardados (version 0 = sin ajustes guardados todavía)
+     * @returns {Object} Datos con la forma de SETTINGS_VERSION
+     */
+    migrate(data) {
+        const migrated = { ...data };
+
+        // v0 → v1: el filtro del giroscopio se guardaba aparte en 'gyroTuning'
+        if ((migrated.version || 0) < 1) {
+            const legacyGyro = localStorage.getItem(this.LEGACY_GYRO_KEY);
+            if (legacyGyro) {
+                try {
+                    migrated.gyroFilter = JSON.parse(legacyGyro);
+                } catch (error) {
+                    console.warn('⚠️ Ajustes antiguos del giroscopio corruptos, se descartan');
+                }
+                localStorage.removeItem(this.LEGACY_GYRO_KEY);
+            }
+            migrated.version = 1;
+        }
+
+        if (migrated.version > SETTINGS_VERSION) {
+            console.warn(`⚠️ Ajustes de una versión más nueva (v${migrated.version}), se usan los campos conocidos`);
+        }
+        return migrated;
+    }
+
+    /**
+     * Completa los campos que falten y limita cada valor a su rango
+     * @param {Object} data - Ajustes (posiblemente incompletos)
+     * @returns {Object} Ajustes válidos
+     */
+    sanitize(data) {
+        const settings = {
+            ...this.defaults,
+            ...data,
+            version: SETTINGS_VERSION,
+            gyroFilter: { ...this.defaults.gyroFilter, ...(data.gyroFilter || {}) }
+        };
+
+        Object.entries(SETTINGS_LIMITS).forEach(([path, { min, max }]) => {
+            const [key, subKey] = path.split('.');
+            const target = subKey ? settings[key] : settings;
+            const field = subKey || key;
+            const defaults = subKey ? this.defaults[key] : this.defaults;
+            const value = Number(target[field]);
+            target[field] = Number.isFinite(value) ? Math.min(Math.max(value, min), max) : defaults[field];
+        });
+
+        if (!GYRO_FILTERS.includes(settings.gyroFilter.filter)) {
+            settings.gyroFilter.filter = this.defaults.gyroFilter.filter;
+        }
+        settings.gyroFilter.fuseMotion = Boolean(settings.gyroFilter.fuseMotion);
+        settings.debug = Boolean(settings.debug);
+
+        if (settings.zoomMaxY - settings.zoomMinY < MIN_ZOOM_RANGE) {
+            settings.zoomMaxY = settings.zoomMinY + MIN_ZOOM_RANGE;
+        }
+        return settings;
+    }
+
+    /**
+     * Guarda los ajustes en localStorage
+     * @param {Object} settings - Ajustes a guardar (por defecto los actuales)
+     */
+    saveSettings(settings = null) {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(settings || this.settings));
+        } catch (error) {
+            console.error('❌ Error al guardar ajustes:', error);
+        }
+    }
+
+    /**
+     * Obtiene una copia de los ajustes actuales
+     * @returns {Object} Ajustes
+     */
+    getSettings() {
+        return { ...this.settings, gyroFilter: { ...this.settings.gyroFilter } };
+    }
+
+    /**
+     * Cambia uno o varios ajustes, los guarda y avisa a los listeners
+     * @param {Object} changes - Campos a cambiar (gyroFilter se mezcla con el actual)
+     */
+    update(changes) {
+        const merged = {
+            ...this.settings,
+            ...changes,
+            gyroFilter: { ...this.settings.gyroFilter, ...(changes.gyroFilter || {}) }
+        };
+        this.settings = this.sanitize(merged);
+        this.saveSettings();
+        this.notify();
+    }
+
+    /**
+     * Cambia un ajuste por su ruta ('zoomMinY', 'gyroFilter.smoothing'...)
+     * @param {string} path - Ruta del ajuste
+     * @param {*} value - Nuevo valor
+     */
+    set(path, value) {
+        const [key, subKey] = path.split('.');
+        this.update(subKey ? { [key]: { [subKey]: value } } : { [key]: value });
+    }
+
+    /**
+     * Lee un ajuste por su ruta
+     * @param {string} path - Ruta del ajuste
+     * @returns {*} Valor
+     */
+    get(path) {
+        const [key, subKey] = path.split('.');
+        return subKey ? this.settings[key][subKey] : this.settings[key];
+    }
+
+    /**
+     * Vuelve a los valores por defecto
+     * @param {string|null} key - Solo ese ajuste o grupo (p. ej. 'gyroFilter'); null = todos
+     */
+    reset(key = null) {
+        if (key) {
+            const value = this.defaults[key];
+            this.update({ [key]: typeof value === 'object' ? { ...value } : value });
+        } else {
+            this.settings = this.sanitize({});
+            this.saveSettings();
+            this.notify();
+        }
+        console.log(`🔄 Ajustes restablecidos${key ? ` (${key})` : ''}`);
+    }
+
+    /**
+     * Registra un listener que se llama con los ajustes tras cada cambio
+     * @param {Function} callback - Recibe los ajustes actuales
+     */
+    onChange(callback) {
+        this.listeners.push(callback);
+    }
+
+    notify() {
+        const settings = this.getSettings();
+        this.listeners.forEach(callback => callback(settings));
+    }
+}
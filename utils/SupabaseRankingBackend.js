@@ -0,0 +1,217 @@
+/**
+ * SupabaseRankingBackend - Backend de rankings sobre Supabase
+ * - Tablas: players, seasons, level_completions, level_ghosts, daily_challenge_results
+ * - Vistas: ranking_global, ranking_by_level_time, ranking_daily (temporada activa) y
+ *   ranking_season_global, ranking_season_level_time (cualquier temporada)
+ * - Todo lo que escribe va por RPC (register_player, recover_player, submit_level_completion,
+ *   submit_daily_result, submit_ghost): la base de datos comprueba el token del jugador,
+ *   calcula los puntos y valida el tiempo
+ * - Traduce los errores de PostgREST a los tipos de utils/rankingBackend.js
+ * - Completaciones en vivo con un canal realtime (la tabla level_completions está en la
+ *   publicación supabase_realtime sin la columna replay)
+ */
+
+import { createSupabaseClient } from './supabaseClient.js';
+import { rankingError } from './rankingBackend.js';
+
+export class SupabaseRankingBackend {
+    /**
+     * @param {Object} config - { url, anonKey } (ver config/ranking.config.js)
+     */
+    constructor(config) {
+        this.name = 'supabase';
+        this.client = createSupabaseClient(config);
+    }
+
+    /**
+     * Convierte una respuesta de Supabase en { data, error } normalizado
+     * @param {Object} response - { data, error, status } de supabase-js
+     * @returns {Object} { data, error }
+     */
+    toResult({ data, error, status }) {
+        if (!error) {
+            return { data, error: null };
+        }
+        // status 0 = sin respuesta (fetch falló); 5xx, 408 y 429 suelen ser temporales
+        if (status === 0 || status === 408 || status === 429 || status >= 500) {
+            return { data: null, error: rankingError('network', error.message, error) };
+        }
+        // Las funciones de puntuación indican el motivo del rechazo en el HINT
+        if (error.hint === 'rate_limited') {
+            return { data: null, error: rankingError('rate-limited', error.message, error) };
+        }
+        if (error.hint === 'invalid_token' || error.hint === 'invalid_recovery') {
+            return { data: null, error: rankingError('unauthorized', error.message, error) };
+        }
+        if (error.code === '23505') {
+            const kind = error.message.includes('_pkey') ? 'duplicate-id' : 'duplicate';
+            return { data: null, error: rankingError(kind, error.message, error) };
+        }
+        return { data: null, error: rankingError('rejected', error.message, error) };
+    }
+
+    async ping() {
+        return this.toResult(await this.client.from('players').select('id').limit(1));
+    }
+
+    async registerPlayer({ id, name, token, recoveryCode }) {
+        return this.toResult(await this.client.rpc('register_player', {
+            p_id: id,
+            p_name: name,
+            p_token: token,
+            p_recovery_code: recoveryCode
+        }));
+    }
+
+    async recoverPlayer({ name, recoveryCode, token }) {
+        return this.toResult(await this.client.rpc('recover_player', {
+            p_name: name,
+            p_recovery_code: recoveryCode,
+            p_new_token: token
+        }));
+    }
+
+    async saveCompletion({ id, player_id, token, level_id, completion_time, replay = null }) {
+        const result = this.toResult(await this.client.rpc('submit_level_completion', {
+            p_id: id,
+            p_player_id: player_id,
+            p_token: token,
+            p_level_id: level_id,
+            p_completion_time: completion_time,
+            p_replay: replay
+        }));
+        return { data: result.error ? null : { points: result.data }, error: result.error };
+    }
+
+    async saveDailyResult({ id, player_id, token, challenge_date, completion_time }) {
+        const result = this.toResult(await this.client.rpc('submit_daily_result', {
+            p_id: id,
+            p_player_id: player_id,
+            p_token: token,
+            p_challenge_date: challenge_date,
+            p_completion_time: completion_time
+        }));
+        return { data: result.error ? null : { points: result.data }, error: result.error };
+    }
+
+    async saveGhost({ player_id, token, level_id, completion_time, trajectory }) {
+        return this.toResult(await this.client.rpc('submit_ghost', {
+            p_player_id: player_id,
+            p_token: token,
+            p_level_id: level_id,
+            p_completion_time: completion_time,
+            p_trajectory: trajectory
+        }));
+    }
+
+    async getBestGhost(levelId, playerId) {
+        const result = this.toResult(await this.client
+            .from('level_ghosts')
+            .select('trajectory')
+            .eq('level_id', levelId)
+            .eq('player_id', playerId)
+            .order('completion_time', { ascending: true })
+            .limit(1));
+        return { data: result.data && result.data.length > 0 ? result.data[0].trajectory : null, error: result.error };
+    }
+
+    async getGlobalRanking(limit = null, { offset = 0, search = null, seasonId = null } = {}) {
+        let query = seasonId === null
+            ? this.client.from('ranking_global').select('*')
+            : this.client.from('ranking_season_global').select('*').eq('season_id', seasonId);
+        query = query.order('rank', { ascending: true });
+        if (search) query = query.ilike('name', toContainsPattern(search));
+        if (limit !== null) query = query.range(offset, offset + limit - 1);
+        return this.toResult(await query);
+    }
+
+    async getLevelRanking(levelId, limit = null, { offset = 0, search = null, seasonId = null } = {}) {
+        let query = seasonId === null
+            ? this.client.from('ranking_by_level_time').select('*')
+            : this.client.from('ranking_season_level_time').select('*').eq('season_id', seasonId);
+        query = query
+            .eq('level_id', levelId)
+            .order('rank', { ascending: true });
+        if (search) query = query.ilike('player_name', toContainsPattern(search));
+        if (limit !== null) query = query.range(offset, offset + limit - 1);
+        return this.toResult(await query);
+    }
+
+    async getPlayerRank(playerId, levelId = null, seasonId = null) {
+        let query = levelId === null
+            ? this.client.from(seasonId === null ? 'ranking_global' : 'ranking_season_global').select('rank').eq('id', playerId)
+            : this.client.from(seasonId === null ? 'ranking_by_level_time' : 'ranking_season_level_time').select('rank')
+                .eq('level_id', levelId).eq('player_id', playerId);
+        if (seasonId !== null) query = query.eq('season_id', seasonId);
+        const result = this.toResult(await query.maybeSingle());
+        return { data: result.data ? result.data.rank : null, error: result.error };
+    }
+
+    async getSeasons() {
+        return this.toResult(await this.client
+            .from('seasons')
+            .select('*')
+            .order('starts_at', { ascending: false }));
+    }
+
+    async getDailyRanking(challengeDate, limit = null) {
+        let query = this.client
+            .from('ranking_daily')
+            .select('*')
+            .eq('challenge_date', challengeDate)
+            .order('completion_time', { ascending: true });
+        if (limit !== null) query = query.limit(limit);
+        return this.toResult(await query);
+    }
+
+    async getPlayerStats(playerId) {
+        const global = this.toResult(await this.client
+            .from('ranking_global')
+            .select('*')
+            .eq('id', playerId)
+            .single());
+        if (global.error) return global;
+
+        const levelTimes = this.toResult(await this.client
+            .from('ranking_by_level_time')
+            .select('*')
+            .eq('player_id', playerId)
+            .order('level_id', { ascending: true }));
+        // Sin los tiempos por nivel se devuelven igual los datos globales
+        if (levelTimes.error) return { data: global.data, error: levelTimes.error };
+
+        return { data: { ...global.data, level_times: levelTimes.data }, error: null };
+    }
+
+    subscribeToCompletions(onCompletion) {
+        const channel = this.client
+            .channel('ranking-level-completions')
+            .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'level_completions' }, (payload) => {
+                onCompletion(payload.new);
+            })
+            .subscribe((status) => {
+                if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+                    console.warn(`⚠️ Rankings en vivo no disponibles (${status}): usa "🔄 Actualizar"`);
+                }
+            });
+        return () => this.client.removeChannel(channel);
+    }
+
+    async getPlayerCompletions(playerId) {
+        // Sin la columna replay: el historial solo necesita tiempos y fechas
+        return this.toResult(await this.client
+            .from('level_completions')
+            .select('id, season_id, level_id, completion_time, points, completed_at')
+            .eq('player_id', playerId)
+            .order('completed_at', { ascending: true }));
+    }
+}
+
+/**
+ * Patrón ILIKE que busca el texto en cualquier parte (escapando los comodines % y _)
+ * @param {string} search - Texto escrito por el jugador
+ * @returns {string} Patrón para ilike
+ */
+function toContainsPattern(search) {
+    return `%${search.replace(/[\\%_]/g, '\\$&')}%`;
+}
@@ -2,6 +2,7 @@
  * CameraZoom - Controla el zoom de la cámara mediante scroll (desktop) y pinch (mobile)
  * - Desktop: Usa la rueda del mouse (wheel event)
  * - Mobile: Usa gestos de pinch con dos dedos (touch events)
+ *   Los toques sobre controles en pantalla ([data-touch-control], p. ej. el joystick) no cuentan
  * - Modifica la posición Y de la cámara para simular zoom
  */
 
@@ -76,9 +77,10 @@ export class CameraZoom {
     setupTouchListeners() {
         // Touch Start - Detectar inicio de pinch
         this.touchStartHandler = (event) => {
-            if (event.touches.length === 2) {
+            const touches = this.getPinchTouches(event);
+            if (touches.length === 2) {
                 this.touchState.isActive = true;
-                this.touchState.initialDistance = this.getTouchDistance(event.touches);
+                this.touchState.initialDistance = this.getTouchDistance(touches);
                 
                 // console.log('🤏 Pinch iniciado');
             }
@@ -86,10 +88,11 @@ export class CameraZoom {
         
         // Touch Move - Calcular cambio de distancia
         this.touchMoveHandler = (event) => {
-            if (this.touchState.isActive && event.touches.length === 2) {
+            const touches = this.getPinchTouches(event);
+            if (this.touchState.isActive && touches.length === 2) {
                 event.preventDefault();
                 
-                const currentDistance = this.getTouchDistance(event.touches);
+                const currentDistance = this.getTouchDistance(touches);
                 const distanceDelta = currentDistance - this.touchState.initialDistance;
                 
                 // Pinch out (separar dedos) = zoom in (acercar) = Y menor
@@ -105,7 +108,7 @@ export class CameraZoom {
         
         // Touch End - Terminar pinch
         this.touchEndHandler = (event) => {
-            if (event.touches.length < 2) {
+            if (this.getPinchTouches(event).length < 2) {
                 if (this.touchState.isActive) {
                     // Guardar la posición actual como la nueva base
                     this.currentY = this.targetY;
@@ -122,9 +125,22 @@ export class CameraZoom {
         console.log('✅ Listeners de touch (pinch) configurados para mobile');
     }
 
+    /**
+     * Obtiene los toques que pueden formar un pinch
+     * Descarta los que empezaron sobre un control en pantalla (joystick táctil),
+     * así se puede hacer zoom con una mano mientras la otra inclina el laberinto
+     * @param {TouchEvent} event - Evento de touch
+     * @returns {Array<Touch>} Toques libres
+     */
+    getPinchTouches(event) {
+        return Array.from(event.touches).filter(touch =>
+            !(touch.target && touch.target.closest && touch.target.closest('[data-touch-control]'))
+        );
+    }
+
     /**
      * Calcula la distancia entre dos puntos de touch
-     * @param {TouchList} touches - Lista de touches
+     * @param {Array<Touch>} touches - Lista de touches
      * @returns {number} Distancia entre los dos primeros touches
      */
     getTouchDistance(touches) {
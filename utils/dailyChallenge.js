@@ -0,0 +1,42 @@
+/**
+ * Desafío diario
+ * - Un laberinto generado por día, el mismo para todos los jugadores en la misma fecha UTC
+ * - La semilla sale solo de la fecha: no hace falta servidor para saber el nivel del día
+ */
+
+import { generateLevelConfig, createRandom, GENERATED_LEVEL_ID_BASE } from './mazeGenerator.js';
+
+// ID fijo del nivel del día (fuera del rango de levels/ y del modo infinito)
+export const DAILY_LEVEL_ID = GENERATED_LEVEL_ID_BASE - 1;
+
+// Tamaño de la grilla del desafío (se elige con la semilla del día)
+const DAILY_MIN_SIZE = 6;
+const DAILY_MAX_SIZE = 10;
+
+/**
+ * Fecha UTC en formato YYYY-MM-DD (igual que el tipo DATE de Postgres)
+ * @param {Date} date - Fecha (por defecto ahora)
+ * @returns {string} Clave del día
+ */
+export function getUtcDateKey(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Genera el nivel del desafío de un día
+ * @param {string} dateKey - Fecha YYYY-MM-DD (ver getUtcDateKey)
+ * @returns {Object} Configuración del nivel (generated: true, daily: fecha)
+ */
+export function createDailyLevelConfig(dateKey = getUtcDateKey()) {
+    const seed = `daily-${dateKey}`;
+    const random = createRandom(seed);
+    const size = DAILY_MIN_SIZE + Math.floor(random() * (DAILY_MAX_SIZE - DAILY_MIN_SIZE + 1));
+    const difficulty = 1 + Math.floor(random() * 3);
+
+    const levelConfig = generateLevelConfig(
+        { seed, cols: size, rows: size, difficulty },
+        { id: DAILY_LEVEL_ID, name: `Desafío ${dateKey}` }
+    );
+    levelConfig.daily = dateKey;
+    return levelConfig;
+}
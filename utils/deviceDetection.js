@@ -62,20 +62,48 @@ export function isTouchDevice() {
 
 /**
  * Detecta si el dispositivo está en modo portrait (vertical)
+ * Usa screen.orientation si existe; si no, compara las dimensiones de la ventana
  * @returns {boolean} True si está en vertical
  */
 export function isPortrait() {
+    if (typeof screen !== 'undefined' && screen.orientation && screen.orientation.type) {
+        return screen.orientation.type.startsWith('portrait');
+    }
     return window.innerHeight > window.innerWidth;
 }
 
 /**
  * Detecta si el dispositivo está en modo landscape (horizontal)
+ * Usa screen.orientation si existe; si no, compara las dimensiones de la ventana
  * @returns {boolean} True si está en horizontal
  */
 export function isLandscape() {
+    if (typeof screen !== 'undefined' && screen.orientation && screen.orientation.type) {
+        return screen.orientation.type.startsWith('landscape');
+    }
     return window.innerWidth > window.innerHeight;
 }
 
+/**
+ * Obtiene el giro de la pantalla respecto a la posición natural del dispositivo
+ * Usa screen.orientation.angle, o window.orientation en Safari antiguo
+ * @returns {number} 0, 90, 180 o 270 grados
+ */
+export function getScreenOrientationAngle() {
+    if (typeof window === 'undefined') return 0; // Node (simulador headless)
+    
+    let angle;
+    if (typeof screen !== 'undefined' && screen.orientation && typeof screen.orientation.angle === 'number') {
+        angle = screen.orientation.angle;
+    } else if (typeof window.orientation === 'number') {
+        angle = window.orientation; // -90, 0, 90 o 180
+    } else {
+        // Sin API: solo sabemos si está en horizontal, no hacia qué lado
+        angle = isLandscape() ? 90 : 0;
+    }
+    return ((angle % 360) + 360) % 360;
+}
+
 /**
  * Obtiene información completa del dispositivo
  * @returns {Object} Objeto con toda la información del dispositivo
@@ -90,6 +118,7 @@ export function getDeviceInfo() {
         isTouchDevice: isTouchDevice(),
         isPortrait: isPortrait(),
         isLandscape: isLandscape(),
+        orientationAngle: getScreenOrientationAngle(),
         screenWidth: window.innerWidth,
         screenHeight: window.innerHeight,
         userAgent: navigator.userAgent
@@ -124,4 +153,7 @@ export function getDeviceType() {
 }
 
 // Log de información al importar (útil para debugging)
-console.log('📱 Device Info:', getDeviceInfo());
+// Solo en el navegador: el simulador headless importa este módulo desde Node
+if (typeof navigator !== 'undefined' && typeof window !== 'undefined') {
+    console.log('📱 Device Info:', getDeviceInfo());
+}
@@ -1,8 +1,13 @@
 /**
  * DeviceOrientationController - Gestiona los controles de giroscopio/acelerómetro
  * Permite controlar el juego inclinando el dispositivo móvil
+ * Los ángulos pasan por un pipeline de filtros configurable (ver utils/tiltFilter.js)
+ * Los ejes se reasignan según el giro de la pantalla (vertical u horizontal)
  */
 
+import { TiltFilterPipeline, anglesFromGravity } from './tiltFilter.js';
+import { getScreenOrientationAngle } from './deviceDetection.js';
+
 export class DeviceOrientationController {
     constructor() {
         this.enabled = false;
@@ -22,6 +27,14 @@ export class DeviceOrientationController {
         this.sensitivity = 1.5; // Multiplicador de sensibilidad
         this.deadzone = 3; // Grados de "zona muerta" para evitar movimientos no deseados
         
+        // Suavizado, zona muerta suave, curva de respuesta y fusión con el acelerómetro
+        this.filterPipeline = new TiltFilterPipeline({ deadzone: this.deadzone });
+        this.motionAngles = null; // { beta, gamma } medidos por devicemotion
+        
+        // Giro de la pantalla (0, 90, 180 o 270) para reasignar los ejes
+        this.screenAngle = getScreenOrientationAngle();
+        this.pendingRecalibration = false;
+        
         // Valores normalizados para el juego (-1 a 1)
         this.tiltX = 0;
         this.tiltZ = 0;
@@ -34,7 +47,7 @@ export class DeviceOrientationController {
      * Verifica si el dispositivo soporta DeviceOrientation API
      */
     checkSupport() {
-        if (window.DeviceOrientationEvent) {
+        if (typeof window !== 'undefined' && window.DeviceOrientationEvent) {
             this.supported = true;
             console.log('📱 DeviceOrientation API soportada');
         } else {
@@ -63,19 +76,16 @@ export class DeviceOrientationController {
                 if (this.permissionGranted) {
                     console.log('✅ Permiso de DeviceOrientation otorgado');
                 } else {
+                    // Sin alert: el juego sigue con el joystick táctil (ver TouchJoystickController)
                     console.warn('⚠️ Permiso de DeviceOrientation denegado:', permission);
-                    alert('⚠️ Necesitas permitir el acceso al sensor de movimiento para usar el giroscopio. Por favor, recarga la página e intenta nuevamente.');
                 }
             } catch (error) {
                 console.error('❌ Error al solicitar permiso:', error);
                 console.error('Stack trace:', error.stack);
                 this.permissionGranted = false;
                 
-                // Mostrar mensaje más útil al usuario
                 if (error.toString().includes('secure context')) {
-                    alert('⚠️ El giroscopio solo funciona en páginas HTTPS. Por favor, accede a la aplicación mediante HTTPS.');
-                } else {
-                    alert('⚠️ No se pudo solicitar permiso para el giroscopio. Asegúrate de estar en una página segura (HTTPS).');
+                    console.warn('⚠️ El giroscopio solo funciona en páginas HTTPS');
                 }
             }
         } else {
@@ -136,25 +146,69 @@ export class DeviceOrientationController {
                 this.hasLoggedFirstEvent = true;
             }
             
-            // Calcular valores relativos a la calibración
-            let relativeBeta = this.beta - this.calibrationBeta;
-            let relativeGamma = this.gamma - this.calibrationGamma;
+            // Tras girar la pantalla, la posición actual pasa a ser la neutral
+            if (this.pendingRecalibration) {
+                this.pendingRecalibration = false;
+                this.calibrate();
+            }
             
-            // Aplicar deadzone
-            if (Math.abs(relativeBeta) < this.deadzone) relativeBeta = 0;
-            if (Math.abs(relativeGamma) < this.deadzone) relativeGamma = 0;
+            // Calcular valores relativos a la calibración, en los ejes de la pantalla
+            const relative = this.getRelativeAngles();
             
-            // Normalizar y aplicar sensibilidad
-            // Beta: -90 a 90 grados (restringido para uso práctico)
-            // Gamma: -45 a 45 grados (rango confortable)
-            this.tiltX = this.clamp((relativeBeta / 45) * this.sensitivity, -1, 1);
-            this.tiltZ = this.clamp((relativeGamma / 45) * this.sensitivity, -1, 1);
+            // Suavizar, aplicar deadzone suave, normalizar (45° = máximo) y curva de respuesta
+            const tilt = this.filterPipeline.process(relative.x, relative.z, event.timeStamp, this.sensitivity);
+            this.tiltX = tilt.tiltX;
+            this.tiltZ = tilt.tiltZ;
+        };
+        
+        // Cambio vertical/horizontal: reasignar ejes y recalibrar con el siguiente evento
+        this.handleScreenOrientation = () => {
+            this.screenAngle = getScreenOrientationAngle();
+            this.pendingRecalibration = true;
+            console.log('🔄 Orientación de pantalla:', this.screenAngle, 'grados - recalibrando');
+        };
+        
+        // Acelerómetro (solo se usa si la fusión está activada)
+        this.handleMotion = (event) => {
+            this.motionAngles = anglesFromGravity(event.accelerationIncludingGravity);
         };
 
+        this.filterPipeline.reset();
         window.addEventListener('deviceorientation', this.handleOrientation, true);
+        window.addEventListener('devicemotion', this.handleMotion, true);
+        if (screen.orientation && screen.orientation.addEventListener) {
+            screen.orientation.addEventListener('change', this.handleScreenOrientation);
+        } else {
+            window.addEventListener('orientationchange', this.handleScreenOrientation);
+        }
+        this.screenAngle = getScreenOrientationAngle();
         console.log('👂 Listener de deviceorientation iniciado');
     }
 
+    /**
+     * Obtiene los ángulos actuales del dispositivo (fusionados con el acelerómetro si corresponde)
+     * Cada lectura se expresa en la representación más cercana a la calibración, así no salta
+     * al pasar beta por ±180 o gamma por ±90 (teléfono cerca de la vertical)
+     * @returns {Object} { beta, gamma } en grados
+     */
+    getAngles() {
+        const reference = { beta: this.calibrationBeta, gamma: this.calibrationGamma };
+        const orientation = closestEquivalentAngles({ beta: this.beta, gamma: this.gamma }, reference);
+        const motion = this.motionAngles ? closestEquivalentAngles(this.motionAngles, reference) : null;
+        return this.filterPipeline.fuse(orientation, motion);
+    }
+
+    /**
+     * Obtiene los ángulos relativos a la calibración en los ejes de la pantalla
+     * @returns {Object} { x, z } en grados: x adelante/atrás y z izquierda/derecha según se ve la pantalla
+     */
+    getRelativeAngles() {
+        const angles = this.getAngles();
+        const relativeBeta = wrapAngle(angles.beta - this.calibrationBeta);
+        const relativeGamma = wrapAngle(angles.gamma - this.calibrationGamma);
+        return mapToScreenAxes(relativeBeta, relativeGamma, this.screenAngle);
+    }
+
     /**
      * Detiene el listener de eventos de orientación
      */
@@ -162,14 +216,29 @@ export class DeviceOrientationController {
         if (this.handleOrientation) {
             window.removeEventListener('deviceorientation', this.handleOrientation, true);
         }
+        if (this.handleMotion) {
+            window.removeEventListener('devicemotion', this.handleMotion, true);
+        }
+        if (this.handleScreenOrientation) {
+            if (screen.orientation && screen.orientation.removeEventListener) {
+                screen.orientation.removeEventListener('change', this.handleScreenOrientation);
+            } else {
+                window.removeEventListener('orientationchange', this.handleScreenOrientation);
+            }
+        }
+        this.motionAngles = null;
+        this.pendingRecalibration = false;
     }
 
     /**
      * Calibra la posición actual como posición neutral
      */
     calibrate() {
-        this.calibrationBeta = this.beta;
-        this.calibrationGamma = this.gamma;
+        // Ángulos crudos: la referencia nueva no depende de la anterior
+        const angles = this.filterPipeline.fuse({ beta: this.beta, gamma: this.gamma }, this.motionAngles);
+        this.calibrationBeta = angles.beta;
+        this.calibrationGamma = angles.gamma;
+        this.filterPipeline.reset();
         console.log('🎯 Calibrado:', { beta: this.calibrationBeta, gamma: this.calibrationGamma });
     }
 
@@ -197,9 +266,22 @@ export class DeviceOrientationController {
      */
     setDeadzone(value) {
         this.deadzone = this.clamp(value, 0, 20);
+        this.filterPipeline.configure({ deadzone: this.deadzone });
         console.log('⚙️ Deadzone ajustado a:', this.deadzone, 'grados');
     }
 
+    /**
+     * Ajusta el pipeline de filtros (suavizado, curva, fusión...)
+     * @param {Object} settings - Campos de DEFAULT_TILT_FILTER_SETTINGS a cambiar
+     */
+    setFilterSettings(settings) {
+        if (settings.deadzone !== undefined) {
+            this.deadzone = this.clamp(settings.deadzone, 0, 20);
+        }
+        this.filterPipeline.configure({ ...settings, deadzone: this.deadzone });
+        console.log('⚙️ Filtro del giroscopio:', this.filterPipeline.settings);
+    }
+
     /**
      * Obtiene los valores de inclinación normalizados
      * @returns {Object} { tiltX, tiltZ } valores entre -1 y 1
@@ -225,7 +307,9 @@ export class DeviceOrientationController {
             tiltX: this.tiltX,
             tiltZ: this.tiltZ,
             sensitivity: this.sensitivity,
-            deadzone: this.deadzone
+            deadzone: this.deadzone,
+            screenAngle: this.screenAngle,
+            filter: { ...this.filterPipeline.settings }
         };
     }
 
@@ -244,3 +328,46 @@ export class DeviceOrientationController {
         console.log('🗑️ DeviceOrientationController destruido');
     }
 }
+
+/**
+ * Lleva un ángulo al rango [-180, 180)
+ * @param {number} angle - Grados
+ * @returns {number}
+ */
+function wrapAngle(angle) {
+    return ((angle + 180) % 360 + 360) % 360 - 180;
+}
+
+/**
+ * Elige entre las dos representaciones equivalentes de una orientación
+ * (beta, gamma) ≡ (180 - beta, gamma + 180) la más cercana a la referencia
+ * @param {Object} angles - { beta, gamma } en grados
+ * @param {Object} reference - { beta, gamma } de la calibración
+ * @returns {Object} { beta, gamma }
+ */
+function closestEquivalentAngles(angles, reference) {
+    const flipped = { beta: wrapAngle(180 - angles.beta), gamma: wrapAngle(angles.gamma + 180) };
+    const distance = (candidate) =>
+        Math.abs(wrapAngle(candidate.beta - reference.beta)) + Math.abs(wrapAngle(candidate.gamma - reference.gamma));
+    return distance(flipped) < distance(angles) ? flipped : angles;
+}
+
+/**
+ * Reasigna beta/gamma (ejes del dispositivo) a los ejes de la pantalla
+ * @param {number} beta - Inclinación adelante/atrás del dispositivo (grados)
+ * @param {number} gamma - Inclinación izquierda/derecha del dispositivo (grados)
+ * @param {number} screenAngle - Giro de la pantalla: 0, 90, 180 o 270
+ * @returns {Object} { x, z } en grados
+ */
+function mapToScreenAxes(beta, gamma, screenAngle) {
+    switch (screenAngle) {
+        case 90:  // Horizontal, parte superior del dispositivo a la izquierda
+            return { x: -gamma, z: beta };
+        case 180: // Vertical invertido
+            return { x: -beta, z: -gamma };
+        case 270: // Horizontal, parte superior del dispositivo a la derecha
+            return { x: gamma, z: -beta };
+        default:  // Vertical
+            return { x: beta, z: gamma };
+    }
+}
@@ -0,0 +1,92 @@
+/**
+ * GamepadTiltController - Inclina el laberinto con el stick analógico izquierdo (Gamepad API)
+ * Aplica una zona muerta radial: dentro del círculo no hay inclinación y fuera de él
+ * el recorrido se reescala para que el stick siga llegando de 0 a 1 sin saltos
+ */
+
+export class GamepadTiltController {
+    /**
+     * @param {Object} options
+     * @param {number} options.deadzone - Radio de la zona muerta (0 a 0.9)
+     */
+    constructor({ deadzone = 0.15 } = {}) {
+        this.supported = typeof navigator !== 'undefined' && typeof navigator.getGamepads === 'function';
+        this.deadzone = this.clamp(deadzone, 0, 0.9);
+        this.gamepadIndex = null;
+        
+        if (this.supported) {
+            window.addEventListener('gamepadconnected', (event) => {
+                console.log(`🎮 Mando conectado: ${event.gamepad.id}`);
+                if (this.gamepadIndex === null) {
+                    this.gamepadIndex = event.gamepad.index;
+                }
+            });
+            window.addEventListener('gamepaddisconnected', (event) => {
+                console.log(`🎮 Mando desconectado: ${event.gamepad.id}`);
+                if (this.gamepadIndex === event.gamepad.index) {
+                    this.gamepadIndex = null;
+                }
+            });
+        }
+    }
+
+    /**
+     * Obtiene el mando activo (el primero que se conectó, o cualquiera disponible)
+     * @returns {Gamepad|null}
+     */
+    getGamepad() {
+        if (!this.supported) return null;
+        
+        const gamepads = Array.from(navigator.getGamepads()).filter(Boolean);
+        return gamepads.find(gamepad => gamepad.index === this.gamepadIndex) || gamepads[0] || null;
+    }
+
+    /**
+     * Lee el stick izquierdo
+     * @returns {Object} { x, y } valores entre -1 y 1 (y > 0 = hacia arriba, igual que el mouse)
+     */
+    getTilt() {
+        const gamepad = this.getGamepad();
+        if (!gamepad || gamepad.axes.length < 2) {
+            return { x: 0, y: 0 };
+        }
+        
+        // En la Gamepad API el eje 1 es positivo hacia abajo
+        const x = gamepad.axes[0];
+        const y = -gamepad.axes[1];
+        const magnitude = Math.hypot(x, y);
+        if (magnitude <= this.deadzone) {
+            return { x: 0, y: 0 };
+        }
+        
+        const scaled = Math.min((magnitude - this.deadzone) / (1 - this.deadzone), 1);
+        return {
+            x: (x / magnitude) * scaled,
+            y: (y / magnitude) * scaled
+        };
+    }
+
+    /**
+     * Ajusta la zona muerta del stick
+     * @param {number} value - Radio de la zona muerta (0 a 0.9)
+     */
+    setDeadzone(value) {
+        this.deadzone = this.clamp(value, 0, 0.9);
+        console.log('⚙️ Deadzone del mando ajustado a:', this.deadzone);
+    }
+
+    /**
+     * Indica si hay algún mando conectado
+     * @returns {boolean}
+     */
+    isConnected() {
+        return this.getGamepad() !== null;
+    }
+
+    /**
+     * Utilidad: Limita un valor entre min y max
+     */
+    clamp(value, min, max) {
+        return Math.min(Math.max(value, min), max);
+    }
+}
@@ -0,0 +1,21 @@
+/**
+ * Utilidades para construir HTML con texto que no controlamos
+ * (nombres de jugadores, nombres y errores de niveles...)
+ */
+
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+/**
+ * Escapa un valor para interpolarlo en una plantilla de innerHTML (texto o atributo entre comillas)
+ * @param {*} value - Valor a mostrar (null/undefined se muestran vacíos)
+ * @returns {string} Texto seguro para HTML
+ */
+export function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
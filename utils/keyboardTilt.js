@@ -0,0 +1,140 @@
+/**
+ * KeyboardTiltController - Inclina el laberinto con flechas o WASD
+ * La inclinación acelera mientras se mantiene la tecla y vuelve sola al centro al soltarla,
+ * así un toque corto da una inclinación suave y mantener la tecla llega al máximo
+ */
+
+// Teclas por dirección (KeyboardEvent.code: no depende de la distribución del teclado)
+const KEY_BINDINGS = {
+    up: ['ArrowUp', 'KeyW'],
+    down: ['ArrowDown', 'KeyS'],
+    left: ['ArrowLeft', 'KeyA'],
+    right: ['ArrowRight', 'KeyD']
+};
+
+export class KeyboardTiltController {
+    /**
+     * @param {Object} options
+     * @param {number} options.acceleration - Velocidad de inclinación con la tecla presionada (unidades/s, 1 = máximo)
+     * @param {number} options.centering - Velocidad de vuelta al centro al soltar (unidades/s)
+     */
+    constructor({ acceleration = 2.5, centering = 3 } = {}) {
+        this.enabled = false;
+        this.acceleration = acceleration;
+        this.centering = centering;
+        
+        // Teclas presionadas (por code)
+        this.pressedKeys = new Set();
+        
+        // Valores normalizados (-1 a 1), mismo sentido que el mouse: y > 0 = hacia arriba
+        this.x = 0;
+        this.y = 0;
+    }
+
+    /**
+     * Empieza a escuchar el teclado
+     */
+    enable() {
+        if (this.enabled) return;
+        this.enabled = true;
+        
+        this.handleKeyDown = (event) => {
+            if (!this.isBound(event.code) || this.isTyping(event)) return;
+            event.preventDefault();
+            this.pressedKeys.add(event.code);
+        };
+        this.handleKeyUp = (event) => {
+            this.pressedKeys.delete(event.code);
+        };
+        // Si la ventana pierde el foco no llega el keyup: soltar todo
+        this.handleBlur = () => {
+            this.pressedKeys.clear();
+        };
+        
+        window.addEventListener('keydown', this.handleKeyDown);
+        window.addEventListener('keyup', this.handleKeyUp);
+        window.addEventListener('blur', this.handleBlur);
+        console.log('⌨️ Control por teclado ACTIVADO');
+    }
+
+    /**
+     * Deja de escuchar el teclado y centra la inclinación
+     */
+    disable() {
+        if (!this.enabled) return;
+        this.enabled = false;
+        
+        window.removeEventListener('keydown', this.handleKeyDown);
+        window.removeEventListener('keyup', this.handleKeyUp);
+        window.removeEventListener('blur', this.handleBlur);
+        this.reset();
+        console.log('⌨️ Control por teclado DESACTIVADO');
+    }
+
+    /**
+     * Suelta todas las teclas y centra la inclinación
+     */
+    reset() {
+        this.pressedKeys.clear();
+        this.x = 0;
+        this.y = 0;
+    }
+
+    /**
+     * Avanza la inclinación según las teclas presionadas
+     * @param {number} deltaTime - Tiempo transcurrido (segundos)
+     * @returns {Object} { x, y } valores entre -1 y 1
+     */
+    update(deltaTime) {
+        const targetX = this.isPressed('right') - this.isPressed('left');
+        const targetY = this.isPressed('up') - this.isPressed('down');
+        
+        this.x = this.advance(this.x, targetX, deltaTime);
+        this.y = this.advance(this.y, targetY, deltaTime);
+        
+        return { x: this.x, y: this.y };
+    }
+
+    /**
+     * Avanza un eje: acelera hacia la dirección presionada o vuelve al centro
+     * @param {number} value - Valor actual
+     * @param {number} direction - -1, 0 o 1
+     * @param {number} deltaTime - Tiempo transcurrido (segundos)
+     * @returns {number} Nuevo valor
+     */
+    advance(value, direction, deltaTime) {
+        if (direction === 0) {
+            const step = this.centering * deltaTime;
+            return Math.abs(value) <= step ? 0 : value - Math.sign(value) * step;
+        }
+        
+        // Al cambiar de sentido también actúa el centrado, para que el giro sea rápido
+        const reversing = value !== 0 && Math.sign(value) !== direction;
+        const speed = reversing ? this.acceleration + this.centering : this.acceleration;
+        return Math.min(Math.max(value + direction * speed * deltaTime, -1), 1);
+    }
+
+    /**
+     * Indica si alguna tecla de una dirección está presionada
+     * @param {string} direction - 'up', 'down', 'left' o 'right'
+     * @returns {number} 1 si está presionada, 0 si no
+     */
+    isPressed(direction) {
+        return KEY_BINDINGS[direction].some(code => this.pressedKeys.has(code)) ? 1 : 0;
+    }
+
+    /**
+     * Indica si la tecla controla la inclinación
+     */
+    isBound(code) {
+        return Object.values(KEY_BINDINGS).some(codes => codes.includes(code));
+    }
+
+    /**
+     * Indica si el usuario está escribiendo en un campo (nombre, editor...)
+     */
+    isTyping(event) {
+        const tag = event.target && event.target.tagName;
+        return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT';
+    }
+}
@@ -0,0 +1,173 @@
+/**
+ * Carga de niveles desde archivos JSON
+ * - levels/index.json es el manifiesto: { "levels": ["nivel-1.json", ...] }
+ * - Cada archivo define un nivel (laberinto, escala, límites, pelotas, zonas, iluminación)
+ * - Los colores se escriben como "#rrggbb" y se convierten al número que usa Three.js
+ * - Cada nivel se valida (ver levelValidation.js); los inválidos quedan marcados como rotos
+ *
+ * Funciona en el navegador (fetch) y en Node.js (pasando un lector de archivos)
+ */
+
+import { validateLevelConfig, validateLevelModel, httpModelExists } from './levelValidation.js';
+
+export const LEVELS_BASE_URL = '/levels/';
+export const LEVELS_MANIFEST = 'index.json';
+
+/**
+ * Lee un JSON por HTTP (lector por defecto en el navegador)
+ * @param {string} url - URL del archivo
+ * @returns {Promise<Object>} Contenido parseado
+ */
+async function fetchJson(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status} al cargar ${url}`);
+    }
+    return response.json();
+}
+
+/**
+ * Convierte un color del JSON ("#rrggbb", "0xrrggbb" o número) a número
+ * @param {string|number} value - Color
+ * @returns {number} Color como entero (0xrrggbb)
+ * @throws {Error} Si el color no es válido
+ */
+export function parseColor(value) {
+    if (typeof value === 'number') return value;
+
+    const match = typeof value === 'string' && value.match(/^(#|0x)([0-9a-f]{6})$/i);
+    if (!match) {
+        throw new Error(`Color inválido: ${JSON.stringify(value)}`);
+    }
+    return parseInt(match[2], 16);
+}
+
+/**
+ * Convierte un color numérico al formato de los archivos de nivel
+ * @param {number} value - Color como entero (0xrrggbb)
+ * @returns {string} Color como "#rrggbb"
+ */
+export function formatColor(value) {
+    return '#' + value.toString(16).padStart(6, '0');
+}
+
+/**
+ * Convierte los datos de un archivo de nivel (ya validado) al formato que usa LevelManager
+ * @param {Object} data - Contenido del archivo JSON
+ * @returns {Object} Configuración del nivel
+ */
+export function parseLevelConfig(data) {
+    return {
+        ...data,
+        unlocked: data.unlocked === true,
+        broken: false,
+        errors: [],
+        lighting: {
+            ...data.lighting,
+            ambient: parseColor(data.lighting.ambient),
+            colors: data.lighting.colors.map(parseColor)
+        },
+        balls: data.balls.map(ball => ({ ...ball, color: parseColor(ball.color) }))
+    };
+}
+
+/**
+ * Crea la entrada de un nivel inválido: aparece en el menú como roto, con el motivo
+ * @param {Object} data - Contenido del archivo JSON
+ * @param {string} source - Nombre del archivo
+ * @param {string[]} errors - Errores de validación
+ * @returns {Object} Nivel marcado como roto
+ */
+function createBrokenLevel(data, source, errors) {
+    return {
+        id: data.id,
+        name: typeof data.name === 'string' ? data.name : source,
+        description: data.description,
+        unlocked: data.unlocked === true,
+        broken: true,
+        errors
+    };
+}
+
+/**
+ * Lee y valida un archivo de nivel
+ * @param {Object} result - Resultado de leer el archivo (Promise.allSettled)
+ * @param {string} source - Nombre del archivo
+ * @param {Function} modelExists - Comprobador de modelos
+ * @returns {Promise<Object>} Nivel (válido o roto)
+ * @throws {Error} Si el archivo no se pudo leer o no tiene un id válido
+ */
+async function readLevel(result, source, modelExists) {
+    if (result.status === 'rejected') {
+        throw new Error(`${source}: ${result.reason.message || result.reason}`);
+    }
+
+    const data = result.value;
+    if (!data || !Number.isInteger(data.id) || data.id < 1) {
+        throw new Error(`${source}: "id" debe ser un entero positivo`);
+    }
+
+    const errors = validateLevelConfig(data);
+    if (errors.length === 0) {
+        errors.push(...await validateLevelModel(data, modelExists));
+    }
+
+    if (errors.length > 0) {
+        console.error(`❌ ${source} (nivel ${data.id}) inválido:\n   - ${errors.join('\n   - ')}`);
+        return createBrokenLevel(data, source, errors);
+    }
+    return parseLevelConfig(data);
+}
+
+/**
+ * Carga y valida todos los niveles del manifiesto
+ * Los niveles inválidos se incluyen marcados como rotos (broken + errors); los archivos
+ * que no se pueden leer o no tienen id se devuelven aparte en "errors"
+ * @param {Object} options
+ * @param {Function} options.readJson - Lector de JSON (url → Promise<Object>), por defecto fetch
+ * @param {Function} options.modelExists - (ruta) → Promise<boolean>, por defecto HEAD por HTTP
+ * @param {string} options.baseUrl - Carpeta de los niveles
+ * @returns {Promise<Object>} { levels: { [id]: config }, errors: [{ source, message }] }
+ */
+export async function loadLevelsConfig({
+    readJson = fetchJson,
+    modelExists = httpModelExists,
+    baseUrl = LEVELS_BASE_URL
+} = {}) {
+    const manifest = await readJson(baseUrl + LEVELS_MANIFEST);
+    if (!manifest || !Array.isArray(manifest.levels)) {
+        throw new Error(`${LEVELS_MANIFEST}: falta la lista "levels"`);
+    }
+
+    const levels = {};
+    const errors = [];
+
+    // Se cargan en paralelo pero se respetan el orden y los IDs del manifiesto
+    const results = await Promise.allSettled(
+        manifest.levels.map(file => readJson(baseUrl + file))
+    );
+    const parsed = await Promise.allSettled(
+        results.map((result, index) => readLevel(result, manifest.levels[index], modelExists))
+    );
+
+    parsed.forEach((result, index) => {
+        const source = manifest.levels[index];
+        try {
+            if (result.status === 'rejected') {
+                throw result.reason;
+            }
+            const level = result.value;
+            if (levels[level.id]) {
+                throw new Error(`${source}: el id ${level.id} ya está en uso`);
+            }
+            levels[level.id] = level;
+        } catch (error) {
+            console.error(`❌ Nivel omitido - ${error.message}`);
+            errors.push({ source, message: error.message });
+        }
+    });
+
+    const brokenCount = Object.values(levels).filter(level => level.broken).length;
+    console.log(`📂 ${Object.keys(levels).length} niveles cargados desde ${baseUrl} (${brokenCount} con errores)`);
+    return { levels, errors };
+}
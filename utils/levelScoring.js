@@ -0,0 +1,52 @@
+/**
+ * Estrellas por nivel (1 a 3) según el tiempo
+ * Cada nivel define sus umbrales en "scoring" (levels/nivel-N.json):
+ *   { "parTime": 15, "twoStarTime": 30, "oneStarTime": 60 }
+ * - ≤ parTime → 3 estrellas, ≤ twoStarTime → 2, ≤ oneStarTime → 1, más lento → 0
+ * Los niveles sin "scoring" (generados, desafío diario) no dan estrellas.
+ * Los puntos del ranking usan el mismo parTime como escala; los calcula el backend con su copia
+ * (level_scoring_rules.par_time, RANKING_CONFIG.scoring.parTimeByLevel en el backend local), que
+ * npm run validate-levels compara con los niveles (ver computePoints en rankingBackend.js)
+ */
+
+export const MAX_STARS = 3;
+
+// Tiempo máximo de cada estrella, de la primera a la tercera
+const STAR_TIME_FIELDS = ['oneStarTime', 'twoStarTime', 'parTime'];
+
+/**
+ * Calcula las estrellas de un tiempo
+ * @param {number} timeInSeconds - Tiempo en segundos
+ * @param {Object|undefined} scoring - "scoring" del nivel
+ * @returns {number|null} 0-3, o null si el nivel no da estrellas
+ */
+export function computeStars(timeInSeconds, scoring) {
+    if (!scoring) return null;
+    return STAR_TIME_FIELDS.filter(field => timeInSeconds <= scoring[field]).length;
+}
+
+/**
+ * Valora una completación para el overlay de victoria
+ * @param {number} timeInSeconds - Tiempo en segundos
+ * @param {Object|undefined} scoring - "scoring" del nivel
+ * @returns {Object|null} { stars, parTime, nextStarTime } (nextStarTime null con 3 estrellas), o null
+ */
+export function rateCompletion(timeInSeconds, scoring) {
+    const stars = computeStars(timeInSeconds, scoring);
+    if (stars === null) return null;
+
+    return {
+        stars,
+        parTime: scoring.parTime,
+        nextStarTime: stars < MAX_STARS ? scoring[STAR_TIME_FIELDS[stars]] : null
+    };
+}
+
+/**
+ * Estrellas como texto (★ ganadas, ☆ pendientes)
+ * @param {number} stars - 0-3
+ * @returns {string} Por ejemplo "★★☆"
+ */
+export function formatStars(stars) {
+    return '★'.repeat(stars) + '☆'.repeat(MAX_STARS - stars);
+}
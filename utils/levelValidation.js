@@ -0,0 +1,221 @@
+/**
+ * Validación de configuraciones de nivel
+ * - Campos obligatorios y tipos
+ * - Radios de pelotas y tamaños de zonas positivos
+ * - Pelotas que aparecen dentro de las paredes (bounds.wallDistance)
+ * - Zonas alcanzables (al menos en parte dentro de las paredes)
+ * - Modelo del laberinto existente (o parámetros válidos si es procedural)
+ * - Umbrales de estrellas ("scoring", opcional) en orden
+ *
+ * Se usa en el navegador (levelLoader / LevelManager) y en Node (validate-levels.js).
+ * Cada función devuelve una lista de mensajes legibles; lista vacía = nivel válido
+ */
+
+import { normalizeGeneratorParams } from './mazeGenerator.js';
+
+const COLOR_PATTERN = /^(#|0x)[0-9a-f]{6}$/i;
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isPositive = (value) => isNumber(value) && value > 0;
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isColor = (value) => (Number.isInteger(value) && value >= 0 && value <= 0xffffff)
+    || (typeof value === 'string' && COLOR_PATTERN.test(value));
+
+/**
+ * Verifica que un valor sea un vector { x, y, z } numérico
+ * @param {*} value - Valor a verificar
+ * @returns {boolean} True si es un vector válido
+ */
+function isVector3(value) {
+    return isObject(value) && isNumber(value.x) && isNumber(value.y) && isNumber(value.z);
+}
+
+/**
+ * Valida la estructura y la geometría de un nivel
+ * Acepta tanto el JSON del archivo (colores "#rrggbb") como la config ya parseada
+ * @param {Object} level - Configuración del nivel
+ * @returns {string[]} Errores encontrados
+ */
+export function validateLevelConfig(level) {
+    const errors = [];
+
+    if (!isObject(level)) {
+        return ['La configuración del nivel no es un objeto'];
+    }
+
+    // Datos generales
+    if (!Number.isInteger(level.id) || level.id < 1) {
+        errors.push('"id" debe ser un entero positivo');
+    }
+    if (typeof level.name !== 'string' || level.name.trim() === '') {
+        errors.push('Falta "name"');
+    }
+
+    // Iluminación
+    if (!isObject(level.lighting)) {
+        errors.push('Falta "lighting"');
+    } else {
+        if (!isColor(level.lighting.ambient)) {
+            errors.push('"lighting.ambient" debe ser un color (#rrggbb)');
+        }
+        if (!Array.isArray(level.lighting.colors) || level.lighting.colors.length === 0
+            || !level.lighting.colors.every(isColor)) {
+            errors.push('"lighting.colors" debe ser una lista de colores (#rrggbb)');
+        }
+        if (!isPositive(level.lighting.intensity)) {
+            errors.push('"lighting.intensity" debe ser mayor que 0');
+        }
+    }
+
+    // Laberinto
+    if (!isObject(level.maze)) {
+        errors.push('Falta "maze"');
+    } else {
+        if (level.maze.procedural) {
+            // Laberinto generado (ver utils/mazeGenerator.js)
+            try {
+                normalizeGeneratorParams(level.maze.procedural);
+            } catch (error) {
+                errors.push(`"maze.procedural": ${error.message}`);
+            }
+        } else if (typeof level.maze.model !== 'string' || !/\.(glb|gltf)$/i.test(level.maze.model)) {
+            errors.push('"maze.model" debe ser la ruta de un archivo .glb o .gltf');
+        }
+        if (!isPositive(level.maze.scale)) {
+            errors.push('"maze.scale" debe ser mayor que 0');
+        }
+        ['position', 'rotation'].forEach(field => {
+            if (level.maze[field] !== undefined && !isVector3(level.maze[field])) {
+                errors.push(`"maze.${field}" debe tener x, y, z numéricos`);
+            }
+        });
+    }
+
+    // Límites
+    const bounds = level.bounds;
+    const hasBounds = isObject(bounds) && isPositive(bounds.wallDistance) && isPositive(bounds.wallHeight);
+    // El piso de colisión se coloca en y = groundOffsetY (ver MazeController.syncGround)
+    const groundY = hasBounds && isNumber(bounds.groundOffsetY) ? bounds.groundOffsetY : 0;
+    if (!isObject(bounds)) {
+        errors.push('Falta "bounds"');
+    } else {
+        ['wallDistance', 'wallHeight', 'wallThickness'].forEach(field => {
+            if (!isPositive(bounds[field])) {
+                errors.push(`"bounds.${field}" debe ser mayor que 0`);
+            }
+        });
+        if (!isNumber(bounds.groundOffsetY)) {
+            errors.push('"bounds.groundOffsetY" debe ser un número');
+        }
+    }
+
+    // Pelotas
+    if (!Array.isArray(level.balls) || level.balls.length === 0) {
+        errors.push('"balls" debe tener al menos una pelota');
+    } else {
+        level.balls.forEach((ball, index) => {
+            const label = `Pelota ${index + 1}`;
+            if (!isObject(ball) || !isVector3(ball.position)) {
+                errors.push(`${label}: "position" debe tener x, y, z numéricos`);
+                return;
+            }
+            if (!isPositive(ball.radius)) {
+                errors.push(`${label}: el radio debe ser mayor que 0`);
+                return;
+            }
+            if (!isColor(ball.color)) {
+                errors.push(`${label}: "color" debe ser un color (#rrggbb)`);
+            }
+            if (!hasBounds) return;
+
+            const { x, y, z } = ball.position;
+            const limit = bounds.wallDistance - ball.radius;
+            if (Math.abs(x) > limit || Math.abs(z) > limit) {
+                errors.push(`${label}: aparece fuera de las paredes (|x| y |z| deben ser ≤ ${limit})`);
+            }
+            if (y < groundY + ball.radius) {
+                errors.push(`${label}: aparece debajo del piso (y debe ser ≥ ${groundY + ball.radius})`);
+            }
+        });
+    }
+
+    // Zonas
+    if (!Array.isArray(level.zones) || level.zones.length === 0) {
+        errors.push('"zones" debe tener al menos una zona');
+    } else {
+        level.zones.forEach((zone, index) => {
+            const label = `Zona ${index + 1}`;
+            if (!isObject(zone) || !isVector3(zone.position)) {
+                errors.push(`${label}: "position" debe tener x, y, z numéricos`);
+                return;
+            }
+            const size = zone.size;
+            if (!isObject(size) || !isPositive(size.width) || !isPositive(size.height) || !isPositive(size.depth)) {
+                errors.push(`${label}: width, height y depth deben ser mayores que 0`);
+                return;
+            }
+            if (!hasBounds) return;
+
+            // Una pelota solo puede tocar la parte de la zona que queda dentro de las paredes
+            const { x, y, z } = zone.position;
+            if (Math.abs(x) - size.width / 2 >= bounds.wallDistance
+                || Math.abs(z) - size.depth / 2 >= bounds.wallDistance) {
+                errors.push(`${label}: queda fuera de las paredes (wallDistance ${bounds.wallDistance})`);
+            }
+            const top = groundY + bounds.wallHeight;
+            if (y + size.height / 2 <= groundY || y - size.height / 2 >= top) {
+                errors.push(`${label}: no se puede alcanzar (debe cruzar la altura entre ${groundY} y ${top})`);
+            }
+        });
+    }
+
+    // Estrellas (opcional, ver levelScoring.js)
+    if (level.scoring !== undefined) {
+        if (!isObject(level.scoring)) {
+            errors.push('"scoring" debe tener parTime, twoStarTime y oneStarTime');
+        } else {
+            const times = ['parTime', 'twoStarTime', 'oneStarTime'];
+            const invalid = times.filter(field => !isPositive(level.scoring[field]));
+            invalid.forEach(field => errors.push(`"scoring.${field}" debe ser mayor que 0`));
+            const { parTime, twoStarTime, oneStarTime } = level.scoring;
+            if (invalid.length === 0 && !(parTime < twoStarTime && twoStarTime < oneStarTime)) {
+                errors.push('"scoring" debe cumplir parTime < twoStarTime < oneStarTime');
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Verifica que exista el modelo del laberinto
+ * @param {Object} level - Configuración del nivel
+ * @param {Function} modelExists - (ruta) → Promise<boolean>
+ * @returns {Promise<string[]>} Errores encontrados
+ */
+export async function validateLevelModel(level, modelExists) {
+    const model = level.maze && level.maze.model;
+    if (typeof model !== 'string') return [];
+
+    try {
+        if (!await modelExists(model)) {
+            return [`No existe el modelo ${model}`];
+        }
+    } catch (error) {
+        return [`No se pudo comprobar el modelo ${model}: ${error.message}`];
+    }
+    return [];
+}
+
+/**
+ * Comprueba por HTTP si existe un modelo (lector por defecto en el navegador)
+ * El servidor de desarrollo responde index.html a rutas inexistentes,
+ * así que una respuesta HTML también cuenta como "no existe"
+ * @param {string} url - Ruta del modelo
+ * @returns {Promise<boolean>} True si el archivo existe
+ */
+export async function httpModelExists(url) {
+    const response = await fetch(url, { method: 'HEAD' });
+    const contentType = response.headers.get('content-type') || '';
+    return response.ok && !contentType.includes('text/html');
+}
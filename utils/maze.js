@@ -32,9 +32,15 @@ function centerModel(model) {
  * lightweight and to make it easier to extend (texture/UV helpers, etc.).
  */
 export class Maze {
-  constructor(scene, world) {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {CANNON.World} world
+   * @param {Object|null} loader - Loader con la interfaz de GLTFLoader.load (por defecto GLTFLoader)
+   */
+  constructor(scene, world, loader = null) {
     this.scene = scene;
     this.world = world;
+    this.loader = loader;
     this.mesh = null;
     this.body = null;
     this.loaded = false;
@@ -59,7 +65,7 @@ export class Maze {
     this.scale = scale;
 
     return new Promise((resolve, reject) => {
-      const loader = new GLTFLoader();
+      const loader = this.loader || new GLTFLoader();
       console.log('🔄 Cargando laberinto con escala:', scale);
 
       loader.load(
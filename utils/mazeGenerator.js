@@ -0,0 +1,343 @@
+/**
+ * Generador procedural de laberintos
+ * - PRNG con semilla: la misma semilla produce siempre el mismo laberinto
+ * - Laberinto perfecto por backtracking (DFS) sobre una grilla, con ciclos extra
+ *   según la dificultad
+ * - Devuelve una configuración de nivel con la misma forma que los archivos de
+ *   levels/ (pelotas, zonas, bounds, iluminación), pero con maze.procedural en
+ *   lugar de un modelo GLB (ver utils/proceduralMaze.js)
+ *
+ * No depende de Three.js ni de Cannon: funciona igual en el navegador y en Node
+ */
+
+// Dimensiones de la geometría generada (unidades del mundo)
+export const MAZE_CELL_SIZE = 4;
+export const MAZE_WALL_THICKNESS = 0.5;
+export const MAZE_WALL_HEIGHT = 2.5;
+export const MAZE_FLOOR_THICKNESS = 1;
+
+// Límites de la grilla (más grande no entra en la cámara)
+export const MIN_GRID_SIZE = 3;
+export const MAX_GRID_SIZE = 12;
+
+// Los niveles generados usan IDs a partir de aquí para no chocar con levels/
+export const GENERATED_LEVEL_ID_BASE = 1000;
+
+/**
+ * Ajustes por dificultad
+ * - loops: fracción de paredes interiores que se eliminan (más ciclos = más fácil)
+ * - balls: cantidad de pelotas (y de zonas)
+ */
+export const DIFFICULTY_SETTINGS = {
+    1: {
+        label: 'Fácil',
+        loops: 0.2,
+        balls: 1,
+        lighting: { ambient: 0x40ff40, colors: [0x00ff00, 0xffff00], intensity: 2.5, description: 'Luces verdes - Laberinto generado' }
+    },
+    2: {
+        label: 'Normal',
+        loops: 0.08,
+        balls: 2,
+        lighting: { ambient: 0xff8040, colors: [0xff6600, 0xffaa00], intensity: 3.0, description: 'Luces naranjas - Laberinto generado' }
+    },
+    3: {
+        label: 'Difícil',
+        loops: 0,
+        balls: 3,
+        lighting: { ambient: 0xff4040, colors: [0xff0000, 0xff00ff], intensity: 3.5, description: 'Luces rojas - Laberinto generado' }
+    }
+};
+
+const BALL_COLORS = [0xffff00, 0x00ff00, 0x00aaff];
+const BALL_RADIUS = 0.5;
+
+/**
+ * Convierte una semilla (texto o número) en un entero de 32 bits (FNV-1a)
+ * @param {string|number} seed - Semilla
+ * @returns {number} Hash sin signo
+ */
+export function hashSeed(seed) {
+    const text = String(seed);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Crea un generador de números aleatorios con semilla (mulberry32)
+ * @param {string|number} seed - Semilla
+ * @returns {Function} Función que devuelve un número en [0, 1)
+ */
+export function createRandom(seed) {
+    let state = hashSeed(seed);
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Normaliza y valida los parámetros del generador
+ * @param {Object} params - { seed, cols, rows, difficulty }
+ * @returns {Object} Parámetros normalizados
+ * @throws {Error} Si algún parámetro no es válido
+ */
+export function normalizeGeneratorParams({ seed, cols, rows, difficulty = 2 }) {
+    if (seed === undefined || seed === null || String(seed) === '') {
+        throw new Error('El generador necesita una semilla');
+    }
+    [cols, rows].forEach(size => {
+        if (!Number.isInteger(size) || size < MIN_GRID_SIZE || size > MAX_GRID_SIZE) {
+            throw new Error(`El tamaño de la grilla debe estar entre ${MIN_GRID_SIZE} y ${MAX_GRID_SIZE}`);
+        }
+    });
+    if (!DIFFICULTY_SETTINGS[difficulty]) {
+        throw new Error(`Dificultad inválida: ${difficulty} (1 a 3)`);
+    }
+    return { seed: String(seed), cols, rows, difficulty };
+}
+
+/**
+ * Genera la distribución de paredes del laberinto
+ *
+ * hWalls[r][c]: pared horizontal sobre la fila r (r = 0..rows), columna c
+ * vWalls[r][c]: pared vertical a la izquierda de la columna c (c = 0..cols), fila r
+ *
+ * @param {Object} params - { seed, cols, rows, difficulty }
+ * @returns {Object} { cols, rows, hWalls, vWalls, start, distances }
+ */
+export function generateMazeLayout(params) {
+    const { seed, cols, rows, difficulty } = normalizeGeneratorParams(params);
+    const random = createRandom(seed);
+    const randomInt = (max) => Math.floor(random() * max);
+
+    const hWalls = Array.from({ length: rows + 1 }, () => new Array(cols).fill(true));
+    const vWalls = Array.from({ length: rows }, () => new Array(cols + 1).fill(true));
+
+    // 1. Laberinto perfecto con backtracking iterativo desde la esquina (0, 0)
+    const visited = Array.from({ length: rows }, () => new Array(cols).fill(false));
+    const stack = [{ col: 0, row: 0 }];
+    visited[0][0] = true;
+
+    while (stack.length > 0) {
+        const { col, row } = stack[stack.length - 1];
+        const neighbors = [
+            { col, row: row - 1 }, { col, row: row + 1 },
+            { col: col - 1, row }, { col: col + 1, row }
+        ].filter(n => n.col >= 0 && n.col < cols && n.row >= 0 && n.row < rows && !visited[n.row][n.col]);
+
+        if (neighbors.length === 0) {
+            stack.pop();
+            continue;
+        }
+
+        const next = neighbors[randomInt(neighbors.length)];
+        removeWallBetween(hWalls, vWalls, { col, row }, next);
+        visited[next.row][next.col] = true;
+        stack.push(next);
+    }
+
+    // 2. Ciclos extra: se quitan paredes interiores al azar (más fácil)
+    const { loops } = DIFFICULTY_SETTINGS[difficulty];
+    for (let r = 1; r < rows; r++) {
+        for (let c = 0; c < cols; c++) {
+            if (hWalls[r][c] && random() < loops) hWalls[r][c] = false;
+        }
+    }
+    for (let r = 0; r < rows; r++) {
+        for (let c = 1; c < cols; c++) {
+            if (vWalls[r][c] && random() < loops) vWalls[r][c] = false;
+        }
+    }
+
+    // 3. Distancias (en celdas) desde la salida, para ubicar las metas lejos
+    const start = { col: 0, row: 0 };
+    const distances = computeDistances(hWalls, vWalls, cols, rows, start);
+
+    return { cols, rows, hWalls, vWalls, start, distances };
+}
+
+/**
+ * Quita la pared entre dos celdas vecinas
+ */
+function removeWallBetween(hWalls, vWalls, a, b) {
+    if (a.col === b.col) {
+        hWalls[Math.max(a.row, b.row)][a.col] = false;
+    } else {
+        vWalls[a.row][Math.max(a.col, b.col)] = false;
+    }
+}
+
+/**
+ * BFS sobre la grilla respetando las paredes
+ * @returns {Array<Array<number>>} distances[row][col] en celdas
+ */
+function computeDistances(hWalls, vWalls, cols, rows, start) {
+    const distances = Array.from({ length: rows }, () => new Array(cols).fill(-1));
+    const queue = [start];
+    distances[start.row][start.col] = 0;
+
+    for (let i = 0; i < queue.length; i++) {
+        const { col, row } = queue[i];
+        const d = distances[row][col];
+        const moves = [
+            { col, row: row - 1, open: !hWalls[row][col] },
+            { col, row: row + 1, open: !hWalls[row + 1][col] },
+            { col: col - 1, row, open: !vWalls[row][col] },
+            { col: col + 1, row, open: !vWalls[row][col + 1] }
+        ];
+        moves.forEach(move => {
+            if (move.open && distances[move.row][move.col] === -1) {
+                distances[move.row][move.col] = d + 1;
+                queue.push({ col: move.col, row: move.row });
+            }
+        });
+    }
+    return distances;
+}
+
+/**
+ * Agrupa las paredes contiguas en segmentos (menos cuerpos Box)
+ * Las coordenadas están centradas en el origen, en unidades del mundo
+ * @param {Object} layout - Resultado de generateMazeLayout
+ * @returns {Array<Object>} Segmentos { x, z, length, axis: 'x' | 'z' }
+ */
+export function getWallSegments(layout) {
+    const { cols, rows, hWalls, vWalls } = layout;
+    const offsetX = (cols * MAZE_CELL_SIZE) / 2;
+    const offsetZ = (rows * MAZE_CELL_SIZE) / 2;
+    const segments = [];
+
+    // Horizontales (a lo largo del eje X)
+    hWalls.forEach((line, r) => {
+        for (let c = 0; c < cols; c++) {
+            if (!line[c]) continue;
+            const startCol = c;
+            while (c + 1 < cols && line[c + 1]) c++;
+            const cellCount = c - startCol + 1;
+            segments.push({
+                axis: 'x',
+                x: (startCol + cellCount / 2) * MAZE_CELL_SIZE - offsetX,
+                z: r * MAZE_CELL_SIZE - offsetZ,
+                length: cellCount * MAZE_CELL_SIZE + MAZE_WALL_THICKNESS
+            });
+        }
+    });
+
+    // Verticales (a lo largo del eje Z)
+    for (let c = 0; c <= cols; c++) {
+        for (let r = 0; r < rows; r++) {
+            if (!vWalls[r][c]) continue;
+            const startRow = r;
+            while (r + 1 < rows && vWalls[r + 1][c]) r++;
+            const cellCount = r - startRow + 1;
+            segments.push({
+                axis: 'z',
+                x: c * MAZE_CELL_SIZE - offsetX,
+                z: (startRow + cellCount / 2) * MAZE_CELL_SIZE - offsetZ,
+                length: cellCount * MAZE_CELL_SIZE + MAZE_WALL_THICKNESS
+            });
+        }
+    }
+
+    return segments;
+}
+
+/**
+ * Centro de una celda en coordenadas del mundo
+ * @param {Object} layout - Resultado de generateMazeLayout
+ * @param {Object} cell - { col, row }
+ * @returns {Object} { x, z }
+ */
+function cellCenter(layout, cell) {
+    return {
+        x: (cell.col + 0.5 - layout.cols / 2) * MAZE_CELL_SIZE,
+        z: (cell.row + 0.5 - layout.rows / 2) * MAZE_CELL_SIZE
+    };
+}
+
+/**
+ * Genera un nivel jugable con la forma que espera LevelManager
+ * @param {Object} params - { seed, cols, rows, difficulty }
+ * @param {Object} info - { id, name, description } del nivel
+ * @returns {Object} Configuración del nivel (generated: true)
+ */
+export function generateLevelConfig(params, info = {}) {
+    const normalized = normalizeGeneratorParams(params);
+    const layout = generateMazeLayout(normalized);
+    const settings = DIFFICULTY_SETTINGS[normalized.difficulty];
+
+    // Todas las celdas ordenadas por distancia a la salida
+    const cells = [];
+    layout.distances.forEach((line, row) => {
+        line.forEach((distance, col) => cells.push({ col, row, distance }));
+    });
+    cells.sort((a, b) => a.distance - b.distance);
+
+    // Pelotas en las celdas más cercanas a la salida
+    const ballCells = cells.slice(0, settings.balls);
+    const balls = ballCells.map((cell, index) => {
+        const { x, z } = cellCenter(layout, cell);
+        return {
+            position: { x, y: BALL_RADIUS + 1, z },
+            color: BALL_COLORS[index % BALL_COLORS.length],
+            radius: BALL_RADIUS
+        };
+    });
+
+    // Zonas en las celdas más lejanas, separadas entre sí cuando se puede
+    const zoneCells = [];
+    const farthest = cells.slice(settings.balls).reverse();
+    farthest.forEach(cell => {
+        if (zoneCells.length >= settings.balls) return;
+        const isSpaced = zoneCells.every(other =>
+            Math.abs(other.col - cell.col) + Math.abs(other.row - cell.row) >= 2
+        );
+        if (isSpaced) zoneCells.push(cell);
+    });
+    // Grillas muy chicas: completar aunque queden juntas
+    farthest.forEach(cell => {
+        if (zoneCells.length < settings.balls && !zoneCells.includes(cell)) zoneCells.push(cell);
+    });
+
+    const zoneSize = MAZE_CELL_SIZE * 0.6;
+    const zones = zoneCells.map(cell => {
+        const { x, z } = cellCenter(layout, cell);
+        return {
+            position: { x, y: 1, z },
+            size: { width: zoneSize, height: 2, depth: zoneSize }
+        };
+    });
+
+    const halfSize = (Math.max(layout.cols, layout.rows) * MAZE_CELL_SIZE) / 2;
+
+    return {
+        id: info.id ?? GENERATED_LEVEL_ID_BASE,
+        name: info.name ?? `Laberinto ${normalized.seed}`,
+        description: info.description ?? `${layout.cols}x${layout.rows} - ${settings.label}`,
+        unlocked: true,
+        generated: true,
+        lighting: { ...settings.lighting, colors: [...settings.lighting.colors] },
+        maze: {
+            procedural: normalized,
+            scale: 1,
+            position: { x: 0, y: 0, z: 0 },
+            rotation: { x: 0, y: 0, z: 0 }
+        },
+        bounds: {
+            wallDistance: halfSize + 1,
+            wallHeight: 10,
+            wallThickness: 1,
+            groundOffsetY: -1
+        },
+        balls,
+        zones
+    };
+}
@@ -0,0 +1,28 @@
+/**
+ * Lectores de archivos de nivel para Node.js (simulación y validación headless)
+ * Resuelven las rutas del juego ("/levels/...", "/models/...") contra la raíz del proyecto
+ */
+
+import { readFile, access } from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * Crea las funciones que loadLevelsConfig necesita para leer desde disco
+ * @param {string} rootDir - Carpeta raíz del proyecto
+ * @returns {Object} { readJson, modelExists }
+ */
+export function createNodeLevelSource(rootDir) {
+    const resolve = (url) => path.join(rootDir, url);
+
+    return {
+        readJson: async (url) => JSON.parse(await readFile(resolve(url), 'utf8')),
+        modelExists: async (url) => {
+            try {
+                await access(resolve(url));
+                return true;
+            } catch {
+                return false;
+            }
+        }
+    };
+}
@@ -0,0 +1,127 @@
+/**
+ * NodeModelLoader - Carga modelos GLB desde disco en Node.js (sin navegador ni WebGL)
+ * - Lee el archivo con fs en lugar de fetch
+ * - Descarta materiales y texturas: solo interesa la geometría de colisión
+ *   (Maze reemplaza los materiales igualmente) y decodificar imágenes requiere el DOM
+ * - Expone la misma interfaz load() que GLTFLoader para poder pasarlo a Maze
+ */
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+
+// Constantes del formato binario GLB (glTF 2.0)
+const GLB_MAGIC = 0x46546c67;      // 'glTF'
+const GLB_HEADER_LENGTH = 12;
+const GLB_CHUNK_HEADER_LENGTH = 8;
+const GLB_CHUNK_JSON = 0x4e4f534a; // 'JSON'
+
+/**
+ * Elimina materiales, texturas e imágenes de un archivo GLB y lo vuelve a empaquetar
+ * @param {Buffer} buffer - Contenido del archivo .glb
+ * @returns {ArrayBuffer} GLB sin materiales listo para GLTFLoader.parse
+ */
+function stripMaterials(buffer) {
+    const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+    if (view.getUint32(0, true) !== GLB_MAGIC) {
+        throw new Error('El archivo no es un GLB válido');
+    }
+
+    // Leer chunks (JSON + BIN opcional)
+    const chunks = [];
+    let offset = GLB_HEADER_LENGTH;
+    while (offset < buffer.byteLength) {
+        const length = view.getUint32(offset, true);
+        const type = view.getUint32(offset + 4, true);
+        const start = offset + GLB_CHUNK_HEADER_LENGTH;
+        chunks.push({ type, data: buffer.subarray(start, start + length) });
+        offset = start + length;
+    }
+
+    // Limpiar el JSON de todo lo relacionado con materiales
+    const jsonChunk = chunks.find(chunk => chunk.type === GLB_CHUNK_JSON);
+    const json = JSON.parse(new TextDecoder().decode(jsonChunk.data));
+    delete json.materials;
+    delete json.textures;
+    delete json.images;
+    delete json.samplers;
+    (json.meshes || []).forEach(mesh => {
+        mesh.primitives.forEach(primitive => delete primitive.material);
+    });
+    const isMaterialExtension = name => name.startsWith('KHR_materials_') || name.startsWith('KHR_texture_');
+    ['extensionsUsed', 'extensionsRequired'].forEach(key => {
+        if (json[key]) json[key] = json[key].filter(name => !isMaterialExtension(name));
+    });
+
+    // Re-empaquetar (los chunks deben estar alineados a 4 bytes; JSON se rellena con espacios)
+    let jsonBytes = new TextEncoder().encode(JSON.stringify(json));
+    const padding = (4 - (jsonBytes.length % 4)) % 4;
+    if (padding > 0) {
+        jsonBytes = new Uint8Array([...jsonBytes, ...new Array(padding).fill(0x20)]);
+    }
+    jsonChunk.data = jsonBytes;
+
+    const totalLength = chunks.reduce(
+        (sum, chunk) => sum + GLB_CHUNK_HEADER_LENGTH + chunk.data.length,
+        GLB_HEADER_LENGTH
+    );
+    const output = new Uint8Array(totalLength);
+    const outView = new DataView(output.buffer);
+    outView.setUint32(0, GLB_MAGIC, true);
+    outView.setUint32(4, 2, true);
+    outView.setUint32(8, totalLength, true);
+
+    offset = GLB_HEADER_LENGTH;
+    chunks.forEach(chunk => {
+        outView.setUint32(offset, chunk.data.length, true);
+        outView.setUint32(offset + 4, chunk.type, true);
+        output.set(chunk.data, offset + GLB_CHUNK_HEADER_LENGTH);
+        offset += GLB_CHUNK_HEADER_LENGTH + chunk.data.length;
+    });
+
+    return output.buffer;
+}
+
+export class NodeModelLoader {
+    /**
+     * @param {string} rootDir - Carpeta raíz del proyecto (las rutas '/models/...' se resuelven desde aquí)
+     */
+    constructor(rootDir) {
+        this.rootDir = rootDir;
+        this.gltfLoader = new GLTFLoader();
+    }
+
+    /**
+     * Misma firma que GLTFLoader.load
+     * @param {string} url - Ruta del modelo (ej: '/models/maze2.glb')
+     * @param {Function} onLoad - Callback con el objeto gltf
+     * @param {Function} onProgress - Ignorado (la lectura de disco no reporta progreso)
+     * @param {Function} onError - Callback de error
+     */
+    load(url, onLoad, onProgress, onError) {
+        this.loadAsync(url)
+            .then(onLoad)
+            .catch(error => {
+                if (onError) {
+                    onError(error);
+                } else {
+                    console.error('❌ Error al cargar modelo:', error);
+                }
+            });
+    }
+
+    /**
+     * Carga y parsea un modelo GLB desde disco
+     * @param {string} url - Ruta del modelo
+     * @returns {Promise<Object>} Objeto gltf
+     */
+    async loadAsync(url) {
+        const filePath = path.join(this.rootDir, url.replace(/^\//, ''));
+        const buffer = await readFile(filePath);
+        const glb = stripMaterials(buffer);
+
+        return new Promise((resolve, reject) => {
+            this.gltfLoader.parse(glb, '', resolve, reject);
+        });
+    }
+}
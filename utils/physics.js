@@ -169,3 +169,82 @@ export function createCompoundBodyFromModel(model, world) {
   
   return body;
 }
+
+/**
+ * Crea y configura el mundo de física según la configuración global del juego
+ * Usado tanto por el juego en el navegador como por la simulación headless
+ * @param {Object} physicsConfig - GAME_CONFIG.physics
+ * @returns {CANNON.World} Mundo de física configurado
+ */
+export function createPhysicsWorld(physicsConfig) {
+  const world = new CANNON.World();
+  world.gravity.set(
+    physicsConfig.gravity.x,
+    physicsConfig.gravity.y,
+    physicsConfig.gravity.z
+  );
+  world.broadphase = new CANNON.NaiveBroadphase();
+  world.solver.iterations = physicsConfig.solverIterations;
+  world.allowSleep = false;
+  return world;
+}
+
+/**
+ * Crea los materiales de física (laberinto y pelota) y su material de contacto
+ * @param {CANNON.World} world - Mundo de física donde registrar el contacto
+ * @param {Object} materialsConfig - GAME_CONFIG.materials
+ * @returns {Object} Objeto con materiales de laberinto y pelota
+ */
+export function createPhysicsMaterials(world, materialsConfig) {
+  const mazeMaterial = new CANNON.Material('maze');
+  const ballMaterial = new CANNON.Material('ball');
+  
+  const contactMaterial = new CANNON.ContactMaterial(mazeMaterial, ballMaterial, {
+    friction: materialsConfig.maze.friction,
+    restitution: materialsConfig.maze.restitution
+  });
+  world.addContactMaterial(contactMaterial);
+  
+  return { maze: mazeMaterial, ball: ballMaterial };
+}
+
+/**
+ * Detecta colisión entre el cuerpo de una zona (Box) y el de una pelota (Sphere) usando AABB
+ * @param {CANNON.Body} zoneBody - Cuerpo físico de la zona
+ * @param {CANNON.Body} sphereBody - Cuerpo físico de la pelota
+ * @returns {boolean} True si hay colisión
+ */
+export function checkAABBCollision(zoneBody, sphereBody) {
+  // Calcular límites de la zona (AABB)
+  const halfExtents = zoneBody.shapes[0].halfExtents;
+  const zoneMin = {
+    x: zoneBody.position.x - halfExtents.x,
+    y: zoneBody.position.y - halfExtents.y,
+    z: zoneBody.position.z - halfExtents.z
+  };
+  const zoneMax = {
+    x: zoneBody.position.x + halfExtents.x,
+    y: zoneBody.position.y + halfExtents.y,
+    z: zoneBody.position.z + halfExtents.z
+  };
+
+  // Calcular límites de la esfera
+  const sphereRadius = sphereBody.shapes[0].radius;
+  const sphereMin = {
+    x: sphereBody.position.x - sphereRadius,
+    y: sphereBody.position.y - sphereRadius,
+    z: sphereBody.position.z - sphereRadius
+  };
+  const sphereMax = {
+    x: sphereBody.position.x + sphereRadius,
+    y: sphereBody.position.y + sphereRadius,
+    z: sphereBody.position.z + sphereRadius
+  };
+
+  // Verificar overlap en los 3 ejes
+  const overlapX = sphereMax.x >= zoneMin.x && sphereMin.x <= zoneMax.x;
+  const overlapY = sphereMax.y >= zoneMin.y && sphereMin.y <= zoneMax.y;
+  const overlapZ = sphereMax.z >= zoneMin.z && sphereMin.z <= zoneMax.z;
+
+  return overlapX && overlapY && overlapZ;
+}
@@ -0,0 +1,135 @@
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+import {
+  generateMazeLayout,
+  getWallSegments,
+  MAZE_CELL_SIZE,
+  MAZE_WALL_THICKNESS,
+  MAZE_WALL_HEIGHT,
+  MAZE_FLOOR_THICKNESS
+} from './mazeGenerator.js';
+
+/**
+ * Laberinto generado proceduralmente (visual y física)
+ *
+ * Misma interfaz pública que Maze (mesh, body, setRotation, isLoaded) para que
+ * LevelManager y MazeController lo usen igual que un GLB. Las paredes son Box:
+ * un InstancedMesh para el render y un cuerpo compuesto de Box para la física,
+ * mucho más barato que un Trimesh.
+ */
+export class ProceduralMaze {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {CANNON.World} world
+   */
+  constructor(scene, world) {
+    this.scene = scene;
+    this.world = world;
+    this.mesh = null;
+    this.body = null;
+    this.loaded = false;
+    this.layout = null;
+  }
+
+  /**
+   * Genera el laberinto a partir de sus parámetros
+   * @param {Object} params - { seed, cols, rows, difficulty } (maze.procedural del nivel)
+   * @param {Object} options { position, rotation }
+   * @returns {Promise<ProceduralMaze>}
+   */
+  async load(params, options = {}) {
+    const {
+      position = { x: 0, y: 0, z: 0 },
+      rotation = { x: 0, y: 0, z: 0 }
+    } = options;
+
+    this.layout = generateMazeLayout(params);
+    const segments = getWallSegments(this.layout);
+    const width = this.layout.cols * MAZE_CELL_SIZE + MAZE_WALL_THICKNESS;
+    const depth = this.layout.rows * MAZE_CELL_SIZE + MAZE_WALL_THICKNESS;
+
+    // El Group es el pivote: centrado en x/z con la superficie del piso en y = 0 (igual que Maze)
+    this.mesh = new THREE.Group();
+    this.mesh.position.set(position.x, position.y, position.z);
+    this.mesh.rotation.set(rotation.x, rotation.y, rotation.z);
+
+    this.body = new CANNON.Body({ mass: 0 });
+    this.body.position.set(position.x, position.y, position.z);
+
+    // Piso
+    const floorMesh = new THREE.Mesh(
+      new THREE.BoxGeometry(width, MAZE_FLOOR_THICKNESS, depth),
+      new THREE.MeshStandardMaterial({ color: 0x2a3d55, roughness: 0.8 })
+    );
+    floorMesh.position.y = -MAZE_FLOOR_THICKNESS / 2;
+    floorMesh.receiveShadow = true;
+    this.mesh.add(floorMesh);
+    this._addBox(width, MAZE_FLOOR_THICKNESS, depth, 0, -MAZE_FLOOR_THICKNESS / 2, 0);
+
+    // Paredes: una instancia de caja unitaria escalada por segmento
+    const wallMaterial = new THREE.MeshStandardMaterial({
+      color: 0x87ceeb,
+      roughness: 0.3,
+      emissive: 0x4a9fd8,
+      emissiveIntensity: 0.2
+    });
+    const walls = new THREE.InstancedMesh(new THREE.BoxGeometry(1, 1, 1), wallMaterial, segments.length);
+    const matrix = new THREE.Matrix4();
+    const scale = new THREE.Vector3();
+    const center = new THREE.Vector3();
+    const identity = new THREE.Quaternion();
+
+    segments.forEach((segment, index) => {
+      const sizeX = segment.axis === 'x' ? segment.length : MAZE_WALL_THICKNESS;
+      const sizeZ = segment.axis === 'z' ? segment.length : MAZE_WALL_THICKNESS;
+
+      center.set(segment.x, MAZE_WALL_HEIGHT / 2, segment.z);
+      scale.set(sizeX, MAZE_WALL_HEIGHT, sizeZ);
+      walls.setMatrixAt(index, matrix.compose(center, identity, scale));
+
+      this._addBox(sizeX, MAZE_WALL_HEIGHT, sizeZ, segment.x, MAZE_WALL_HEIGHT / 2, segment.z);
+    });
+    walls.castShadow = true;
+    walls.receiveShadow = true;
+    this.mesh.add(walls);
+
+    this.scene.add(this.mesh);
+    this.world.addBody(this.body);
+    this.body.quaternion.setFromEuler(rotation.x, rotation.y, rotation.z);
+
+    this.loaded = true;
+    console.log(`🧩 Laberinto generado (${this.layout.cols}x${this.layout.rows}, semilla "${params.seed}") - ${segments.length} paredes`);
+    return this;
+  }
+
+  // ----------------------------- Helpers -----------------------------
+  /**
+   * Añade una caja al cuerpo compuesto (coordenadas locales del pivote)
+   */
+  _addBox(sizeX, sizeY, sizeZ, x, y, z) {
+    const shape = new CANNON.Box(new CANNON.Vec3(sizeX / 2, sizeY / 2, sizeZ / 2));
+    this.body.addShape(shape, new CANNON.Vec3(x, y, z));
+  }
+
+  // --------------------------- Public API ----------------------------
+  /**
+   * Actualiza la rotación del laberinto (visual y física)
+   * @param {number} x - Rotación en eje X
+   * @param {number} y - Rotación en eje Y
+   * @param {number} z - Rotación en eje Z
+   */
+  setRotation(x, y, z) {
+    if (!this.loaded) return;
+    this.mesh.rotation.set(x, y, z);
+    this.body.position.copy(this.mesh.position);
+    this.body.quaternion.setFromEuler(x, y, z);
+  }
+
+  /**
+   * Obtiene si el laberinto está cargado
+   * @returns {boolean}
+   */
+  isLoaded() {
+    return this.loaded;
+  }
+}
@@ -0,0 +1,98 @@
+/**
+ * Backend de rankings - Interfaz común entre RankingManager y el almacenamiento
+ * (el backend activo lo elige createRankingBackend en core/RankingManager.js)
+ *
+ * Implementaciones:
+ * - SupabaseRankingBackend: tablas y vistas de supabase-setup.sql
+ * - LocalRankingBackend: localStorage (o memoria en Node) con la misma semántica que las vistas
+ *
+ * Todos los métodos son async y devuelven { data, error }. error es null o un objeto
+ * { kind, message } donde kind es:
+ * - 'network':      no hubo respuesta o el servidor falló (vale la pena reintentar)
+ * - 'duplicate-id': ya existe una fila con ese id (un reintento que ya había llegado)
+ * - 'duplicate':    otra restricción única (p. ej. un resultado diario por jugador y día)
+ * - 'rate-limited': demasiados envíos seguidos del mismo jugador (reintentar más tarde)
+ * - 'unauthorized': token del jugador o código de recuperación incorrectos
+ * - 'rejected':     el backend no acepta la operación (validación, permisos, jugador inexistente...)
+ *
+ * Métodos:
+ * - ping()
+ * - registerPlayer({ id, name, token, recoveryCode }) → jugador {id, name, created_at}
+ *     ('rejected' si el nombre no cumple isValidPlayerName)
+ *     ('duplicate' si el nombre está en uso; un jugador antiguo sin credenciales se reclama y
+ *     se devuelve con su propio id)
+ * - recoverPlayer({ name, recoveryCode, token }) → jugador (el token pasa a ser el de este dispositivo)
+ * - saveCompletion({ id, player_id, token, level_id, completion_time, replay }) → { points }
+ * - saveDailyResult({ id, player_id, token, challenge_date, completion_time }) → { points }
+ * - saveGhost({ player_id, token, level_id, completion_time, trajectory })
+ * - getBestGhost(levelId, playerId)       → trajectory serializada o null
+ * - getGlobalRanking(limit, { offset, search, seasonId })          → filas de ranking_global por posición
+ *     (limit null = todas; search filtra por nombre sin distinguir mayúsculas y cada fila conserva su rank)
+ *     (seasonId null = temporada activa; con un id, la clasificación de esa temporada, que en las
+ *     archivadas es la final y solo incluye a quien puntuó en ella)
+ * - getLevelRanking(levelId, limit, { offset, search, seasonId }) → filas de ranking_by_level_time por posición
+ * - getPlayerRank(playerId, levelId, seasonId) → posición global (levelId null) o en el nivel; null si no aparece
+ * - getSeasons()                          → temporadas {id, name, starts_at, ends_at} de la más reciente
+ *     a la más antigua (ends_at null = la activa)
+ * - getDailyRanking(challengeDate, limit) → filas de ranking_daily
+ * - getPlayerStats(playerId)              → fila de ranking_global + level_times (temporada activa)
+ * - getPlayerCompletions(playerId)        → historial de level_completions del jugador en todas las
+ *     temporadas (id, season_id, level_id, completion_time, points, completed_at), del más antiguo al más reciente
+ * - subscribeToCompletions(onCompletion) → función para cancelar la suscripción (no es async)
+ *     Llama a onCompletion(fila de level_completions) con cada completación nueva de cualquier jugador
+ *
+ * Los puntos los calcula siempre el backend a partir del tiempo (el cliente no los envía).
+ * Reenviar un id que ya se guardó devuelve los puntos guardados, así los reintentos son seguros.
+ * Cada completación se guarda en la temporada activa (supabase-new-season.sql abre una nueva).
+ */
+
+export const RANKING_ERROR_KINDS = ['network', 'duplicate-id', 'duplicate', 'rate-limited', 'unauthorized', 'rejected'];
+
+/**
+ * Crea un error normalizado del backend
+ * @param {string} kind - Uno de RANKING_ERROR_KINDS
+ * @param {string} message - Descripción
+ * @param {*} cause - Error original (opcional)
+ * @returns {Object} { kind, message, cause }
+ */
+export function rankingError(kind, message, cause = null) {
+    return { kind, message, cause };
+}
+
+/**
+ * Calcula los puntos según el tiempo (misma fórmula que las funciones SQL)
+ * Con tiempo par: max(base - floor(parPenalty × tiempo / parTime), minPoints), así cada nivel
+ * puntúa en su propia escala (en el tiempo par se obtienen 800 puntos en cualquier nivel)
+ * Sin tiempo par (desafío diario): max(base - floor(tiempo × timePenalty), minPoints)
+ * @param {number} timeInSeconds - Tiempo en segundos
+ * @param {Object} pointsConfig - RANKING_CONFIG.scoring.points
+ * @param {number|null} parTime - Tiempo par del nivel (RANKING_CONFIG.scoring.parTimeByLevel)
+ * @returns {number} Puntos
+ */
+export function computePoints(timeInSeconds, pointsConfig, parTime = null) {
+    const penalty = parTime
+        ? Math.floor(pointsConfig.parPenalty * timeInSeconds / parTime)
+        : Math.floor(timeInSeconds * pointsConfig.timePenalty);
+    return Math.max(pointsConfig.base - penalty, pointsConfig.minPoints);
+}
+
+// Mismas reglas que la restricción players_name_format de supabase-setup.sql
+// (rangos explícitos en vez de clases Unicode para no depender del locale de la base de datos)
+export const PLAYER_NAME_MIN_LENGTH = 2;
+export const PLAYER_NAME_MAX_LENGTH = 20;
+const PLAYER_NAME_PATTERN = /^[A-Za-z0-9À-ÖØ-öø-ÿ _.-]+$/;
+
+/**
+ * Comprueba que un nombre de jugador sea válido
+ * Entre 2 y 20 caracteres: letras (también con tilde y ñ), números, espacios, '_', '.' y '-',
+ * sin espacios al principio ni al final
+ * @param {string} name - Nombre a comprobar
+ * @returns {boolean} True si el backend lo aceptará
+ */
+export function isValidPlayerName(name) {
+    return typeof name === 'string'
+        && name === name.trim()
+        && name.length >= PLAYER_NAME_MIN_LENGTH
+        && name.length <= PLAYER_NAME_MAX_LENGTH
+        && PLAYER_NAME_PATTERN.test(name);
+}
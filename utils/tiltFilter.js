@@ -0,0 +1,245 @@
+/**
+ * Filtros para la inclinación del giroscopio
+ * - Suavizado: paso bajo exponencial o filtro One-Euro (suave en reposo, rápido al moverse)
+ * - Zona muerta suave: resta la zona muerta en lugar de cortar, sin salto en el borde
+ * - Curva de respuesta: exponente > 1 da más precisión cerca del centro
+ * - Fusión opcional con el acelerómetro (devicemotion) mediante un filtro complementario
+ *
+ * No depende del DOM: TiltFilterPipeline recibe ángulos y marcas de tiempo
+ */
+
+// Configuración por defecto del pipeline
+export const DEFAULT_TILT_FILTER_SETTINGS = {
+    filter: 'one-euro',  // 'none', 'low-pass' o 'one-euro'
+    smoothing: 0.5,      // 0 (sin suavizado) a 1 (máximo)
+    deadzone: 3,         // Grados de zona muerta (suave)
+    exponent: 1.3,       // Curva de respuesta (1 = lineal)
+    fuseMotion: false,   // Mezclar con el ángulo medido por el acelerómetro
+    fusionWeight: 0.3    // Peso del acelerómetro en la fusión (0 a 1)
+};
+
+/**
+ * Filtro paso bajo de primer orden con frecuencia de corte (ver One-Euro)
+ */
+class CutoffLowPass {
+    constructor() {
+        this.value = null;
+    }
+
+    /**
+     * @param {number} value - Muestra nueva
+     * @param {number} alpha - Peso de la muestra nueva (0 a 1)
+     * @returns {number} Valor filtrado
+     */
+    filter(value, alpha) {
+        this.value = this.value === null ? value : this.value + alpha * (value - this.value);
+        return this.value;
+    }
+
+    reset() {
+        this.value = null;
+    }
+}
+
+/**
+ * Convierte una frecuencia de corte en el peso de la muestra nueva
+ * @param {number} cutoff - Frecuencia de corte (Hz)
+ * @param {number} deltaTime - Tiempo desde la muestra anterior (s)
+ * @returns {number} alpha entre 0 y 1
+ */
+function cutoffToAlpha(cutoff, deltaTime) {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / deltaTime);
+}
+
+/**
+ * Filtro paso bajo exponencial simple
+ */
+export class LowPassFilter {
+    /**
+     * @param {number} alpha - Peso de la muestra nueva (0 a 1, menor = más suave)
+     */
+    constructor(alpha = 0.3) {
+        this.alpha = alpha;
+        this.lowPass = new CutoffLowPass();
+    }
+
+    filter(value) {
+        return this.lowPass.filter(value, this.alpha);
+    }
+
+    reset() {
+        this.lowPass.reset();
+    }
+}
+
+/**
+ * Filtro One-Euro (Casiez et al. 2012)
+ * La frecuencia de corte crece con la velocidad: quieto filtra mucho el temblor,
+ * en movimiento casi no agrega retraso
+ */
+export class OneEuroFilter {
+    /**
+     * @param {number} minCutoff - Frecuencia de corte mínima (Hz, menor = más suave en reposo)
+     * @param {number} beta - Cuánto sube el corte con la velocidad
+     * @param {number} derivativeCutoff - Corte para suavizar la velocidad (Hz)
+     */
+    constructor(minCutoff = 1, beta = 0.05, derivativeCutoff = 1) {
+        this.minCutoff = minCutoff;
+        this.beta = beta;
+        this.derivativeCutoff = derivativeCutoff;
+        this.valueFilter = new CutoffLowPass();
+        this.derivativeFilter = new CutoffLowPass();
+        this.lastTime = null;
+    }
+
+    /**
+     * @param {number} value - Muestra nueva
+     * @param {number} timestamp - Marca de tiempo (ms)
+     * @returns {number} Valor filtrado
+     */
+    filter(value, timestamp) {
+        if (this.lastTime === null) {
+            this.lastTime = timestamp;
+            this.derivativeFilter.filter(0, 1);
+            return this.valueFilter.filter(value, 1);
+        }
+
+        // Eventos con la misma marca de tiempo: tratar como 1 ms para no dividir por cero
+        const deltaTime = Math.max((timestamp - this.lastTime) / 1000, 0.001);
+        this.lastTime = timestamp;
+
+        const previous = this.valueFilter.value;
+        const derivative = this.derivativeFilter.filter(
+            (value - previous) / deltaTime,
+            cutoffToAlpha(this.derivativeCutoff, deltaTime)
+        );
+        const cutoff = this.minCutoff + this.beta * Math.abs(derivative);
+        return this.valueFilter.filter(value, cutoffToAlpha(cutoff, deltaTime));
+    }
+
+    reset() {
+        this.valueFilter.reset();
+        this.derivativeFilter.reset();
+        this.lastTime = null;
+    }
+}
+
+/**
+ * Zona muerta suave: dentro devuelve 0 y fuera resta la zona muerta,
+ * así la salida arranca en 0 justo en el borde (sin salto)
+ * @param {number} value - Ángulo (grados)
+ * @param {number} deadzone - Zona muerta (grados)
+ * @returns {number} Ángulo sin la zona muerta
+ */
+export function applySoftDeadzone(value, deadzone) {
+    const magnitude = Math.abs(value) - deadzone;
+    return magnitude > 0 ? Math.sign(value) * magnitude : 0;
+}
+
+/**
+ * Curva de respuesta conservando el signo
+ * @param {number} value - Valor normalizado (-1 a 1)
+ * @param {number} exponent - Exponente (1 = lineal)
+ * @returns {number} Valor con la curva aplicada
+ */
+export function applyResponseCurve(value, exponent) {
+    return Math.sign(value) * Math.pow(Math.abs(value), exponent);
+}
+
+/**
+ * Ángulos de inclinación medidos por el acelerómetro (incluye la gravedad)
+ * Misma convención que deviceorientation: beta hacia adelante/atrás, gamma izquierda/derecha
+ * @param {Object} acceleration - accelerationIncludingGravity { x, y, z } (m/s²)
+ * @returns {Object|null} { beta, gamma } en grados, o null si no hay datos
+ */
+export function anglesFromGravity(acceleration) {
+    if (!acceleration || acceleration.x === null || acceleration.y === null || acceleration.z === null) {
+        return null;
+    }
+    const { x, y, z } = acceleration;
+    return {
+        beta: Math.atan2(y, z) * 180 / Math.PI,
+        gamma: Math.atan2(-x, Math.hypot(y, z)) * 180 / Math.PI
+    };
+}
+
+/**
+ * Pipeline completo: ángulos relativos a la calibración → inclinación normalizada (-1 a 1)
+ */
+export class TiltFilterPipeline {
+    /**
+     * @param {Object} settings - Ver DEFAULT_TILT_FILTER_SETTINGS
+     */
+    constructor(settings = {}) {
+        this.settings = { ...DEFAULT_TILT_FILTER_SETTINGS };
+        this.filters = null;
+        this.configure(settings);
+    }
+
+    /**
+     * Cambia la configuración (los filtros se reinician)
+     * @param {Object} settings - Campos a cambiar
+     */
+    configure(settings = {}) {
+        this.settings = { ...this.settings, ...settings };
+        const { filter, smoothing } = this.settings;
+        const amount = Math.min(Math.max(smoothing, 0), 1);
+
+        // smoothing 0 → casi sin filtro, 1 → muy suave
+        const createFilter = () => {
+            if (filter === 'low-pass') return new LowPassFilter(1 - amount * 0.9);
+            if (filter === 'one-euro') return new OneEuroFilter(5 - amount * 4.5, 0.05);
+            return null;
+        };
+        this.filters = { x: createFilter(), z: createFilter() };
+    }
+
+    /**
+     * Mezcla los ángulos del giroscopio con los del acelerómetro (filtro complementario)
+     * @param {Object} orientation - { beta, gamma } de deviceorientation (grados)
+     * @param {Object|null} motion - { beta, gamma } de anglesFromGravity (grados)
+     * @returns {Object} { beta, gamma } fusionados
+     */
+    fuse(orientation, motion) {
+        if (!this.settings.fuseMotion || !motion) {
+            return orientation;
+        }
+        const weight = Math.min(Math.max(this.settings.fusionWeight, 0), 1);
+        return {
+            beta: orientation.beta * (1 - weight) + motion.beta * weight,
+            gamma: orientation.gamma * (1 - weight) + motion.gamma * weight
+        };
+    }
+
+    /**
+     * Procesa un par de ángulos relativos a la calibración
+     * @param {number} angleX - Ángulo adelante/atrás (grados)
+     * @param {number} angleZ - Ángulo izquierda/derecha (grados)
+     * @param {number} timestamp - Marca de tiempo (ms)
+     * @param {number} sensitivity - Multiplicador de sensibilidad
+     * @param {number} range - Grados que equivalen a la inclinación máxima (antes de la sensibilidad)
+     * @returns {Object} { tiltX, tiltZ } entre -1 y 1
+     */
+    process(angleX, angleZ, timestamp, sensitivity = 1, range = 45) {
+        return {
+            tiltX: this.processAxis(this.filters.x, angleX, timestamp, sensitivity, range),
+            tiltZ: this.processAxis(this.filters.z, angleZ, timestamp, sensitivity, range)
+        };
+    }
+
+    processAxis(filter, angle, timestamp, sensitivity, range) {
+        const smoothed = filter ? filter.filter(angle, timestamp) : angle;
+        const active = applySoftDeadzone(smoothed, this.settings.deadzone);
+        const normalized = Math.min(Math.max((active / range) * sensitivity, -1), 1);
+        return applyResponseCurve(normalized, this.settings.exponent);
+    }
+
+    /**
+     * Reinicia los filtros (al calibrar o activar el giroscopio)
+     */
+    reset() {
+        if (this.filters.x) this.filters.x.reset();
+        if (this.filters.z) this.filters.z.reset();
+    }
+}
@@ -0,0 +1,139 @@
+/**
+ * TouchJoystickController - Joystick virtual en pantalla para jugar sin giroscopio
+ * (por ejemplo, si en iOS se rechaza el permiso de sensores de movimiento)
+ * - Devuelve los mismos valores que DeviceOrientationController.getTilt(), así
+ *   MazeController lo trata igual que al giroscopio
+ * - Solo escucha los toques que empiezan sobre el joystick; CameraZoom ignora esos
+ *   toques (data-touch-control), así que se puede hacer pinch con la otra mano
+ */
+
+export class TouchJoystickController {
+    /**
+     * @param {string} elementId - ID del contenedor del joystick en index.html
+     */
+    constructor(elementId = 'touch-joystick') {
+        this.elementId = elementId;
+        this.element = null;
+        this.knob = null;
+        this.enabled = false;
+        
+        // Puntero que controla el joystick (un solo dedo a la vez)
+        this.pointerId = null;
+        
+        // Posición del stick normalizada (-1 a 1), y > 0 = hacia arriba
+        this.x = 0;
+        this.y = 0;
+    }
+
+    /**
+     * Muestra el joystick y empieza a escuchar sus toques
+     * @returns {boolean} True si el joystick existe en la página
+     */
+    enable() {
+        if (this.enabled) return true;
+        
+        this.element = document.getElementById(this.elementId);
+        if (!this.element) {
+            console.warn('⚠️ No se encontró el joystick táctil en la página');
+            return false;
+        }
+        this.knob = this.element.querySelector('.touch-joystick-knob');
+        
+        this.handlePointerDown = (event) => {
+            if (this.pointerId !== null) return;
+            event.preventDefault();
+            this.pointerId = event.pointerId;
+            this.element.setPointerCapture(event.pointerId);
+            this.moveTo(event);
+        };
+        this.handlePointerMove = (event) => {
+            if (event.pointerId !== this.pointerId) return;
+            event.preventDefault();
+            this.moveTo(event);
+        };
+        this.handlePointerUp = (event) => {
+            if (event.pointerId !== this.pointerId) return;
+            this.pointerId = null;
+            this.reset();
+        };
+        
+        this.element.addEventListener('pointerdown', this.handlePointerDown);
+        this.element.addEventListener('pointermove', this.handlePointerMove);
+        this.element.addEventListener('pointerup', this.handlePointerUp);
+        this.element.addEventListener('pointercancel', this.handlePointerUp);
+        this.element.classList.remove('hidden');
+        
+        this.enabled = true;
+        console.log('👆 Joystick táctil ACTIVADO');
+        return true;
+    }
+
+    /**
+     * Oculta el joystick y deja de escuchar
+     */
+    disable() {
+        if (!this.enabled) return;
+        
+        this.element.removeEventListener('pointerdown', this.handlePointerDown);
+        this.element.removeEventListener('pointermove', this.handlePointerMove);
+        this.element.removeEventListener('pointerup', this.handlePointerUp);
+        this.element.removeEventListener('pointercancel', this.handlePointerUp);
+        this.element.classList.add('hidden');
+        
+        this.pointerId = null;
+        this.reset();
+        this.enabled = false;
+        console.log('👆 Joystick táctil DESACTIVADO');
+    }
+
+    /**
+     * Mueve el stick hacia el punto tocado (limitado al borde del joystick)
+     * @param {PointerEvent} event
+     */
+    moveTo(event) {
+        const rect = this.element.getBoundingClientRect();
+        const radius = rect.width / 2;
+        let x = (event.clientX - (rect.left + radius)) / radius;
+        let y = -(event.clientY - (rect.top + rect.height / 2)) / radius;
+        
+        const magnitude = Math.hypot(x, y);
+        if (magnitude > 1) {
+            x /= magnitude;
+            y /= magnitude;
+        }
+        
+        this.x = x;
+        this.y = y;
+        this.updateKnob(radius);
+    }
+
+    /**
+     * Vuelve el stick al centro
+     */
+    reset() {
+        this.x = 0;
+        this.y = 0;
+        this.updateKnob(0);
+    }
+
+    /**
+     * Dibuja el stick en su posición actual
+     * @param {number} radius - Radio del joystick en píxeles
+     */
+    updateKnob(radius) {
+        if (!this.knob) return;
+        this.knob.style.transform = `translate(calc(-50% + ${this.x * radius}px), calc(-50% + ${-this.y * radius}px))`;
+    }
+
+    /**
+     * Obtiene la inclinación con la misma convención que el giroscopio
+     * (tiltX: inclinar hacia adelante es negativo, tiltZ: hacia la derecha es positivo)
+     * @returns {Object} { tiltX, tiltZ } valores entre -1 y 1
+     */
+    getTilt() {
+        return {
+            tiltX: -this.y,
+            tiltZ: this.x
+        };
+    }
+}
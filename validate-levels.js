@@ -0,0 +1,65 @@
+/**
+ * Valida todos los niveles de levels/ (la misma validación que hace el juego al iniciar)
+ * Además comprueba que el tiempo par de cada nivel que puntúa coincida con el del ranking
+ * (RANKING_CONFIG.scoring.parTimeByLevel, copia de level_scoring_rules.par_time)
+ * Ejecutar con: npm run validate-levels
+ *
+ * Código de salida: 0 si todos los niveles son válidos, 1 si alguno tiene errores
+ */
+
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { loadLevelsConfig } from './utils/levelLoader.js';
+import { createNodeLevelSource } from './utils/nodeLevelFiles.js';
+import { RANKING_CONFIG } from './config/ranking.config.js';
+
+const rootDir = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Compara el tiempo par del nivel con el que usa el ranking para sus puntos
+ * @param {Object} level - Nivel cargado (con su bloque scoring, si tiene)
+ * @returns {string[]} Errores (vacío si coinciden o el nivel no puntúa)
+ */
+function rankingParTimeErrors(level) {
+    const { minTimeByLevel, parTimeByLevel } = RANKING_CONFIG.scoring;
+    const rankingParTime = parTimeByLevel[level.id];
+    const levelParTime = level.scoring ? level.scoring.parTime : undefined;
+
+    if (minTimeByLevel[level.id] === undefined && rankingParTime === undefined) return [];
+    if (levelParTime === rankingParTime) return [];
+
+    return [`El tiempo par del nivel (${levelParTime ?? 'sin scoring'}) no coincide con el del ranking ` +
+        `(${rankingParTime ?? 'sin definir'}): actualiza RANKING_CONFIG.scoring.parTimeByLevel y level_scoring_rules.par_time`];
+}
+
+// Los mensajes de carga se reemplazan por el reporte de abajo
+const log = console.log;
+console.log = () => {};
+console.error = () => {};
+
+try {
+    const { levels, errors } = await loadLevelsConfig(createNodeLevelSource(rootDir));
+    let invalidCount = errors.length;
+
+    Object.values(levels).forEach(level => {
+        // Un nivel roto no trae su bloque scoring: primero hay que arreglar sus errores
+        const levelErrors = level.broken ? level.errors : rankingParTimeErrors(level);
+        if (levelErrors.length > 0) {
+            invalidCount++;
+            log(`❌ Nivel ${level.id} - ${level.name}`);
+            levelErrors.forEach(error => log(`   - ${error}`));
+        } else {
+            log(`✅ Nivel ${level.id} - ${level.name}`);
+        }
+    });
+
+    errors.forEach(({ message }) => log(`❌ ${message}`));
+
+    log(invalidCount === 0
+        ? `\n🎉 ${Object.keys(levels).length} niveles válidos`
+        : `\n⚠️ ${invalidCount} nivel(es) con errores`);
+    process.exit(invalidCount === 0 ? 0 : 1);
+} catch (error) {
+    log('❌ Error al validar los niveles:', error.message || error);
+    process.exit(1);
+}